@@ -2,6 +2,13 @@
 // ==========================================
 import app from "./src/app.js";
 import { config } from "./src/config/index.js";
+import { logSocketService } from "./src/services/logSocketService.js";
+import { fileWatcherService } from "./src/services/fileWatcherService.js";
+import { logIndexService } from "./src/services/logIndexService.js";
+import { errorRegistryService } from "./src/services/errorRegistryService.js";
+import { alertRuleService } from "./src/services/alertRuleService.js";
+import { notificationService } from "./src/services/notificationService.js";
+import { heartbeatService } from "./src/services/heartbeatService.js";
 import cors from "cors";
 import os from "os";
 
@@ -80,6 +87,7 @@ const server = app.listen(PORT, HOST, () => {
   console.log(`📊 Environment: ${config.server.nodeEnv}`);
   console.log(`🔍 Health Check: http://localhost:${PORT}/api/health`);
   console.log(`📋 API Info: http://localhost:${PORT}/api/info`);
+  console.log(`🔌 Live feeds: ws://localhost:${PORT}${config.webSocket.path}`);
   console.log(`📁 Ready to analyze logs from any file path!`);
   console.log(`⚠️  Server accepting connections from ALL network interfaces`);
   console.log(`🌐 CORS enabled for cross-origin requests`);
@@ -90,6 +98,24 @@ server.timeout = 120000; // 2 minutes timeout
 server.keepAliveTimeout = 65000;
 server.headersTimeout = 66000;
 
+// 👀 Watch every alias folder (feeds SSE / WebSocket live streams)
+fileWatcherService.start();
+
+// 🗂️ Background search index of alias log files (INDEX_ENABLED=false turns it off)
+logIndexService.start();
+
+// 💓 Per-alias "still writing logs?" status (HEARTBEAT_ENABLED=false turns it off)
+heartbeatService.start();
+
+// 🔔 Alert rules evaluated every config.alerts.intervalMs (ALERTS_ENABLED=false turns it off)
+alertRuleService.start();
+
+// 📣 Firing / resolved alerts sent to notification channels (NOTIFICATIONS_ENABLED=false turns it off)
+notificationService.start();
+
+// 🔌 Live log feeds over WebSocket (same port as the API)
+logSocketService.attach(server);
+
 // Handle server errors
 server.on("error", (error) => {
   console.error("🚨 Server Error:", error);
@@ -105,7 +131,15 @@ server.on("error", (error) => {
 
 const gracefulShutdown = (signal) => {
   console.log(`📊 ${signal} received, shutting down gracefully...`);
-  server.close(() => {
+  logSocketService.close(); // open sockets would keep server.close() waiting
+  fileWatcherService.stop();
+  logIndexService.stop();
+  heartbeatService.stop();
+  alertRuleService.stop();
+  notificationService.stop();
+  server.close(async () => {
+    await errorRegistryService.flush(); // registry updates still waiting for their delayed write
+    await notificationService.flush();
     console.log("✅ Server closed successfully");
     process.exit(0);
   });
@@ -70,8 +70,24 @@ app.get('/', (req, res) => {
     description: 'Universal log analysis system for any file path',
     documentation: {
       health: '/api/health',
-      info: '/api/info',
-      logs: '/api/logs/*'
+      info: '/api/info (every endpoint with examples)',
+      logs: {
+        files: 'POST /api/logs/files',
+        directory: 'POST /api/logs/directory',
+        dateRange: 'POST /api/logs/date-range',
+        search: 'POST /api/logs/search',
+        analyze: 'POST /api/logs/analyze'
+      },
+      aliases: '/api/alias-logs/* (aliases, alias logs, tail: GET /api/alias-logs/user/{userId}/alias/{aliasName}/tail)',
+      heartbeat: 'GET /api/alias-logs/heartbeat',
+      dashboard: '/api/dashboard/*',
+      aggregator: '/api/aggregator/* (logs, stream, errors, anomalies)',
+      histogram: 'POST /api/aggregator/histogram',
+      alerts: '/api/alerts/* (rules, active, history, silences, maintenance, audit)',
+      notifications: '/api/notifications/* (channels, deliveries)',
+      index: '/api/index/*',
+      recentPaths: '/api/recent-paths/*',
+      webSocket: 'WS /api/ws'
     },
     usage: {
       example: 'POST /api/logs/files with { "filePath": "C:\\\\logs\\\\app", "fileName": "app.log" }'
@@ -12,8 +12,174 @@ export const config = {
   },
 
   cache: {
-    autoRefreshInterval: parseInt(process.env.AUTO_REFRESH_INTERVAL) || 5000,
-    maxRecentPaths: 20 // Keep last 20 used paths in memory
+    autoRefreshInterval: parseInt(process.env.AUTO_REFRESH_INTERVAL) || 5000
+  },
+
+  recentPaths: {
+    // "Jump back to" shortcuts (storage/recent-paths.json); pinned paths are never evicted
+    maxRecentPaths: parseInt(process.env.RECENT_PATHS_MAX) || 200,
+    maxHistoryPaths: parseInt(process.env.RECENT_PATHS_HISTORY_MAX) || 1000,
+    defaultLimit: 20,
+    maxLimit: 200
+  },
+
+  time: {
+    // Zone "today" is calculated in when neither the user nor the alias sets one
+    defaultTimezone: process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata',
+    // Zone our servers write logs in (IANA name); aliases can override with sourceTimezone
+    defaultSourceTimezone: process.env.LOG_SOURCE_TIMEZONE || process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata'
+  },
+
+  dateRange: {
+    // Longest startDate..endDate span a single query may cover
+    maxSpanDays: parseInt(process.env.MAX_DATE_RANGE_DAYS) || 31
+  },
+
+  reader: {
+    // Per-file read budget; larger files come back truncated with a nextOffset to page from
+    maxBytesPerFile: parseInt(process.env.READ_MAX_BYTES_PER_FILE) || 20 * 1024 * 1024,
+    maxLinesPerFile: parseInt(process.env.READ_MAX_LINES_PER_FILE) || 100000,
+    // Head-of-file sample used by format detection
+    sampleLines: 1000
+  },
+
+  tail: {
+    defaultLines: 200,
+    maxLines: parseInt(process.env.TAIL_MAX_LINES) || 5000,
+    checkpointFiles: 200 // files whose line-number checkpoints are kept (countLines=true)
+  },
+
+  search: {
+    // POST /api/dashboard/search: files are streamed and the search stops once `limit` hits are found
+    defaultLimit: 100,
+    maxLimit: parseInt(process.env.SEARCH_MAX_RESULTS) || 1000,
+    defaultContextLines: 2,
+    maxContextLines: 20,
+    maxQueryLength: 500,
+    batchLines: 1000 // lines grouped into entries at a time when a time window applies
+  },
+
+  liveTail: {
+    // Lines read per file per live poll; the rest comes with the next poll (hasMore)
+    maxLinesPerFile: parseInt(process.env.LIVE_TAIL_MAX_LINES) || 2000,
+    initialLines: 50
+  },
+
+  watcher: {
+    // fs.watch on local folders; UNC / network shares (or WATCHER_FORCE_POLLING=true) are stat-polled
+    pollIntervalMs: parseInt(process.env.WATCHER_POLL_MS) || 2000,
+    forcePolling: process.env.WATCHER_FORCE_POLLING === 'true',
+    debounceMs: 100, // burst of fs.watch notifications → one rescan
+    rescanMs: 30000 // safety rescan of watched folders (fs.watch can miss events)
+  },
+
+  liveStream: {
+    // One shared incremental read feeds every SSE stream and WebSocket subscription (maxConnections counts both)
+    // It runs when the file watcher reports a change
+    heartbeatMs: 15000,
+    replayBufferSize: 2000, // events kept for Last-Event-ID resume
+    maxConnections: parseInt(process.env.LIVE_STREAM_MAX_CONNECTIONS) || 100,
+    retryMs: 3000,
+    idleResetMs: 60000, // no connections this long: restart at the end of files
+    holdReleaseMs: 1000 // newest entry held back as possibly incomplete: read again after this much quiet
+  },
+
+  webSocket: {
+    // Multiplexed live feeds on the same HTTP server (subscriptions share the live stream read)
+    path: '/api/ws',
+    batchMs: 250, // appended entries are collected this long per subscription
+    maxBatchEntries: 500, // ...or sent as soon as this many are waiting
+    pingIntervalMs: 30000, // a socket that misses one ping round is dropped
+    maxSubscriptionsPerSocket: parseInt(process.env.WS_MAX_SUBSCRIPTIONS) || 20,
+    maxPayloadBytes: 64 * 1024
+  },
+
+  index: {
+    // Background inverted index under storage/log-index; search / aggregation read indexed files
+    // through it and scan whatever it doesn't cover (new files, data appended since the last pass)
+    enabled: process.env.INDEX_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.INDEX_INTERVAL_MS) || 5 * 60 * 1000,
+    retentionDays: parseInt(process.env.INDEX_RETENTION_DAYS) || 7, // files older than this are not indexed
+    maxRetentionDays: 90,
+    maxBytesPerPass: parseInt(process.env.INDEX_MAX_BYTES_PER_PASS) || 32 * 1024 * 1024, // per file; large files catch up over passes
+    minTermLength: 3,
+    markEveryLines: 100, // seek point every N lines (context reads around a hit)
+    cacheFiles: 20 // loaded file indexes kept in memory
+  },
+
+  errorRegistry: {
+    // Every error signature seen per alias (storage/error-registry.json), fed by aggregation and index passes
+    enabled: process.env.ERROR_REGISTRY_ENABLED !== 'false',
+    levels: ['ERROR'],
+    dailyCountDays: parseInt(process.env.ERROR_REGISTRY_DAYS) || 90, // older per-day counts fold into archivedCount
+    defaultQuietDays: 7, // "resurfaced" = seen again after at least this many days without it
+    saveDelayMs: 5000 // updates within this delay are written together
+  },
+
+  anomaly: {
+    // Error / warning spikes: entry counts per alias and level in fixed buckets, compared with the
+    // same time of day on previous days (robust z-score = (actual - median) / (1.4826 × MAD))
+    bucketMinutes: 5,
+    bucketSizes: [1, 5, 10, 15, 30, 60], // minutes; each divides a day evenly
+    baselineDays: 7,
+    maxBaselineDays: 28,
+    minBaselineDays: 3, // previous days with entries needed before a bucket is judged
+    lookbackMinutes: 60, // recent buckets checked per call
+    maxLookbackMinutes: 24 * 60,
+    levels: ['ERROR', 'WARNING'],
+    sensitivity: { low: 5, medium: 3.5, high: 2.5 }, // z-score a bucket must reach (or a number per alias)
+    defaultSensitivity: process.env.ANOMALY_SENSITIVITY || 'medium',
+    minCount: 5, // buckets with fewer entries are never flagged
+    cacheFiles: 100 // per-file bucket counts kept in memory (old files are only read once)
+  },
+
+  histogram: {
+    // POST /api/aggregator/histogram: entry counts per time bucket and level, files streamed once (no log bodies)
+    bucketSizes: { '1m': 1, '5m': 5, '1h': 60, '1d': 24 * 60 }, // minutes; buckets aligned to midnight in timeZone
+    defaultBucket: '1h',
+    maxBuckets: parseInt(process.env.HISTOGRAM_MAX_BUCKETS) || 5000, // e.g. 1m buckets cover at most ~3.5 days
+    levels: ['ERROR', 'WARNING', 'INFO', 'DEBUG'] // always present in each bucket (zero-filled)
+  },
+
+  alerts: {
+    // Alert rules (storage/alert-rules.json) evaluated on a schedule; state + history in storage/alert-state.json,
+    // silences, maintenance windows and the audit trail in storage/alert-silences.json
+    enabled: process.env.ALERTS_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.ALERTS_INTERVAL_MS) || 60 * 1000,
+    maxWindowMinutes: 24 * 60,
+    maxHistory: parseInt(process.env.ALERTS_MAX_HISTORY) || 1000, // transitions kept, newest first
+    maxAudit: parseInt(process.env.ALERTS_MAX_AUDIT) || 1000, // acknowledgement / silence / maintenance actions kept
+    maxSilenceMinutes: 30 * 24 * 60,
+    maxMaintenanceMinutes: 24 * 60, // one occurrence of a recurring maintenance window
+    sampleLogs: 5, // latest matching entries kept with each evaluation
+    defaultLimit: 50,
+    maxLimit: 500
+  },
+
+  heartbeat: {
+    // Gap since an alias folder was last written (newest mtime / growth seen by the watcher) vs. the allowed gap:
+    // healthy, quiet (gap above it), stale (above staleMultiplier × it), unreachable (folder can't be read)
+    enabled: process.env.HEARTBEAT_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.HEARTBEAT_INTERVAL_MS) || 30 * 1000,
+    defaultMaxGapMinutes: parseInt(process.env.HEARTBEAT_MAX_GAP_MINUTES) || 30, // per alias: alias.heartbeat
+    staleMultiplier: 3,
+    maxGapLimitMinutes: 7 * 24 * 60
+  },
+
+  notifications: {
+    // Channels (storage/notification-channels.json) notified of firing / resolved alerts; every send is
+    // logged in storage/notification-log.json. Per-channel values below are the defaults for new channels
+    enabled: process.env.NOTIFICATIONS_ENABLED !== 'false',
+    timeoutMs: parseInt(process.env.NOTIFICATIONS_TIMEOUT_MS) || 10000, // per attempt (HTTP request / SMTP session)
+    maxAttempts: 3,
+    maxAttemptsLimit: 10,
+    backoffMs: 2000, // doubled after every failed attempt
+    maxBackoffMs: 5 * 60 * 1000,
+    dedupMinutes: 15, // same rule + event on the same channel within this is not sent again
+    rateLimit: { max: 30, perMinutes: 60 },
+    maxDeliveries: parseInt(process.env.NOTIFICATIONS_MAX_LOG) || 1000, // delivery log entries kept, newest first
+    defaultLimit: 50,
+    maxLimit: 500
   },
 
   dynamicLogs: {
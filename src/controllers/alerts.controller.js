@@ -0,0 +1,518 @@
+// 📁 src/controllers/alerts.controller.js
+// Alert rules: CRUD, manual evaluation, dry runs against a past day, active alerts and history;
+// acknowledgements, silences, maintenance windows and their audit trail
+// ==========================================
+import { alertRuleService } from '../services/alertRuleService.js';
+import { alertSilenceService } from '../services/alertSilenceService.js';
+import { config } from '../config/index.js';
+import { successResponse, errorResponse, paginationMeta, parseBoundedInt } from '../utils/responseHelper.js';
+
+const ruleExample = {
+  userId: 'john_doe',
+  aliasName: 'Frisk-API',
+  type: 'threshold',
+  logLevels: ['ERROR'],
+  query: '/connection refused/',
+  threshold: 20,
+  windowMinutes: 10
+};
+
+const silenceExample = {
+  matchers: { userId: 'john_doe', aliasName: 'Frisk-*' },
+  durationMinutes: 30,
+  createdBy: 'jane',
+  comment: 'Friskit 4.2 rollout'
+};
+
+const maintenanceExample = {
+  userId: 'john_doe',
+  aliasName: 'Frisk-API',
+  schedule: { type: 'weekly', days: ['tue', 'thu'], startTime: '22:00', durationMinutes: 30 },
+  createdBy: 'jane',
+  comment: 'Regular deployment slot'
+};
+
+// 🔔 Rules with their current state (?userId=&aliasName=)
+export const getAlertRules = async (req, res) => {
+  try {
+    const { userId = null, aliasName = null } = req.query;
+
+    await alertRuleService.ready;
+    const rules = alertRuleService.getRules({ userId, aliasName });
+
+    res.json(successResponse('Alert rules retrieved successfully', { rules, total: rules.length }));
+
+  } catch (error) {
+    console.error('❌ Error in getAlertRules:', error);
+    res.status(500).json(errorResponse('Failed to get alert rules', {
+      message: error.message
+    }));
+  }
+};
+
+export const getAlertRule = async (req, res) => {
+  try {
+    await alertRuleService.ready;
+    const rule = alertRuleService.getRule(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json(errorResponse(`Alert rule not found: ${req.params.ruleId}`));
+    }
+
+    res.json(successResponse('Alert rule retrieved successfully', rule));
+
+  } catch (error) {
+    console.error('❌ Error in getAlertRule:', error);
+    res.status(500).json(errorResponse('Failed to get alert rule', {
+      message: error.message
+    }));
+  }
+};
+
+// ➕ Create a rule (threshold: count above threshold, absence: no entries in the window)
+export const createAlertRule = async (req, res) => {
+  try {
+    const result = await alertRuleService.createRule(req.body);
+
+    if (!result.success) {
+      return res.status(result.invalidRule ? 400 : 404).json(errorResponse(result.error, {
+        ...(result.queryError && { queryError: result.queryError }),
+        example: ruleExample
+      }));
+    }
+
+    res.status(201).json(successResponse(`Alert rule "${result.rule.name}" created`, result.rule));
+
+  } catch (error) {
+    console.error('❌ Error in createAlertRule:', error);
+    res.status(500).json(errorResponse('Failed to create alert rule', {
+      message: error.message
+    }));
+  }
+};
+
+// ✏️ Change any rule field (the rest stays)
+export const updateAlertRule = async (req, res) => {
+  try {
+    const result = await alertRuleService.updateRule(req.params.ruleId, req.body);
+
+    if (!result.success) {
+      return res.status(result.invalidRule ? 400 : 404).json(errorResponse(result.error, {
+        ...(result.queryError && { queryError: result.queryError })
+      }));
+    }
+
+    res.json(successResponse(`Alert rule "${result.rule.name}" updated`, result.rule));
+
+  } catch (error) {
+    console.error('❌ Error in updateAlertRule:', error);
+    res.status(500).json(errorResponse('Failed to update alert rule', {
+      message: error.message
+    }));
+  }
+};
+
+export const deleteAlertRule = async (req, res) => {
+  try {
+    const deleted = await alertRuleService.deleteRule(req.params.ruleId);
+
+    if (!deleted) {
+      return res.status(404).json(errorResponse(`Alert rule not found: ${req.params.ruleId}`));
+    }
+
+    res.json(successResponse('Alert rule deleted', { ruleId: req.params.ruleId }));
+
+  } catch (error) {
+    console.error('❌ Error in deleteAlertRule:', error);
+    res.status(500).json(errorResponse('Failed to delete alert rule', {
+      message: error.message
+    }));
+  }
+};
+
+// ▶️ Evaluate one rule now (same as a scheduler tick, disabled rules included)
+export const evaluateAlertRule = async (req, res) => {
+  try {
+    await alertRuleService.ready;
+    const rule = alertRuleService.rules.get(req.params.ruleId);
+
+    if (!rule) {
+      return res.status(404).json(errorResponse(`Alert rule not found: ${req.params.ruleId}`));
+    }
+
+    const { state, evaluation, transitions } = await alertRuleService.evaluateRule(rule);
+
+    res.json(successResponse(`Alert rule evaluated: ${state.status}`, { rule: alertRuleService.withState(rule), evaluation, transitions }));
+
+  } catch (error) {
+    console.error('❌ Error in evaluateAlertRule:', error);
+    res.status(500).json(errorResponse('Failed to evaluate alert rule', {
+      message: error.message
+    }));
+  }
+};
+
+// 🧪 Replay a stored rule (ruleId) or an unsaved one (rule) over a past day
+export const dryRunAlertRule = async (req, res) => {
+  try {
+    const { ruleId, rule: ruleInput, date, stepMinutes } = req.body;
+
+    await alertRuleService.ready;
+    const rule = ruleId ? alertRuleService.rules.get(ruleId) : ruleInput;
+    if (!rule) {
+      return res.status(ruleId ? 404 : 400).json(errorResponse(
+        ruleId ? `Alert rule not found: ${ruleId}` : 'ruleId or rule is required',
+        { example: { rule: ruleExample, date: '2025-09-01' } }
+      ));
+    }
+
+    const step = parseBoundedInt(stepMinutes, null, 1, 60);
+    if (step === null && stepMinutes !== undefined && stepMinutes !== null) {
+      return res.status(400).json(errorResponse('stepMinutes must be an integer between 1 and 60'));
+    }
+
+    const result = await alertRuleService.dryRun(rule, { date, stepMinutes: step });
+
+    if (!result.success) {
+      return res.status(result.invalidRule || result.invalidDateRange || result.invalidQuery ? 400 : 404)
+        .json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse(
+      `Dry run on ${result.date}: ${result.firingPeriods.length} firing periods in ${result.evaluations} evaluations`,
+      result
+    ));
+
+  } catch (error) {
+    console.error('❌ Error in dryRunAlertRule:', error);
+    res.status(500).json(errorResponse('Failed to dry-run alert rule', {
+      message: error.message
+    }));
+  }
+};
+
+// 🚨 Pending and firing alerts
+export const getActiveAlerts = async (req, res) => {
+  try {
+    await alertRuleService.ready;
+    const alerts = alertRuleService.getActiveAlerts();
+
+    res.json(successResponse(`${alerts.length} active alerts`, {
+      alerts,
+      firing: alerts.filter(rule => rule.state.status === 'firing').length,
+      pending: alerts.filter(rule => rule.state.status === 'pending').length
+    }));
+
+  } catch (error) {
+    console.error('❌ Error in getActiveAlerts:', error);
+    res.status(500).json(errorResponse('Failed to get active alerts', {
+      message: error.message
+    }));
+  }
+};
+
+// 📜 State transitions, newest first (?ruleId=&userId=&limit=&offset=)
+export const getAlertHistory = async (req, res) => {
+  try {
+    const { ruleId = null, userId = null } = req.query;
+    const { defaultLimit, maxLimit } = config.alerts;
+    const limit = parseBoundedInt(req.query.limit, defaultLimit, 1, maxLimit);
+    const offset = parseBoundedInt(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+
+    if (limit === null || offset === null) {
+      return res.status(400).json(errorResponse(
+        `limit must be an integer between 1 and ${maxLimit}, offset a non-negative integer`
+      ));
+    }
+
+    await alertRuleService.ready;
+    const history = alertRuleService.getHistory({ ruleId, userId });
+
+    res.json(successResponse(
+      'Alert history retrieved successfully',
+      { history: history.slice(offset, offset + limit) },
+      paginationMeta(history.length, limit, offset)
+    ));
+
+  } catch (error) {
+    console.error('❌ Error in getAlertHistory:', error);
+    res.status(500).json(errorResponse('Failed to get alert history', {
+      message: error.message
+    }));
+  }
+};
+
+// ⏱️ Scheduler status and last pass
+export const getAlertScheduler = async (req, res) => {
+  try {
+    res.json(successResponse('Alert scheduler status retrieved successfully', alertRuleService.getSchedulerStatus()));
+
+  } catch (error) {
+    console.error('❌ Error in getAlertScheduler:', error);
+    res.status(500).json(errorResponse('Failed to get alert scheduler status', {
+      message: error.message
+    }));
+  }
+};
+
+// ==========================================
+// ACKNOWLEDGEMENT
+// ==========================================
+
+// ✅ Acknowledge a firing alert (body: { by, comment? }); cleared when it resolves
+export const acknowledgeAlert = async (req, res) => {
+  try {
+    const { by, comment = null } = req.body || {};
+    const result = await alertRuleService.acknowledge(req.params.ruleId, { by, comment });
+
+    if (!result.success) {
+      return res.status(result.invalidRequest ? 400 : 404).json(errorResponse(result.error));
+    }
+
+    res.json(successResponse(`Alert "${result.rule.name}" acknowledged by ${by}`, result.rule));
+
+  } catch (error) {
+    console.error('❌ Error in acknowledgeAlert:', error);
+    res.status(500).json(errorResponse('Failed to acknowledge alert', {
+      message: error.message
+    }));
+  }
+};
+
+export const unacknowledgeAlert = async (req, res) => {
+  try {
+    const { by, comment = null } = { ...req.query, ...req.body };
+    const result = await alertRuleService.unacknowledge(req.params.ruleId, { by, comment });
+
+    if (!result.success) {
+      return res.status(result.invalidRequest ? 400 : 404).json(errorResponse(result.error));
+    }
+
+    res.json(successResponse(`Acknowledgement of "${result.rule.name}" removed`, result.rule));
+
+  } catch (error) {
+    console.error('❌ Error in unacknowledgeAlert:', error);
+    res.status(500).json(errorResponse('Failed to remove acknowledgement', {
+      message: error.message
+    }));
+  }
+};
+
+// ==========================================
+// SILENCES
+// ==========================================
+
+// 🔕 Silences, newest first (?status=pending|active|expired)
+export const getSilences = async (req, res) => {
+  try {
+    const { status = null } = req.query;
+    if (status && !['pending', 'active', 'expired'].includes(status)) {
+      return res.status(400).json(errorResponse('status must be one of pending, active, expired'));
+    }
+
+    await alertSilenceService.ready;
+    const silences = alertSilenceService.getSilences({ status });
+
+    res.json(successResponse('Silences retrieved successfully', { silences, total: silences.length }));
+
+  } catch (error) {
+    console.error('❌ Error in getSilences:', error);
+    res.status(500).json(errorResponse('Failed to get silences', {
+      message: error.message
+    }));
+  }
+};
+
+export const getSilence = async (req, res) => {
+  try {
+    await alertSilenceService.ready;
+    const silence = alertSilenceService.getSilence(req.params.silenceId);
+
+    if (!silence) {
+      return res.status(404).json(errorResponse(`Silence not found: ${req.params.silenceId}`));
+    }
+
+    res.json(successResponse('Silence retrieved successfully', silence));
+
+  } catch (error) {
+    console.error('❌ Error in getSilence:', error);
+    res.status(500).json(errorResponse('Failed to get silence', {
+      message: error.message
+    }));
+  }
+};
+
+// ➕ Silence rules (user / alias / labels) or one error fingerprint for a time window
+export const createSilence = async (req, res) => {
+  try {
+    const result = await alertSilenceService.createSilence(req.body);
+
+    if (!result.success) {
+      return res.status(400).json(errorResponse(result.error, { example: silenceExample }));
+    }
+
+    res.status(201).json(successResponse(`Silence created until ${result.silence.endsAt}`, result.silence));
+
+  } catch (error) {
+    console.error('❌ Error in createSilence:', error);
+    res.status(500).json(errorResponse('Failed to create silence', {
+      message: error.message
+    }));
+  }
+};
+
+// ⏹️ End a silence now (?by= or body { by, comment? }) - it stays listed as expired
+export const expireSilence = async (req, res) => {
+  try {
+    const { by, comment = null } = { ...req.query, ...req.body };
+    const result = await alertSilenceService.expireSilence(req.params.silenceId, { by, comment });
+
+    if (!result.success) {
+      return res.status(result.invalidRequest ? 400 : 404).json(errorResponse(result.error));
+    }
+
+    res.json(successResponse('Silence expired', result.silence));
+
+  } catch (error) {
+    console.error('❌ Error in expireSilence:', error);
+    res.status(500).json(errorResponse('Failed to expire silence', {
+      message: error.message
+    }));
+  }
+};
+
+// ==========================================
+// MAINTENANCE WINDOWS
+// ==========================================
+
+// 🛠️ Maintenance windows with their current / next period (?userId=&aliasName=)
+export const getMaintenanceWindows = async (req, res) => {
+  try {
+    const { userId = null, aliasName = null } = req.query;
+
+    await alertSilenceService.ready;
+    const windows = alertSilenceService.getMaintenanceWindows({ userId, aliasName });
+
+    res.json(successResponse('Maintenance windows retrieved successfully', {
+      windows,
+      total: windows.length,
+      active: windows.filter(window => window.active).length
+    }));
+
+  } catch (error) {
+    console.error('❌ Error in getMaintenanceWindows:', error);
+    res.status(500).json(errorResponse('Failed to get maintenance windows', {
+      message: error.message
+    }));
+  }
+};
+
+export const getMaintenanceWindow = async (req, res) => {
+  try {
+    await alertSilenceService.ready;
+    const window = alertSilenceService.getMaintenanceWindow(req.params.windowId);
+
+    if (!window) {
+      return res.status(404).json(errorResponse(`Maintenance window not found: ${req.params.windowId}`));
+    }
+
+    res.json(successResponse('Maintenance window retrieved successfully', window));
+
+  } catch (error) {
+    console.error('❌ Error in getMaintenanceWindow:', error);
+    res.status(500).json(errorResponse('Failed to get maintenance window', {
+      message: error.message
+    }));
+  }
+};
+
+export const createMaintenanceWindow = async (req, res) => {
+  try {
+    const result = await alertSilenceService.createMaintenanceWindow(req.body);
+
+    if (!result.success) {
+      return res.status(400).json(errorResponse(result.error, { example: maintenanceExample }));
+    }
+
+    res.status(201).json(successResponse(`Maintenance window "${result.window.name}" created`, result.window));
+
+  } catch (error) {
+    console.error('❌ Error in createMaintenanceWindow:', error);
+    res.status(500).json(errorResponse('Failed to create maintenance window', {
+      message: error.message
+    }));
+  }
+};
+
+// ✏️ Change a window (body: { by, comment?, ...fields })
+export const updateMaintenanceWindow = async (req, res) => {
+  try {
+    const result = await alertSilenceService.updateMaintenanceWindow(req.params.windowId, req.body);
+
+    if (!result.success) {
+      return res.status(result.invalidWindow ? 400 : 404).json(errorResponse(result.error));
+    }
+
+    res.json(successResponse(`Maintenance window "${result.window.name}" updated`, result.window));
+
+  } catch (error) {
+    console.error('❌ Error in updateMaintenanceWindow:', error);
+    res.status(500).json(errorResponse('Failed to update maintenance window', {
+      message: error.message
+    }));
+  }
+};
+
+export const deleteMaintenanceWindow = async (req, res) => {
+  try {
+    const { by, comment = null } = { ...req.query, ...req.body };
+    const result = await alertSilenceService.deleteMaintenanceWindow(req.params.windowId, { by, comment });
+
+    if (!result.success) {
+      return res.status(result.invalidRequest ? 400 : 404).json(errorResponse(result.error));
+    }
+
+    res.json(successResponse('Maintenance window deleted', { windowId: req.params.windowId }));
+
+  } catch (error) {
+    console.error('❌ Error in deleteMaintenanceWindow:', error);
+    res.status(500).json(errorResponse('Failed to delete maintenance window', {
+      message: error.message
+    }));
+  }
+};
+
+// ==========================================
+// AUDIT
+// ==========================================
+
+// 🧾 Who acknowledged / silenced / scheduled what, newest first (?action=&by=&targetId=&ruleId=&limit=&offset=)
+export const getAlertAudit = async (req, res) => {
+  try {
+    const { action = null, by = null, targetId = null, ruleId = null } = req.query;
+    const { defaultLimit, maxLimit } = config.alerts;
+    const limit = parseBoundedInt(req.query.limit, defaultLimit, 1, maxLimit);
+    const offset = parseBoundedInt(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+
+    if (limit === null || offset === null) {
+      return res.status(400).json(errorResponse(
+        `limit must be an integer between 1 and ${maxLimit}, offset a non-negative integer`
+      ));
+    }
+
+    await alertSilenceService.ready;
+    const audit = alertSilenceService.getAudit({ action, by, targetId, ruleId });
+
+    res.json(successResponse(
+      'Alert audit trail retrieved successfully',
+      { audit: audit.slice(offset, offset + limit) },
+      paginationMeta(audit.length, limit, offset)
+    ));
+
+  } catch (error) {
+    console.error('❌ Error in getAlertAudit:', error);
+    res.status(500).json(errorResponse('Failed to get alert audit trail', {
+      message: error.message
+    }));
+  }
+};
@@ -2,6 +2,10 @@
 // Advanced Log Aggregator Controller
 // ==========================================
 import { LogAggregatorService } from '../services/logAggregatorService.js';
+import { liveStreamHub } from '../services/liveStreamHub.js';
+import { fileWatcherService } from '../services/fileWatcherService.js';
+import { anomalyDetectionService } from '../services/anomalyDetectionService.js';
+import { config as appConfig } from '../config/index.js';
 import { successResponse, errorResponse } from '../utils/responseHelper.js';
 
 const aggregatorService = new LogAggregatorService();
@@ -13,7 +17,12 @@ export const getAggregatedLogs = async (req, res) => {
       userIds = [],
       aliasNames = [],
       date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
       logLevels = [],
+      query,
       limit = 1000,
       offset = 0,
       groupBy = 'timestamp',
@@ -27,6 +36,7 @@ export const getAggregatedLogs = async (req, res) => {
       users: userIds.length || 'ALL',
       aliases: aliasNames.length || 'ALL',
       levels: logLevels.length || 'ALL',
+      query: query || 'NONE',
       limit,
       groupBy
     });
@@ -35,7 +45,12 @@ export const getAggregatedLogs = async (req, res) => {
       userIds,
       aliasNames,
       date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
       logLevels,
+      query,
       limit,
       offset,
       groupBy,
@@ -46,7 +61,7 @@ export const getAggregatedLogs = async (req, res) => {
     });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse('Aggregated logs retrieved successfully', result));
@@ -64,22 +79,30 @@ export const getLiveLogStream = async (req, res) => {
   try {
     const {
       userIds = [],
-      intervalMs = 5000,
-      maxLogsPerUser = 50,
-      sinceTimestamp
+      aliasNames = [],
+      cursors = null, // from the previous response; omit on the first poll
+      maxLinesPerFile,
+      initialLines
     } = req.body;
 
-    console.log(`📡 Live log stream request for ${userIds.length || 'ALL'} users`);
+    if (cursors !== null && (typeof cursors !== 'object' || Array.isArray(cursors))) {
+      return res.status(400).json(errorResponse(
+        'cursors must be the object returned by the previous /stream response'
+      ));
+    }
+
+    console.log(`📡 Live log stream request for ${userIds.length || 'ALL'} users (${cursors ? Object.keys(cursors).length : 0} cursors)`);
 
     const result = await aggregatorService.getLiveLogStream({
       userIds,
-      intervalMs,
-      maxLogsPerUser,
-      sinceTimestamp
+      aliasNames,
+      cursors,
+      ...(maxLinesPerFile && { maxLinesPerFile }),
+      ...(initialLines !== undefined && { initialLines })
     });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse('Live log stream retrieved successfully', result));
@@ -92,25 +115,127 @@ export const getLiveLogStream = async (req, res) => {
   }
 };
 
+// 📡 Server-Sent Events: push new entries as they are appended
+// GET /stream/events?userIds=a,b&aliasNames=API&levels=ERROR,WARNING&query=timeout OR "refused"
+// (Last-Event-ID header resumes)
+export const streamLiveEvents = (req, res) => {
+  try {
+    const toList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+    const levels = toList(req.query.levels).map(level => level.toUpperCase());
+    const validLevels = ['ERROR', 'WARNING', 'INFO', 'DEBUG'];
+    const invalidLevels = levels.filter(level => !validLevels.includes(level));
+    if (invalidLevels.length > 0) {
+      return res.status(400).json(errorResponse(`Invalid levels: ${invalidLevels.join(', ')}`, { validLevels }));
+    }
+
+    // EventSource sends Last-Event-ID on reconnect; ?lastEventId= covers the first connect
+    const rawLastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+    const lastEventId = rawLastEventId !== undefined && rawLastEventId !== '' ? parseInt(rawLastEventId, 10) : null;
+    if (lastEventId !== null && (isNaN(lastEventId) || lastEventId < 0)) {
+      return res.status(400).json(errorResponse('Last-Event-ID must be a non-negative integer'));
+    }
+
+    const result = liveStreamHub.openSseConnection(req, res, {
+      filters: {
+        userIds: toList(req.query.userIds),
+        aliasNames: toList(req.query.aliasNames),
+        levels,
+        query: req.query.query
+      },
+      lastEventId
+    });
+
+    if (!result.success) {
+      return res.status(result.invalidQuery ? 400 : 503).json(errorResponse(result.error, result));
+    }
+
+  } catch (error) {
+    console.error('❌ Error in streamLiveEvents:', error);
+    if (!res.headersSent) {
+      res.status(500).json(errorResponse('Failed to open live stream', { 
+        message: error.message 
+      }));
+    }
+  }
+};
+
+// 📡 Admin: active live streams
+export const getStreamConnections = async (req, res) => {
+  try {
+    res.json(successResponse('Live stream connections retrieved successfully', {
+      stats: liveStreamHub.getStats(),
+      connections: liveStreamHub.listConnections()
+    }));
+
+  } catch (error) {
+    console.error('❌ Error in getStreamConnections:', error);
+    res.status(500).json(errorResponse('Failed to list live streams', { 
+      message: error.message 
+    }));
+  }
+};
+
+// 📡 Admin: close one live stream
+export const closeStreamConnection = async (req, res) => {
+  try {
+    const { connectionId } = req.params;
+
+    if (!liveStreamHub.closeConnection(connectionId)) {
+      return res.status(404).json(errorResponse(`Live stream ${connectionId} not found`));
+    }
+
+    res.json(successResponse('Live stream closed successfully', {
+      connectionId,
+      closedAt: new Date().toISOString()
+    }));
+
+  } catch (error) {
+    console.error('❌ Error in closeStreamConnection:', error);
+    res.status(500).json(errorResponse('Failed to close live stream', { 
+      message: error.message 
+    }));
+  }
+};
+
+// 👀 Admin: what the file watcher sees
+export const getWatcherStatus = async (req, res) => {
+  try {
+    res.json(successResponse('File watcher status retrieved successfully', fileWatcherService.getStatus()));
+
+  } catch (error) {
+    console.error('❌ Error in getWatcherStatus:', error);
+    res.status(500).json(errorResponse('Failed to get file watcher status', { 
+      message: error.message 
+    }));
+  }
+};
+
 // 🎯 Quick aggregation presets
+// groupBy: 'fingerprint' groups the raw errors into clusters of the same failure
 export const getErrorLogs = async (req, res) => {
   try {
-    const { userIds = [], date, limit = 500 } = req.body;
+    const { userIds = [], date, startDate, endDate, startTime, endTime, query, limit = 500, groupBy = 'user' } = req.body;
 
     console.log(`🚨 Error logs request for ${userIds.length || 'ALL'} users`);
 
     const result = await aggregatorService.getAggregatedLogs({
       userIds,
       date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
       logLevels: ['ERROR'],
+      query,
       limit,
       sortBy: 'timestamp',
       sortOrder: 'desc',
-      groupBy: 'user'
+      groupBy
     });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse('Error logs retrieved successfully', result));
@@ -123,11 +248,239 @@ export const getErrorLogs = async (req, res) => {
   }
 };
 
+// 🧬 Errors clustered by fingerprint: one entry per distinct failure instead of thousands of lines
+export const getErrorClusters = async (req, res) => {
+  try {
+    const {
+      userIds = [],
+      aliasNames = [],
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      logLevels = ['ERROR'],
+      query,
+      limit = 50,
+      includeLogs = false,
+      enableCache = true
+    } = req.body;
+
+    const clusterLevels = ['ERROR', 'WARNING'];
+    if (!Array.isArray(logLevels) || logLevels.length === 0 || logLevels.some(level => !clusterLevels.includes(level))) {
+      return res.status(400).json(errorResponse(`logLevels must be a non-empty subset of ${clusterLevels.join(', ')}`, {
+        validLevels: clusterLevels
+      }));
+    }
+
+    const clusterLimit = Number(limit);
+    if (!Number.isInteger(clusterLimit) || clusterLimit < 1 || clusterLimit > 500) {
+      return res.status(400).json(errorResponse('limit must be an integer between 1 and 500'));
+    }
+
+    console.log(`🧬 Error clusters request for ${userIds.length || 'ALL'} users (${logLevels.join(', ')})`);
+
+    const result = await aggregatorService.getErrorClusters({
+      userIds,
+      aliasNames,
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      logLevels,
+      query,
+      limit: clusterLimit,
+      includeLogs: includeLogs === true,
+      enableCache
+    });
+
+    if (!result.success) {
+      return res.status(result.invalidDateRange || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse(`${result.totalEntries} entries in ${result.totalClusters} error clusters`, result));
+
+  } catch (error) {
+    console.error('❌ Error in getErrorClusters:', error);
+    res.status(500).json(errorResponse('Failed to cluster errors', { 
+      message: error.message 
+    }));
+  }
+};
+
+// 🆕 Errors new today, resurfaced after quietDays without them, or gone since yesterday (persistent registry)
+export const getErrorChanges = async (req, res) => {
+  try {
+    const {
+      userIds = [],
+      aliasNames = [],
+      date = null,
+      quietDays = appConfig.errorRegistry.defaultQuietDays,
+      refresh = false
+    } = req.body;
+
+    const quiet = Number(quietDays);
+    if (!Number.isInteger(quiet) || quiet < 1 || quiet > appConfig.errorRegistry.dailyCountDays) {
+      return res.status(400).json(errorResponse(
+        `quietDays must be an integer between 1 and ${appConfig.errorRegistry.dailyCountDays}`
+      ));
+    }
+
+    console.log(`🆕 Error changes request for ${userIds.length || 'ALL'} users (quiet ${quiet} days)`);
+
+    const result = await aggregatorService.getErrorChanges({
+      userIds,
+      aliasNames,
+      date,
+      quietDays: quiet,
+      refresh: refresh === true
+    });
+
+    if (!result.success) {
+      return res.status(result.invalidDateRange ? 400 : 404).json(errorResponse(result.error, result));
+    }
+
+    const { newErrors, resurfaced, gone } = result.summary;
+    res.json(successResponse(`${newErrors} new, ${resurfaced} resurfaced, ${gone} gone errors`, result));
+
+  } catch (error) {
+    console.error('❌ Error in getErrorChanges:', error);
+    res.status(500).json(errorResponse('Failed to get error changes', {
+      message: error.message
+    }));
+  }
+};
+
+// 🚨 Error / warning spikes against the same time of day on previous days
+export const getAnomalies = async (req, res) => {
+  try {
+    const anomalyConfig = appConfig.anomaly;
+    const {
+      userIds = [],
+      aliasNames = [],
+      until = null,
+      lookbackMinutes = anomalyConfig.lookbackMinutes,
+      bucketMinutes = anomalyConfig.bucketMinutes,
+      baselineDays = anomalyConfig.baselineDays,
+      levels = anomalyConfig.levels,
+      sensitivity = null
+    } = req.body;
+
+    const maxBaselineDays = Math.min(anomalyConfig.maxBaselineDays, appConfig.dateRange.maxSpanDays - 2);
+    const sensitivityLevels = Object.keys(anomalyConfig.sensitivity);
+    const problems = [];
+
+    if (!anomalyConfig.bucketSizes.includes(bucketMinutes)) {
+      problems.push(`bucketMinutes must be one of ${anomalyConfig.bucketSizes.join(', ')}`);
+    }
+    if (!Number.isInteger(lookbackMinutes) || lookbackMinutes < 1 || lookbackMinutes > anomalyConfig.maxLookbackMinutes) {
+      problems.push(`lookbackMinutes must be an integer between 1 and ${anomalyConfig.maxLookbackMinutes}`);
+    }
+    if (!Number.isInteger(baselineDays) || baselineDays < anomalyConfig.minBaselineDays || baselineDays > maxBaselineDays) {
+      problems.push(`baselineDays must be an integer between ${anomalyConfig.minBaselineDays} and ${maxBaselineDays}`);
+    }
+    if (!Array.isArray(levels) || levels.length === 0 || levels.some(level => !anomalyConfig.levels.includes(level))) {
+      problems.push(`levels must be a non-empty subset of ${anomalyConfig.levels.join(', ')}`);
+    }
+    if (sensitivity !== null && !sensitivityLevels.includes(sensitivity) &&
+        !(typeof sensitivity === 'number' && sensitivity >= 1 && sensitivity <= 20)) {
+      problems.push(`sensitivity must be one of ${sensitivityLevels.join(', ')} or a z-score between 1 and 20`);
+    }
+
+    if (problems.length > 0) {
+      return res.status(400).json(errorResponse(problems.join('; '), {
+        sensitivityLevels: anomalyConfig.sensitivity
+      }));
+    }
+
+    console.log(`🚨 Anomaly request for ${userIds.length || 'ALL'} users (${lookbackMinutes} min, ${bucketMinutes} min buckets)`);
+
+    const result = await anomalyDetectionService.detectAnomalies({
+      userIds,
+      aliasNames,
+      until,
+      lookbackMinutes,
+      bucketMinutes,
+      baselineDays,
+      levels,
+      sensitivity
+    });
+
+    if (!result.success) {
+      return res.status(result.invalidOptions ? 400 : 404).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse(`${result.totalAnomalies} anomalies in ${result.aliases.length} aliases`, result));
+
+  } catch (error) {
+    console.error('❌ Error in getAnomalies:', error);
+    res.status(500).json(errorResponse('Failed to detect anomalies', {
+      message: error.message
+    }));
+  }
+};
+
+// 📊 Log volume per time bucket and level (counts only) for charts
+export const getLogHistogram = async (req, res) => {
+  try {
+    const {
+      userIds = [],
+      aliasNames = [],
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      logLevels = [],
+      query,
+      bucket = appConfig.histogram.defaultBucket,
+      breakdown = null,
+      timeZone = appConfig.time.defaultTimezone
+    } = req.body;
+
+    if (!Array.isArray(logLevels) || logLevels.some(level => !appConfig.histogram.levels.includes(level))) {
+      return res.status(400).json(errorResponse(`logLevels must be a subset of ${appConfig.histogram.levels.join(', ')}`, {
+        validLevels: appConfig.histogram.levels
+      }));
+    }
+
+    console.log(`📊 Histogram request for ${userIds.length || 'ALL'} users (${bucket} buckets${breakdown ? ` by ${breakdown}` : ''})`);
+
+    const result = await aggregatorService.getHistogram({
+      userIds,
+      aliasNames,
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      logLevels,
+      query,
+      bucket,
+      breakdown,
+      timeZone
+    });
+
+    if (!result.success) {
+      return res.status(result.invalidDateRange || result.invalidQuery || result.invalidOptions ? 400 : 404).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse(`${result.totals.total} entries in ${result.buckets.length} buckets`, result));
+
+  } catch (error) {
+    console.error('❌ Error in getLogHistogram:', error);
+    res.status(500).json(errorResponse('Failed to build log histogram', {
+      message: error.message
+    }));
+  }
+};
+
 // 🎯 Get logs by level (ERROR, WARNING, INFO, DEBUG)
 export const getLogsByLevel = async (req, res) => {
   try {
     const { level } = req.params;
-    const { userIds = [], date, limit = 500 } = req.body;
+    const { userIds = [], date, startDate, endDate, startTime, endTime, query, limit = 500 } = req.body;
 
     const validLevels = ['ERROR', 'WARNING', 'INFO', 'DEBUG'];
     const targetLevel = level.toUpperCase();
@@ -147,7 +500,12 @@ export const getLogsByLevel = async (req, res) => {
     const result = await aggregatorService.getAggregatedLogs({
       userIds,
       date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
       logLevels: [targetLevel],
+      query,
       limit,
       sortBy: 'timestamp',
       sortOrder: 'desc',
@@ -155,7 +513,7 @@ export const getLogsByLevel = async (req, res) => {
     });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse(`${targetLevel} logs retrieved successfully`, result));
@@ -174,7 +532,12 @@ export const getLogsGroupedByTime = async (req, res) => {
     const {
       userIds = [],
       date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
       groupBy = 'hour', // 'hour', 'date'
+      query,
       limit = 1000
     } = req.body;
 
@@ -189,6 +552,11 @@ export const getLogsGroupedByTime = async (req, res) => {
     const result = await aggregatorService.getAggregatedLogs({
       userIds,
       date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      query,
       limit,
       groupBy,
       sortBy: 'timestamp',
@@ -197,7 +565,7 @@ export const getLogsGroupedByTime = async (req, res) => {
     });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse('Time-grouped logs retrieved successfully', result));
@@ -213,7 +581,7 @@ export const getLogsGroupedByTime = async (req, res) => {
 // 🎯 Get logs for specific aliases across all users
 export const getLogsByAliases = async (req, res) => {
   try {
-    const { aliasNames, date, limit = 1000 } = req.body;
+    const { aliasNames, date, startDate, endDate, startTime, endTime, query, limit = 1000 } = req.body;
 
     if (!aliasNames || !Array.isArray(aliasNames) || aliasNames.length === 0) {
       return res.status(400).json(errorResponse(
@@ -233,6 +601,11 @@ export const getLogsByAliases = async (req, res) => {
       userIds: [], // All users
       aliasNames,
       date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      query,
       limit,
       sortBy: 'timestamp',
       sortOrder: 'desc',
@@ -240,7 +613,7 @@ export const getLogsByAliases = async (req, res) => {
     });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse('Alias-specific logs retrieved successfully', result));
@@ -295,8 +668,8 @@ export const getAggregationStats = async (req, res) => {
       cacheSize: aggregatorService.cache.size,
       lastUpdated: new Date().toISOString(),
       availableFeatures: {
-        filtering: ['userIds', 'aliasNames', 'logLevels', 'date'],
-        grouping: ['timestamp', 'user', 'alias', 'level', 'file', 'hour', 'date'],
+        filtering: ['userIds', 'aliasNames', 'logLevels', 'query', 'date', 'startDate', 'endDate', 'startTime', 'endTime'],
+        grouping: ['timestamp', 'user', 'alias', 'level', 'file', 'hour', 'date', 'fingerprint'],
         sorting: ['timestamp', 'user', 'alias', 'level', 'file'],
         realtime: true,
         caching: true
@@ -0,0 +1,88 @@
+// 📁 src/controllers/logIndex.controller.js
+// Log index admin: status, rebuild, retention
+// ==========================================
+import { logIndexService } from '../services/logIndexService.js';
+import { config } from '../config/index.js';
+import { successResponse, errorResponse } from '../utils/responseHelper.js';
+
+// 🗂️ What is indexed (optionally for one user / alias) and how the last pass went
+export const getIndexStatus = async (req, res) => {
+  try {
+    const { userId = null, aliasName = null } = req.query;
+
+    await logIndexService.ready;
+    res.json(successResponse('Log index status retrieved successfully', logIndexService.getStatus({ userId, aliasName })));
+
+  } catch (error) {
+    console.error('❌ Error in getIndexStatus:', error);
+    res.status(500).json(errorResponse('Failed to get log index status', { 
+      message: error.message 
+    }));
+  }
+};
+
+// 🗂️ Drop and re-index everything, one user or one alias (runs in the background)
+export const rebuildIndex = async (req, res) => {
+  try {
+    const { userId = null, aliasName = null } = req.body;
+
+    if (aliasName && !userId) {
+      return res.status(400).json(errorResponse('aliasName needs a userId'));
+    }
+
+    const result = await logIndexService.rebuild({ userId, aliasName });
+
+    if (!result.success) {
+      return res.status(result.notFound ? 404 : 503).json(errorResponse(result.error, result));
+    }
+
+    res.status(202).json(successResponse('Log index rebuild queued', {
+      ...result,
+      statusUrl: `/api/index/status${userId ? `?userId=${encodeURIComponent(userId)}` : ''}`
+    }));
+
+  } catch (error) {
+    console.error('❌ Error in rebuildIndex:', error);
+    res.status(500).json(errorResponse('Failed to rebuild log index', { 
+      message: error.message 
+    }));
+  }
+};
+
+// 🗂️ How many days of files are kept in the index
+export const getIndexRetention = async (req, res) => {
+  try {
+    await logIndexService.ready;
+    res.json(successResponse('Log index retention retrieved successfully', logIndexService.getRetention()));
+
+  } catch (error) {
+    console.error('❌ Error in getIndexRetention:', error);
+    res.status(500).json(errorResponse('Failed to get log index retention', { 
+      message: error.message 
+    }));
+  }
+};
+
+// 🗂️ Change retention; indexes of files now outside it are removed immediately
+export const updateIndexRetention = async (req, res) => {
+  try {
+    const retentionDays = Number(req.body.retentionDays);
+    const { maxRetentionDays } = config.index;
+
+    if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > maxRetentionDays) {
+      return res.status(400).json(errorResponse(`retentionDays must be an integer between 1 and ${maxRetentionDays}`, {
+        example: { retentionDays: 14 }
+      }));
+    }
+
+    const result = await logIndexService.setRetention(retentionDays);
+
+    res.json(successResponse(`Log index retention set to ${retentionDays} days`, result));
+
+  } catch (error) {
+    console.error('❌ Error in updateIndexRetention:', error);
+    res.status(500).json(errorResponse('Failed to update log index retention', { 
+      message: error.message 
+    }));
+  }
+};
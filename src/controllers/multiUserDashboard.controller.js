@@ -2,21 +2,32 @@
 // FIXED - Simple & Clean Dashboard Controller
 // ==========================================
 import { MultiUserDashboardService } from '../services/multiUserDashboardService.js';
+import { LogSearchService } from '../services/logSearchService.js';
 import { successResponse, errorResponse } from '../utils/responseHelper.js';
 
 const dashboardService = new MultiUserDashboardService();
+const searchService = new LogSearchService();
 
 // 🎯 Get ALL users logs - SIMPLE & CLEAN
 export const getAllUsersLogs = async (req, res) => {
   try {
-    const { date } = req.query;
+    const { date, startDate, endDate, startTime, endTime, from, limit, query } = req.query;
 
-    console.log(`🌐 All users dashboard request - Date: ${date || 'current date'}`);
+    console.log(`🌐 All users dashboard request - Date: ${date || startDate || endDate || 'current date'}`);
 
-    const result = await dashboardService.getAllUsersLogsSimple({ date });
+    const result = await dashboardService.getAllUsersLogsSimple({
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      from,
+      limit,
+      query
+    });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidReadOptions || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse('All users logs retrieved successfully', result.data));
@@ -33,14 +44,24 @@ export const getAllUsersLogs = async (req, res) => {
 export const getDashboardLogs = async (req, res) => {
   try {
     const { userIds = [] } = req.body;
-    const { date } = req.query;
+    // Date / range may come in the query string or the body
+    const { date, startDate, endDate, startTime, endTime, from, limit, query } = { ...req.query, ...req.body };
 
     console.log(`📊 Dashboard request: ${userIds.length} users specified`);
 
-    const result = await dashboardService.getSpecificUsersLogsSimple(userIds, { date });
+    const result = await dashboardService.getSpecificUsersLogsSimple(userIds, {
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      from,
+      limit,
+      query
+    });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidReadOptions || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse('Dashboard logs retrieved successfully', result.data));
@@ -51,4 +72,54 @@ export const getDashboardLogs = async (req, res) => {
       message: error.message 
     }));
   }
-};
\ No newline at end of file
+};
+
+// 🔍 Full-text search across users / aliases (validated by validateDashboardSearchRequest)
+export const searchDashboardLogs = async (req, res) => {
+  try {
+    const {
+      userIds = [],
+      aliasNames = [],
+      searchQuery,
+      mode,
+      caseSensitive,
+      contextLines,
+      contextBefore,
+      contextAfter,
+      limit,
+      query
+    } = req.body;
+    // Date / range may come in the query string or the body
+    const { date, startDate, endDate, startTime, endTime } = { ...req.query, ...req.body };
+
+    const result = await searchService.searchLogs({
+      userIds,
+      aliasNames,
+      searchQuery,
+      mode,
+      caseSensitive: caseSensitive === true || caseSensitive === 'true',
+      contextLines,
+      contextBefore,
+      contextAfter,
+      limit,
+      query,
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime
+    });
+
+    if (!result.success) {
+      return res.status(result.invalidDateRange || result.invalidQuery ? 400 : 404).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse(`Found ${result.data.totalMatches} matches`, result.data));
+
+  } catch (error) {
+    console.error('❌ Error in searchDashboardLogs:', error);
+    res.status(500).json(errorResponse('Failed to search logs', { 
+      message: error.message 
+    }));
+  }
+};
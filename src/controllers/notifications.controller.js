@@ -0,0 +1,165 @@
+// 📁 src/controllers/notifications.controller.js
+// Notification channels for alerts: CRUD, test sends and the delivery log
+// ==========================================
+import { notificationService, DELIVERY_STATUSES } from '../services/notificationService.js';
+import { config } from '../config/index.js';
+import { successResponse, errorResponse, paginationMeta, parseBoundedInt } from '../utils/responseHelper.js';
+
+const channelExample = {
+  name: 'Ops Slack',
+  type: 'slack',
+  config: { url: 'https://hooks.slack.com/services/…' },
+  filters: { events: ['firing', 'resolved'], severities: ['critical'] }
+};
+
+// 📣 Every channel (SMTP passwords masked)
+export const getNotificationChannels = async (req, res) => {
+  try {
+    await notificationService.ready;
+    const channels = notificationService.getChannels();
+
+    res.json(successResponse('Notification channels retrieved successfully', { channels, total: channels.length }));
+
+  } catch (error) {
+    console.error('❌ Error in getNotificationChannels:', error);
+    res.status(500).json(errorResponse('Failed to get notification channels', {
+      message: error.message
+    }));
+  }
+};
+
+export const getNotificationChannel = async (req, res) => {
+  try {
+    await notificationService.ready;
+    const channel = notificationService.getChannel(req.params.channelId);
+
+    if (!channel) {
+      return res.status(404).json(errorResponse(`Notification channel not found: ${req.params.channelId}`));
+    }
+
+    res.json(successResponse('Notification channel retrieved successfully', channel));
+
+  } catch (error) {
+    console.error('❌ Error in getNotificationChannel:', error);
+    res.status(500).json(errorResponse('Failed to get notification channel', {
+      message: error.message
+    }));
+  }
+};
+
+// ➕ Create a channel (webhook, email, slack, teams)
+export const createNotificationChannel = async (req, res) => {
+  try {
+    const result = await notificationService.createChannel(req.body);
+
+    if (!result.success) {
+      return res.status(result.invalidChannel ? 400 : 404).json(errorResponse(result.error, {
+        example: channelExample
+      }));
+    }
+
+    res.status(201).json(successResponse(`Notification channel "${result.channel.name}" created`, result.channel));
+
+  } catch (error) {
+    console.error('❌ Error in createNotificationChannel:', error);
+    res.status(500).json(errorResponse('Failed to create notification channel', {
+      message: error.message
+    }));
+  }
+};
+
+// ✏️ Change any channel field (the rest stays)
+export const updateNotificationChannel = async (req, res) => {
+  try {
+    const result = await notificationService.updateChannel(req.params.channelId, req.body);
+
+    if (!result.success) {
+      return res.status(result.invalidChannel ? 400 : 404).json(errorResponse(result.error));
+    }
+
+    res.json(successResponse(`Notification channel "${result.channel.name}" updated`, result.channel));
+
+  } catch (error) {
+    console.error('❌ Error in updateNotificationChannel:', error);
+    res.status(500).json(errorResponse('Failed to update notification channel', {
+      message: error.message
+    }));
+  }
+};
+
+export const deleteNotificationChannel = async (req, res) => {
+  try {
+    const deleted = await notificationService.deleteChannel(req.params.channelId);
+
+    if (!deleted) {
+      return res.status(404).json(errorResponse(`Notification channel not found: ${req.params.channelId}`));
+    }
+
+    res.json(successResponse('Notification channel deleted', { channelId: req.params.channelId }));
+
+  } catch (error) {
+    console.error('❌ Error in deleteNotificationChannel:', error);
+    res.status(500).json(errorResponse('Failed to delete notification channel', {
+      message: error.message
+    }));
+  }
+};
+
+// 🧪 Send a sample firing / resolved notification now; 502 when the channel's endpoint rejects it
+export const testNotificationChannel = async (req, res) => {
+  try {
+    const { event = 'firing' } = req.body || {};
+    const result = await notificationService.testChannel(req.params.channelId, { event });
+
+    if (!result.success) {
+      return res.status(result.invalidEvent ? 400 : 404).json(errorResponse(result.error));
+    }
+
+    const { delivery } = result;
+    if (delivery.status !== 'delivered') {
+      return res.status(502).json(errorResponse(`Test notification failed: ${delivery.error}`, delivery));
+    }
+
+    res.json(successResponse('Test notification delivered', delivery));
+
+  } catch (error) {
+    console.error('❌ Error in testNotificationChannel:', error);
+    res.status(500).json(errorResponse('Failed to send test notification', {
+      message: error.message
+    }));
+  }
+};
+
+// 📜 Delivery log, newest first (?channelId=&status=&ruleId=&limit=&offset=)
+export const getNotificationDeliveries = async (req, res) => {
+  try {
+    const { channelId = null, status = null, ruleId = null } = req.query;
+    const { defaultLimit, maxLimit } = config.notifications;
+    const limit = parseBoundedInt(req.query.limit, defaultLimit, 1, maxLimit);
+    const offset = parseBoundedInt(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+
+    if (limit === null || offset === null) {
+      return res.status(400).json(errorResponse(
+        `limit must be an integer between 1 and ${maxLimit}, offset a non-negative integer`
+      ));
+    }
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json(errorResponse(`status must be one of ${DELIVERY_STATUSES.join(', ')}`));
+    }
+
+    await notificationService.ready;
+    const deliveries = notificationService.getDeliveries({ channelId, status, ruleId });
+
+    res.json(successResponse(
+      'Notification deliveries retrieved successfully',
+      { deliveries: deliveries.slice(offset, offset + limit) },
+      paginationMeta(deliveries.length, limit, offset)
+    ));
+
+  } catch (error) {
+    console.error('❌ Error in getNotificationDeliveries:', error);
+    res.status(500).json(errorResponse('Failed to get notification deliveries', {
+      message: error.message
+    }));
+  }
+};
@@ -0,0 +1,183 @@
+// 📁 src/controllers/pathLogs.controller.js
+// Ad-hoc path endpoints: files, directory, date range, search, error analysis
+// ==========================================
+import { PathLogService } from '../services/pathLogService.js';
+import { successResponse, errorResponse } from '../utils/responseHelper.js';
+
+const pathLogService = new PathLogService();
+
+// Bad input → 400, missing path / no files → 404
+const failureStatus = (result) =>
+  result.invalidPath || result.invalidReadOptions || result.invalidDateRange || result.invalidLevel || result.invalidQuery ? 400 : 404;
+
+// 📄 Lines of one file, optionally only one level
+export const getPathFileLogs = async (req, res) => {
+  try {
+    const { normalizedPath, fileName, level, from, limit, offset, startLine, userId } = req.body;
+
+    console.log(`📥 Path file request: ${normalizedPath}${fileName ? ` / ${fileName}` : ''}`);
+
+    const result = await pathLogService.getFileLogs(normalizedPath, {
+      fileName,
+      level,
+      from,
+      limit,
+      offset,
+      startLine,
+      userInfo: userId
+    });
+
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse('File logs retrieved successfully', result));
+
+  } catch (error) {
+    console.error('❌ Error in getPathFileLogs:', error);
+    res.status(500).json(errorResponse('Failed to retrieve file logs', {
+      message: error.message
+    }));
+  }
+};
+
+// 📂 Log files in a folder
+export const browsePathDirectory = async (req, res) => {
+  try {
+    const { normalizedPath, date, startDate, endDate, userId } = req.body;
+
+    console.log(`📥 Directory request: ${normalizedPath}`);
+
+    const result = await pathLogService.browseDirectory(normalizedPath, {
+      date,
+      startDate,
+      endDate,
+      userInfo: userId
+    });
+
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse(`Found ${result.summary.totalFiles} log files`, result));
+
+  } catch (error) {
+    console.error('❌ Error in browsePathDirectory:', error);
+    res.status(500).json(errorResponse('Failed to browse directory', {
+      message: error.message
+    }));
+  }
+};
+
+// 🕒 A folder's files across a date range
+export const getPathDateRangeLogs = async (req, res) => {
+  try {
+    const { normalizedPath, startDate, endDate, startTime, endTime, level, from, limit, userId } = req.body;
+
+    console.log(`📥 Date range request: ${normalizedPath} - ${startDate || endDate}..${endDate || startDate}`);
+
+    const result = await pathLogService.getDateRangeLogs(normalizedPath, {
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      level,
+      from,
+      limit,
+      userInfo: userId
+    });
+
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse('Date range logs retrieved successfully', result));
+
+  } catch (error) {
+    console.error('❌ Error in getPathDateRangeLogs:', error);
+    res.status(500).json(errorResponse('Failed to retrieve date range logs', {
+      message: error.message
+    }));
+  }
+};
+
+// 🔍 Search one file or a folder
+export const searchPathLogs = async (req, res) => {
+  try {
+    const {
+      normalizedPath,
+      fileName,
+      searchQuery,
+      mode,
+      caseSensitive,
+      contextLines,
+      contextBefore,
+      contextAfter,
+      limit,
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      userId
+    } = req.body;
+
+    const result = await pathLogService.searchPath(normalizedPath, {
+      fileName,
+      searchQuery,
+      mode,
+      caseSensitive: caseSensitive === true || caseSensitive === 'true',
+      contextLines,
+      contextBefore,
+      contextAfter,
+      limit,
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      userInfo: userId
+    });
+
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse(`Found ${result.data.totalMatches} matches`, result.data));
+
+  } catch (error) {
+    console.error('❌ Error in searchPathLogs:', error);
+    res.status(500).json(errorResponse('Failed to search logs', {
+      message: error.message
+    }));
+  }
+};
+
+// 📊 Error categories and most frequent messages
+export const analyzePathErrors = async (req, res) => {
+  try {
+    const { normalizedPath, fileName, date, from, limit, userId } = req.body;
+
+    console.log(`📥 Error analysis request: ${normalizedPath}${fileName ? ` / ${fileName}` : ''}`);
+
+    const result = await pathLogService.analyzeErrors(normalizedPath, {
+      fileName,
+      date,
+      from,
+      limit,
+      userInfo: userId
+    });
+
+    if (!result.success) {
+      return res.status(failureStatus(result)).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse('Error analysis completed', result));
+
+  } catch (error) {
+    console.error('❌ Error in analyzePathErrors:', error);
+    res.status(500).json(errorResponse('Failed to analyze errors', {
+      message: error.message
+    }));
+  }
+};
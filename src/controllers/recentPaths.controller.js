@@ -0,0 +1,205 @@
+// 📁 src/controllers/recentPaths.controller.js
+// "Jump back to" shortcuts: recent, popular and history paths, stats, pin / clear
+// ==========================================
+import { persistentRecentPathsService } from '../services/persistentRecentPaths.service.js';
+import { config } from '../config/index.js';
+import { successResponse, errorResponse, paginationMeta, parseBoundedInt } from '../utils/responseHelper.js';
+
+// Path identified by fullPath, or filePath + fileName ('*' = the folder as a whole)
+const pathKeyFrom = ({ fullPath, filePath, fileName }) => {
+  if (fullPath) return fullPath;
+  if (!filePath) return null;
+  return persistentRecentPathsService.buildPathKey(filePath, fileName || '*');
+};
+
+// 🕘 Recent paths of every user (pinned first)
+export const getRecentPaths = async (req, res) => {
+  try {
+    const { maxLimit } = config.recentPaths;
+    const limit = parseBoundedInt(req.query.limit, null, 1, maxLimit);
+    if (limit === null && req.query.limit !== undefined) {
+      return res.status(400).json(errorResponse(`limit must be an integer between 1 and ${maxLimit}`));
+    }
+
+    await persistentRecentPathsService.ready;
+    const paths = persistentRecentPathsService.getRecentPaths({ limit });
+
+    res.json(successResponse('Recent paths retrieved successfully', { paths, total: paths.length }));
+
+  } catch (error) {
+    console.error('❌ Error in getRecentPaths:', error);
+    res.status(500).json(errorResponse('Failed to get recent paths', {
+      message: error.message
+    }));
+  }
+};
+
+// 🕘 Paths one user opened (alias or ad-hoc), their last access first
+export const getUserRecentPaths = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { defaultLimit, maxLimit } = config.recentPaths;
+    const limit = parseBoundedInt(req.query.limit, defaultLimit, 1, maxLimit);
+    if (limit === null) {
+      return res.status(400).json(errorResponse(`limit must be an integer between 1 and ${maxLimit}`));
+    }
+
+    await persistentRecentPathsService.ready;
+    const paths = persistentRecentPathsService.getRecentPaths({ userId, limit });
+
+    res.json(successResponse(`Recent paths for ${userId} retrieved successfully`, { userId, paths, total: paths.length }));
+
+  } catch (error) {
+    console.error('❌ Error in getUserRecentPaths:', error);
+    res.status(500).json(errorResponse('Failed to get user recent paths', {
+      message: error.message
+    }));
+  }
+};
+
+// 🔥 Most opened paths (one user's counts with ?userId=)
+export const getPopularPaths = async (req, res) => {
+  try {
+    const { userId = null } = req.query;
+    const { maxLimit } = config.recentPaths;
+    const limit = parseBoundedInt(req.query.limit, 10, 1, maxLimit);
+    if (limit === null) {
+      return res.status(400).json(errorResponse(`limit must be an integer between 1 and ${maxLimit}`));
+    }
+
+    await persistentRecentPathsService.ready;
+    const paths = persistentRecentPathsService.getPopularPaths({ userId, limit });
+
+    res.json(successResponse('Popular paths retrieved successfully', { ...(userId && { userId }), paths }));
+
+  } catch (error) {
+    console.error('❌ Error in getPopularPaths:', error);
+    res.status(500).json(errorResponse('Failed to get popular paths', {
+      message: error.message
+    }));
+  }
+};
+
+// 📜 Every access, newest first, paged with limit / offset
+export const getPathHistory = async (req, res) => {
+  try {
+    const { userId = null } = req.query;
+    const { defaultLimit, maxLimit } = config.recentPaths;
+    const limit = parseBoundedInt(req.query.limit, defaultLimit, 1, maxLimit);
+    const offset = parseBoundedInt(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER);
+
+    if (limit === null || offset === null) {
+      return res.status(400).json(errorResponse(
+        `limit must be an integer between 1 and ${maxLimit}, offset a non-negative integer`
+      ));
+    }
+
+    await persistentRecentPathsService.ready;
+    const history = persistentRecentPathsService.getPathHistory({ userId });
+
+    res.json(successResponse(
+      'Path history retrieved successfully',
+      { ...(userId && { userId }), history: history.slice(offset, offset + limit) },
+      paginationMeta(history.length, limit, offset)
+    ));
+
+  } catch (error) {
+    console.error('❌ Error in getPathHistory:', error);
+    res.status(500).json(errorResponse('Failed to get path history', {
+      message: error.message
+    }));
+  }
+};
+
+// 📊 Storage size, path types, users and access recency
+export const getRecentPathStats = async (req, res) => {
+  try {
+    await persistentRecentPathsService.ready;
+    res.json(successResponse('Recent path stats retrieved successfully', persistentRecentPathsService.getStorageStats()));
+
+  } catch (error) {
+    console.error('❌ Error in getRecentPathStats:', error);
+    res.status(500).json(errorResponse('Failed to get recent path stats', {
+      message: error.message
+    }));
+  }
+};
+
+// 📌 Pin / unpin a stored path
+export const pinRecentPath = async (req, res) => {
+  try {
+    const pathKey = pathKeyFrom(req.body);
+    const { pinned = true } = req.body;
+
+    if (!pathKey) {
+      return res.status(400).json(errorResponse('filePath (with optional fileName) or fullPath is required', {
+        example: { filePath: 'C:\\logs\\myapp', fileName: 'app.log', pinned: true }
+      }));
+    }
+    if (typeof pinned !== 'boolean') {
+      return res.status(400).json(errorResponse('pinned must be true or false'));
+    }
+
+    await persistentRecentPathsService.ready;
+    const entry = await persistentRecentPathsService.pinPath(pathKey, pinned);
+
+    if (!entry) {
+      return res.status(404).json(errorResponse(`Path not found in recent paths: ${pathKey}`));
+    }
+
+    res.json(successResponse(`Path ${pinned ? 'pinned' : 'unpinned'}`, entry));
+
+  } catch (error) {
+    console.error('❌ Error in pinRecentPath:', error);
+    res.status(500).json(errorResponse('Failed to pin recent path', {
+      message: error.message
+    }));
+  }
+};
+
+// 🗑️ Remove one stored path (and its history)
+export const removeRecentPath = async (req, res) => {
+  try {
+    const pathKey = pathKeyFrom(req.query);
+
+    if (!pathKey) {
+      return res.status(400).json(errorResponse('filePath (with optional fileName) or fullPath is required'));
+    }
+
+    await persistentRecentPathsService.ready;
+    const removed = await persistentRecentPathsService.removeRecentPath(pathKey);
+
+    if (!removed) {
+      return res.status(404).json(errorResponse(`Path not found in recent paths: ${pathKey}`));
+    }
+
+    res.json(successResponse('Path removed from recent paths', { fullPath: pathKey }));
+
+  } catch (error) {
+    console.error('❌ Error in removeRecentPath:', error);
+    res.status(500).json(errorResponse('Failed to remove recent path', {
+      message: error.message
+    }));
+  }
+};
+
+// 🗑️ Clear everyone's (or ?userId= one user's) paths; pinned paths stay unless includePinned=true
+export const clearRecentPaths = async (req, res) => {
+  try {
+    const { userId = null, includePinned } = req.query;
+
+    await persistentRecentPathsService.ready;
+    const result = await persistentRecentPathsService.clearPaths({
+      userId,
+      includePinned: includePinned === 'true'
+    });
+
+    res.json(successResponse(`Cleared ${result.removedPaths + result.releasedPaths} recent paths`, { ...(userId && { userId }), ...result }));
+
+  } catch (error) {
+    console.error('❌ Error in clearRecentPaths:', error);
+    res.status(500).json(errorResponse('Failed to clear recent paths', {
+      message: error.message
+    }));
+  }
+};
@@ -2,14 +2,19 @@
 // FIXED - Added updateAlias function
 // ==========================================
 import { AliasLogService } from '../services/aliasLogService.js';
+import { logParserService } from '../services/logParserService.js';
+import { logTailService } from '../services/logTailService.js';
+import { heartbeatService, HEARTBEAT_STATUSES } from '../services/heartbeatService.js';
+import { config } from '../config/index.js';
 import { successResponse, errorResponse } from '../utils/responseHelper.js';
+import { isValidTimeZone } from '../utils/dateUtils.js';
 
 const aliasLogService = new AliasLogService();
 
 // Create new alias
 export const createAlias = async (req, res) => {
   try {
-    const { userId, aliasName, basePath } = req.body;
+    const { userId, aliasName, basePath, logFormat, parseTemplate, sourceTimezone, timezone } = req.body;
 
     if (!userId || !aliasName || !basePath) {
       return res.status(400).json(errorResponse(
@@ -27,7 +32,8 @@ export const createAlias = async (req, res) => {
     const alias = await aliasLogService.userAliasService.addUserAlias(
       userId, 
       aliasName, 
-      basePath
+      basePath,
+      { logFormat, parseTemplate, sourceTimezone, timezone }
     );
 
     res.status(201).json(successResponse(
@@ -45,14 +51,26 @@ export const createAlias = async (req, res) => {
 export const getLogsByAlias = async (req, res) => {
   try {
     const { userId, aliasName } = req.params;
-    const { date } = req.query;
-
-    console.log(`📥 Request: ${userId}/${aliasName} - Date: ${date || 'today'}`);
-
-    const result = await aliasLogService.getLogsByAlias(userId, aliasName, { date });
+    const { date, startDate, endDate, startTime, endTime } = req.query;
+    const { from, limit, file, offset, startLine } = req.query; // read budget / paging
+
+    console.log(`📥 Request: ${userId}/${aliasName} - Date: ${startDate || endDate ? `${startDate || endDate}..${endDate || startDate}` : date || 'today'}`);
+
+    const result = await aliasLogService.getLogsByAlias(userId, aliasName, {
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      from,
+      limit,
+      file,
+      offset,
+      startLine
+    });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidReadOptions ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse('Logs retrieved successfully', result));
@@ -65,18 +83,60 @@ export const getLogsByAlias = async (req, res) => {
   }
 };
 
+// 📜 Last N lines of an alias's log file (newest file, or ?file=)
+export const tailAliasLogs = async (req, res) => {
+  try {
+    const { userId, aliasName } = req.params;
+    const { lines = config.tail.defaultLines, file, date, countLines } = req.query;
+
+    const lineCount = parseInt(lines, 10);
+    if (isNaN(lineCount) || lineCount < 1 || lineCount > config.tail.maxLines) {
+      return res.status(400).json(errorResponse(`lines must be a number between 1 and ${config.tail.maxLines}`));
+    }
+
+    console.log(`📥 Tail request: ${userId}/${aliasName} - ${lineCount} lines${file ? ` of ${file}` : ''}`);
+
+    const result = await logTailService.tailAliasFile(userId, aliasName, {
+      lines: lineCount,
+      file,
+      date,
+      countLines: countLines === 'true' // real line numbers: counts newlines from the start of the file
+    });
+
+    if (!result.success) {
+      return res.status(result.invalidRequest ? 400 : 404).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse('Log tail retrieved successfully', result));
+
+  } catch (error) {
+    console.error('Error tailing logs:', error);
+    res.status(500).json(errorResponse('Failed to tail logs', { 
+      message: error.message 
+    }));
+  }
+};
+
 // Get all user logs (polling)
 export const getAllUserLogs = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { date } = req.query;
+    const { date, startDate, endDate, startTime, endTime, from, limit } = req.query;
 
     console.log(`📥 All logs request for user: ${userId}`);
 
-    const result = await aliasLogService.getAllUserLogs(userId, { date });
+    const result = await aliasLogService.getAllUserLogs(userId, {
+      date,
+      startDate,
+      endDate,
+      startTime,
+      endTime,
+      from,
+      limit
+    });
 
     if (!result.success) {
-      return res.status(404).json(errorResponse(result.error, result));
+      return res.status(result.invalidDateRange || result.invalidReadOptions ? 400 : 404).json(errorResponse(result.error, result));
     }
 
     res.json(successResponse('All user logs retrieved successfully', result));
@@ -150,7 +210,7 @@ export const getAllUsers = async (req, res) => {
 export const updateAlias = async (req, res) => {
   try {
     const { userId, aliasName } = req.params;
-    const { newAliasName, newBasePath } = req.body;
+    const { newAliasName, newBasePath, parseTemplate, sourceTimezone, timezone } = req.body;
 
     console.log(`✏️ Updating alias: ${userId}/${aliasName}`);
     console.log(`📝 New data:`, { newAliasName, newBasePath });
@@ -198,42 +258,49 @@ export const updateAlias = async (req, res) => {
       }
     }
 
-    // 🔥 FIXED: Proper update logic
-    const updatedAlias = {
+    // Optional parse template: object = set, null = remove, absent = keep
+    const changes = {
       aliasName: newAliasName,
       basePath: newBasePath,
       originalPath: newBasePath,
-      // Preserve existing data
-      createdAt: currentAlias.createdAt,
-      lastAccessed: new Date(), // Update last accessed
-      accessCount: currentAlias.accessCount,
-      pathStatus: currentAlias.pathStatus || 'not_validated',
-      // Add modification timestamp
-      lastModified: new Date()
+      pathStatus: currentAlias.pathStatus || 'not_validated'
     };
 
-    // 🔥 CRITICAL FIX: Get the userAliases Map directly
-    const userAliasesMap = aliasLogService.userAliasService.userAliases;
-    const userAliases = userAliasesMap.get(userId) || [];
-    
-    // Find and replace the alias
-    const aliasIndex = userAliases.findIndex(alias => alias.aliasName === aliasName);
-    
-    if (aliasIndex === -1) {
-      return res.status(404).json(errorResponse(
-        `Alias "${aliasName}" not found in storage`
-      ));
+    if (parseTemplate !== undefined) {
+      try {
+        changes.logFormat = parseTemplate
+          ? aliasLogService.userAliasService.templateToFormat(parseTemplate)
+          : { type: 'auto' };
+      } catch (templateError) {
+        return res.status(400).json(errorResponse(templateError.message, {
+          example: {
+            parseTemplate: {
+              pattern: '^(?<ts>\\S+ \\S+) \\[(?<level>\\w+)\\] (?<msg>.*)$',
+              timestampFormat: 'yyyy-MM-dd HH:mm:ss.fff'
+            }
+          }
+        }));
+      }
     }
 
-    // Replace the alias at the same index
-    userAliases[aliasIndex] = updatedAlias;
-    
-    // Update the Map
-    userAliasesMap.set(userId, userAliases);
-    
-    // 🔥 CRITICAL: Save to file immediately
-    await aliasLogService.userAliasService.saveToFile();
-    
+    // Optional zones: sourceTimezone = zone the logs are written in, timezone = zone "today" is read in
+    // string = set, null = fall back to the user / server default
+    for (const [key, value] of Object.entries({ sourceTimezone, timezone })) {
+      if (value === undefined) continue;
+      if (value && !isValidTimeZone(value)) {
+        return res.status(400).json(errorResponse(
+          `Invalid ${key} "${value}"`,
+          { example: { [key]: 'Asia/Kolkata' } }
+        ));
+      }
+      changes[key] = value || null;
+    }
+
+    // 🔥 FIXED: Service replaces the alias in place and saves to file
+    // (keeps settings such as logFormat that this endpoint doesn't touch)
+    const updatedAlias = await aliasLogService.userAliasService.updateAlias(userId, aliasName, changes);
+    const userAliases = aliasLogService.userAliasService.getUserAliases(userId);
+
     console.log(`✅ Alias updated and saved to storage`);
     console.log(`📁 Storage file: ${aliasLogService.userAliasService.storageFile}`);
 
@@ -270,4 +337,280 @@ export const updateAlias = async (req, res) => {
       stack: error.stack
     }));
   }
-};
\ No newline at end of file
+};
+
+// 🧩 List available log formats
+export const getLogFormats = async (req, res) => {
+  try {
+    const formats = logParserService.listFormats();
+
+    res.json(successResponse('Log formats retrieved successfully', {
+      formats,
+      total: formats.length
+    }));
+
+  } catch (error) {
+    res.status(500).json(errorResponse('Failed to retrieve log formats', { 
+      message: error.message 
+    }));
+  }
+};
+
+// 🧩 Set the log format of an alias
+export const setAliasFormat = async (req, res) => {
+  try {
+    const { userId, aliasName } = req.params;
+    const { logFormat } = req.body;
+
+    if (!aliasLogService.userAliasService.getUserAlias(userId, aliasName)) {
+      return res.status(404).json(errorResponse(`Alias "${aliasName}" not found for user ${userId}`));
+    }
+
+    let alias;
+    try {
+      alias = await aliasLogService.userAliasService.setAliasFormat(userId, aliasName, logFormat);
+    } catch (formatError) {
+      return res.status(400).json(errorResponse(formatError.message, {
+        availableFormats: logParserService.listFormats(),
+        example: { logFormat: { type: 'layout', layout: '%d [%t] %-5p %c - %m%n' } }
+      }));
+    }
+
+    res.json(successResponse(`Log format of "${aliasName}" set to ${alias.logFormat.type}`, { alias }));
+
+  } catch (error) {
+    console.error('❌ Error setting alias format:', error);
+    res.status(500).json(errorResponse('Failed to set alias format', { 
+      message: error.message 
+    }));
+  }
+};
+
+// 🚨 Set the anomaly sensitivity of an alias (null = server defaults)
+export const setAliasAnomalySettings = async (req, res) => {
+  try {
+    const { userId, aliasName } = req.params;
+    const { anomaly } = req.body;
+
+    if (!aliasLogService.userAliasService.getUserAlias(userId, aliasName)) {
+      return res.status(404).json(errorResponse(`Alias "${aliasName}" not found for user ${userId}`));
+    }
+
+    let alias;
+    try {
+      alias = await aliasLogService.userAliasService.setAliasAnomalySettings(userId, aliasName, anomaly);
+    } catch (settingsError) {
+      return res.status(400).json(errorResponse(settingsError.message, {
+        sensitivityLevels: config.anomaly.sensitivity,
+        example: { anomaly: { sensitivity: 'high', minCount: 3 } }
+      }));
+    }
+
+    res.json(successResponse(`Anomaly settings of "${aliasName}" updated`, { alias }));
+
+  } catch (error) {
+    console.error('❌ Error setting alias anomaly settings:', error);
+    res.status(500).json(errorResponse('Failed to set alias anomaly settings', {
+      message: error.message
+    }));
+  }
+};
+
+// 💓 Heartbeat of every alias (?userId=&status=healthy|quiet|stale|unreachable)
+export const getHeartbeats = async (req, res) => {
+  try {
+    const { userId = null, status = null } = req.query;
+
+    if (status && !HEARTBEAT_STATUSES.includes(status)) {
+      return res.status(400).json(errorResponse(`status must be one of ${HEARTBEAT_STATUSES.join(', ')}`));
+    }
+
+    const result = await heartbeatService.getHeartbeats({ userId, status });
+
+    res.json(successResponse(
+      `${result.total} aliases: ${HEARTBEAT_STATUSES.map(name => `${result.summary[name]} ${name}`).join(', ')}`,
+      result
+    ));
+
+  } catch (error) {
+    console.error('❌ Error getting heartbeats:', error);
+    res.status(500).json(errorResponse('Failed to get heartbeats', {
+      message: error.message
+    }));
+  }
+};
+
+// 💓 Heartbeat of one alias
+export const getAliasHeartbeat = async (req, res) => {
+  try {
+    const { userId, aliasName } = req.params;
+    const alias = aliasLogService.userAliasService.getUserAlias(userId, aliasName);
+
+    if (!alias) {
+      return res.status(404).json(errorResponse(`Alias "${aliasName}" not found for user ${userId}`));
+    }
+
+    const heartbeat = await heartbeatService.checkAlias(userId, alias);
+
+    res.json(successResponse(`Heartbeat of "${aliasName}": ${heartbeat.status}`, {
+      heartbeat,
+      settings: alias.heartbeat || null
+    }));
+
+  } catch (error) {
+    console.error('❌ Error getting alias heartbeat:', error);
+    res.status(500).json(errorResponse('Failed to get alias heartbeat', {
+      message: error.message
+    }));
+  }
+};
+
+// 💓 Set the allowed gap between writes of an alias (null = server default)
+export const setAliasHeartbeatSettings = async (req, res) => {
+  try {
+    const { userId, aliasName } = req.params;
+    const { heartbeat } = req.body;
+
+    if (!aliasLogService.userAliasService.getUserAlias(userId, aliasName)) {
+      return res.status(404).json(errorResponse(`Alias "${aliasName}" not found for user ${userId}`));
+    }
+
+    let alias;
+    try {
+      alias = await aliasLogService.userAliasService.setAliasHeartbeatSettings(userId, aliasName, heartbeat);
+    } catch (settingsError) {
+      return res.status(400).json(errorResponse(settingsError.message, {
+        defaultMaxGapMinutes: config.heartbeat.defaultMaxGapMinutes,
+        example: {
+          heartbeat: {
+            maxGapMinutes: 15,
+            schedule: [
+              { days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '09:00', to: '19:00', maxGapMinutes: 5 },
+              { from: '23:00', to: '06:00', maxGapMinutes: null }
+            ]
+          }
+        }
+      }));
+    }
+
+    const status = await heartbeatService.checkAlias(userId, alias);
+
+    res.json(successResponse(`Heartbeat settings of "${aliasName}" updated`, { alias, heartbeat: status }));
+
+  } catch (error) {
+    console.error('❌ Error setting alias heartbeat settings:', error);
+    res.status(500).json(errorResponse('Failed to set alias heartbeat settings', {
+      message: error.message
+    }));
+  }
+};
+
+// 🧩 Detect the format of an alias's current file
+export const detectAliasFormat = async (req, res) => {
+  try {
+    const { userId, aliasName } = req.params;
+    const { date } = req.query;
+
+    const result = await aliasLogService.detectAliasFormat(userId, aliasName, { date });
+
+    if (!result.success) {
+      return res.status(404).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse('Log format detected successfully', result));
+
+  } catch (error) {
+    console.error('❌ Error detecting alias format:', error);
+    res.status(500).json(errorResponse('Failed to detect log format', { 
+      message: error.message 
+    }));
+  }
+};
+
+// 🧪 Try a parse template against the first lines of the alias's current file
+export const testParseTemplate = async (req, res) => {
+  try {
+    const { userId, aliasName } = req.params;
+    const { parseTemplate, lines = 50, date } = req.body;
+
+    const lineCount = parseInt(lines, 10);
+    if (isNaN(lineCount) || lineCount < 1 || lineCount > 1000) {
+      return res.status(400).json(errorResponse('lines must be a number between 1 and 1000'));
+    }
+
+    const result = await aliasLogService.testParseTemplate(userId, aliasName, {
+      parseTemplate,
+      lines: lineCount,
+      date
+    });
+
+    if (!result.success) {
+      return res.status(result.invalidTemplate ? 400 : 404).json(errorResponse(result.error, result));
+    }
+
+    res.json(successResponse('Parse template tested successfully', result));
+
+  } catch (error) {
+    console.error('❌ Error testing parse template:', error);
+    res.status(500).json(errorResponse('Failed to test parse template', { 
+      message: error.message 
+    }));
+  }
+};
+
+// ⚙️ Get user settings (timezone)
+export const getUserSettings = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const settings = aliasLogService.userAliasService.getUserSettings(userId);
+
+    res.json(successResponse('User settings retrieved successfully', {
+      userId,
+      settings,
+      effectiveTimezone: aliasLogService.userAliasService.resolveTimezone(userId)
+    }));
+
+  } catch (error) {
+    res.status(500).json(errorResponse('Failed to retrieve user settings', { 
+      message: error.message 
+    }));
+  }
+};
+
+// ⚙️ Update user settings (timezone)
+export const updateUserSettings = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { timezone } = req.body;
+
+    if (timezone === undefined) {
+      return res.status(400).json(errorResponse(
+        'Nothing to update: send timezone (IANA name, or null for the server default)',
+        { example: { timezone: 'Asia/Kolkata' } }
+      ));
+    }
+
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json(errorResponse(
+        `Invalid timezone "${timezone}"`,
+        { example: { timezone: 'Asia/Kolkata' } }
+      ));
+    }
+
+    const settings = await aliasLogService.userAliasService.updateUserSettings(userId, {
+      timezone: timezone || null
+    });
+
+    res.json(successResponse('User settings updated successfully', {
+      userId,
+      settings,
+      effectiveTimezone: aliasLogService.userAliasService.resolveTimezone(userId)
+    }));
+
+  } catch (error) {
+    console.error('❌ Error updating user settings:', error);
+    res.status(500).json(errorResponse('Failed to update user settings', { 
+      message: error.message 
+    }));
+  }
+};
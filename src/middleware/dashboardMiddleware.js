@@ -1,9 +1,7 @@
 // 📁 src/middleware/dashboardMiddleware.js
 // Multi-User Dashboard Middleware
 // ==========================================
-import { UserAliasService } from '../services/userAliasService.js';
-
-const userAliasService = new UserAliasService();
+import { userAliasService } from '../services/userAliasService.js';
 
 // 🎯 Validate multi-user request
 export const validateMultiUserRequest = (req, res, next) => {
@@ -1,5 +1,10 @@
 // src/middleware/validation.js - Fully Dynamic Path Validation
 // ==========================================
+import { config } from '../config/index.js';
+import { compileQueryOption } from '../utils/logQuery.js';
+
+export const SEARCH_MODES = ['phrase', 'regex'];
+
 export const validatePathRequest = (req, res, next) => {
   const { filePath, directoryPath, path } = req.body;
   
@@ -59,13 +64,110 @@ export const validateSearchRequest = (req, res, next) => {
     });
   }
 
-  if (searchQuery.length < 2) {
+  if (typeof searchQuery !== 'string' || searchQuery.trim().length < 2) {
     return res.status(400).json({
       success: false,
       error: 'searchQuery must be at least 2 characters long'
     });
   }
 
+  // Same mode / limit / context rules as the cross-user search
+  const optionsError = checkSearchOptions(req.body);
+  if (optionsError) {
+    return res.status(400).json({ success: false, ...optionsError });
+  }
+
   req.body.normalizedPath = targetPath;
   next();
-};
\ No newline at end of file
+};
+
+// Mode, numeric limits and regex shared by path and cross-user search
+// Returns { error, ...details } or null; coerces numeric strings on body
+const checkSearchOptions = (body) => {
+  const { searchQuery, mode = 'phrase', caseSensitive = false } = body;
+
+  if (searchQuery.length > config.search.maxQueryLength) {
+    return { error: `searchQuery is too long (maximum ${config.search.maxQueryLength} characters)` };
+  }
+
+  if (!SEARCH_MODES.includes(mode)) {
+    return { error: `Invalid mode "${mode}"`, validModes: SEARCH_MODES };
+  }
+
+  // Numbers may arrive as strings from form posts
+  const limits = {
+    limit: [1, config.search.maxLimit],
+    contextLines: [0, config.search.maxContextLines],
+    contextBefore: [0, config.search.maxContextLines],
+    contextAfter: [0, config.search.maxContextLines]
+  };
+  for (const [field, [min, max]] of Object.entries(limits)) {
+    if (body[field] === undefined || body[field] === null) continue;
+
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${field} must be an integer between ${min} and ${max}` };
+    }
+    body[field] = value;
+  }
+
+  if (mode === 'regex') {
+    let regex;
+    try {
+      regex = new RegExp(searchQuery, caseSensitive ? '' : 'i');
+    } catch (error) {
+      return { error: `Invalid regex: ${error.message}` };
+    }
+    if (regex.test('')) {
+      return { error: 'Regex must not match an empty string (it would match every line)' };
+    }
+  }
+
+  return null;
+};
+
+// 🔍 Cross-user search: query, mode and limits (users / aliases / dates are checked by the service)
+export const validateDashboardSearchRequest = (req, res, next) => {
+  const { searchQuery, userIds, aliasNames } = req.body;
+
+  const fail = (error, extra = {}) => res.status(400).json({ success: false, error, ...extra });
+
+  if (typeof searchQuery !== 'string' || searchQuery.trim().length < 2) {
+    return fail('searchQuery must be at least 2 characters long', {
+      example: {
+        userIds: ['john_doe'],
+        searchQuery: 'connection refused',
+        mode: 'phrase',
+        contextLines: 2,
+        limit: 100
+      }
+    });
+  }
+
+  for (const [field, value] of Object.entries({ userIds, aliasNames })) {
+    if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+      return fail(`${field} must be an array of strings`);
+    }
+  }
+
+  const optionsError = checkSearchOptions(req.body);
+  if (optionsError) {
+    const { error, ...details } = optionsError;
+    return fail(error, details);
+  }
+
+  // Optional boolean filter; syntax errors point at the offending character
+  const { query } = req.body;
+  if (query !== undefined && query !== null) {
+    if (typeof query !== 'string' || query.length > config.search.maxQueryLength) {
+      return fail(`query must be a string of at most ${config.search.maxQueryLength} characters`);
+    }
+    const { error: queryError } = compileQueryOption(query);
+    if (queryError) {
+      const { error, ...details } = queryError.toJSON();
+      return fail(error, details);
+    }
+  }
+
+  next();
+};
@@ -0,0 +1,97 @@
+// 📁 src/parsers/accessLog.parser.js
+// HTTP access logs: Apache / Nginx combined and IIS W3C extended
+// ==========================================
+import { levelFromStatus } from './parserUtils.js';
+
+// 127.0.0.1 - frank [10/Oct/2025:13:55:36 +0530] "GET /api HTTP/1.1" 200 2326 "http://ref" "Mozilla/5.0"
+const COMBINED_PATTERN =
+  /^(\S+) (\S+) (\S+) \[([^\]]+)\] "([^"]*)" (\d{3}) (\S+)(?: "([^"]*)" "([^"]*)")?/;
+
+export class CombinedAccessLogParser {
+  constructor() {
+    this.name = 'apache';
+    this.structured = true;
+  }
+
+  parseLine(line) {
+    const match = line.match(COMBINED_PATTERN);
+    if (!match) return null;
+
+    const [, clientIp, ident, user, time, request, status, bytes, referer, userAgent] = match;
+    const [method = null, path = null, protocol = null] = request.split(' ');
+
+    return {
+      timestamp: time,
+      level: levelFromStatus(status),
+      logger: null,
+      thread: null,
+      message: `${request} ${status}`,
+      extra: {
+        clientIp,
+        ident: ident === '-' ? null : ident,
+        user: user === '-' ? null : user,
+        method,
+        path,
+        protocol,
+        status: parseInt(status, 10),
+        bytes: bytes === '-' ? 0 : parseInt(bytes, 10),
+        referer: referer && referer !== '-' ? referer : null,
+        userAgent: userAgent || null
+      }
+    };
+  }
+}
+
+// IIS writes its column list in a "#Fields:" directive at the top of every file
+const DEFAULT_IIS_FIELDS = [
+  'date', 'time', 's-ip', 'cs-method', 'cs-uri-stem', 'cs-uri-query', 's-port',
+  'cs-username', 'c-ip', 'cs(User-Agent)', 'cs(Referer)', 'sc-status',
+  'sc-substatus', 'sc-win32-status', 'time-taken'
+];
+
+export class IisW3cParser {
+  constructor() {
+    this.name = 'iis';
+    this.structured = true;
+    this.fieldNames = DEFAULT_IIS_FIELDS;
+  }
+
+  // #Software / #Version / #Date / #Fields directives are parser state, not log entries
+  // (IIS writes them again mid-file after a restart; #Fields sets the column layout from there on)
+  consumeLine(line) {
+    if (!line.startsWith('#')) return false;
+
+    if (line.startsWith('#Fields:')) {
+      this.fieldNames = line.slice('#Fields:'.length).trim().split(/\s+/);
+    }
+    return true;
+  }
+
+  parseLine(line) {
+    if (line.startsWith('#')) return null;
+
+    const values = line.trim().split(' ');
+    if (values.length !== this.fieldNames.length) return null;
+
+    const record = {};
+    this.fieldNames.forEach((name, index) => {
+      record[name] = values[index] === '-' ? null : values[index];
+    });
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(record.date || '')) return null;
+
+    const status = record['sc-status'];
+    const uri = record['cs-uri-query']
+      ? `${record['cs-uri-stem']}?${record['cs-uri-query']}`
+      : record['cs-uri-stem'];
+
+    return {
+      timestamp: `${record.date}T${record.time}Z`, // W3C logs are always UTC
+      level: status ? levelFromStatus(status) : 'INFO',
+      logger: 'iis',
+      thread: null,
+      message: `${record['cs-method']} ${uri} ${status}`,
+      extra: record
+    };
+  }
+}
@@ -0,0 +1,182 @@
+// 📁 src/parsers/layout.parser.js
+// log4j / NLog / Serilog layout strings compiled into a line regex
+// ==========================================
+import { dateFormatToRegex, escapeRegex } from '../utils/dateUtils.js';
+
+// Default layouts each library ships with (used for auto-detection)
+export const DEFAULT_LAYOUTS = {
+  log4j: '%d [%t] %-5p %c - %m%n',
+  nlog: '${longdate}|${level:uppercase=true}|${logger}|${message}',
+  serilog: '{Timestamp:yyyy-MM-dd HH:mm:ss.fff zzz} [{Level:u3}] {Message:lj}{NewLine}{Exception}'
+};
+
+// log4j named date formats
+const LOG4J_DATE_FORMATS = {
+  ISO8601: 'yyyy-MM-dd HH:mm:ss,SSS',
+  ABSOLUTE: 'HH:mm:ss,SSS',
+  DATE: 'dd MMM yyyy HH:mm:ss,SSS',
+  DEFAULT: 'yyyy-MM-dd HH:mm:ss,SSS'
+};
+
+const LOG4J_FIELDS = {
+  d: 'timestamp', date: 'timestamp',
+  p: 'level', le: 'level', level: 'level',
+  t: 'thread', thread: 'thread',
+  c: 'logger', lo: 'logger', logger: 'logger',
+  m: 'message', msg: 'message', message: 'message',
+  n: 'newline'
+};
+
+const NLOG_FIELDS = {
+  longdate: 'timestamp', date: 'timestamp', shortdate: 'timestamp', time: 'timestamp',
+  level: 'level',
+  logger: 'logger',
+  threadid: 'thread', threadname: 'thread',
+  message: 'message',
+  exception: 'exception',
+  newline: 'newline'
+};
+
+const NLOG_DATE_FORMATS = {
+  longdate: 'yyyy-MM-dd HH:mm:ss.ffff',
+  shortdate: 'yyyy-MM-dd',
+  time: 'HH:mm:ss.ffff',
+  date: 'yyyy/MM/dd HH:mm:ss.fff'
+};
+
+const SERILOG_FIELDS = {
+  Timestamp: 'timestamp',
+  Level: 'level',
+  SourceContext: 'logger',
+  ThreadId: 'thread',
+  Message: 'message',
+  Exception: 'exception',
+  NewLine: 'newline'
+};
+
+export const detectLayoutDialect = (layout) => {
+  if (layout.includes('${')) return 'nlog';
+  if (/%[-.\d]*[a-zA-Z]/.test(layout)) return 'log4j';
+  return 'serilog';
+};
+
+// 🎯 Split a layout into literal / field segments
+const tokenizeLayout = (layout, dialect) => {
+  const segments = [];
+  const patterns = {
+    log4j: /%%|%[-.\d]*([a-zA-Z]+)(?:\{([^}]*)\})?/g,
+    nlog: /\$\{([a-zA-Z-]+)((?::[^}]*)?)\}/g,
+    serilog: /\{\{|\}\}|\{([A-Za-z_][\w]*)(?:[,:]([^}]*))?\}/g
+  };
+  const pattern = patterns[dialect];
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(layout)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'literal', text: layout.slice(lastIndex, match.index) });
+    }
+    lastIndex = pattern.lastIndex;
+
+    if (match[0] === '%%' || match[0] === '{{' || match[0] === '}}') {
+      segments.push({ type: 'literal', text: match[0][0] });
+      continue;
+    }
+
+    segments.push(buildFieldSegment(dialect, match[1], match[2] || ''));
+  }
+
+  if (lastIndex < layout.length) {
+    segments.push({ type: 'literal', text: layout.slice(lastIndex) });
+  }
+
+  return segments;
+};
+
+const buildFieldSegment = (dialect, name, option) => {
+  if (dialect === 'log4j') {
+    const field = LOG4J_FIELDS[name] || 'extra';
+    const dateFormat = field === 'timestamp'
+      ? LOG4J_DATE_FORMATS[option || 'DEFAULT'] || option
+      : null;
+    return { type: 'field', field, key: name === 'X' ? option : name, dateFormat };
+  }
+
+  if (dialect === 'nlog') {
+    const lowerName = name.toLowerCase();
+    const field = NLOG_FIELDS[lowerName] || 'extra';
+    const customFormat = option.match(/format=([^:]+)/);
+    const dateFormat = field === 'timestamp'
+      ? (customFormat ? customFormat[1] : NLOG_DATE_FORMATS[lowerName])
+      : null;
+    return { type: 'field', field, key: lowerName, dateFormat };
+  }
+
+  const field = SERILOG_FIELDS[name] || 'extra';
+  const dateFormat = field === 'timestamp' ? option || 'yyyy-MM-dd HH:mm:ss.fff zzz' : null;
+  return { type: 'field', field, key: name, dateFormat };
+};
+
+// 🎯 Compile segments into one anchored regex with a named group per field
+export const compileLayout = (layout, dialect = detectLayoutDialect(layout)) => {
+  const segments = tokenizeLayout(layout, dialect);
+  const groups = [];
+  let source = '^';
+
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+
+    // Anything after the first newline token lands on continuation lines
+    if (segment.type === 'field' && segment.field === 'newline') break;
+
+    if (segment.type === 'literal') {
+      source += segment.text
+        .split(/\s+/)
+        .map(escapeRegex)
+        .join('\\s+');
+      continue;
+    }
+
+    if (segment.field === 'exception') continue; // written on following lines
+
+    const groupName = `f${groups.length}`;
+    const isLast = !segments.slice(i + 1).some(s =>
+      s.type === 'field' && !['newline', 'exception'].includes(s.field)
+    );
+
+    let pattern;
+    if (segment.field === 'timestamp') pattern = dateFormatToRegex(segment.dateFormat);
+    else if (segment.field === 'level') pattern = '[A-Za-z]+';
+    else pattern = isLast ? '.*' : '.*?';
+
+    source += `\\s*(?<${groupName}>${pattern})\\s*`;
+    groups.push({ groupName, field: segment.field, key: segment.key });
+  }
+
+  return { regex: new RegExp(source), groups, dialect };
+};
+
+export class LayoutParser {
+  constructor(options = {}) {
+    this.name = 'layout';
+    this.structured = true;
+    this.layout = options.layout || DEFAULT_LAYOUTS.log4j;
+    this.compiled = compileLayout(this.layout, options.dialect);
+    this.dialect = this.compiled.dialect;
+  }
+
+  parseLine(line) {
+    const match = this.compiled.regex.exec(line);
+    if (!match) return null;
+
+    const fields = { timestamp: null, level: null, logger: null, thread: null, message: null, extra: {} };
+
+    this.compiled.groups.forEach(({ groupName, field, key }) => {
+      const value = match.groups[groupName]?.trim() ?? null;
+      if (field === 'extra') fields.extra[key] = value;
+      else fields[field] = value;
+    });
+
+    return fields;
+  }
+}
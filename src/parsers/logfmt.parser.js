@@ -0,0 +1,44 @@
+// 📁 src/parsers/logfmt.parser.js
+// logfmt: key=value key2="quoted value"
+// ==========================================
+import { mapStructuredFields } from './parserUtils.js';
+
+const PAIR_PATTERN = /([\w.@-]+)=("(?:[^"\\]|\\.)*"|\S*)/y;
+
+export class LogfmtParser {
+  constructor() {
+    this.name = 'logfmt';
+    this.structured = true;
+  }
+
+  tokenize(line) {
+    const record = {};
+    let pairs = 0;
+    let position = 0;
+
+    while (position < line.length) {
+      if (line[position] === ' ' || line[position] === '\t') {
+        position++;
+        continue;
+      }
+
+      PAIR_PATTERN.lastIndex = position;
+      const match = PAIR_PATTERN.exec(line);
+      if (!match) return null; // bare word → not logfmt
+
+      const [, key, rawValue] = match;
+      record[key] = rawValue.startsWith('"')
+        ? rawValue.slice(1, -1).replace(/\\(.)/g, '$1')
+        : rawValue;
+      pairs++;
+      position = PAIR_PATTERN.lastIndex;
+    }
+
+    return pairs >= 2 ? record : null;
+  }
+
+  parseLine(line) {
+    const record = this.tokenize(line.trim());
+    return record ? mapStructuredFields(record) : null;
+  }
+}
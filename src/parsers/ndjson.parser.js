@@ -0,0 +1,31 @@
+// 📁 src/parsers/ndjson.parser.js
+// Newline-delimited JSON: one object per line (incl. Serilog CLEF)
+// ==========================================
+import { mapStructuredFields } from './parserUtils.js';
+
+export class NdjsonParser {
+  constructor() {
+    this.name = 'ndjson';
+    this.structured = true; // every entry starts with a parseable line
+  }
+
+  parseLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('{') || !trimmed.endsWith('}')) return null;
+
+    let record;
+    try {
+      record = JSON.parse(trimmed);
+    } catch {
+      return null;
+    }
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return null;
+
+    const fields = mapStructuredFields(record);
+
+    // CLEF leaves @l out for Information events
+    if (!fields.level && record['@t'] !== undefined) fields.level = 'Information';
+
+    return fields;
+  }
+}
@@ -0,0 +1,67 @@
+// 📁 src/parsers/parserUtils.js
+// Shared helpers for the built-in log format parsers
+// ==========================================
+
+// Common key names for the well-known fields in structured (JSON / logfmt) logs
+const FIELD_KEYS = {
+  timestamp: ['@timestamp', 'timestamp', 'Timestamp', 'time', 'ts', '@t', 'date', 'datetime'],
+  level: ['level', 'Level', 'lvl', 'severity', 'Severity', 'loglevel', 'log.level', '@l'],
+  logger: ['logger', 'logger_name', 'loggerName', 'Logger', 'SourceContext', 'category', 'name'],
+  thread: ['thread', 'thread_name', 'threadName', 'threadId', 'ThreadId', 'tid'],
+  message: ['message', 'Message', 'msg', '@m', 'text', '@mt']
+};
+
+// Map any level spelling onto the four levels used across the API
+const LEVEL_ALIASES = {
+  ERROR: ['FATAL', 'CRITICAL', 'CRIT', 'FTL', 'ERROR', 'ERR', 'EROR', 'SEVERE', 'EMERG', 'ALERT'],
+  WARNING: ['WARNING', 'WARN', 'WRN'],
+  INFO: ['INFO', 'INF', 'INFORMATION', 'NOTICE', 'NOTE'],
+  DEBUG: ['DEBUG', 'DBG', 'TRACE', 'TRC', 'VERBOSE', 'VRB', 'FINE', 'FINER', 'FINEST']
+};
+
+const LEVEL_LOOKUP = Object.entries(LEVEL_ALIASES).reduce((lookup, [level, aliases]) => {
+  aliases.forEach(alias => { lookup[alias] = level; });
+  return lookup;
+}, {});
+
+export const normalizeLevel = (rawLevel) => {
+  if (rawLevel === undefined || rawLevel === null || rawLevel === '') return null;
+  return LEVEL_LOOKUP[String(rawLevel).trim().toUpperCase()] || null;
+};
+
+// HTTP status → level for access logs
+export const levelFromStatus = (status) => {
+  const code = parseInt(status, 10);
+  if (code >= 500) return 'ERROR';
+  if (code >= 400) return 'WARNING';
+  return 'INFO';
+};
+
+// Split a flat key/value object into well-known fields + extra keys
+export const mapStructuredFields = (record) => {
+  const fields = { timestamp: null, level: null, logger: null, thread: null, message: null, extra: {} };
+  const used = new Set();
+
+  Object.entries(FIELD_KEYS).forEach(([field, keys]) => {
+    const key = keys.find(k => record[k] !== undefined && record[k] !== null);
+    if (key) {
+      fields[field] = typeof record[key] === 'object' ? JSON.stringify(record[key]) : String(record[key]);
+      used.add(key);
+    }
+  });
+
+  Object.entries(record).forEach(([key, value]) => {
+    if (!used.has(key)) fields.extra[key] = value;
+  });
+
+  return fields;
+};
+
+// Fraction of sample lines a parser instance understands
+export const parseRatio = (parser, sampleLines) => {
+  // Lines the parser consumes as state (IIS directives) are neither hits nor misses
+  const lines = sampleLines.filter(line => !parser.consumeLine?.(line));
+  if (lines.length === 0) return 0;
+  const parsed = lines.filter(line => parser.parseLine(line) !== null).length;
+  return parsed / lines.length;
+};
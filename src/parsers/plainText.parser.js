@@ -0,0 +1,63 @@
+// 📁 src/parsers/plainText.parser.js
+// Fallback for free-form text logs: leading timestamp + level keywords
+// ==========================================
+
+const TIMESTAMP_PATTERNS = [
+  /^\[?(\d{4}[-/]\d{2}[-/]\d{2}[T ]\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d{1,9})?(?:\s?(?:Z|[+-]\d{2}:?\d{2}))?)/,
+  /^\[?(\d{1,2}[/.-]\d{1,2}[/.-]\d{4}[ T]\d{1,2}:\d{2}(?::\d{2})?(?:[.,]\d{1,9})?(?:\s?[AaPp][Mm])?)/,
+  /^\[?(\d{2}:\d{2}:\d{2}(?:[.,]\d{1,9})?)/,
+  /^\[?(\d{13}|\d{10})\b/
+];
+
+const LEVEL_TAG_PATTERN = /\[(FATAL|ERROR|ERR|WARN|WARNING|WRN|INFO|INF|DEBUG|DBG|TRACE|VERBOSE|VRB)\]/i;
+
+// What follows the timestamp before the message: "] ", " - ", "[ERROR] ", "ERROR: ", "WARN | "
+const PREFIX_SEPARATOR_PATTERN = /^[\]\s|:-]+/;
+const LEADING_LEVEL_PATTERN =
+  /^(?:\[(?:FATAL|ERROR|ERR|WARN|WARNING|WRN|INFO|INF|DEBUG|DBG|TRACE|VERBOSE|VRB)\]|(?:FATAL|ERROR|WARN|WARNING|INFO|DEBUG|TRACE|VERBOSE)\b)[\s|:-]*/i;
+
+export class PlainTextParser {
+  constructor() {
+    this.name = 'plain';
+    this.structured = false; // entry boundaries come from the assembler heuristics
+  }
+
+  extractTimestamp(line) {
+    for (const pattern of TIMESTAMP_PATTERNS) {
+      const match = line.match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  // Line without its leading timestamp and level (the whole line when nothing is left)
+  extractMessage(line) {
+    let rest = line;
+    const stamp = TIMESTAMP_PATTERNS.map(pattern => line.match(pattern)).find(Boolean);
+    if (stamp) rest = rest.slice(stamp[0].length).replace(PREFIX_SEPARATOR_PATTERN, '');
+    rest = rest.replace(LEADING_LEVEL_PATTERN, '');
+
+    return rest.trim() || line;
+  }
+
+  detectLogLevel(line) {
+    const lowerLine = line.toLowerCase();
+    if (lowerLine.includes('error') || lowerLine.includes('failed') || lowerLine.includes('exception')) return 'ERROR';
+    if (lowerLine.includes('warn') || lowerLine.includes('warning')) return 'WARNING';
+    if (lowerLine.includes('info') || lowerLine.includes('success')) return 'INFO';
+    return 'DEBUG';
+  }
+
+  parseLine(line) {
+    const tag = line.match(LEVEL_TAG_PATTERN);
+
+    return {
+      timestamp: this.extractTimestamp(line),
+      level: tag ? tag[1] : this.detectLogLevel(line),
+      logger: null,
+      thread: null,
+      message: this.extractMessage(line),
+      extra: {}
+    };
+  }
+}
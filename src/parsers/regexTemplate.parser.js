@@ -0,0 +1,68 @@
+// 📁 src/parsers/regexTemplate.parser.js
+// User-defined parse template: regex with named groups + optional timestamp format
+// ==========================================
+import { parseDateWithFormat, formatDateParts } from '../utils/dateUtils.js';
+
+// Named groups that fill the well-known fields; every other group becomes an extra facet
+const GROUP_FIELDS = {
+  ts: 'timestamp', timestamp: 'timestamp', time: 'timestamp', date: 'timestamp',
+  level: 'level', lvl: 'level', severity: 'level',
+  logger: 'logger', category: 'logger', source: 'logger',
+  thread: 'thread', tid: 'thread',
+  msg: 'message', message: 'message'
+};
+
+// Validate a template and return its compiled regex (throws with a readable message)
+export const compileTemplate = ({ pattern, flags = '' }) => {
+  if (!pattern || typeof pattern !== 'string') {
+    throw new Error('parseTemplate.pattern must be a regex string');
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(pattern, flags.replace(/[gy]/g, ''));
+  } catch (error) {
+    throw new Error(`Invalid parseTemplate.pattern: ${error.message}`);
+  }
+
+  const groupNames = Array.from(pattern.matchAll(/\(\?<([A-Za-z_]\w*)>/g), match => match[1]);
+  if (groupNames.length === 0) {
+    throw new Error('parseTemplate.pattern needs at least one named group, e.g. (?<ts>...) (?<level>...) (?<msg>.*)');
+  }
+
+  return { regex, groupNames };
+};
+
+export class RegexTemplateParser {
+  constructor(options = {}) {
+    this.name = 'regex';
+    this.structured = true; // a matching line starts an entry, others are continuation
+    this.timestampFormat = options.timestampFormat || null;
+    const { regex, groupNames } = compileTemplate(options);
+    this.regex = regex;
+    this.groupNames = groupNames;
+  }
+
+  parseLine(line) {
+    const match = this.regex.exec(line);
+    if (!match) return null;
+
+    const fields = { timestamp: null, level: null, logger: null, thread: null, message: null, extra: {} };
+
+    this.groupNames.forEach((groupName) => {
+      const value = match.groups[groupName] ?? null;
+      const field = GROUP_FIELDS[groupName.toLowerCase()];
+      if (field) fields[field] = value === null ? null : value.trim();
+      else fields.extra[groupName] = value;
+    });
+
+    if (fields.timestamp && this.timestampFormat) {
+      const parts = parseDateWithFormat(fields.timestamp, this.timestampFormat);
+      fields.extra.rawTimestamp = fields.timestamp;
+      fields.timestamp = parts ? formatDateParts(parts) : fields.timestamp;
+    }
+
+    if (fields.message === null) fields.message = line;
+    return fields;
+  }
+}
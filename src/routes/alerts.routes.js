@@ -0,0 +1,126 @@
+// 📁 src/routes/alerts.routes.js
+// Alert rule routes - rules are evaluated on a schedule (config.alerts.intervalMs),
+// silences and maintenance windows hold their notifications back
+// ==========================================
+import express from 'express';
+import {
+  getAlertRules,
+  getAlertRule,
+  createAlertRule,
+  updateAlertRule,
+  deleteAlertRule,
+  evaluateAlertRule,
+  dryRunAlertRule,
+  getActiveAlerts,
+  getAlertHistory,
+  getAlertScheduler,
+  acknowledgeAlert,
+  unacknowledgeAlert,
+  getSilences,
+  getSilence,
+  createSilence,
+  expireSilence,
+  getMaintenanceWindows,
+  getMaintenanceWindow,
+  createMaintenanceWindow,
+  updateMaintenanceWindow,
+  deleteMaintenanceWindow,
+  getAlertAudit
+} from '../controllers/alerts.controller.js';
+
+const router = express.Router();
+
+// ==========================================
+// ALERT RULES
+// ==========================================
+
+// 🔔 Rules with their state (ok / pending / firing / resolved)
+router.get('/rules', getAlertRules);
+// Usage: GET /api/alerts/rules?userId=john_doe&aliasName=Frisk-API
+router.get('/rules/:ruleId', getAlertRule);
+
+// ➕ Create / ✏️ change / 🗑️ delete
+router.post('/rules', createAlertRule);
+/* Body: {
+  userId: 'john_doe',
+  aliasName: 'Frisk-API',
+  type: 'threshold',                     // 'threshold' (count > threshold) or 'absence' (no entries in the window)
+  logLevels?: ['ERROR'],                 // empty = every level
+  query?: '/connection refused/',        // boolean query language (terms, "phrases", /regex/, field:value)
+  threshold: 20,                         // threshold rules only
+  windowMinutes: 10,
+  forMinutes?: 0,                        // condition must hold this long before firing (pending until then)
+  severity?: 'warning',                  // 'critical', 'warning', 'info'
+  labels?: { team: 'payments' },         // matched by silences
+  name?: 'API connection refused', description?: '...', enabled?: true
+} */
+router.put('/rules/:ruleId', updateAlertRule); // Body: any of the fields above
+router.delete('/rules/:ruleId', deleteAlertRule);
+
+// ▶️ Evaluate one rule now
+router.post('/rules/:ruleId/evaluate', evaluateAlertRule);
+
+// ✅ Acknowledge a firing alert / take it back
+router.post('/rules/:ruleId/acknowledge', acknowledgeAlert); // Body: { by: 'jane', comment?: 'looking into it' }
+router.delete('/rules/:ruleId/acknowledge', unacknowledgeAlert); // ?by=jane
+
+// 🧪 Replay a rule over a past day to tune threshold / window
+router.post('/dry-run', dryRunAlertRule);
+/* Body: {
+  ruleId?: '…',                          // a stored rule, or
+  rule?: { userId, aliasName, type, threshold, windowMinutes, ... },
+  date: '2025-09-01',
+  stepMinutes?: 1                        // evaluation every N minutes (default: the scheduler interval)
+} */
+
+// ==========================================
+// ALERT STATE
+// ==========================================
+router.get('/active', getActiveAlerts); // Pending and firing alerts
+router.get('/history', getAlertHistory);
+// Usage: GET /api/alerts/history?ruleId=…&userId=john_doe&limit=50&offset=0
+router.get('/scheduler', getAlertScheduler); // Interval, rules evaluated, last pass
+
+// ==========================================
+// SILENCES & MAINTENANCE
+// ==========================================
+
+// 🔕 Silenced rules still change state, but firing isn't notified until the silence ends
+router.get('/silences', getSilences); // ?status=pending|active|expired
+router.get('/silences/:silenceId', getSilence);
+router.post('/silences', createSilence);
+/* Body: {
+  matchers: {                            // all given matchers must match; "*" wildcards in userId / aliasName / label values
+    userId?: 'john_doe',
+    aliasName?: 'Frisk-*',
+    labels?: { team: 'payments' },
+    fingerprint?: '3f9a1c2b7d4e'         // leaves entries of this error out of rule counts instead
+  },
+  startsAt?: '2025-09-01T22:00:00Z',     // default now
+  endsAt: '…' or durationMinutes: 30,
+  createdBy: 'jane',
+  comment: 'Friskit 4.2 rollout'
+} */
+router.delete('/silences/:silenceId', expireSilence); // ?by=jane - ends it now
+
+// 🛠️ Planned maintenance per alias: state held, entries written during it left out of counts
+router.get('/maintenance', getMaintenanceWindows); // ?userId=&aliasName=
+router.get('/maintenance/:windowId', getMaintenanceWindow);
+router.post('/maintenance', createMaintenanceWindow);
+/* Body: {
+  userId: 'john_doe',
+  aliasName: 'Frisk-API',                // "*" wildcards allowed
+  schedule: { type: 'once', startsAt, endsAt }
+         or { type: 'daily', startTime: '22:00', durationMinutes: 30, timezone? }   // alias zone by default
+         or { type: 'weekly', days: ['tue', 'thu'], startTime: '22:00', durationMinutes: 30, timezone? },
+  createdBy: 'jane',
+  name?: 'Deploy slot', comment?: '...', enabled?: true
+} */
+router.put('/maintenance/:windowId', updateMaintenanceWindow); // Body: { by, comment?, ...fields above }
+router.delete('/maintenance/:windowId', deleteMaintenanceWindow); // ?by=jane
+
+// 🧾 Audit trail: acknowledged, unacknowledged, silence_created, silence_expired, maintenance_created / updated / deleted
+router.get('/audit', getAlertAudit);
+// Usage: GET /api/alerts/audit?action=silence_created&by=jane&ruleId=…&limit=50&offset=0
+
+export default router;
@@ -5,11 +5,22 @@ import express from "express";
 import {
   createAlias,
   getLogsByAlias,
+  tailAliasLogs,
   getAllUserLogs,
   getUserAliases,
   deleteAlias,
   getAllUsers,
   updateAlias, // ✅ NEW: Edit functionality
+  getLogFormats,
+  setAliasFormat,
+  setAliasAnomalySettings,
+  getHeartbeats,
+  getAliasHeartbeat,
+  setAliasHeartbeatSettings,
+  detectAliasFormat,
+  testParseTemplate,
+  getUserSettings,
+  updateUserSettings,
 } from "../controllers/users.controller.js";
 
 const router = express.Router();
@@ -22,10 +33,41 @@ router.get("/user/:userId/aliases", getUserAliases); // ✅ Read user aliases
 router.put("/user/:userId/alias/:aliasName", updateAlias); // ✅ UPDATE/Edit alias
 router.delete("/user/:userId/alias/:aliasName", deleteAlias); // ✅ Delete alias
 
+// ==========================================
+// USER SETTINGS
+// ==========================================
+router.get("/user/:userId/settings", getUserSettings); // Timezone used for "today"
+router.put("/user/:userId/settings", updateUserSettings); // Body: { timezone: 'Asia/Kolkata' }
+
+// ==========================================
+// LOG FORMATS (how an alias's files are parsed)
+// ==========================================
+router.get("/formats", getLogFormats); // List built-in formats
+router.get("/user/:userId/alias/:aliasName/format", detectAliasFormat); // Detect format of current file
+router.put("/user/:userId/alias/:aliasName/format", setAliasFormat); // Body: { logFormat: 'ndjson' | { type: 'layout', layout } }
+router.post("/user/:userId/alias/:aliasName/template/test", testParseTemplate); // Body: { parseTemplate?, lines?: 50 }
+// Parse templates are set with the alias itself: POST /alias or PUT /user/:userId/alias/:aliasName
+// with parseTemplate: { pattern: '(?<ts>...) (?<level>...) (?<msg>.*)', flags?, timestampFormat? }
+
+// ==========================================
+// ANOMALY DETECTION (per alias sensitivity)
+// ==========================================
+router.put("/user/:userId/alias/:aliasName/anomaly", setAliasAnomalySettings); // Body: { anomaly: { sensitivity: 'high' | 3, minCount?: 3 } | null }
+
+// ==========================================
+// HEARTBEAT (is each alias still writing logs?)
+// ==========================================
+router.get("/heartbeat", getHeartbeats); // ?userId=&status=healthy|quiet|stale|unreachable
+router.get("/user/:userId/alias/:aliasName/heartbeat", getAliasHeartbeat);
+router.put("/user/:userId/alias/:aliasName/heartbeat", setAliasHeartbeatSettings);
+// Body: { heartbeat: { maxGapMinutes?: 15, schedule?: [{ days?: ['mon'], from: '09:00', to: '19:00', maxGapMinutes: 5 | null }] } | null }
+// quiet = gap above maxGapMinutes, stale = above staleMultiplier × maxGapMinutes (config.heartbeat)
+
 // ==========================================
 // LOG RETRIEVAL
 // ==========================================
 router.get("/user/:userId/alias/:aliasName", getLogsByAlias); // Get logs by alias
+router.get("/user/:userId/alias/:aliasName/tail", tailAliasLogs); // ?lines=200&file=api.log&countLines=true (real line numbers; reads the file once)
 router.get("/user/:userId/all", getAllUserLogs); // Get all user logs
 
 // ==========================================
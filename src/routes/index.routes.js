@@ -4,6 +4,11 @@ import express from 'express';
 import aliasLogsRoutes from './aliasLogs.routes.js';                    // Original single user
 import multiUserDashboardRoutes from './multiUserDashboard.routes.js'; // 🆕 Multi-user dashboard
 import logAggregatorRoutes from './logAggregator.routes.js';            // 🆕 Advanced aggregation
+import logIndexRoutes from './logIndex.routes.js';                      // 🆕 Search index admin
+import pathLogsRoutes from './pathLogs.routes.js';                      // 🆕 Ad-hoc path access
+import recentPathsRoutes from './recentPaths.routes.js';                // 🆕 Recent / popular paths
+import alertsRoutes from './alerts.routes.js';                          // 🆕 Alert rules
+import notificationsRoutes from './notifications.routes.js';            // 🆕 Alert notifications
 
 const router = express.Router();
 
@@ -25,6 +30,37 @@ router.use('/dashboard', multiUserDashboardRoutes);
 router.use('/aggregator', logAggregatorRoutes);
 // Advanced aggregation with filtering, grouping, real-time
 
+// ==========================================
+// 🆕 LOG INDEX ROUTES
+// ==========================================
+router.use('/index', logIndexRoutes);
+// Background inverted index used by search / aggregation: status, rebuild, retention
+
+// ==========================================
+// 🆕 AD-HOC PATH ROUTES
+// ==========================================
+router.use('/logs', pathLogsRoutes);
+// Any folder / file by path, no alias needed: files, directory, date range, search, analyze
+
+// ==========================================
+// 🆕 RECENT PATH ROUTES
+// ==========================================
+router.use('/recent-paths', recentPathsRoutes);
+// "Jump back to" shortcuts recorded by alias and ad-hoc path access
+
+// ==========================================
+// 🆕 ALERT ROUTES
+// ==========================================
+router.use('/alerts', alertsRoutes);
+// Alert rules per alias, scheduled evaluation, active alerts, history, dry runs,
+// acknowledgements, silences, maintenance windows and their audit trail
+
+// ==========================================
+// 🆕 NOTIFICATION ROUTES
+// ==========================================
+router.use('/notifications', notificationsRoutes);
+// Webhook / e-mail / Slack / Teams channels for firing and resolved alerts, delivery log
+
 // ==========================================
 // SYSTEM ENDPOINTS
 // ==========================================
@@ -59,6 +95,18 @@ router.get('/info', (req, res) => {
       'Advanced log aggregation', 
       'Real-time log streaming',
       'Cross-user search',
+      'Boolean query language',
+      'Error fingerprinting & clustering',
+      'Persistent error registry: new, resurfaced and gone errors',
+      'Error / warning rate anomaly detection',
+      'Log volume histograms by level, alias or user',
+      'Heartbeat per alias: healthy, quiet, stale, unreachable',
+      'Alert rules with scheduled evaluation',
+      'Alert acknowledgement, silences & maintenance windows',
+      'Alert notifications: webhook, e-mail, Slack, Teams',
+      'Persistent search index',
+      'Ad-hoc path access (no alias needed)',
+      'Recent, popular & pinned paths',
       'Advanced filtering & grouping',
       'Caching & performance optimization'
     ],
@@ -67,7 +115,16 @@ router.get('/info', (req, res) => {
       singleUser: {
         createAlias: 'POST /api/alias-logs/alias',
         getUserLogs: 'GET /api/alias-logs/user/{userId}/alias/{aliasName}',
-        getAllUserLogs: 'GET /api/alias-logs/user/{userId}/all'
+        tailAliasLogs: 'GET /api/alias-logs/user/{userId}/alias/{aliasName}/tail?lines=200&file=&countLines=false',
+        getAllUserLogs: 'GET /api/alias-logs/user/{userId}/all',
+        userSettings: 'GET|PUT /api/alias-logs/user/{userId}/settings',
+        logFormats: 'GET /api/alias-logs/formats',
+        detectAliasFormat: 'GET /api/alias-logs/user/{userId}/alias/{aliasName}/format',
+        setAliasFormat: 'PUT /api/alias-logs/user/{userId}/alias/{aliasName}/format',
+        testParseTemplate: 'POST /api/alias-logs/user/{userId}/alias/{aliasName}/template/test',
+        setAliasAnomalySettings: 'PUT /api/alias-logs/user/{userId}/alias/{aliasName}/anomaly',
+        heartbeats: 'GET /api/alias-logs/heartbeat?userId=&status=',
+        aliasHeartbeat: 'GET|PUT /api/alias-logs/user/{userId}/alias/{aliasName}/heartbeat'
       },
       
       // 🆕 Multi-User Dashboard
@@ -83,10 +140,71 @@ router.get('/info', (req, res) => {
       aggregation: {
         advancedLogs: 'POST /api/aggregator/logs',
         liveStream: 'POST /api/aggregator/stream',
+        liveEvents: 'GET /api/aggregator/stream/events (Server-Sent Events)',
+        liveEventConnections: 'GET|DELETE /api/aggregator/stream/connections',
+        fileWatcher: 'GET /api/aggregator/stream/watcher',
+        liveFeedsWebSocket: 'WS /api/ws (subscribe / unsubscribe to several live feeds on one socket)',
         errorLogs: 'POST /api/aggregator/errors',
+        errorClusters: 'POST /api/aggregator/errors/clusters',
+        errorChanges: 'POST /api/aggregator/errors/changes',
+        anomalies: 'POST /api/aggregator/anomalies',
+        histogram: 'POST /api/aggregator/histogram',
         logsByLevel: 'POST /api/aggregator/level/{level}',
         timeGrouped: 'POST /api/aggregator/grouped-by-time',
         aliasSpecific: 'POST /api/aggregator/aliases'
+      },
+
+      // 🆕 Log Index (used automatically by search / aggregation)
+      logIndex: {
+        status: 'GET /api/index/status?userId=&aliasName=',
+        rebuild: 'POST /api/index/rebuild',
+        retention: 'GET|PUT /api/index/retention'
+      },
+
+      // 🆕 Ad-hoc paths (filePath / directoryPath in the body)
+      pathLogs: {
+        fileLogs: 'POST /api/logs/files',
+        browseDirectory: 'POST /api/logs/directory',
+        dateRange: 'POST /api/logs/date-range',
+        search: 'POST /api/logs/search',
+        analyzeErrors: 'POST /api/logs/analyze'
+      },
+
+      // 🆕 Recent paths (recorded by every alias / path access)
+      recentPaths: {
+        recent: 'GET /api/recent-paths?limit=',
+        userRecent: 'GET /api/recent-paths/user/{userId}?limit=',
+        popular: 'GET /api/recent-paths/popular?userId=&limit=',
+        history: 'GET /api/recent-paths/history?userId=&limit=&offset=',
+        stats: 'GET /api/recent-paths/stats',
+        pin: 'PUT /api/recent-paths/pin',
+        remove: 'DELETE /api/recent-paths/entry?filePath=&fileName=',
+        clear: 'DELETE /api/recent-paths?userId=&includePinned='
+      },
+
+      // 🆕 Alert rules (evaluated on a schedule)
+      alerts: {
+        rules: 'GET|POST /api/alerts/rules',
+        rule: 'GET|PUT|DELETE /api/alerts/rules/{ruleId}',
+        evaluate: 'POST /api/alerts/rules/{ruleId}/evaluate',
+        dryRun: 'POST /api/alerts/dry-run',
+        active: 'GET /api/alerts/active',
+        history: 'GET /api/alerts/history?ruleId=&userId=&limit=&offset=',
+        scheduler: 'GET /api/alerts/scheduler',
+        acknowledge: 'POST|DELETE /api/alerts/rules/{ruleId}/acknowledge',
+        silences: 'GET|POST /api/alerts/silences',
+        silence: 'GET|DELETE /api/alerts/silences/{silenceId}',
+        maintenance: 'GET|POST /api/alerts/maintenance',
+        maintenanceWindow: 'GET|PUT|DELETE /api/alerts/maintenance/{windowId}',
+        audit: 'GET /api/alerts/audit?action=&by=&targetId=&ruleId=&limit=&offset='
+      },
+
+      // 🆕 Alert notifications (retry, deduplication, rate limit per channel)
+      notifications: {
+        channels: 'GET|POST /api/notifications/channels',
+        channel: 'GET|PUT|DELETE /api/notifications/channels/{channelId}',
+        test: 'POST /api/notifications/channels/{channelId}/test',
+        deliveries: 'GET /api/notifications/deliveries?channelId=&status=&ruleId=&limit=&offset='
       }
     },
     
@@ -124,26 +242,71 @@ router.get('/info', (req, res) => {
         }
       },
 
+      dateRangeQuery: {
+        method: 'POST',
+        url: '/api/aggregator/logs',
+        description: 'Logs across several days, trimmed to an exact window (times in the user / alias timezone)',
+        body: {
+          startDate: '2025-09-01',
+          endDate: '2025-09-02',
+          startTime: '22:00',
+          endTime: '02:00',
+          logLevels: ['ERROR']
+        },
+        note: 'Same params work as query strings on GET /api/alias-logs/user/:userId/alias/:aliasName and /api/dashboard/logs/all'
+      },
+
+      pagedFileRead: {
+        method: 'GET',
+        url: '/api/alias-logs/user/john_doe/alias/API?file=api.log&limit=5000&offset=1048576&startLine=20001',
+        description: 'Files are streamed within a line / byte budget; truncated files return nextOffset + nextLine to continue from',
+        note: 'from=tail reads backwards from the end (offset = where the previous tail page stopped)'
+      },
+
       realTimeStream: {
         method: 'POST',
         url: '/api/aggregator/stream', 
-        description: 'Real-time log monitoring',
+        description: 'Real-time log monitoring: send back the returned cursors to get only newly appended lines',
         body: {
           userIds: ['john_doe', 'jane_smith'],
-          intervalMs: 5000,
-          maxLogsPerUser: 50
+          cursors: { 'john_doe/API/api.log': '<cursor from the previous response>' }
         }
       },
 
+      liveFeeds: {
+        method: 'WS',
+        url: 'ws://<host>:<port>/api/ws',
+        description: 'One socket, many feeds: entries arrive batched per subscription, plus file rotation and alias-deleted events',
+        send: [
+          { action: 'subscribe', id: 'wall-1', userId: 'john_doe', aliasName: 'API', levels: ['ERROR', 'WARNING'], query: 'timeout' },
+          { action: 'unsubscribe', subscriptionId: '<subscriptionId from "subscribed">' },
+          { action: 'ping' }
+        ]
+      },
+
       crossUserSearch: {
         method: 'POST',
         url: '/api/dashboard/search',
-        description: 'Search across multiple users',
+        description: 'Search across multiple users: phrase or regex, match offsets for highlighting, context lines around each hit',
         body: {
           userIds: ['john_doe', 'jane_smith'],
           searchQuery: 'database connection failed',
+          mode: 'phrase',
+          contextLines: 2,
+          limit: 100,
           date: '2025-09-01'
         }
+      },
+
+      queryLanguage: {
+        method: 'POST',
+        url: '/api/aggregator/logs',
+        description: 'Boolean query over entries: AND / OR / NOT (or -term), parentheses, "phrases", /regex/i and level / alias / file / user / message / time fields',
+        body: {
+          query: 'level>=WARNING AND (timeout OR "connection refused") -alias:Test* time>=09:00',
+          date: '2025-09-01'
+        },
+        note: 'Same `query` works on /api/dashboard/logs, /api/dashboard/search, /stream/events?query= and WebSocket subscriptions; syntax errors return 400 with position + pointer'
       }
     },
 
@@ -164,7 +327,7 @@ router.get('/info', (req, res) => {
       realTimeMonitoring: {
         scenario: 'Live monitoring dashboard for operations',
         endpoint: 'POST /api/aggregator/stream',
-        body: { userIds: [], intervalMs: 3000 },
+        body: { userIds: [], cursors: '<previous response cursors>' },
         description: 'Real-time log stream from all users every 3 seconds'
       },
 
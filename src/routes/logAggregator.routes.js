@@ -5,7 +5,15 @@ import express from 'express';
 import {
   getAggregatedLogs,
   getLiveLogStream,
+  streamLiveEvents,
+  getStreamConnections,
+  closeStreamConnection,
+  getWatcherStatus,
   getErrorLogs,
+  getErrorClusters,
+  getErrorChanges,
+  getAnomalies,
+  getLogHistogram,
   getLogsByLevel,
   getLogsGroupedByTime,
   getLogsByAliases,
@@ -28,7 +36,7 @@ router.post('/logs', getAggregatedLogs);
   logLevels?: ['ERROR', 'WARNING'],       // Optional: filter by levels
   limit?: 1000,                           // Optional: max logs to return
   offset?: 0,                             // Optional: pagination offset
-  groupBy?: 'user',                       // Optional: 'timestamp', 'user', 'alias', 'level', 'file', 'hour', 'date'
+  groupBy?: 'user',                       // Optional: 'timestamp', 'user', 'alias', 'level', 'file', 'hour', 'date', 'fingerprint'
   sortBy?: 'timestamp',                   // Optional: 'timestamp', 'user', 'alias', 'level', 'file'
   sortOrder?: 'desc',                     // Optional: 'asc' or 'desc'
   includeMetadata?: true,                 // Optional: include grouping and stats
@@ -39,11 +47,20 @@ router.post('/logs', getAggregatedLogs);
 router.post('/stream', getLiveLogStream);
 /* Body: {
   userIds?: ['user1', 'user2'],           // Optional: specific users
-  intervalMs?: 5000,                      // Optional: polling interval
-  maxLogsPerUser?: 50,                    // Optional: limit per user
-  sinceTimestamp?: '2025-09-01T10:00:00Z' // Optional: get logs since timestamp
+  aliasNames?: ['API'],                   // Optional: specific aliases
+  cursors?: { 'user1/API/api.log': '…' }, // Optional: cursors from the previous response (omit on first poll)
+  maxLinesPerFile?: 2000,                 // Optional: lines read per file per poll (hasMore = poll again)
+  initialLines?: 50                       // Optional: backlog per file on the first poll
 } */
 
+// 📡 Server-Sent Events (connection stays open; new entries are pushed as "log" events)
+router.get('/stream/events', streamLiveEvents);
+/* Query: ?userIds=user1,user2&aliasNames=API&levels=ERROR,WARNING
+   Header: Last-Event-ID (sent by EventSource on reconnect) - or ?lastEventId= */
+router.get('/stream/connections', getStreamConnections); // Admin: active streams
+router.delete('/stream/connections/:connectionId', closeStreamConnection); // Admin: close a stream
+router.get('/stream/watcher', getWatcherStatus); // Admin: watched folders, mode (watch / poll), known files
+
 // ==========================================
 // QUICK ACCESS ENDPOINTS
 // ==========================================
@@ -53,8 +70,59 @@ router.post('/errors', getErrorLogs);
 /* Body: {
   userIds?: ['user1', 'user2'],
   date?: '2025-09-01',
-  limit?: 500
+  limit?: 500,
+  groupBy?: 'user'                       // or 'fingerprint': metadata.groupedData = error clusters
+} */
+
+// 🧬 Errors clustered by fingerprint (ids, numbers, IPs, paths, quoted values normalized away)
+router.post('/errors/clusters', getErrorClusters);
+/* Body: {
+  userIds?: ['user1', 'user2'],
+  aliasNames?: ['API'],
+  date?: '2025-09-01',                   // or startDate / endDate / startTime / endTime
+  logLevels?: ['ERROR'],                 // ERROR and / or WARNING
+  query?: 'alias:API',
+  limit?: 50,                            // clusters returned (most frequent first)
+  includeLogs?: false                    // every entry of each cluster, not just the sample
+} */
+
+// 🆕 New / resurfaced / gone errors from the persistent error registry (storage/error-registry.json)
+router.post('/errors/changes', getErrorChanges);
+/* Body: {
+  userIds?: ['user1', 'user2'],
+  aliasNames?: ['API'],
+  date?: '2025-09-01',                   // default: today in each alias' zone
+  quietDays?: 7,                         // resurfaced = seen on date after at least this many days without it
+  refresh?: false                        // run an index pass of the users first (registry = what was read so far)
+} */
+
+// 🚨 Error / warning rate anomalies: recent buckets vs the same time of day on previous days
+router.post('/anomalies', getAnomalies);
+/* Body: {
+  userIds?: ['user1', 'user2'],
+  aliasNames?: ['API'],
+  until?: '2025-09-01T10:30:00Z',        // end of the checked window (default: now)
+  lookbackMinutes?: 60,                  // recent buckets checked
+  bucketMinutes?: 5,                     // 1, 5, 10, 15, 30 or 60
+  baselineDays?: 7,                      // previous days the same bucket is compared with
+  levels?: ['ERROR', 'WARNING'],
+  sensitivity?: 'high'                   // 'low' | 'medium' | 'high' | z-score; default: each alias' own
+} */
+// Per alias: PUT /api/alias-logs/user/:userId/alias/:aliasName/anomaly { anomaly: { sensitivity, minCount } }
+
+// 📊 Log volume chart: counts per time bucket and level, no log bodies (each file streamed once)
+router.post('/histogram', getLogHistogram);
+/* Body: {
+  userIds?: ['user1', 'user2'],
+  aliasNames?: ['API'],
+  date?: '2025-09-01',                   // or startDate / endDate / startTime / endTime
+  logLevels?: ['ERROR', 'WARNING'],      // Optional: only count these levels
+  query?: 'alias:API AND timeout',
+  bucket?: '1h',                         // '1m', '5m', '1h' or '1d' (at most 5000 buckets)
+  breakdown?: 'alias',                   // Optional: per-bucket counts by 'alias' (userId/aliasName) or 'user'
+  timeZone?: 'Asia/Kolkata'              // zone of the dates and bucket boundaries (default: server zone)
 } */
+// Response: buckets: [{ start, end, total, levels: { ERROR, WARNING, INFO, DEBUG }, breakdown? }], totals, metadata
 
 // 🎯 Get logs by specific level
 router.post('/level/:level', getLogsByLevel);
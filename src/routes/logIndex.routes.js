@@ -0,0 +1,31 @@
+// 📁 src/routes/logIndex.routes.js
+// Log index admin routes
+// ==========================================
+import express from 'express';
+import {
+  getIndexStatus,
+  rebuildIndex,
+  getIndexRetention,
+  updateIndexRetention
+} from '../controllers/logIndex.controller.js';
+
+const router = express.Router();
+
+// ==========================================
+// LOG INDEX ENDPOINTS
+// ==========================================
+
+// 🗂️ Indexed files, checkpoints and the last background pass
+router.get('/status', getIndexStatus);
+// Usage: GET /api/index/status?userId=john_doe&aliasName=API
+
+// 🗂️ Re-index from scratch (all, one user or one alias) - 202, progress in /status
+router.post('/rebuild', rebuildIndex);
+// Body: { "userId"?: "john_doe", "aliasName"?: "API" }
+
+// 🗂️ Days of files kept in the index
+router.get('/retention', getIndexRetention);
+router.put('/retention', updateIndexRetention);
+// Body: { "retentionDays": 14 }
+
+export default router;
@@ -1,16 +1,18 @@
 // 📁 src/routes/multiUserDashboard.routes.js
-// FIXED - Only 2 Simple Endpoints
+// Dashboard views + cross-user search
 // ==========================================
 import express from 'express';
 import {
   getDashboardLogs,
-  getAllUsersLogs
+  getAllUsersLogs,
+  searchDashboardLogs
 } from '../controllers/multiUserDashboard.controller.js';
+import { validateDashboardSearchRequest } from '../middleware/validation.js';
 
 const router = express.Router();
 
 // ==========================================
-// ONLY 2 ENDPOINTS - KEEP IT SIMPLE
+// DASHBOARD ENDPOINTS - KEEP IT SIMPLE
 // ==========================================
 
 // 🎯 Get ALL users logs (for polling)
@@ -22,4 +24,16 @@ router.post('/logs', getDashboardLogs);
 // Usage: POST /api/dashboard/logs
 // Body: { "userIds": ["john_doe", "jane_smith"], "date": "2025-09-01" }
 
+// 🔍 Full-text search across users (streams files, stops at limit)
+router.post('/search', validateDashboardSearchRequest, searchDashboardLogs);
+/* Body: {
+  searchQuery: 'connection refused',      // Required (2+ chars)
+  mode?: 'phrase' | 'regex',              // Default: phrase (literal text)
+  caseSensitive?: false,
+  userIds?: ['john_doe'], aliasNames?: ['API'],
+  date? | startDate?, endDate?, startTime?, endTime?,
+  contextLines?: 2,                       // Or contextBefore / contextAfter
+  limit?: 100
+} */
+
 export default router;
\ No newline at end of file
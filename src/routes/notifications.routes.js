@@ -0,0 +1,56 @@
+// 📁 src/routes/notifications.routes.js
+// Notification channel routes - firing / resolved alerts are sent to every matching enabled channel
+// ==========================================
+import express from 'express';
+import {
+  getNotificationChannels,
+  getNotificationChannel,
+  createNotificationChannel,
+  updateNotificationChannel,
+  deleteNotificationChannel,
+  testNotificationChannel,
+  getNotificationDeliveries
+} from '../controllers/notifications.controller.js';
+
+const router = express.Router();
+
+// ==========================================
+// CHANNELS
+// ==========================================
+router.get('/channels', getNotificationChannels);
+router.get('/channels/:channelId', getNotificationChannel);
+
+// ➕ Create / ✏️ change / 🗑️ delete
+router.post('/channels', createNotificationChannel);
+/* Body: {
+  type: 'webhook',                       // 'webhook', 'email', 'slack', 'teams'
+  name?: 'Incident bridge',
+  config: {
+    // webhook: url, method? (POST|PUT|PATCH), headers?, body? - JSON template, e.g.
+    //   { text: '{{rule.name}}: {{transition.message}}', count: '{{transition.count}}' }
+    //   (fields: event, test, rule.*, transition.from/to/at/count/message, evaluation.samples)
+    // slack / teams: url (incoming webhook) - payload is preformatted
+    // email: host, port?, secure?, startTls?, username?, password?, from, to: [...], subject? (template)
+    url: 'https://example.com/hooks/alerts'
+  },
+  filters?: { events: ['firing', 'resolved'], severities: [], ruleIds: [] }, // empty = all
+  retry?: { maxAttempts: 3, backoffMs: 2000 },   // backoff doubles per attempt; only network / 429 / 5xx / SMTP 4xx retried
+  rateLimit?: { max: 30, perMinutes: 60 },
+  dedupMinutes?: 15,                     // same rule + event within this is not sent again
+  enabled?: true
+} */
+router.put('/channels/:channelId', updateNotificationChannel); // Body: any of the fields above
+// Channels are read back with password, url path and header values as '********'; sent back unchanged they keep the stored value
+router.delete('/channels/:channelId', deleteNotificationChannel);
+
+// 🧪 Sample notification through one channel: a single attempt, no deduplication / rate limit
+router.post('/channels/:channelId/test', testNotificationChannel); // Body: { event?: 'firing' | 'resolved' }
+
+// ==========================================
+// DELIVERY LOG
+// ==========================================
+router.get('/deliveries', getNotificationDeliveries);
+// Usage: GET /api/notifications/deliveries?channelId=…&status=failed&ruleId=…&limit=50&offset=0
+// status: sending, delivered, failed, deduplicated, rate_limited
+
+export default router;
@@ -0,0 +1,41 @@
+// 📁 src/routes/pathLogs.routes.js
+// Ad-hoc path routes - read any folder / file without creating an alias
+// ==========================================
+import express from 'express';
+import {
+  getPathFileLogs,
+  browsePathDirectory,
+  getPathDateRangeLogs,
+  searchPathLogs,
+  analyzePathErrors
+} from '../controllers/pathLogs.controller.js';
+import { validatePathRequest, validateSearchRequest } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// ==========================================
+// PATH LOG ENDPOINTS
+// ==========================================
+// Path may be sent as filePath, directoryPath or path; every access lands in recent paths
+
+// 📄 Lines of one file (filePath = folder + fileName, or the file itself)
+router.post('/files', validatePathRequest, getPathFileLogs);
+// Body: { "filePath": "C:\\logs\\myapp", "fileName": "app.log", "limit": 100, "level": "ERROR" }
+
+// 📂 Log files in a folder (all, or one date / range)
+router.post('/directory', validatePathRequest, browsePathDirectory);
+// Body: { "directoryPath": "C:\\logs\\myapp", "date"?: "2025-09-01" }
+
+// 🕒 A folder's files across several days, trimmed to startTime / endTime
+router.post('/date-range', validatePathRequest, getPathDateRangeLogs);
+// Body: { "directoryPath": "C:\\logs\\myapp", "startDate": "2025-09-01", "endDate": "2025-09-03" }
+
+// 🔍 Phrase / regex search in a file, or a folder's files for a date (default: today)
+router.post('/search', validateSearchRequest, searchPathLogs);
+// Body: { "filePath": "C:\\logs\\myapp", "fileName": "app.log", "searchQuery": "connection failed", "contextLines": 2 }
+
+// 📊 Error categories + most frequent error / warning messages
+router.post('/analyze', validatePathRequest, analyzePathErrors);
+// Body: { "filePath": "C:\\logs\\myapp", "fileName": "app.log" }
+
+export default router;
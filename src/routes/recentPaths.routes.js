@@ -0,0 +1,48 @@
+// 📁 src/routes/recentPaths.routes.js
+// Recent path routes - shortcuts recorded by every alias and ad-hoc path access
+// ==========================================
+import express from 'express';
+import {
+  getRecentPaths,
+  getUserRecentPaths,
+  getPopularPaths,
+  getPathHistory,
+  getRecentPathStats,
+  pinRecentPath,
+  removeRecentPath,
+  clearRecentPaths
+} from '../controllers/recentPaths.controller.js';
+
+const router = express.Router();
+
+// ==========================================
+// RECENT PATH ENDPOINTS
+// ==========================================
+
+// 🕘 Recent paths (pinned first)
+router.get('/', getRecentPaths);
+router.get('/user/:userId', getUserRecentPaths);
+// Usage: GET /api/recent-paths/user/john_doe?limit=20
+
+// 🔥 Most opened paths
+router.get('/popular', getPopularPaths);
+// Usage: GET /api/recent-paths/popular?userId=john_doe&limit=10
+
+// 📜 Every access, newest first
+router.get('/history', getPathHistory);
+// Usage: GET /api/recent-paths/history?userId=john_doe&limit=20&offset=40
+
+// 📊 Storage stats
+router.get('/stats', getRecentPathStats);
+
+// 📌 Pin / unpin
+router.put('/pin', pinRecentPath);
+// Body: { "filePath": "C:\\logs\\myapp", "fileName": "app.log", "pinned": true } (fileName omitted = the folder)
+
+// 🗑️ Remove one path / clear
+router.delete('/entry', removeRecentPath);
+// Usage: DELETE /api/recent-paths/entry?filePath=C:\logs\myapp&fileName=app.log
+router.delete('/', clearRecentPaths);
+// Usage: DELETE /api/recent-paths?userId=john_doe&includePinned=false
+
+export default router;
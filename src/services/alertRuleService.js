@@ -0,0 +1,701 @@
+// 📁 src/services/alertRuleService.js
+// Alert rules per alias ("more than N matching entries within M minutes", "no new entries for M minutes"),
+// evaluated on a schedule through LogAggregatorService; state ok → pending → firing → resolved with history.
+// Silences and maintenance windows (AlertSilenceService) hold notifications back and take entries out of counts
+// ==========================================
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { userAliasService } from './userAliasService.js';
+import { alertSilenceService } from './alertSilenceService.js';
+import { LogAggregatorService } from './logAggregatorService.js';
+import { AlertWindowReader } from './alertWindowReader.js';
+import { config } from '../config/index.js';
+import { compileQueryOption } from '../utils/logQuery.js';
+import { writeJsonAtomic } from '../utils/fileUtils.js';
+import {
+  addDaysToDateString,
+  getTodayString,
+  getZonedParts,
+  isValidDateString,
+  toDateStringInTimeZone,
+  zonedPartsToDate
+} from '../utils/dateUtils.js';
+
+const MINUTE_MS = 60 * 1000;
+const RULE_TYPES = ['threshold', 'absence'];
+const RULE_LEVELS = ['ERROR', 'WARNING', 'INFO', 'DEBUG'];
+const SEVERITIES = ['critical', 'warning', 'info'];
+const RULE_FIELDS = [
+  'name', 'enabled', 'userId', 'aliasName', 'type', 'logLevels', 'query',
+  'threshold', 'windowMinutes', 'forMinutes', 'severity', 'description', 'labels'
+];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 🎯 One evaluation of the state machine → { state, transitions }
+// ok / resolved --met--> pending --met for forMinutes--> firing --not met--> resolved; pending --not met--> ok
+export const nextAlertState = (state, { conditionMet, at, forMinutes = 0 }) => {
+  const time = at.toISOString();
+  const transitions = [];
+  let next = state;
+
+  const move = (status, extra = {}) => {
+    transitions.push({ from: next.status, to: status, at: time });
+    next = { ...next, ...extra, status, since: time };
+  };
+
+  if (conditionMet) {
+    if (next.status === 'ok' || next.status === 'resolved') move('pending', { pendingSince: time });
+    // forMinutes 0 goes through pending to firing in the same evaluation
+    if (next.status === 'pending' && at - new Date(next.pendingSince) >= forMinutes * MINUTE_MS) {
+      move('firing', { firedAt: time });
+    }
+  } else if (next.status === 'firing') {
+    move('resolved', { resolvedAt: time });
+  } else if (next.status === 'pending') {
+    move('ok', { pendingSince: null });
+  }
+
+  return { state: next, transitions };
+};
+
+// Events: transition ({ rule, transition, evaluation }), firing / resolved (same payload)
+// firing is held back while a silence matches the rule (sent once it ends, if still firing);
+// resolved is only sent for a firing that was announced
+class AlertRuleService extends EventEmitter {
+  constructor() {
+    super();
+    this.rulesFile = path.join(process.cwd(), 'storage', 'alert-rules.json');
+    this.stateFile = path.join(process.cwd(), 'storage', 'alert-state.json');
+    this.rules = new Map(); // id -> rule
+    this.states = {}; // ruleId -> { status, since, pendingSince, firedAt, resolvedAt, notified, acknowledgement, suppression, lastEvaluation }
+    this.history = []; // transitions, newest first
+    this.aggregator = new LogAggregatorService();
+    this.windowReader = new AlertWindowReader(this.aggregator); // scheduled evaluations read appended entries only
+    this.timer = null;
+    this.running = null; // evaluation pass in progress
+    this.lastRun = null;
+    this.ready = this.initializeStorage();
+
+    this.onAliasUpdated = ({ userId, previousAliasName, aliasName }) => this.renameAlias(userId, previousAliasName, aliasName);
+    this.onAliasDeleted = ({ userId, aliasName }) => this.disableAliasRules(userId, aliasName);
+  }
+
+  async initializeStorage() {
+    try {
+      await fs.ensureDir(path.dirname(this.rulesFile));
+
+      if (await fs.pathExists(this.rulesFile)) {
+        const data = await fs.readJson(this.rulesFile);
+        (data.rules || []).forEach(rule => this.rules.set(rule.id, rule));
+        console.log(`🔔 Loaded ${this.rules.size} alert rules`);
+      }
+      if (await fs.pathExists(this.stateFile)) {
+        const data = await fs.readJson(this.stateFile);
+        this.states = data.states || {};
+        this.history = data.history || [];
+      }
+    } catch (error) {
+      console.error('❌ Error initializing alert storage:', error.message);
+    }
+  }
+
+  async saveRules() {
+    return this.queueWrite(this.rulesFile, () => ({ rules: [...this.rules.values()], lastSaved: new Date().toISOString() }));
+  }
+
+  async saveState() {
+    return this.queueWrite(this.stateFile, () => ({ states: this.states, history: this.history, lastSaved: new Date().toISOString() }));
+  }
+
+  queueWrite(filePath, build) {
+    return writeJsonAtomic(filePath, build, { spaces: 2 })
+      .catch(error => console.error(`❌ Error saving ${path.basename(filePath)}:`, error.message));
+  }
+
+  // ==========================================
+  // Scheduler
+  // ==========================================
+
+  // 🎯 Evaluate every enabled rule now and then every config.alerts.intervalMs
+  start() {
+    if (!config.alerts.enabled || this.timer) return;
+
+    userAliasService.on('aliasUpdated', this.onAliasUpdated);
+    userAliasService.on('aliasDeleted', this.onAliasDeleted);
+
+    const runEvaluation = () => this.runEvaluation().catch(error => console.error('❌ Alert pass failed:', error.message));
+    this.timer = setInterval(runEvaluation, config.alerts.intervalMs);
+    runEvaluation();
+    console.log(`🔔 Alert scheduler started (every ${Math.round(config.alerts.intervalMs / 1000)}s)`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    userAliasService.off('aliasUpdated', this.onAliasUpdated);
+    userAliasService.off('aliasDeleted', this.onAliasDeleted);
+  }
+
+  // A pass still running when the next tick comes is not started twice
+  runEvaluation() {
+    if (!this.running) {
+      this.running = this.evaluateAll().finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  async evaluateAll() {
+    await Promise.all([this.ready, userAliasService.ready, alertSilenceService.ready]);
+
+    const startedAt = new Date();
+    const summary = { startedAt: startedAt.toISOString(), evaluated: 0, transitions: 0, errors: 0 };
+    const aliasKeys = new Set();
+
+    // Every rule is evaluated at the same instant: rules on one alias share one read of it
+    for (const rule of this.rules.values()) {
+      if (!rule.enabled) continue;
+      aliasKeys.add(`${rule.userId}/${rule.aliasName}`);
+
+      const result = await this.evaluateRule(rule, { at: startedAt, save: false });
+      summary.evaluated++;
+      if (result.transitions.length > 0) summary.transitions += result.transitions.length;
+      if (result.evaluation.error) summary.errors++;
+    }
+
+    this.windowReader.retain(aliasKeys);
+    summary.durationMs = Date.now() - startedAt.getTime();
+    this.lastRun = summary;
+    if (summary.evaluated > 0) await this.saveState();
+
+    if (summary.transitions > 0 || summary.errors > 0) {
+      console.log(`🔔 Alert pass: ${summary.evaluated} rules, ${summary.transitions} transitions, ${summary.errors} errors in ${summary.durationMs}ms`);
+    }
+    return summary;
+  }
+
+  // ==========================================
+  // Evaluation
+  // ==========================================
+
+  // 🎯 Count the rule's entries in its window ending `at`, move its state, record transitions
+  // During a maintenance window the state is held; a matching silence lets it move but keeps it quiet
+  async evaluateRule(rule, { at = new Date(), save = true } = {}) {
+    let maintenance = null;
+    let silences = [];
+    let evaluation;
+    try {
+      // A broken silence / maintenance record fails this rule, not the whole pass
+      ({ maintenance, silences } = alertSilenceService.getSuppression(rule, at));
+      evaluation = { at: at.toISOString(), ...(await this.measure(rule, at)) };
+    } catch (error) {
+      evaluation = { at: at.toISOString(), error: error.message };
+    }
+
+    if (!this.rules.has(rule.id)) return { rule, state: null, evaluation, transitions: [] }; // deleted meanwhile
+
+    const suppression = {
+      maintenance,
+      silences: silences.map(silence => ({ id: silence.id, createdBy: silence.createdBy, comment: silence.comment, endsAt: silence.endsAt }))
+    };
+
+    const previous = this.getState(rule.id);
+    let state = { ...previous, suppression, lastEvaluation: evaluation };
+    let transitions = [];
+
+    // A failed evaluation (alias folder gone, bad query) keeps the state as it was
+    if (!evaluation.error && !maintenance) {
+      ({ state, transitions } = nextAlertState(state, { conditionMet: evaluation.conditionMet, at, forMinutes: rule.forMinutes }));
+    }
+
+    const quiet = Boolean(maintenance) || silences.length > 0;
+    const notify = {
+      firing: !quiet,
+      resolved: previous.notified !== false // receivers only hear "resolved" for a firing they were told about
+    };
+    if (state.status !== 'firing') {
+      state = { ...state, notified: false, acknowledgement: null };
+    } else if (transitions.some(transition => transition.to === 'firing')) {
+      state = { ...state, notified: notify.firing };
+    }
+
+    this.states[rule.id] = state;
+    transitions.forEach(transition => this.recordTransition(rule, transition, evaluation, {
+      notify: notify[transition.to] ?? false,
+      suppression: quiet && transition.to === 'firing' ? suppression : null
+    }));
+
+    // Silence over (or maintenance ended) while still firing: announce it now
+    if (state.status === 'firing' && !state.notified && !quiet && !evaluation.error && transitions.length === 0) {
+      this.states[rule.id] = { ...state, notified: true };
+      this.announceHeldBack(rule, state, evaluation);
+    }
+    if (save) await this.saveState();
+
+    return { rule, state: this.states[rule.id], evaluation, transitions };
+  }
+
+  // Entries of the rule in (at - windowMinutes, at] → { count, conditionMet, samples }
+  // Counted from the alias' shared window of recent entries (AlertWindowReader), not a fresh read of its files
+  async measure(rule, at) {
+    const alias = userAliasService.getUserAlias(rule.userId, rule.aliasName);
+    if (!alias) throw new Error(`Alias "${rule.aliasName}" not found for user ${rule.userId}`);
+
+    const timeZone = userAliasService.resolveTimezone(rule.userId, alias);
+    const start = new Date(at.getTime() - rule.windowMinutes * MINUTE_MS);
+    const { compiledQuery, error } = compileQueryOption(rule.query, {
+      timeZone: (log) => userAliasService.resolveTimezone(log.userId, log.aliasName)
+    });
+    if (error) throw error;
+
+    const entries = await this.windowReader.getEntries({ userId: rule.userId, alias, timeZone }, start, at, {
+      keepMs: this.aliasWindowMinutes(rule) * MINUTE_MS
+    });
+    const matching = entries.filter(log =>
+      (rule.logLevels.length === 0 || rule.logLevels.includes(log.logLevel)) && (!compiledQuery || compiledQuery.matches(log)));
+
+    // Entries from maintenance periods / silenced fingerprints are left out of the count
+    const exclusions = alertSilenceService.getExclusions(rule, start, at);
+    const logs = exclusions.any ? matching.filter(log => !exclusions.excludes(log)) : matching;
+    const count = logs.length;
+    return {
+      count,
+      ...(exclusions.any && { excluded: matching.length - count }),
+      conditionMet: this.conditionMet(rule, count),
+      samples: this.aggregator.sortLogs(logs, 'timestamp', 'desc').slice(0, config.alerts.sampleLogs).map(log => ({
+        timestamp: log.timestamp,
+        logLevel: log.logLevel,
+        fileName: log.fileName,
+        lineNumber: log.lineNumber,
+        message: log.message
+      }))
+    };
+  }
+
+  // Longest window among the enabled rules on the rule's alias (how much of it the shared read keeps)
+  aliasWindowMinutes(rule) {
+    return [...this.rules.values()]
+      .filter(other => other.enabled && other.userId === rule.userId && other.aliasName === rule.aliasName)
+      .reduce((longest, other) => Math.max(longest, other.windowMinutes), rule.windowMinutes);
+  }
+
+  conditionMet(rule, count) {
+    return rule.type === 'absence' ? count === 0 : count > rule.threshold;
+  }
+
+  // Instants → startDate / startTime / endDate / endTime in the alias zone (aggregator range params)
+  windowParams(start, end, timeZone) {
+    const timeOf = (date) => {
+      const { hour, minute, second } = getZonedParts(date, timeZone);
+      return `${pad(hour)}:${pad(minute)}:${pad(second)}`;
+    };
+
+    return {
+      startDate: toDateStringInTimeZone(start, timeZone),
+      startTime: timeOf(start),
+      endDate: toDateStringInTimeZone(end, timeZone),
+      endTime: timeOf(end)
+    };
+  }
+
+  recordTransition(rule, transition, evaluation, { notify = true, suppression = null } = {}) {
+    const entry = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      userId: rule.userId,
+      aliasName: rule.aliasName,
+      severity: rule.severity,
+      ...transition,
+      count: evaluation.count,
+      message: this.describe(rule, evaluation.count),
+      ...(suppression && { suppressedBy: suppression })
+    };
+
+    this.history.unshift(entry);
+    if (this.history.length > config.alerts.maxHistory) this.history.length = config.alerts.maxHistory;
+
+    console.log(`🔔 ${rule.name}: ${transition.from} → ${transition.to} (${entry.message})${suppression ? ' - silenced' : ''}`);
+    const payload = { rule, transition: entry, evaluation };
+    this.emit('transition', payload);
+    if (notify && (transition.to === 'firing' || transition.to === 'resolved')) this.emit(transition.to, payload);
+  }
+
+  // firing event for an alert that fired while silenced / in maintenance (the history already has the transition)
+  announceHeldBack(rule, state, evaluation) {
+    const transition = {
+      id: crypto.randomUUID(),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      userId: rule.userId,
+      aliasName: rule.aliasName,
+      severity: rule.severity,
+      from: 'pending',
+      to: 'firing',
+      at: state.firedAt,
+      count: evaluation.count,
+      message: this.describe(rule, evaluation.count),
+      heldBack: true
+    };
+
+    console.log(`🔔 ${rule.name}: still firing after its silence ended (${transition.message})`);
+    this.emit('firing', { rule, transition, evaluation });
+  }
+
+  describe(rule, count) {
+    const what = [rule.logLevels.length > 0 ? rule.logLevels.join('/') : null, rule.query ? `matching ${rule.query}` : null]
+      .filter(Boolean).join(' ') || 'entries';
+
+    return rule.type === 'absence'
+      ? `${count === 0 ? 'No' : count} ${what} in ${rule.aliasName} within ${rule.windowMinutes} minutes`
+      : `${count} ${what} in ${rule.aliasName} within ${rule.windowMinutes} minutes (threshold ${rule.threshold})`;
+  }
+
+  // ==========================================
+  // Dry run
+  // ==========================================
+
+  // 🎯 Replay a rule over a past day: window counts at every stepMinutes, simulated transitions and
+  // firing periods (state starts at ok) - for tuning threshold / window / forMinutes before saving
+  // Maintenance windows apply as they would live (entries left out, state held); silences don't
+  async dryRun(ruleInput, { date, stepMinutes = null } = {}) {
+    try {
+      const { rule, error } = this.normalizeRule(ruleInput);
+      if (error) return { success: false, invalidRule: true, error };
+
+      if (!isValidDateString(date)) {
+        return { success: false, invalidDateRange: true, error: 'date must be YYYY-MM-DD' };
+      }
+
+      const alias = userAliasService.getUserAlias(rule.userId, rule.aliasName);
+      if (!alias) return { success: false, error: `Alias "${rule.aliasName}" not found for user ${rule.userId}` };
+
+      const timeZone = userAliasService.resolveTimezone(rule.userId, alias);
+      if (date > getTodayString(timeZone)) {
+        return { success: false, invalidDateRange: true, error: `date ${date} is in the future` };
+      }
+
+      const step = stepMinutes || Math.round(config.alerts.intervalMs / MINUTE_MS) || 1;
+      const dayStart = this.startOfDay(date, timeZone);
+      const dayEnd = new Date(Math.min(this.startOfDay(addDaysToDateString(date, 1), timeZone).getTime(), Date.now()));
+      const windowMs = rule.windowMinutes * MINUTE_MS;
+
+      // One read of the day (plus the window before midnight), counted per step in memory
+      const result = await this.aggregator.getAggregatedLogs({
+        userIds: [rule.userId],
+        aliasNames: [rule.aliasName],
+        ...this.windowParams(new Date(dayStart.getTime() - windowMs), dayEnd, timeZone),
+        logLevels: rule.logLevels,
+        query: rule.query,
+        limit: Number.MAX_SAFE_INTEGER,
+        groupBy: null,
+        includeMetadata: false,
+        enableCache: false
+      });
+      if (!result.success) return result;
+
+      const rangeStart = new Date(dayStart.getTime() - windowMs);
+      const maintenancePeriods = alertSilenceService.getRuleWindows(rule).flatMap(window =>
+        alertSilenceService.getMaintenancePeriods(window, rule, rangeStart, dayEnd)
+          .map(period => ({ windowId: window.id, name: window.name, start: period.start.getTime(), end: period.end.getTime() })));
+      const inMaintenance = (time) => maintenancePeriods.some(period => time >= period.start && time < period.end);
+
+      const times = result.logs.map(log => Date.parse(log.timestamp))
+        .filter(time => Number.isFinite(time) && !inMaintenance(time))
+        .sort((a, b) => a - b);
+      let state = { status: 'ok' };
+      let first = 0;
+      let last = 0;
+      const counts = [];
+      const transitions = [];
+      const firingPeriods = [];
+
+      for (let time = dayStart.getTime() + step * MINUTE_MS; time <= dayEnd.getTime(); time += step * MINUTE_MS) {
+        while (last < times.length && times[last] <= time) last++;
+        while (first < last && times[first] <= time - windowMs) first++;
+
+        const at = new Date(time);
+        const count = last - first;
+        if (inMaintenance(time)) {
+          counts.push({ at: at.toISOString(), count, status: state.status, maintenance: true });
+          continue;
+        }
+        const next = nextAlertState(state, { conditionMet: this.conditionMet(rule, count), at, forMinutes: rule.forMinutes });
+        counts.push({ at: at.toISOString(), count, status: next.state.status });
+
+        for (const transition of next.transitions) {
+          transitions.push({ ...transition, count });
+          if (transition.to === 'firing') firingPeriods.push({ start: transition.at, end: null, peakCount: count });
+          if (transition.to === 'resolved') firingPeriods[firingPeriods.length - 1].end = transition.at;
+        }
+        if (next.state.status === 'firing') {
+          const period = firingPeriods[firingPeriods.length - 1];
+          period.peakCount = Math.max(period.peakCount, count);
+        }
+        state = next.state;
+      }
+
+      const sorted = counts.map(point => point.count).sort((a, b) => a - b);
+      const percentile = (p) => sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] : 0;
+      const peak = counts.reduce((best, point) => (!best || point.count > best.count ? point : best), null);
+
+      return {
+        success: true,
+        rule,
+        date,
+        timezone: timeZone,
+        stepMinutes: step,
+        entriesMatched: times.length,
+        evaluations: counts.length,
+        conditionMetEvaluations: counts.filter(point => this.conditionMet(rule, point.count)).length,
+        countStats: { p50: percentile(0.5), p90: percentile(0.9), p99: percentile(0.99), max: peak?.count ?? 0, maxAt: peak?.at ?? null },
+        firingPeriods,
+        maintenancePeriods: maintenancePeriods.map(period => ({
+          ...period,
+          start: new Date(period.start).toISOString(),
+          end: new Date(period.end).toISOString()
+        })),
+        transitions,
+        counts
+      };
+
+    } catch (error) {
+      console.error('❌ Error in alert dry run:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  startOfDay(date, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    return zonedPartsToDate({ year, month, day, hour: 0, minute: 0, second: 0 }, timeZone);
+  }
+
+  // ==========================================
+  // Rules (CRUD)
+  // ==========================================
+
+  // Rule input (create / merged update) → { rule } or { error }
+  normalizeRule(input = {}, existing = null) {
+    const given = Object.fromEntries(Object.entries(input).filter(([key]) => RULE_FIELDS.includes(key)));
+    const rule = {
+      name: null,
+      enabled: true,
+      type: 'threshold',
+      logLevels: [],
+      query: null,
+      threshold: null,
+      windowMinutes: 10,
+      forMinutes: 0,
+      severity: 'warning',
+      description: null,
+      labels: {},
+      ...existing,
+      ...given
+    };
+
+    if (!rule.userId || !rule.aliasName) return { error: 'userId and aliasName are required' };
+    if (!RULE_TYPES.includes(rule.type)) return { error: `type must be one of ${RULE_TYPES.join(', ')}` };
+    if (!Array.isArray(rule.logLevels) || rule.logLevels.some(level => !RULE_LEVELS.includes(level))) {
+      return { error: `logLevels must be a list of ${RULE_LEVELS.join(', ')}` };
+    }
+    if (!Number.isInteger(rule.windowMinutes) || rule.windowMinutes < 1 || rule.windowMinutes > config.alerts.maxWindowMinutes) {
+      return { error: `windowMinutes must be an integer between 1 and ${config.alerts.maxWindowMinutes}` };
+    }
+    if (!Number.isInteger(rule.forMinutes) || rule.forMinutes < 0 || rule.forMinutes > config.alerts.maxWindowMinutes) {
+      return { error: `forMinutes must be an integer between 0 and ${config.alerts.maxWindowMinutes}` };
+    }
+    if (rule.type === 'threshold' && !(Number.isInteger(rule.threshold) && rule.threshold >= 0)) {
+      return { error: 'threshold rules need threshold: a non-negative integer (fires when the count is above it)' };
+    }
+    if (!SEVERITIES.includes(rule.severity)) return { error: `severity must be one of ${SEVERITIES.join(', ')}` };
+    if (typeof rule.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    if (rule.labels === null || typeof rule.labels !== 'object' || Array.isArray(rule.labels) ||
+      Object.values(rule.labels).some(value => typeof value !== 'string')) {
+      return { error: 'labels must be an object of label → value strings (matched by silences)' };
+    }
+
+    const { error: queryError } = compileQueryOption(rule.query);
+    if (queryError) return { error: queryError.message, queryError: queryError.toJSON() };
+
+    if (rule.type === 'absence') rule.threshold = null;
+    rule.name = rule.name || `${rule.aliasName} ${rule.type === 'absence' ? 'silent' : 'threshold'} (${rule.windowMinutes} min)`;
+
+    return { rule };
+  }
+
+  async createRule(input) {
+    await this.ready;
+
+    const { rule, error, queryError } = this.normalizeRule(input);
+    if (error) return { success: false, invalidRule: true, error, ...(queryError && { queryError }) };
+
+    if (!userAliasService.getUserAlias(rule.userId, rule.aliasName)) {
+      return { success: false, error: `Alias "${rule.aliasName}" not found for user ${rule.userId}` };
+    }
+
+    const now = new Date().toISOString();
+    const created = { ...rule, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+    this.rules.set(created.id, created);
+    await this.saveRules();
+
+    console.log(`🔔 Alert rule created: ${created.name} (${created.userId}/${created.aliasName})`);
+    return { success: true, rule: this.withState(created) };
+  }
+
+  async updateRule(ruleId, changes) {
+    await this.ready;
+
+    const existing = this.rules.get(ruleId);
+    if (!existing) return { success: false, error: `Alert rule not found: ${ruleId}` };
+
+    const { rule, error, queryError } = this.normalizeRule(changes, existing);
+    if (error) return { success: false, invalidRule: true, error, ...(queryError && { queryError }) };
+
+    if (!userAliasService.getUserAlias(rule.userId, rule.aliasName)) {
+      return { success: false, error: `Alias "${rule.aliasName}" not found for user ${rule.userId}` };
+    }
+
+    const updated = { ...rule, updatedAt: new Date().toISOString() };
+    if (updated.enabled) delete updated.disabledReason;
+    this.rules.set(ruleId, updated);
+    await this.saveRules();
+    return { success: true, rule: this.withState(updated) };
+  }
+
+  async deleteRule(ruleId) {
+    await this.ready;
+
+    if (!this.rules.delete(ruleId)) return false;
+    delete this.states[ruleId];
+    await Promise.all([this.saveRules(), this.saveState()]);
+    return true;
+  }
+
+  getRule(ruleId) {
+    const rule = this.rules.get(ruleId);
+    return rule ? this.withState(rule) : null;
+  }
+
+  getRules({ userId = null, aliasName = null } = {}) {
+    return [...this.rules.values()]
+      .filter(rule => (!userId || rule.userId === userId) && (!aliasName || rule.aliasName === aliasName))
+      .map(rule => this.withState(rule));
+  }
+
+  // ==========================================
+  // Acknowledgement
+  // ==========================================
+
+  // 🎯 "Someone is on it": kept on the firing state until it resolves, recorded in the audit trail
+  async acknowledge(ruleId, { by, comment = null } = {}) {
+    await Promise.all([this.ready, alertSilenceService.ready]);
+
+    const rule = this.rules.get(ruleId);
+    if (!rule) return { success: false, error: `Alert rule not found: ${ruleId}` };
+    if (!by || typeof by !== 'string') return { success: false, invalidRequest: true, error: 'by is required (who acknowledges)' };
+
+    const state = this.getState(ruleId);
+    if (state.status !== 'firing') {
+      return { success: false, invalidRequest: true, error: `Only firing alerts can be acknowledged (${rule.name} is ${state.status})` };
+    }
+
+    const acknowledgement = { by, comment, at: new Date().toISOString() };
+    this.states[ruleId] = { ...state, acknowledgement };
+    alertSilenceService.recordAudit({
+      action: 'acknowledged',
+      by,
+      comment,
+      target: { type: 'rule', id: rule.id, name: rule.name, ruleId: rule.id },
+      details: { firedAt: state.firedAt, userId: rule.userId, aliasName: rule.aliasName }
+    });
+    await Promise.all([this.saveState(), alertSilenceService.save()]);
+
+    return { success: true, rule: this.withState(rule) };
+  }
+
+  async unacknowledge(ruleId, { by, comment = null } = {}) {
+    await Promise.all([this.ready, alertSilenceService.ready]);
+
+    const rule = this.rules.get(ruleId);
+    if (!rule) return { success: false, error: `Alert rule not found: ${ruleId}` };
+    if (!by || typeof by !== 'string') return { success: false, invalidRequest: true, error: 'by is required (who removes the acknowledgement)' };
+
+    const state = this.getState(ruleId);
+    if (!state.acknowledgement) return { success: false, invalidRequest: true, error: `${rule.name} is not acknowledged` };
+
+    this.states[ruleId] = { ...state, acknowledgement: null };
+    alertSilenceService.recordAudit({
+      action: 'unacknowledged',
+      by,
+      comment,
+      target: { type: 'rule', id: rule.id, name: rule.name, ruleId: rule.id },
+      details: { acknowledgedBy: state.acknowledgement.by }
+    });
+    await Promise.all([this.saveState(), alertSilenceService.save()]);
+
+    return { success: true, rule: this.withState(rule) };
+  }
+
+  getState(ruleId) {
+    return this.states[ruleId] || { status: 'ok', since: null };
+  }
+
+  withState(rule) {
+    return { ...rule, state: this.getState(rule.id) };
+  }
+
+  // Pending and firing rules, firing first
+  getActiveAlerts() {
+    const rank = { firing: 0, pending: 1 };
+    return this.getRules()
+      .filter(rule => rule.state.status in rank)
+      .sort((a, b) => rank[a.state.status] - rank[b.state.status] || String(a.state.since).localeCompare(String(b.state.since)));
+  }
+
+  getHistory({ ruleId = null, userId = null } = {}) {
+    return this.history.filter(entry => (!ruleId || entry.ruleId === ruleId) && (!userId || entry.userId === userId));
+  }
+
+  getSchedulerStatus() {
+    return {
+      enabled: config.alerts.enabled,
+      running: Boolean(this.timer),
+      evaluating: Boolean(this.running),
+      intervalMs: config.alerts.intervalMs,
+      rules: this.rules.size,
+      enabledRules: [...this.rules.values()].filter(rule => rule.enabled).length,
+      lastRun: this.lastRun
+    };
+  }
+
+  async renameAlias(userId, previousAliasName, aliasName) {
+    if (previousAliasName === aliasName) return;
+    let renamed = 0;
+    for (const rule of this.rules.values()) {
+      if (rule.userId === userId && rule.aliasName === previousAliasName) {
+        rule.aliasName = aliasName;
+        renamed++;
+      }
+    }
+    if (renamed > 0) await this.saveRules();
+  }
+
+  // Rules of a deleted alias stay (history keeps pointing at them) but stop being evaluated
+  async disableAliasRules(userId, aliasName) {
+    let disabled = 0;
+    for (const rule of this.rules.values()) {
+      if (rule.userId === userId && rule.aliasName === aliasName && rule.enabled) {
+        rule.enabled = false;
+        rule.disabledReason = 'alias deleted';
+        disabled++;
+      }
+    }
+    if (disabled > 0) await this.saveRules();
+  }
+}
+
+export const alertRuleService = new AlertRuleService();
@@ -0,0 +1,483 @@
+// 📁 src/services/alertSilenceService.js
+// Silences (matchers on user / alias / labels / error fingerprint for a time window), recurring maintenance
+// windows per alias and the audit trail of who acknowledged / silenced what (storage/alert-silences.json)
+// AlertRuleService asks it which rules are silenced or in maintenance and which entries to leave out of counts
+// ==========================================
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { userAliasService } from './userAliasService.js';
+import { config } from '../config/index.js';
+import { fingerprintLog } from '../utils/errorFingerprint.js';
+import { writeJsonAtomic } from '../utils/fileUtils.js';
+import {
+  addDaysToDateString,
+  isValidTimeString,
+  isValidTimeZone,
+  toDateStringInTimeZone,
+  zonedPartsToDate
+} from '../utils/dateUtils.js';
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SCHEDULE_TYPES = ['once', 'daily', 'weekly'];
+const MATCHER_FIELDS = ['userId', 'aliasName', 'fingerprint', 'labels'];
+const WINDOW_FIELDS = ['name', 'enabled', 'userId', 'aliasName', 'schedule', 'comment'];
+
+// "*" matches anything, "Frisk-*" any alias starting with Frisk-, anything else must be equal
+const matchesPattern = (pattern, value) => {
+  if (pattern === undefined || pattern === null || pattern === '*') return true;
+  if (value === undefined || value === null) return false;
+  if (!pattern.includes('*')) return pattern === value;
+  const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*')}$`);
+  return regex.test(value);
+};
+
+const isStringMap = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.values(value).every(item => typeof item === 'string');
+
+class AlertSilenceService {
+  constructor() {
+    this.storageFile = path.join(process.cwd(), 'storage', 'alert-silences.json');
+    this.silences = new Map(); // id -> silence
+    this.maintenanceWindows = new Map(); // id -> maintenance window
+    this.audit = []; // who did what, newest first
+    this.ready = this.initializeStorage();
+
+    userAliasService.on('aliasUpdated', ({ userId, previousAliasName, aliasName }) => this.renameAlias(userId, previousAliasName, aliasName));
+    userAliasService.on('aliasDeleted', ({ userId, aliasName }) => this.removeAliasWindows(userId, aliasName));
+  }
+
+  async initializeStorage() {
+    try {
+      await fs.ensureDir(path.dirname(this.storageFile));
+
+      if (await fs.pathExists(this.storageFile)) {
+        const data = await fs.readJson(this.storageFile);
+        (data.silences || []).forEach(silence => this.silences.set(silence.id, silence));
+        (data.maintenanceWindows || []).forEach(window => this.maintenanceWindows.set(window.id, window));
+        this.audit = data.audit || [];
+        console.log(`🔕 Loaded ${this.silences.size} silences, ${this.maintenanceWindows.size} maintenance windows`);
+      }
+    } catch (error) {
+      console.error('❌ Error initializing alert silence storage:', error.message);
+    }
+  }
+
+  async save() {
+    return writeJsonAtomic(this.storageFile, () => ({
+      silences: [...this.silences.values()],
+      maintenanceWindows: [...this.maintenanceWindows.values()],
+      audit: this.audit,
+      lastSaved: new Date().toISOString()
+    }), { spaces: 2 }).catch(error => console.error('❌ Error saving alert silences:', error.message));
+  }
+
+  // 🎯 Audit entry: { id, at, action, by, comment, target, details } (saved with the next write)
+  recordAudit({ action, by, comment = null, target, details = {} }) {
+    const entry = { id: crypto.randomUUID(), at: new Date().toISOString(), action, by, comment, target, details };
+    this.audit.unshift(entry);
+    if (this.audit.length > config.alerts.maxAudit) this.audit.length = config.alerts.maxAudit;
+
+    console.log(`🔕 ${by}: ${action} ${target.type} ${target.name || target.id}${comment ? ` ("${comment}")` : ''}`);
+    return entry;
+  }
+
+  async addAudit(entry) {
+    await this.ready;
+    const recorded = this.recordAudit(entry);
+    await this.save();
+    return recorded;
+  }
+
+  getAudit({ action = null, by = null, targetId = null, ruleId = null } = {}) {
+    return this.audit.filter(entry =>
+      (!action || entry.action === action)
+      && (!by || entry.by === by)
+      && (!targetId || entry.target.id === targetId)
+      && (!ruleId || entry.target.ruleId === ruleId || (entry.target.type === 'rule' && entry.target.id === ruleId)));
+  }
+
+  // ==========================================
+  // Evaluation support
+  // ==========================================
+
+  // 🎯 What applies to a rule at `at`: { maintenance: window + current period | null, silences: rule-level silences }
+  // Silences with a fingerprint matcher don't silence the rule - they take entries out of its count (getExclusions)
+  getSuppression(rule, at = new Date()) {
+    const silences = [...this.silences.values()]
+      .filter(silence => !silence.matchers.fingerprint && this.isActive(silence, at) && this.matchesRule(silence.matchers, rule));
+
+    let maintenance = null;
+    for (const window of this.getRuleWindows(rule)) {
+      const period = this.getMaintenancePeriods(window, rule, at, at)[0];
+      if (period) {
+        maintenance = { id: window.id, name: window.name, start: period.start.toISOString(), end: period.end.toISOString() };
+        break;
+      }
+    }
+
+    return { maintenance, silences };
+  }
+
+  // 🎯 Entries to leave out of a rule's count for the window (start, end]:
+  // those written during a maintenance period, and those matching a fingerprint silence active at `end`
+  getExclusions(rule, start, end) {
+    const periods = this.getRuleWindows(rule).flatMap(window =>
+      this.getMaintenancePeriods(window, rule, start, end).map(period => ({ ...period, windowId: window.id })));
+    const fingerprints = new Map([...this.silences.values()]
+      .filter(silence => silence.matchers.fingerprint && this.isActive(silence, end) && this.matchesRule(silence.matchers, rule))
+      .map(silence => [silence.matchers.fingerprint, silence.id]));
+
+    return {
+      periods,
+      fingerprints,
+      any: periods.length > 0 || fingerprints.size > 0,
+      excludes: (log) => {
+        const time = Date.parse(log.timestamp);
+        if (Number.isFinite(time) && periods.some(period => time >= period.start.getTime() && time < period.end.getTime())) return true;
+        return fingerprints.size > 0 && fingerprints.has(fingerprintLog(log).fingerprint);
+      }
+    };
+  }
+
+  matchesRule(matchers, rule) {
+    return matchesPattern(matchers.userId, rule.userId)
+      && matchesPattern(matchers.aliasName, rule.aliasName)
+      && Object.entries(matchers.labels || {}).every(([key, value]) => matchesPattern(value, rule.labels?.[key]));
+  }
+
+  isActive(silence, at) {
+    const time = at.getTime();
+    return !silence.expiredAt && Date.parse(silence.startsAt) <= time && time < Date.parse(silence.endsAt);
+  }
+
+  getRuleWindows(rule) {
+    return [...this.maintenanceWindows.values()]
+      .filter(window => window.enabled && matchesPattern(window.userId, rule.userId) && matchesPattern(window.aliasName, rule.aliasName));
+  }
+
+  // 🎯 Occurrences of a maintenance window overlapping [start, end] → [{ start, end }] (Dates)
+  // Recurring windows are wall-clock times in the rule's alias zone (or schedule.timezone)
+  getMaintenancePeriods(window, rule, start, end) {
+    const { schedule } = window;
+    const overlaps = (period) => period.start.getTime() <= end.getTime() && period.end.getTime() > start.getTime();
+
+    if (schedule.type === 'once') {
+      const period = { start: new Date(schedule.startsAt), end: new Date(schedule.endsAt) };
+      return overlaps(period) ? [period] : [];
+    }
+
+    const timeZone = schedule.timezone || userAliasService.resolveTimezone(rule.userId, rule.aliasName);
+    const [hour, minute] = schedule.startTime.split(':').map(Number);
+    const durationMs = schedule.durationMinutes * MINUTE_MS;
+    const periods = [];
+
+    // A period that started the day before (or earlier, for long windows) can still be running at `start`
+    const backDays = Math.ceil(schedule.durationMinutes / (24 * 60));
+    const lastDate = toDateStringInTimeZone(end, timeZone);
+    for (let date = addDaysToDateString(toDateStringInTimeZone(start, timeZone), -backDays); date <= lastDate; date = addDaysToDateString(date, 1)) {
+      const [year, month, day] = date.split('-').map(Number);
+      if (schedule.type === 'weekly' && !schedule.days.includes(WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()])) continue;
+
+      const periodStart = zonedPartsToDate({ year, month, day, hour, minute, second: 0 }, timeZone);
+      const period = { start: periodStart, end: new Date(periodStart.getTime() + durationMs) };
+      if (overlaps(period)) periods.push(period);
+    }
+    return periods;
+  }
+
+  // ==========================================
+  // Silences
+  // ==========================================
+
+  // Silence input → { silence } or { error }
+  normalizeSilence(input = {}) {
+    const { matchers = {}, comment, createdBy, startsAt, endsAt, durationMinutes } = input;
+    const { maxSilenceMinutes } = config.alerts;
+
+    if (!createdBy || typeof createdBy !== 'string') return { error: 'createdBy is required (who is silencing)' };
+    if (!comment || typeof comment !== 'string') return { error: 'comment is required (why it is silenced)' };
+    if (matchers === null || typeof matchers !== 'object' || Array.isArray(matchers)) return { error: 'matchers must be an object' };
+
+    const given = Object.fromEntries(Object.entries(matchers).filter(([key, value]) => MATCHER_FIELDS.includes(key) && value !== null && value !== undefined));
+    if (Object.keys(given).length === 0) {
+      return { error: `matchers needs at least one of ${MATCHER_FIELDS.join(', ')}` };
+    }
+    if (['userId', 'aliasName', 'fingerprint'].some(key => key in given && (typeof given[key] !== 'string' || !given[key]))) {
+      return { error: 'matchers.userId, aliasName and fingerprint must be non-empty strings ("*" wildcards allowed in userId / aliasName)' };
+    }
+    if ('labels' in given && (!isStringMap(given.labels) || Object.keys(given.labels).length === 0)) {
+      return { error: 'matchers.labels must be an object of label → value strings' };
+    }
+
+    const start = startsAt ? new Date(startsAt) : new Date();
+    if (isNaN(start.getTime())) return { error: 'startsAt must be an ISO date-time' };
+
+    let finish;
+    if (endsAt) {
+      finish = new Date(endsAt);
+      if (isNaN(finish.getTime())) return { error: 'endsAt must be an ISO date-time' };
+    } else if (Number.isInteger(durationMinutes) && durationMinutes > 0) {
+      finish = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+    } else {
+      return { error: 'endsAt or durationMinutes (positive integer) is required' };
+    }
+    if (finish <= start) return { error: 'endsAt must be after startsAt' };
+    if (finish <= new Date()) return { error: 'endsAt is already in the past' };
+    if (finish - start > maxSilenceMinutes * MINUTE_MS) {
+      return { error: `A silence can last at most ${maxSilenceMinutes} minutes` };
+    }
+
+    return { silence: { matchers: given, comment, createdBy, startsAt: start.toISOString(), endsAt: finish.toISOString() } };
+  }
+
+  async createSilence(input) {
+    await this.ready;
+
+    const { silence, error } = this.normalizeSilence(input);
+    if (error) return { success: false, invalidSilence: true, error };
+
+    const created = { ...silence, id: crypto.randomUUID(), createdAt: new Date().toISOString(), expiredAt: null, expiredBy: null };
+    this.silences.set(created.id, created);
+    this.recordAudit({
+      action: 'silence_created',
+      by: created.createdBy,
+      comment: created.comment,
+      target: { type: 'silence', id: created.id, name: this.describeMatchers(created.matchers) },
+      details: { matchers: created.matchers, startsAt: created.startsAt, endsAt: created.endsAt }
+    });
+    await this.save();
+
+    return { success: true, silence: this.withStatus(created) };
+  }
+
+  // Silences are expired, not deleted, so the audit trail can still point at them
+  async expireSilence(silenceId, { by, comment = null } = {}) {
+    await this.ready;
+
+    const silence = this.silences.get(silenceId);
+    if (!silence) return { success: false, error: `Silence not found: ${silenceId}` };
+    if (!by) return { success: false, invalidRequest: true, error: 'by is required (who is expiring the silence)' };
+    if (this.withStatus(silence).status === 'expired') {
+      return { success: false, invalidRequest: true, error: `Silence ${silenceId} has already expired` };
+    }
+
+    silence.expiredAt = new Date().toISOString();
+    silence.expiredBy = by;
+    this.recordAudit({
+      action: 'silence_expired',
+      by,
+      comment,
+      target: { type: 'silence', id: silence.id, name: this.describeMatchers(silence.matchers) }
+    });
+    await this.save();
+
+    return { success: true, silence: this.withStatus(silence) };
+  }
+
+  getSilence(silenceId) {
+    const silence = this.silences.get(silenceId);
+    return silence ? this.withStatus(silence) : null;
+  }
+
+  // Newest first; status: pending (not started), active, expired
+  getSilences({ status = null } = {}) {
+    return [...this.silences.values()]
+      .map(silence => this.withStatus(silence))
+      .filter(silence => !status || silence.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  withStatus(silence) {
+    const now = Date.now();
+    const status = silence.expiredAt || Date.parse(silence.endsAt) <= now
+      ? 'expired'
+      : Date.parse(silence.startsAt) > now ? 'pending' : 'active';
+    return { ...silence, status };
+  }
+
+  describeMatchers(matchers) {
+    return Object.entries(matchers)
+      .map(([key, value]) => key === 'labels'
+        ? Object.entries(value).map(([label, labelValue]) => `${label}=${labelValue}`).join(',')
+        : `${key}=${value}`)
+      .join(' ');
+  }
+
+  // ==========================================
+  // Maintenance windows
+  // ==========================================
+
+  // Window input (create / merged update) → { window } or { error }
+  normalizeWindow(input = {}, existing = null) {
+    const given = Object.fromEntries(Object.entries(input).filter(([key]) => WINDOW_FIELDS.includes(key)));
+    const window = { name: null, enabled: true, comment: null, ...existing, ...given };
+    const { schedule } = window;
+    const { maxMaintenanceMinutes } = config.alerts;
+
+    if (!window.userId || !window.aliasName || typeof window.userId !== 'string' || typeof window.aliasName !== 'string') {
+      return { error: 'userId and aliasName are required ("*" wildcards allowed, e.g. every alias of a user)' };
+    }
+    if (typeof window.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    if (!schedule || typeof schedule !== 'object' || !SCHEDULE_TYPES.includes(schedule.type)) {
+      return { error: `schedule.type must be one of ${SCHEDULE_TYPES.join(', ')}` };
+    }
+
+    if (schedule.type === 'once') {
+      const start = new Date(schedule.startsAt);
+      const end = new Date(schedule.endsAt);
+      if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+        return { error: 'once schedules need startsAt and endsAt (ISO date-times, endsAt after startsAt)' };
+      }
+      window.schedule = { type: 'once', startsAt: start.toISOString(), endsAt: end.toISOString() };
+    } else {
+      if (!isValidTimeString(schedule.startTime)) return { error: 'schedule.startTime must be HH:MM (alias local time)' };
+      if (!Number.isInteger(schedule.durationMinutes) || schedule.durationMinutes < 1 || schedule.durationMinutes > maxMaintenanceMinutes) {
+        return { error: `schedule.durationMinutes must be an integer between 1 and ${maxMaintenanceMinutes}` };
+      }
+      if (schedule.timezone !== undefined && schedule.timezone !== null && !isValidTimeZone(schedule.timezone)) {
+        return { error: `Invalid schedule.timezone: ${schedule.timezone}` };
+      }
+      const days = (schedule.days || []).map(day => String(day).toLowerCase().slice(0, 3));
+      if (schedule.type === 'weekly' && (days.length === 0 || days.some(day => !WEEKDAYS.includes(day)))) {
+        return { error: `weekly schedules need days: a list of ${WEEKDAYS.join(', ')}` };
+      }
+      window.schedule = {
+        type: schedule.type,
+        ...(schedule.type === 'weekly' && { days: WEEKDAYS.filter(day => days.includes(day)) }),
+        startTime: schedule.startTime.slice(0, 5),
+        durationMinutes: schedule.durationMinutes,
+        timezone: schedule.timezone || null
+      };
+    }
+
+    window.name = window.name || `${window.aliasName} ${window.schedule.type === 'once' ? 'maintenance' : `${window.schedule.type} maintenance ${window.schedule.startTime}`}`;
+    return { window };
+  }
+
+  async createMaintenanceWindow(input) {
+    await this.ready;
+
+    const createdBy = input?.createdBy;
+    if (!createdBy || typeof createdBy !== 'string') {
+      return { success: false, invalidWindow: true, error: 'createdBy is required (who schedules the maintenance)' };
+    }
+    const { window, error } = this.normalizeWindow(input);
+    if (error) return { success: false, invalidWindow: true, error };
+
+    const now = new Date().toISOString();
+    const created = { ...window, id: crypto.randomUUID(), createdBy, createdAt: now, updatedAt: now };
+    this.maintenanceWindows.set(created.id, created);
+    this.recordAudit({
+      action: 'maintenance_created',
+      by: createdBy,
+      comment: created.comment,
+      target: { type: 'maintenance', id: created.id, name: created.name },
+      details: { userId: created.userId, aliasName: created.aliasName, schedule: created.schedule }
+    });
+    await this.save();
+
+    return { success: true, window: this.withNextPeriod(created) };
+  }
+
+  async updateMaintenanceWindow(windowId, changes) {
+    await this.ready;
+
+    const existing = this.maintenanceWindows.get(windowId);
+    if (!existing) return { success: false, error: `Maintenance window not found: ${windowId}` };
+    if (!changes?.by || typeof changes.by !== 'string') {
+      return { success: false, invalidWindow: true, error: 'by is required (who changes the maintenance window)' };
+    }
+
+    const { window, error } = this.normalizeWindow(changes, existing);
+    if (error) return { success: false, invalidWindow: true, error };
+
+    const updated = { ...window, updatedAt: new Date().toISOString() };
+    this.maintenanceWindows.set(windowId, updated);
+    this.recordAudit({
+      action: 'maintenance_updated',
+      by: changes.by,
+      comment: changes.comment ?? null,
+      target: { type: 'maintenance', id: windowId, name: updated.name },
+      details: Object.fromEntries(WINDOW_FIELDS.filter(key => key in changes).map(key => [key, updated[key]]))
+    });
+    await this.save();
+
+    return { success: true, window: this.withNextPeriod(updated) };
+  }
+
+  async deleteMaintenanceWindow(windowId, { by, comment = null } = {}) {
+    await this.ready;
+
+    const window = this.maintenanceWindows.get(windowId);
+    if (!window) return { success: false, error: `Maintenance window not found: ${windowId}` };
+    if (!by) return { success: false, invalidRequest: true, error: 'by is required (who removes the maintenance window)' };
+
+    this.maintenanceWindows.delete(windowId);
+    this.recordAudit({ action: 'maintenance_deleted', by, comment, target: { type: 'maintenance', id: windowId, name: window.name } });
+    await this.save();
+
+    return { success: true };
+  }
+
+  getMaintenanceWindow(windowId) {
+    const window = this.maintenanceWindows.get(windowId);
+    return window ? this.withNextPeriod(window) : null;
+  }
+
+  getMaintenanceWindows({ userId = null, aliasName = null } = {}) {
+    return [...this.maintenanceWindows.values()]
+      .filter(window => (!userId || matchesPattern(window.userId, userId)) && (!aliasName || matchesPattern(window.aliasName, aliasName)))
+      .map(window => this.withNextPeriod(window));
+  }
+
+  // Current or next occurrence within a week (wildcard windows use the default zone)
+  withNextPeriod(window) {
+    const now = new Date();
+    const rule = { userId: window.userId.includes('*') ? null : window.userId, aliasName: window.aliasName.includes('*') ? null : window.aliasName };
+    const [period] = this.getMaintenancePeriods(window, rule, now, new Date(now.getTime() + 7 * 24 * 60 * MINUTE_MS));
+
+    return {
+      ...window,
+      active: Boolean(window.enabled && period && period.start <= now),
+      nextPeriod: period ? { start: period.start.toISOString(), end: period.end.toISOString() } : null
+    };
+  }
+
+  async renameAlias(userId, previousAliasName, aliasName) {
+    if (previousAliasName === aliasName) return;
+    await this.ready;
+
+    let renamed = 0;
+    for (const window of this.maintenanceWindows.values()) {
+      if (window.userId === userId && window.aliasName === previousAliasName) {
+        window.aliasName = aliasName;
+        renamed++;
+      }
+    }
+    for (const silence of this.silences.values()) {
+      if (silence.matchers.userId === userId && silence.matchers.aliasName === previousAliasName) {
+        silence.matchers.aliasName = aliasName;
+        renamed++;
+      }
+    }
+    if (renamed > 0) await this.save();
+  }
+
+  // Windows of a deleted alias go with it (the audit trail keeps their name)
+  async removeAliasWindows(userId, aliasName) {
+    await this.ready;
+
+    let removed = 0;
+    for (const window of [...this.maintenanceWindows.values()]) {
+      if (window.userId === userId && window.aliasName === aliasName) {
+        this.maintenanceWindows.delete(window.id);
+        removed++;
+      }
+    }
+    if (removed > 0) await this.save();
+  }
+}
+
+export const alertSilenceService = new AlertSilenceService();
@@ -0,0 +1,92 @@
+// 📁 src/services/alertWindowReader.js
+// Recent entries per alias for alert evaluation: loaded once, then only what was appended is read
+// (live tail cursors), so every rule on an alias counts from the same in-memory window
+// ==========================================
+import { LiveTailService } from './liveTailService.js';
+import { config } from '../config/index.js';
+import { toDateStringInTimeZone } from '../utils/dateUtils.js';
+
+const MAX_READS_PER_FILE = 50; // × config.liveTail.maxLinesPerFile lines per refresh; the rest next time
+
+export class AlertWindowReader {
+  constructor(aggregator) {
+    this.aggregator = aggregator; // file lookup (logService.findFiles) + buildLogEntry
+    this.liveTail = new LiveTailService();
+    this.aliases = new Map(); // `${userId}/${aliasName}` -> { basePath, files, entries, coveredFrom, windowMs, readUntil }
+  }
+
+  // 🎯 Entries of the alias with a timestamp in (start, end], oldest first
+  // Read at most once per `end` (one evaluation pass); keepMs: how far back the alias' rules look
+  // (their longest window) - a window reaching past what was loaded reloads the alias
+  async getEntries({ userId, alias, timeZone }, start, end, { keepMs = end.getTime() - start.getTime() } = {}) {
+    const key = `${userId}/${alias.aliasName}`;
+    let state = this.aliases.get(key);
+
+    if (!state || state.basePath !== alias.basePath || start.getTime() < state.coveredFrom) {
+      const coveredFrom = Math.min(start.getTime(), end.getTime() - keepMs);
+      state = { basePath: alias.basePath, files: new Map(), entries: [], coveredFrom, windowMs: 0, readUntil: 0, loaded: false };
+      this.aliases.set(key, state);
+    }
+    state.windowMs = Math.max(state.windowMs, keepMs, end.getTime() - start.getTime());
+
+    if (end.getTime() > state.readUntil) {
+      await this.refresh(state, { userId, alias, timeZone }, start, end);
+      state.readUntil = end.getTime();
+    }
+
+    return state.entries
+      .filter(({ time }) => time > start.getTime() && time <= end.getTime())
+      .map(({ log }) => log);
+  }
+
+  // Appended entries of every file dated inside the window; the first load takes each file's newest part
+  async refresh(state, { userId, alias, timeZone }, start, end) {
+    const filesResult = await this.aggregator.logService.findFiles(alias.basePath, {
+      startDate: toDateStringInTimeZone(new Date(Math.min(start.getTime(), end.getTime() - state.windowMs)), timeZone),
+      endDate: toDateStringInTimeZone(end, timeZone)
+    }, { timeZone });
+    if (!filesResult.success) throw new Error(filesResult.error);
+
+    const seen = new Set();
+    for (const file of filesResult.files) {
+      seen.add(file.filePath);
+      let cursor = state.files.get(file.filePath) || null;
+      const firstSight = !cursor;
+
+      for (let reads = 0; reads < MAX_READS_PER_FILE; reads++) {
+        // Files created after the first load are new from their first byte
+        const increment = await this.liveTail.readEntriesSince(file.filePath, cursor, {
+          alias,
+          file,
+          ...(firstSight && reads === 0 && (state.loaded ? { fromStart: true } : { initialLines: config.reader.maxLinesPerFile }))
+        });
+        cursor = increment.cursor;
+
+        increment.entries.forEach(entry => {
+          const log = this.aggregator.buildLogEntry(entry, { userId, alias, file, format: increment.format });
+          const time = Date.parse(log.timestamp);
+          if (Number.isFinite(time)) state.entries.push({ time, log });
+        });
+        if (!increment.hasMore) break;
+      }
+      state.files.set(file.filePath, cursor);
+    }
+
+    // Files no longer dated inside the window (yesterday's, deleted) stop being followed
+    for (const filePath of state.files.keys()) {
+      if (!seen.has(filePath)) state.files.delete(filePath);
+    }
+
+    const keepFrom = end.getTime() - state.windowMs;
+    state.entries = state.entries.filter(({ time }) => time > keepFrom).sort((a, b) => a.time - b.time);
+    state.coveredFrom = state.loaded ? Math.max(state.coveredFrom, keepFrom) : state.coveredFrom;
+    state.loaded = true;
+  }
+
+  // Aliases without an enabled rule any more are let go
+  retain(keys) {
+    for (const key of this.aliases.keys()) {
+      if (!keys.has(key)) this.aliases.delete(key);
+    }
+  }
+}
@@ -1,22 +1,41 @@
 // 📁 UPDATED: src/services/aliasLogService.js 
 // Enhanced with better current date handling
 // ==========================================
-import { UserAliasService } from './userAliasService.js';
+import { userAliasService } from './userAliasService.js';
 import { SimpleLogService } from './simpleLogService.js';
+import { logParserService } from './logParserService.js';
+import { assembleFileEntries, isInTimeWindow } from './logEntryPipeline.js';
+import { config } from '../config/index.js';
+import { getTodayString, validateDateRangeParams, resolveDateRange } from '../utils/dateUtils.js';
 
 export class AliasLogService {
   constructor() {
-    this.userAliasService = new UserAliasService();
+    this.userAliasService = userAliasService;
     this.logService = new SimpleLogService();
   }
 
   // Get logs by user alias (default: current date)
   async getLogsByAlias(userId, aliasName, options = {}) {
     try {
-      const { date = null } = options; // null = current date
+      // date: null = current date; startDate/endDate/startTime/endTime select a range / window
+      const { date = null, startDate = null, endDate = null, startTime = null, endTime = null } = options;
+      const dateParams = { date, startDate, endDate, startTime, endTime };
+
+      // from / limit / file / offset / startLine: per-file read budget and paging
+      const { readOptions, file: onlyFile, error: readError } = this.logService.normalizeReadOptions(options);
+      if (readError) {
+        return { success: false, error: readError, invalidReadOptions: true, userId, aliasName };
+      }
 
       console.log(`🎯 Getting logs for user: ${userId}, alias: ${aliasName}`);
-      console.log(`📅 Target date: ${date || 'current date'}`);
+      console.log(`📅 Target date: ${startDate || endDate ? `${startDate || endDate}..${endDate || startDate}` : date || 'current date'}`);
+
+      const dateError = validateDateRangeParams(dateParams, {
+        maxSpanDays: config.dateRange.maxSpanDays
+      });
+      if (dateError) {
+        return { success: false, error: dateError, invalidDateRange: true, userId, aliasName };
+      }
 
       // 1. Get alias info
       const alias = this.userAliasService.getUserAlias(userId, aliasName);
@@ -34,7 +53,22 @@ export class AliasLogService {
       }
 
       // 2. Find today's files in the path (or specific date)
-      const filesResult = await this.logService.findTodaysFiles(alias.basePath, date);
+      const timeZone = this.userAliasService.resolveTimezone(userId, alias);
+      const filesResult = await this.logService.findFiles(alias.basePath, dateParams, { timeZone });
+      const isRange = Boolean(startDate || endDate);
+
+      if (filesResult.success && onlyFile) {
+        filesResult.files = filesResult.files.filter(file => file.fileName === onlyFile);
+        if (filesResult.files.length === 0) {
+          return {
+            success: false,
+            error: `File "${onlyFile}" not found for ${filesResult.searchDate}`,
+            alias: { name: alias.aliasName, basePath: alias.basePath },
+            searchDate: filesResult.searchDate,
+            timezone: filesResult.timezone
+          };
+        }
+      }
       if (!filesResult.success) {
         return {
           success: false,
@@ -44,25 +78,30 @@ export class AliasLogService {
             basePath: alias.basePath
           },
           searchDate: filesResult.searchDate,
-          isCurrentDate: filesResult.isCurrentDate
+          isCurrentDate: filesResult.isCurrentDate,
+          timezone: filesResult.timezone
         };
       }
 
       if (filesResult.files.length === 0) {
-        const currentDate = new Date().toISOString().split('T')[0];
-        const isSearchingToday = filesResult.searchDate === currentDate;
+        const isSearchingToday = filesResult.isCurrentDate;
         
         return {
           success: false,
-          error: isSearchingToday ? 
-            `No log files found for today (${filesResult.searchDate})` :
-            `No log files found for date ${filesResult.searchDate}`,
+          error: isRange ?
+            `No log files found for ${filesResult.startDate} to ${filesResult.endDate}` :
+            isSearchingToday ?
+              `No log files found for today (${filesResult.searchDate})` :
+              `No log files found for date ${filesResult.searchDate}`,
           alias: {
             name: alias.aliasName,
             basePath: alias.basePath
           },
           searchDate: filesResult.searchDate,
+          startDate: filesResult.startDate,
+          endDate: filesResult.endDate,
           isCurrentDate: isSearchingToday,
+          timezone: filesResult.timezone,
           suggestion: isSearchingToday ? 
             'Check if logs are being generated today or try a different date' :
             'Try current date or check if logs exist for this date'
@@ -76,8 +115,23 @@ export class AliasLogService {
       for (const file of filesResult.files) {
         console.log(`📖 Processing file: ${file.fileName}`);
         
-        const contentResult = await this.logService.readFileContent(file.filePath);
-        
+        const contentResult = await this.logService.readFileContent(file.filePath, {
+          ...readOptions,
+          keepLineNumbers: Boolean(filesResult.window)
+        });
+
+        // Range / time-of-day queries: keep only the lines of entries inside the window
+        if (contentResult.success && filesResult.window) {
+          const { entries } = assembleFileEntries(contentResult.content, contentResult.lineNumbers, {
+            alias,
+            file
+          });
+          contentResult.content = entries
+            .filter(entry => isInTimeWindow(entry, filesResult.window))
+            .flatMap(entry => entry.lines);
+          contentResult.totalLines = contentResult.content.length;
+        }
+
         const fileData = {
           fileName: file.fileName,
           filePath: file.filePath,
@@ -85,11 +139,17 @@ export class AliasLogService {
           sizeFormatted: file.sizeFormatted,
           modified: file.modified,
           modifiedDate: file.modifiedDate,
+          ...(file.dateSource && { fileDate: file.fileDate, dateSource: file.dateSource }),
           extension: file.extension,
           success: contentResult.success,
           totalLines: contentResult.totalLines || 0,
           logs: contentResult.content || [], // Raw lines array
           error: contentResult.error,
+          readFrom: contentResult.readFrom,
+          truncated: contentResult.truncated || false,
+          readStoppedAt: contentResult.readStoppedAt,
+          nextOffset: contentResult.nextOffset ?? null,
+          nextLine: contentResult.nextLine ?? null,
           readAt: contentResult.readAt
         };
 
@@ -104,7 +164,7 @@ export class AliasLogService {
       }
 
       // 4. Update alias access
-      await this.userAliasService.updateAliasAccess(userId, aliasName);
+      await this.userAliasService.updateAliasAccess(userId, aliasName, onlyFile || '*');
 
       const result = {
         success: true,
@@ -115,14 +175,24 @@ export class AliasLogService {
           lastAccessed: new Date().toISOString()
         },
         searchDate: filesResult.searchDate,
+        startDate: filesResult.startDate,
+        endDate: filesResult.endDate,
+        ...(filesResult.window && {
+          timeWindow: {
+            start: filesResult.window.start.toISOString(),
+            end: filesResult.window.end.toISOString()
+          }
+        }),
         isCurrentDate: filesResult.isCurrentDate,
+        timezone: filesResult.timezone,
         files: filesWithContent,
         summary: {
           totalFiles: filesWithContent.length,
           successfulFiles: filesWithContent.filter(f => f.success).length,
           failedFiles: filesWithContent.filter(f => !f.success).length,
           totalLogs: totalLogsCount,
-          searchType: filesResult.isCurrentDate ? 'current_date' : 'specific_date'
+          truncatedFiles: filesWithContent.filter(f => f.truncated).length,
+          searchType: isRange ? 'date_range' : filesResult.isCurrentDate ? 'current_date' : 'specific_date'
         },
         generatedAt: new Date().toISOString()
       };
@@ -145,10 +215,12 @@ export class AliasLogService {
   // Get logs for all user aliases (current date)
   async getAllUserLogs(userId, options = {}) {
     try {
-      const { date = null } = options; // null = current date
-      
+      const { date = null, startDate = null, endDate = null, startTime = null, endTime = null } = options;
+      const dateParams = { date, startDate, endDate, startTime, endTime };
+      const { from = 'head', limit = null } = options; // per-file read budget
+
       console.log(`🌐 Getting all logs for user: ${userId}`);
-      console.log(`📅 Target date: ${date || 'current date'}`);
+      console.log(`📅 Target date: ${date || startDate || endDate || 'current date'}`);
       
       const aliases = this.userAliasService.getUserAliases(userId);
       
@@ -168,7 +240,7 @@ export class AliasLogService {
       for (const alias of aliases) {
         console.log(`  📂 Processing alias: ${alias.aliasName}`);
         
-        const result = await this.getLogsByAlias(userId, alias.aliasName, { date });
+        const result = await this.getLogsByAlias(userId, alias.aliasName, { ...dateParams, from, limit });
         
         results.push({
           aliasName: alias.aliasName,
@@ -182,14 +254,19 @@ export class AliasLogService {
         }
       }
 
-      const currentDate = new Date().toISOString().split('T')[0];
-      const searchDate = date || currentDate;
+      const timeZone = this.userAliasService.resolveTimezone(userId);
+      const currentDate = getTodayString(timeZone);
+      const range = resolveDateRange(dateParams, timeZone);
+      const searchDate = range.isRange ? `${range.startDate}..${range.endDate}` : range.startDate;
 
       return {
         success: true,
         userId,
         searchDate,
-        isCurrentDate: !date,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        isCurrentDate: range.endDate === currentDate,
+        timezone: timeZone,
         totalAliases: aliases.length,
         aliases: results,
         overallSummary: {
@@ -198,7 +275,8 @@ export class AliasLogService {
           failedAliases: results.filter(r => !r.success).length,
           totalFiles,
           totalLogs,
-          searchType: !date ? 'current_date' : 'specific_date'
+          searchType: range.isRange ? 'date_range' :
+            searchDate === currentDate ? 'current_date' : 'specific_date'
         },
         generatedAt: new Date().toISOString()
       };
@@ -212,4 +290,165 @@ export class AliasLogService {
       };
     }
   }
-}
\ No newline at end of file
+
+  // 🧩 Sample the newest file of an alias and report which format fits it
+  async detectAliasFormat(userId, aliasName, options = {}) {
+    try {
+      const { date = null } = options;
+
+      const alias = this.userAliasService.getUserAlias(userId, aliasName);
+      if (!alias) {
+        return {
+          success: false,
+          error: `Alias "${aliasName}" not found for user ${userId}`
+        };
+      }
+
+      const filesResult = await this.logService.findTodaysFiles(alias.basePath, date, {
+        timeZone: this.userAliasService.resolveTimezone(userId, alias)
+      });
+      if (!filesResult.success || filesResult.files.length === 0) {
+        return {
+          success: false,
+          error: filesResult.error || `No log files found for date ${filesResult.searchDate}`,
+          searchDate: filesResult.searchDate
+        };
+      }
+
+      // Only the head of the file is needed for a detection sample
+      const newestFile = filesResult.files[0];
+      const contentResult = await this.logService.readFileContent(newestFile.filePath, {
+        limit: config.reader.sampleLines
+      });
+      if (!contentResult.success) {
+        return {
+          success: false,
+          error: contentResult.error,
+          fileName: newestFile.fileName
+        };
+      }
+
+      const detection = logParserService.detectFormat(contentResult.content);
+
+      return {
+        success: true,
+        alias: {
+          name: alias.aliasName,
+          basePath: alias.basePath,
+          logFormat: alias.logFormat || { type: 'auto' }
+        },
+        fileName: newestFile.fileName,
+        detectedFormat: detection.format,
+        confidence: detection.confidence,
+        sampleSize: detection.sampleSize,
+        candidates: detection.candidates
+      };
+
+    } catch (error) {
+      console.error('❌ Error detecting alias format:', error);
+      return {
+        success: false,
+        error: error.message,
+        userId,
+        aliasName
+      };
+    }
+  }
+
+  // 🧪 Run a parse template (given or stored) over the first N lines of the newest file
+  async testParseTemplate(userId, aliasName, options = {}) {
+    try {
+      const { parseTemplate = null, lines = 50, date = null } = options;
+
+      const alias = this.userAliasService.getUserAlias(userId, aliasName);
+      if (!alias) {
+        return {
+          success: false,
+          error: `Alias "${aliasName}" not found for user ${userId}`
+        };
+      }
+
+      let format;
+      try {
+        format = parseTemplate
+          ? this.userAliasService.templateToFormat(parseTemplate)
+          : alias.logFormat;
+      } catch (templateError) {
+        return { success: false, invalidTemplate: true, error: templateError.message };
+      }
+
+      if (!format || format.type !== 'regex') {
+        return {
+          success: false,
+          invalidTemplate: true,
+          error: `Alias "${aliasName}" has no parse template - send one as parseTemplate`
+        };
+      }
+
+      const filesResult = await this.logService.findTodaysFiles(alias.basePath, date, {
+        timeZone: this.userAliasService.resolveTimezone(userId, alias)
+      });
+      if (!filesResult.success || filesResult.files.length === 0) {
+        return {
+          success: false,
+          error: filesResult.error || `No log files found for date ${filesResult.searchDate}`,
+          searchDate: filesResult.searchDate
+        };
+      }
+
+      const newestFile = filesResult.files[0];
+      const contentResult = await this.logService.readFileContent(newestFile.filePath, {
+        keepLineNumbers: true,
+        limit: lines
+      });
+      if (!contentResult.success) {
+        return { success: false, error: contentResult.error, fileName: newestFile.fileName };
+      }
+
+      const { parser } = logParserService.createParser(format);
+      const matched = [];
+      const unmatched = [];
+
+      contentResult.content.slice(0, lines).forEach((line, index) => {
+        const lineNumber = contentResult.lineNumbers[index];
+        const fields = parser.parseLine(line);
+
+        if (fields) {
+          matched.push({ lineNumber, line, fields, logLevel: logParserService.normalizeLevel(fields.level) });
+        } else {
+          unmatched.push({ lineNumber, line });
+        }
+      });
+
+      const tested = matched.length + unmatched.length;
+
+      return {
+        success: true,
+        alias: { name: alias.aliasName, basePath: alias.basePath },
+        fileName: newestFile.fileName,
+        template: {
+          pattern: format.pattern,
+          flags: format.flags,
+          timestampFormat: format.timestampFormat
+        },
+        summary: {
+          testedLines: tested,
+          matchedLines: matched.length,
+          unmatchedLines: unmatched.length,
+          matchRate: tested > 0 ? Math.round((matched.length / tested) * 100) : 0
+        },
+        matched,
+        unmatched
+      };
+
+    } catch (error) {
+      console.error('❌ Error testing parse template:', error);
+      return {
+        success: false,
+        error: error.message,
+        userId,
+        aliasName
+      };
+    }
+  }
+}
@@ -0,0 +1,311 @@
+// 📁 src/services/anomalyDetectionService.js
+// Error / warning rate anomalies: entry counts per alias and level in fixed time buckets, each recent
+// bucket compared with the same time of day on previous days (rolling baseline, robust z-score)
+// ==========================================
+import fs from 'fs-extra';
+import { userAliasService } from './userAliasService.js';
+import { SimpleLogService } from './simpleLogService.js';
+import { createEntryBatcher, readFileHeader } from './logEntryPipeline.js';
+import { config } from '../config/index.js';
+import { forEachLine, readHeadSignature } from '../utils/fileUtils.js';
+import {
+  addDaysToDateString,
+  getZonedParts,
+  toDateStringInTimeZone,
+  zonedPartsToDate
+} from '../utils/dateUtils.js';
+
+const MINUTE_MS = 60 * 1000;
+const HEAD_SIGNATURE_BYTES = 256;
+const MAD_TO_SIGMA = 1.4826; // MAD × this ≈ standard deviation for normally distributed counts
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// 🎯 Robust z-score of `actual` against baseline samples: (actual - median) / (1.4826 × MAD)
+// A flat baseline (MAD 0) falls back to √median (Poisson noise), at least 1
+export const robustZScore = (actual, samples) => {
+  const expected = median(samples);
+  const mad = median(samples.map(value => Math.abs(value - expected)));
+  const scale = mad > 0 ? mad * MAD_TO_SIGMA : Math.max(1, Math.sqrt(expected));
+  return { expected, mad, zScore: (actual - expected) / scale };
+};
+
+class AnomalyDetectionService {
+  constructor() {
+    this.userAliasService = userAliasService;
+    this.logService = new SimpleLogService();
+    // filePath -> { key, readBytes, readLines, headLength, headSignature, buckets } (most recently used last)
+    // Files of previous days don't change, so the baseline is read once and only appended data after that
+    this.fileCounts = new Map();
+  }
+
+  // 🎯 Buckets of the last lookbackMinutes (up to `until`) whose error / warning counts spike
+  // against the same bucket on the previous baselineDays days
+  async detectAnomalies(options = {}) {
+    try {
+      const {
+        userIds = [],
+        aliasNames = [],
+        until = null, // ISO time the analysis ends at (default: now)
+        lookbackMinutes = config.anomaly.lookbackMinutes,
+        bucketMinutes = config.anomaly.bucketMinutes,
+        baselineDays = config.anomaly.baselineDays,
+        levels = config.anomaly.levels,
+        sensitivity = null // overrides every alias' own setting
+      } = options;
+
+      const end = until ? new Date(until) : new Date();
+      if (isNaN(end.getTime())) {
+        return { success: false, invalidOptions: true, error: 'until must be an ISO date-time', config: options };
+      }
+
+      await this.userAliasService.ready;
+
+      const users = userIds.length > 0 ? userIds : this.userAliasService.getAllUsers();
+      const aliases = [];
+
+      for (const userId of users) {
+        const targets = this.userAliasService.getUserAliases(userId)
+          .filter(alias => aliasNames.length === 0 || aliasNames.includes(alias.aliasName));
+
+        for (const alias of targets) {
+          aliases.push(await this.analyzeAlias(userId, alias, {
+            end, lookbackMinutes, bucketMinutes, baselineDays, levels, sensitivity
+          }));
+        }
+      }
+
+      const anomalies = aliases
+        .flatMap(result => result.anomalies)
+        .sort((a, b) => b.zScore - a.zScore);
+
+      console.log(`🚨 Anomaly check: ${aliases.length} aliases, ${anomalies.length} anomalies`);
+
+      return {
+        success: true,
+        anomalies,
+        totalAnomalies: anomalies.length,
+        aliases: aliases.map(({ anomalies: found, ...summary }) => ({ ...summary, anomalies: found.length })),
+        window: { start: new Date(end.getTime() - lookbackMinutes * MINUTE_MS).toISOString(), end: end.toISOString() },
+        config: {
+          ...options,
+          lookbackMinutes,
+          bucketMinutes,
+          baselineDays,
+          levels,
+          executedAt: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error detecting anomalies:', error);
+      return {
+        success: false,
+        error: error.message,
+        config: options
+      };
+    }
+  }
+
+  // Per-alias sensitivity (alias.anomaly) unless the request overrides it
+  resolveSettings(alias, sensitivity = null) {
+    const chosen = sensitivity ?? alias.anomaly?.sensitivity ?? config.anomaly.defaultSensitivity;
+    const threshold = typeof chosen === 'number'
+      ? chosen
+      : config.anomaly.sensitivity[chosen] ?? config.anomaly.sensitivity.medium;
+
+    return {
+      sensitivity: chosen,
+      threshold,
+      minCount: alias.anomaly?.minCount ?? config.anomaly.minCount
+    };
+  }
+
+  async analyzeAlias(userId, alias, { end, lookbackMinutes, bucketMinutes, baselineDays, levels, sensitivity }) {
+    const timeZone = this.userAliasService.resolveTimezone(userId, alias);
+    const settings = this.resolveSettings(alias, sensitivity);
+    const start = new Date(end.getTime() - lookbackMinutes * MINUTE_MS);
+    const summary = {
+      userId,
+      aliasName: alias.aliasName,
+      timezone: timeZone,
+      ...settings,
+      filesRead: 0,
+      bucketsChecked: 0,
+      bucketsWithoutBaseline: 0,
+      anomalies: []
+    };
+
+    const filesResult = await this.logService.findFiles(alias.basePath, {
+      startDate: addDaysToDateString(toDateStringInTimeZone(start, timeZone), -baselineDays),
+      endDate: toDateStringInTimeZone(end, timeZone)
+    }, { timeZone });
+
+    if (!filesResult.success) {
+      return { ...summary, error: filesResult.error };
+    }
+
+    // 'YYYY-MM-DD|slot' -> { ERROR, WARNING, ..., total } over every file of the alias
+    const buckets = new Map();
+    for (const file of filesResult.files) {
+      try {
+        const fileBuckets = await this.countFile(file, { alias, timeZone, bucketMinutes });
+        for (const [key, counts] of Object.entries(fileBuckets)) {
+          const merged = buckets.get(key) || {};
+          for (const [level, count] of Object.entries(counts)) merged[level] = (merged[level] || 0) + count;
+          buckets.set(key, merged);
+        }
+        summary.filesRead++;
+      } catch (error) {
+        console.warn(`⚠️ Anomaly counts skipped for ${file.filePath}: ${error.message}`);
+      }
+    }
+
+    // Days without a single entry (no logs written / kept) don't count as zero in the baseline
+    const daysWithData = new Set([...buckets.keys()].map(key => key.split('|')[0]));
+
+    for (const bucket of this.bucketsBetween(start, end, { timeZone, bucketMinutes })) {
+      const baselineDates = [];
+      for (let back = 1; back <= baselineDays; back++) {
+        const date = addDaysToDateString(bucket.date, -back);
+        if (daysWithData.has(date)) baselineDates.push(date);
+      }
+
+      summary.bucketsChecked++;
+      if (baselineDates.length < config.anomaly.minBaselineDays) {
+        summary.bucketsWithoutBaseline++;
+        continue;
+      }
+
+      const current = buckets.get(bucket.key) || {};
+      for (const level of levels) {
+        const actual = current[level] || 0;
+        if (actual < settings.minCount) continue;
+
+        const baseline = baselineDates.map(date => buckets.get(`${date}|${bucket.slot}`)?.[level] || 0);
+        const { expected, mad, zScore } = robustZScore(actual, baseline);
+        if (zScore < settings.threshold) continue;
+
+        summary.anomalies.push({
+          userId,
+          aliasName: alias.aliasName,
+          level,
+          start: bucket.start.toISOString(),
+          end: bucket.end.toISOString(),
+          date: bucket.date,
+          timeOfDay: bucket.timeOfDay,
+          partial: bucket.end > end, // bucket still in progress
+          actual,
+          expected,
+          ratio: expected > 0 ? Math.round((actual / expected) * 100) / 100 : null,
+          mad,
+          zScore: Math.round(zScore * 100) / 100,
+          threshold: settings.threshold,
+          severity: zScore >= settings.threshold * 2 ? 'critical' : 'warning',
+          baseline: baselineDates.map((date, index) => ({ date, count: baseline[index] }))
+        });
+      }
+    }
+
+    return summary;
+  }
+
+  // Buckets (aligned to local midnight in the alias zone) that overlap start..end
+  bucketsBetween(start, end, { timeZone, bucketMinutes }) {
+    const buckets = [];
+    let cursor = start;
+
+    while (cursor <= end) {
+      const parts = getZonedParts(cursor, timeZone);
+      const slot = Math.floor((parts.hour * 60 + parts.minute) / bucketMinutes);
+      const slotMinutes = slot * bucketMinutes;
+      const date = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`;
+      const bucketStart = zonedPartsToDate({
+        year: parts.year, month: parts.month, day: parts.day,
+        hour: Math.floor(slotMinutes / 60), minute: slotMinutes % 60, second: 0
+      }, timeZone);
+      const bucketEnd = new Date(bucketStart.getTime() + bucketMinutes * MINUTE_MS);
+
+      buckets.push({
+        key: `${date}|${slot}`,
+        date,
+        slot,
+        timeOfDay: `${pad(Math.floor(slotMinutes / 60))}:${pad(slotMinutes % 60)}`,
+        start: bucketStart,
+        end: bucketEnd
+      });
+      cursor = bucketEnd;
+    }
+
+    return buckets;
+  }
+
+  // ==========================================
+  // Bucket counts of one file (cached, appended data read incrementally)
+  // ==========================================
+
+  // 🎯 { 'YYYY-MM-DD|slot': { level: count, total } } for every timestamped entry of the file
+  async countFile(file, { alias, timeZone, bucketMinutes }) {
+    const key = JSON.stringify([alias.logFormat || null, alias.sourceTimezone || null, timeZone, bucketMinutes]);
+    const stats = await fs.stat(file.filePath);
+    let cached = this.fileCounts.get(file.filePath);
+
+    const stale = !cached || cached.key !== key || stats.size < cached.readBytes ||
+      (cached.headLength > 0 && await readHeadSignature(file.filePath, cached.headLength) !== cached.headSignature);
+    if (stale) {
+      cached = { key, readBytes: 0, readLines: 0, headLength: 0, headSignature: null, buckets: {} };
+    }
+
+    if (stats.size > cached.readBytes) {
+      const batcher = createEntryBatcher({
+        alias,
+        file,
+        batchLines: config.search.batchLines,
+        headerLines: await readFileHeader(file.filePath, cached.readLines + 1),
+        onEntries: (entries) => this.addToBuckets(cached.buckets, entries, { timeZone, bucketMinutes })
+      });
+
+      const result = await forEachLine(file.filePath, (text, lineNumber) => batcher.push(text, lineNumber), {
+        offset: cached.readBytes,
+        startLine: cached.readLines + 1,
+        completeLinesOnly: true // a line still being written is counted by the next call
+      });
+      batcher.finish();
+
+      cached.readBytes = result.readStoppedAt.byteOffset;
+      cached.readLines = result.readStoppedAt.lineNumber;
+      cached.headLength = Math.min(cached.readBytes, HEAD_SIGNATURE_BYTES);
+      cached.headSignature = cached.headLength > 0 ? await readHeadSignature(file.filePath, cached.headLength) : null;
+    }
+
+    this.fileCounts.delete(file.filePath);
+    this.fileCounts.set(file.filePath, cached);
+    while (this.fileCounts.size > config.anomaly.cacheFiles) {
+      this.fileCounts.delete(this.fileCounts.keys().next().value);
+    }
+
+    return cached.buckets;
+  }
+
+  addToBuckets(buckets, entries, { timeZone, bucketMinutes }) {
+    for (const entry of entries) {
+      if (!entry.timestamp) continue; // can't be placed in time
+
+      const parts = getZonedParts(entry.timestamp, timeZone);
+      const slot = Math.floor((parts.hour * 60 + parts.minute) / bucketMinutes);
+      const key = `${parts.year}-${pad(parts.month)}-${pad(parts.day)}|${slot}`;
+      const counts = buckets[key] || (buckets[key] = { total: 0 });
+
+      counts[entry.logLevel] = (counts[entry.logLevel] || 0) + 1;
+      counts.total++;
+    }
+  }
+}
+
+export const anomalyDetectionService = new AnomalyDetectionService();
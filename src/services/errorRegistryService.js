@@ -0,0 +1,273 @@
+// 📁 src/services/errorRegistryService.js
+// Every error signature ever seen per alias: first / last seen day, daily counts, total
+// Fed by aggregation (files read on request) and the background indexer (every indexed file)
+// ==========================================
+import fs from 'fs-extra';
+import path from 'path';
+import { userAliasService } from './userAliasService.js';
+import { config } from '../config/index.js';
+import { fingerprintLog } from '../utils/errorFingerprint.js';
+import { jsonWritesSettled, writeJsonAtomic } from '../utils/fileUtils.js';
+import { addDaysToDateString, countDaysInRange, getTodayString, toDateStringInTimeZone } from '../utils/dateUtils.js';
+
+const sumValues = (object = {}) => Object.values(object).reduce((sum, value) => sum + value, 0);
+
+// Layout of storage/error-registry.json:
+//   { version, lastSaved, aliases: { 'userId/aliasName': { userId, aliasName, signatures: { fingerprint: {
+//       fingerprint, signature, level, exceptionType, firstSeen, lastSeen, firstSeenAt, lastSeenAt,
+//       sample, archivedCount, days: { 'YYYY-MM-DD': { fileName: count } } } } } } }
+// A day's count per file is the highest count any read of that file reported, so reading the
+// same file again (aggregation, the next index pass) never counts an error twice
+class ErrorRegistryService {
+  constructor() {
+    this.storageFile = path.join(process.cwd(), 'storage', 'error-registry.json');
+    this.aliases = {};
+    this.lastSaved = null;
+    this.saveTimer = null;
+    this.ready = this.initializeStorage();
+
+    userAliasService.on('aliasUpdated', ({ userId, previousAliasName, aliasName }) => {
+      this.renameAlias(`${userId}/${previousAliasName}`, `${userId}/${aliasName}`);
+    });
+    userAliasService.on('aliasDeleted', ({ userId, aliasName }) => this.removeAlias(`${userId}/${aliasName}`));
+  }
+
+  async initializeStorage() {
+    try {
+      await fs.ensureDir(path.dirname(this.storageFile));
+
+      if (await fs.pathExists(this.storageFile)) {
+        const data = await fs.readJson(this.storageFile);
+        this.aliases = data.aliases || {};
+        this.lastSaved = data.lastSaved || null;
+        console.log(`🧬 Loaded error registry (${Object.keys(this.aliases).length} aliases)`);
+      }
+    } catch (error) {
+      console.error('❌ Error initializing error registry:', error.message);
+    }
+  }
+
+  // Updates arriving within config.errorRegistry.saveDelayMs share one write
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saveToFile();
+    }, config.errorRegistry.saveDelayMs);
+    this.saveTimer.unref();
+  }
+
+  // 🎯 Write now (pending scheduled write included) - used on shutdown
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+      await this.saveToFile();
+    }
+    return jsonWritesSettled(this.storageFile);
+  }
+
+  async saveToFile() {
+    return writeJsonAtomic(this.storageFile, () => {
+      this.lastSaved = new Date().toISOString();
+      return { version: 1, lastSaved: this.lastSaved, aliases: this.aliases };
+    }).catch(error => console.error('❌ Error saving error registry:', error.message));
+  }
+
+  // ==========================================
+  // Recording
+  // ==========================================
+
+  // 🎯 Assembled entries (or structured logs) → per-fingerprint daily counts, added to `counts`
+  // The day is the entry's day in the alias zone; entries without a time use fallbackTime
+  countEntries(entries, { timeZone, fallbackTime = null, counts = {} }) {
+    const { levels } = config.errorRegistry;
+
+    for (const entry of entries) {
+      if (!levels.includes(entry.logLevel)) continue;
+
+      const at = entry.timestamp || fallbackTime;
+      if (!at) continue;
+
+      const { fingerprint, signature, exceptionType } = fingerprintLog(entry);
+      const date = toDateStringInTimeZone(new Date(at), timeZone);
+      const time = new Date(at).toISOString();
+
+      const current = counts[fingerprint] || (counts[fingerprint] = {
+        signature, level: entry.logLevel, exceptionType, firstAt: time, lastAt: time, sample: null, days: {}
+      });
+      current.days[date] = (current.days[date] || 0) + 1;
+      if (time < current.firstAt) current.firstAt = time;
+      if (time >= current.lastAt || !current.sample) {
+        current.lastAt = time;
+        current.sample = {
+          lineNumber: entry.lineNumber ?? entry.startLine,
+          message: entry.message ?? (entry.fields?.message || entry.firstLine)
+        };
+      }
+    }
+
+    return counts;
+  }
+
+  // 🎯 Counts of one file (everything read from it so far) → registry of its alias
+  recordFileCounts({ userId, aliasName, fileName, counts, timeZone }) {
+    if (!config.errorRegistry.enabled || Object.keys(counts).length === 0) return false;
+
+    const key = `${userId}/${aliasName}`;
+    const aliasEntry = this.aliases[key] || (this.aliases[key] = { userId, aliasName, signatures: {} });
+    const oldestKept = this.oldestKeptDay(timeZone);
+    let changed = false;
+
+    for (const [fingerprint, observed] of Object.entries(counts)) {
+      let known = aliasEntry.signatures[fingerprint];
+      if (!known) {
+        known = aliasEntry.signatures[fingerprint] = {
+          fingerprint,
+          signature: observed.signature,
+          level: observed.level,
+          exceptionType: observed.exceptionType,
+          firstSeen: null,
+          lastSeen: null,
+          firstSeenAt: null,
+          lastSeenAt: null,
+          sample: null,
+          archivedCount: 0,
+          days: {}
+        };
+        changed = true;
+      }
+
+      for (const [date, count] of Object.entries(observed.days)) {
+        if (!known.firstSeen || date < known.firstSeen) { known.firstSeen = date; changed = true; }
+        if (!known.lastSeen || date > known.lastSeen) { known.lastSeen = date; changed = true; }
+
+        // Days already folded into archivedCount can't take a max any more - they stay as archived
+        if (date < oldestKept) continue;
+        const day = known.days[date] || (known.days[date] = {});
+        if (count > (day[fileName] || 0)) {
+          day[fileName] = count;
+          changed = true;
+        }
+      }
+
+      if (!known.firstSeenAt || observed.firstAt < known.firstSeenAt) known.firstSeenAt = observed.firstAt;
+      if (!known.lastSeenAt || observed.lastAt >= known.lastSeenAt) {
+        known.lastSeenAt = observed.lastAt;
+        known.sample = { ...observed.sample, fileName };
+      }
+
+      this.archiveOldDays(known, oldestKept);
+    }
+
+    if (changed) this.scheduleSave();
+    return changed;
+  }
+
+  oldestKeptDay(timeZone) {
+    return addDaysToDateString(getTodayString(timeZone), -(config.errorRegistry.dailyCountDays - 1));
+  }
+
+  archiveOldDays(known, oldestKept) {
+    for (const [date, files] of Object.entries(known.days)) {
+      if (date >= oldestKept) continue;
+      known.archivedCount += sumValues(files);
+      delete known.days[date];
+    }
+  }
+
+  renameAlias(previousKey, key) {
+    if (!this.aliases[previousKey] || previousKey === key) return;
+    this.aliases[key] = { ...this.aliases[previousKey], aliasName: key.split('/').slice(1).join('/') };
+    delete this.aliases[previousKey];
+    this.scheduleSave();
+  }
+
+  removeAlias(key) {
+    if (!this.aliases[key]) return;
+    delete this.aliases[key];
+    this.scheduleSave();
+  }
+
+  // ==========================================
+  // Reading
+  // ==========================================
+
+  // 🎯 Errors new on `date`, back after at least quietDays days without them, and gone since the day before
+  // date defaults to today in each alias' zone; only aliases that still exist are reported
+  getChanges({ userIds = [], aliasNames = [], date = null, quietDays = config.errorRegistry.defaultQuietDays } = {}) {
+    const result = { newErrors: [], resurfaced: [], gone: [], aliases: [] };
+
+    for (const [key, aliasEntry] of Object.entries(this.aliases)) {
+      const { userId, aliasName } = aliasEntry;
+      if (userIds.length > 0 && !userIds.includes(userId)) continue;
+      if (aliasNames.length > 0 && !aliasNames.includes(aliasName)) continue;
+
+      const alias = userAliasService.getUserAliases(userId).find(existing => existing.aliasName === aliasName);
+      if (!alias) continue;
+
+      const day = date || getTodayString(userAliasService.resolveTimezone(userId, alias));
+      const previousDay = addDaysToDateString(day, -1);
+      const signatures = Object.values(aliasEntry.signatures);
+      result.aliases.push({ key, userId, aliasName, date: day, knownSignatures: signatures.length });
+
+      for (const known of signatures) {
+        const count = sumValues(known.days[day]);
+        const previousCount = sumValues(known.days[previousDay]);
+        const item = this.formatSignature(known, { userId, aliasName, date: day, count });
+
+        if (count > 0 && known.firstSeen === day) {
+          result.newErrors.push(item);
+        } else if (count > 0 && known.firstSeen < day) {
+          const seenBefore = Object.keys(known.days).filter(seen => seen < day && sumValues(known.days[seen]) > 0).sort().pop();
+          // Nothing kept before `day` but first seen earlier: quiet for at least the daily-count window
+          const quietFor = seenBefore
+            ? countDaysInRange(seenBefore, day) - 2
+            : config.errorRegistry.dailyCountDays - 1;
+
+          if (quietFor >= quietDays) result.resurfaced.push({ ...item, previousSeen: seenBefore || null, quietDays: quietFor });
+        } else if (count === 0 && previousCount > 0) {
+          result.gone.push({ ...item, previousDayCount: previousCount });
+        }
+      }
+    }
+
+    const byCount = (a, b) => b.count - a.count || b.totalCount - a.totalCount;
+    result.newErrors.sort(byCount);
+    result.resurfaced.sort(byCount);
+    result.gone.sort((a, b) => b.previousDayCount - a.previousDayCount);
+
+    return result;
+  }
+
+  formatSignature(known, { userId, aliasName, date, count }) {
+    return {
+      userId,
+      aliasName,
+      fingerprint: known.fingerprint,
+      signature: known.signature,
+      level: known.level,
+      exceptionType: known.exceptionType,
+      date,
+      count,
+      totalCount: known.archivedCount + Object.values(known.days).reduce((sum, files) => sum + sumValues(files), 0),
+      firstSeen: known.firstSeen,
+      lastSeen: known.lastSeen,
+      firstSeenAt: known.firstSeenAt,
+      lastSeenAt: known.lastSeenAt,
+      sample: known.sample
+    };
+  }
+
+  getStats() {
+    const aliases = Object.values(this.aliases);
+    return {
+      aliases: aliases.length,
+      signatures: aliases.reduce((sum, aliasEntry) => sum + Object.keys(aliasEntry.signatures).length, 0),
+      lastSaved: this.lastSaved,
+      dailyCountDays: config.errorRegistry.dailyCountDays
+    };
+  }
+}
+
+export const errorRegistryService = new ErrorRegistryService();
@@ -0,0 +1,384 @@
+// 📁 src/services/fileWatcherService.js
+// One watcher per alias folder: in-memory view of its log files, change events for live consumers
+// ==========================================
+import fs from 'fs-extra';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { userAliasService } from './userAliasService.js';
+import { SimpleLogService } from './simpleLogService.js';
+import { config } from '../config/index.js';
+import { readHeadSignature } from '../utils/fileUtils.js';
+import { getTodayString, toDateStringInTimeZone } from '../utils/dateUtils.js';
+
+const HEAD_SIGNATURE_BYTES = 256;
+
+// Events (payload always has basePath, aliases: [{ userId, aliasName }], at):
+//   linesAppended       { fileName, filePath, fromOffset, toOffset, bytesAppended }
+//   fileCreated         { fileName, filePath, size }
+//   fileRotated         { fileName, filePath, reason: inode_changed | truncated | content_replaced, previousSize, size }
+//   fileRemoved         { fileName, filePath, previousSize }
+//   directoryUnreachable / directoryRecovered { error? }
+export const WATCHER_EVENTS = [
+  'linesAppended',
+  'fileCreated',
+  'fileRotated',
+  'fileRemoved',
+  'directoryUnreachable',
+  'directoryRecovered'
+];
+
+class FileWatcherService extends EventEmitter {
+  constructor() {
+    super();
+    this.logService = new SimpleLogService();
+    // basePath -> { basePath, owners: Set("userId/aliasName"), mode, watcher, timers, files: Map, reachable, ... }
+    this.directories = new Map();
+    this.started = false;
+    this.onAliasAdded = ({ userId, alias }) => this.watchAlias(userId, alias);
+    this.onAliasUpdated = ({ userId, previousAliasName, alias }) => {
+      const sameName = previousAliasName === alias.aliasName;
+      if (sameName && this.directories.get(alias.basePath)?.owners.has(`${userId}/${alias.aliasName}`)) return;
+      // New owner first, so a folder shared with the old name is never closed in between
+      this.watchAlias(userId, alias);
+      this.unwatchAlias(userId, previousAliasName, { keepBasePath: sameName ? alias.basePath : null });
+    };
+    this.onAliasDeleted = ({ userId, aliasName }) => this.unwatchAlias(userId, aliasName);
+  }
+
+  // 🎯 Watch every alias folder now and follow alias changes from here on
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    userAliasService.on('aliasAdded', this.onAliasAdded);
+    userAliasService.on('aliasUpdated', this.onAliasUpdated);
+    userAliasService.on('aliasDeleted', this.onAliasDeleted);
+
+    // Stored aliases load asynchronously at startup
+    userAliasService.ready.then(() => {
+      if (!this.started) return;
+      for (const userId of userAliasService.getAllUsers()) {
+        userAliasService.getUserAliases(userId).forEach(alias => this.watchAlias(userId, alias));
+      }
+      console.log(`👀 File watcher started (${this.directories.size} folders)`);
+    });
+  }
+
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    userAliasService.off('aliasAdded', this.onAliasAdded);
+    userAliasService.off('aliasUpdated', this.onAliasUpdated);
+    userAliasService.off('aliasDeleted', this.onAliasDeleted);
+
+    this.directories.forEach(dir => this.closeDirectory(dir));
+    this.directories.clear();
+  }
+
+  // ==========================================
+  // Registration
+  // ==========================================
+  watchAlias(userId, alias) {
+    const owner = `${userId}/${alias.aliasName}`;
+    let dir = this.directories.get(alias.basePath);
+
+    if (!dir) {
+      dir = {
+        basePath: alias.basePath,
+        owners: new Set(),
+        mode: null, // 'watch' | 'poll'
+        watcher: null,
+        pollTimer: null,
+        rescanTimer: null,
+        debounceTimer: null,
+        files: new Map(), // fileName -> { size, mtime, ino, headSignature, headLength }
+        reachable: null,
+        lastError: null,
+        lastScanAt: null,
+        scanning: false,
+        rescanQueued: false,
+        closed: false
+      };
+      this.directories.set(alias.basePath, dir);
+      dir.owners.add(owner);
+      this.scan(dir, { baseline: true }).then(() => this.applyMode(dir));
+      console.log(`👀 Watching ${alias.basePath} for ${owner}`);
+      return;
+    }
+
+    dir.owners.add(owner);
+  }
+
+  unwatchAlias(userId, aliasName, { keepBasePath = null } = {}) {
+    const owner = `${userId}/${aliasName}`;
+
+    for (const dir of this.directories.values()) {
+      if (dir.basePath === keepBasePath || !dir.owners.delete(owner) || dir.owners.size > 0) continue;
+
+      this.closeDirectory(dir);
+      this.directories.delete(dir.basePath);
+      console.log(`👀 Stopped watching ${dir.basePath}`);
+    }
+  }
+
+  closeDirectory(dir) {
+    dir.watcher?.close();
+    dir.watcher = null;
+    clearInterval(dir.pollTimer);
+    clearInterval(dir.rescanTimer);
+    clearTimeout(dir.debounceTimer);
+    dir.pollTimer = dir.rescanTimer = dir.debounceTimer = null;
+    dir.closed = true;
+  }
+
+  // UNC / network shares don't deliver change notifications reliably - poll those
+  isNetworkPath(basePath) {
+    return /^(\\\\|\/\/)/.test(basePath);
+  }
+
+  // fs.watch while the folder is reachable and local, stat-polling otherwise
+  applyMode(dir) {
+    if (dir.closed) return;
+
+    const wantsWatch = dir.reachable && !config.watcher.forcePolling && !this.isNetworkPath(dir.basePath);
+    if (wantsWatch && dir.mode !== 'watch') {
+      try {
+        dir.watcher = fs.watch(dir.basePath, { persistent: false }, () => this.scheduleScan(dir));
+        dir.watcher.on('error', (error) => {
+          console.warn(`⚠️ fs.watch failed for ${dir.basePath}: ${error.message} - polling instead`);
+          dir.watcher?.close();
+          dir.watcher = null;
+          this.setMode(dir, 'poll');
+        });
+        this.setMode(dir, 'watch');
+      } catch (error) {
+        console.warn(`⚠️ fs.watch unavailable for ${dir.basePath}: ${error.message} - polling instead`);
+        this.setMode(dir, 'poll');
+      }
+    } else if (!wantsWatch && dir.mode !== 'poll') {
+      dir.watcher?.close();
+      dir.watcher = null;
+      this.setMode(dir, 'poll');
+    }
+  }
+
+  setMode(dir, mode) {
+    clearInterval(dir.pollTimer);
+    clearInterval(dir.rescanTimer);
+    dir.pollTimer = dir.rescanTimer = null;
+    dir.mode = mode;
+
+    if (mode === 'poll') {
+      dir.pollTimer = setInterval(() => this.scan(dir), config.watcher.pollIntervalMs);
+    } else {
+      dir.rescanTimer = setInterval(() => this.scan(dir), config.watcher.rescanMs);
+    }
+  }
+
+  scheduleScan(dir) {
+    clearTimeout(dir.debounceTimer);
+    dir.debounceTimer = setTimeout(() => this.scan(dir), config.watcher.debounceMs);
+  }
+
+  // ==========================================
+  // Scanning
+  // ==========================================
+
+  // 🎯 Compare the folder with the last view and emit what changed (baseline: just record it)
+  async scan(dir, { baseline = false } = {}) {
+    if (dir.scanning) {
+      dir.rescanQueued = true;
+      return;
+    }
+    dir.scanning = true;
+
+    try {
+      let items;
+      try {
+        items = await fs.readdir(dir.basePath, { withFileTypes: true });
+      } catch (error) {
+        this.markUnreachable(dir, error);
+        return;
+      }
+
+      if (dir.reachable === false) {
+        dir.reachable = true;
+        dir.lastError = null;
+        this.emitFor(dir, 'directoryRecovered', {});
+        this.applyMode(dir);
+      }
+      dir.reachable = true;
+
+      const seen = new Set();
+      for (const item of items) {
+        const ext = path.extname(item.name).toLowerCase();
+        if (!item.isFile() || !this.logService.supportedExtensions.includes(ext)) continue;
+
+        seen.add(item.name);
+        await this.compareFile(dir, item.name, { baseline });
+      }
+
+      for (const [fileName, previous] of dir.files) {
+        if (seen.has(fileName)) continue;
+        dir.files.delete(fileName);
+        if (!baseline) {
+          this.emitFor(dir, 'fileRemoved', {
+            fileName,
+            filePath: path.join(dir.basePath, fileName),
+            previousSize: previous.size
+          });
+        }
+      }
+
+      dir.lastScanAt = new Date().toISOString();
+
+    } catch (error) {
+      console.error(`❌ Watcher scan failed for ${dir.basePath}:`, error.message);
+    } finally {
+      dir.scanning = false;
+      if (dir.rescanQueued && !dir.closed) {
+        dir.rescanQueued = false;
+        this.scan(dir);
+      }
+    }
+  }
+
+  async compareFile(dir, fileName, { baseline }) {
+    const filePath = path.join(dir.basePath, fileName);
+    const previous = dir.files.get(fileName);
+
+    let stats;
+    try {
+      stats = await fs.stat(filePath);
+    } catch {
+      return; // gone between readdir and stat - the next scan reports it
+    }
+
+    const unchanged = previous && previous.ino === stats.ino &&
+      previous.size === stats.size && previous.mtime.getTime() === stats.mtime.getTime();
+    if (unchanged) return;
+
+    const headLength = Math.min(HEAD_SIGNATURE_BYTES, stats.size);
+    const headSignature = headLength > 0 ? await readHeadSignature(filePath, headLength).catch(() => null) : null;
+    const current = { size: stats.size, mtime: stats.mtime, ino: stats.ino, headSignature, headLength };
+    dir.files.set(fileName, current);
+
+    if (baseline) return;
+
+    if (!previous) {
+      this.emitFor(dir, 'fileCreated', { fileName, filePath, size: stats.size });
+      return;
+    }
+
+    let reason = null;
+    if (previous.ino && stats.ino && previous.ino !== stats.ino) {
+      reason = 'inode_changed';
+    } else if (stats.size < previous.size) {
+      reason = 'truncated';
+    } else if (previous.headSignature && previous.headLength > 0) {
+      // Same bytes at the start = appended to; anything else was rewritten in place
+      const head = previous.headLength === headLength
+        ? headSignature
+        : await readHeadSignature(filePath, previous.headLength).catch(() => null);
+      if (head !== previous.headSignature) reason = 'content_replaced';
+    }
+
+    if (reason) {
+      this.emitFor(dir, 'fileRotated', { fileName, filePath, reason, previousSize: previous.size, size: stats.size });
+    } else if (stats.size > previous.size) {
+      this.emitFor(dir, 'linesAppended', {
+        fileName,
+        filePath,
+        fromOffset: previous.size,
+        toOffset: stats.size,
+        bytesAppended: stats.size - previous.size
+      });
+    }
+  }
+
+  markUnreachable(dir, error) {
+    dir.lastError = error.message;
+    if (dir.reachable !== false) {
+      dir.reachable = false;
+      this.emitFor(dir, 'directoryUnreachable', { error: error.message });
+      console.warn(`⚠️ Watched folder unreachable: ${dir.basePath} (${error.message})`);
+    }
+    // A watcher on a vanished folder is dead - poll until it comes back
+    this.applyMode(dir);
+  }
+
+  emitFor(dir, eventName, data) {
+    this.emit(eventName, {
+      basePath: dir.basePath,
+      aliases: Array.from(dir.owners).map(owner => {
+        const [userId, ...rest] = owner.split('/');
+        return { userId, aliasName: rest.join('/') };
+      }),
+      ...data,
+      at: new Date().toISOString()
+    });
+  }
+
+  // ==========================================
+  // Current view
+  // ==========================================
+
+  // 🎯 Same shape as SimpleLogService.findTodaysFiles, from memory; null = folder not (yet) known
+  findTodaysFiles(basePath, { timeZone = config.time.defaultTimezone } = {}) {
+    const dir = this.directories.get(basePath);
+    if (!dir || (!dir.lastScanAt && dir.reachable !== false)) return null;
+
+    const today = getTodayString(timeZone);
+    const base = { basePath, searchDate: today, isCurrentDate: true, timezone: timeZone };
+
+    if (dir.reachable === false) {
+      return { success: false, error: `Path not reachable: ${basePath} (${dir.lastError})`, ...base };
+    }
+
+    const files = Array.from(dir.files.entries())
+      .filter(([, view]) => toDateStringInTimeZone(view.mtime, timeZone) === today)
+      .map(([fileName, view]) =>
+        this.logService.buildFileInfo(fileName, path.join(basePath, fileName), view, timeZone))
+      .sort((a, b) => new Date(b.modified) - new Date(a.modified));
+
+    return { success: true, ...base, files, message: `Found ${files.length} files for ${today}` };
+  }
+
+  // Last scan of a folder: { reachable, lastError, lastScanAt, files: [{ fileName, size, mtime }] }; null = not (yet) known
+  getDirectoryView(basePath) {
+    const dir = this.directories.get(basePath);
+    if (!dir || (!dir.lastScanAt && dir.reachable !== false)) return null;
+
+    return {
+      reachable: dir.reachable,
+      lastError: dir.lastError,
+      lastScanAt: dir.lastScanAt,
+      files: Array.from(dir.files.entries()).map(([fileName, view]) => ({ fileName, size: view.size, mtime: view.mtime }))
+    };
+  }
+
+  getStatus() {
+    return {
+      started: this.started,
+      pollIntervalMs: config.watcher.pollIntervalMs,
+      directories: Array.from(this.directories.values()).map(dir => ({
+        basePath: dir.basePath,
+        aliases: Array.from(dir.owners),
+        mode: dir.mode,
+        reachable: dir.reachable,
+        lastError: dir.lastError,
+        lastScanAt: dir.lastScanAt,
+        files: Array.from(dir.files.entries()).map(([fileName, view]) => ({
+          fileName,
+          size: view.size,
+          offset: view.size, // bytes seen so far - the next linesAppended starts here
+          modified: view.mtime.toISOString()
+        }))
+      }))
+    };
+  }
+}
+
+// Create and export singleton instance
+export const fileWatcherService = new FileWatcherService();
@@ -0,0 +1,233 @@
+// 📁 src/services/heartbeatService.js
+// Heartbeat per alias: a service that hangs stops writing logs, so the gap since the last write
+// (newest file mtime, or size growth seen by the file watcher) is compared with the gap the alias allows
+// at this time of day → healthy / quiet / stale / unreachable
+// ==========================================
+import fs from 'fs-extra';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { userAliasService } from './userAliasService.js';
+import { fileWatcherService } from './fileWatcherService.js';
+import { SimpleLogService } from './simpleLogService.js';
+import { config } from '../config/index.js';
+import { getZonedParts } from '../utils/dateUtils.js';
+
+const MINUTE_MS = 60 * 1000;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const GROWTH_EVENTS = ['linesAppended', 'fileCreated', 'fileRotated'];
+const REACHABILITY_EVENTS = ['directoryUnreachable', 'directoryRecovered'];
+export const HEARTBEAT_STATUSES = ['healthy', 'quiet', 'stale', 'unreachable'];
+
+const toMinutes = (time) => {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+};
+
+// Events: statusChanged ({ userId, aliasName, previousStatus, ...heartbeat })
+class HeartbeatService extends EventEmitter {
+  constructor() {
+    super();
+    this.logService = new SimpleLogService();
+    this.heartbeats = new Map(); // "userId/aliasName" -> last heartbeat
+    this.lastGrowth = new Map(); // basePath -> when the watcher last saw a file grow
+    this.timer = null;
+    this.checking = null; // pass in progress
+
+    this.onGrowth = ({ basePath, aliases, at }) => {
+      this.lastGrowth.set(basePath, new Date(at));
+      this.checkOwners(aliases);
+    };
+    this.onReachability = ({ aliases }) => this.checkOwners(aliases);
+    this.onAliasDeleted = ({ userId, aliasName }) => this.heartbeats.delete(`${userId}/${aliasName}`);
+    this.onAliasUpdated = ({ userId, previousAliasName }) => this.heartbeats.delete(`${userId}/${previousAliasName}`);
+  }
+
+  // 🎯 Check every alias now and every config.heartbeat.intervalMs; watcher events re-check right away
+  start() {
+    if (!config.heartbeat.enabled || this.timer) return;
+
+    GROWTH_EVENTS.forEach(name => fileWatcherService.on(name, this.onGrowth));
+    REACHABILITY_EVENTS.forEach(name => fileWatcherService.on(name, this.onReachability));
+    userAliasService.on('aliasDeleted', this.onAliasDeleted);
+    userAliasService.on('aliasUpdated', this.onAliasUpdated);
+
+    const checkAll = () => this.checkAll().catch(error => console.error('❌ Heartbeat checks failed:', error.message));
+    this.timer = setInterval(checkAll, config.heartbeat.intervalMs);
+    checkAll();
+    console.log(`💓 Heartbeat checks started (every ${Math.round(config.heartbeat.intervalMs / 1000)}s)`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    GROWTH_EVENTS.forEach(name => fileWatcherService.off(name, this.onGrowth));
+    REACHABILITY_EVENTS.forEach(name => fileWatcherService.off(name, this.onReachability));
+    userAliasService.off('aliasDeleted', this.onAliasDeleted);
+    userAliasService.off('aliasUpdated', this.onAliasUpdated);
+  }
+
+  // A pass still running is shared instead of started twice
+  checkAll() {
+    if (!this.checking) {
+      this.checking = this.runChecks().finally(() => { this.checking = null; });
+    }
+    return this.checking;
+  }
+
+  async runChecks() {
+    await userAliasService.ready;
+
+    const results = [];
+    for (const userId of userAliasService.getAllUsers()) {
+      for (const alias of userAliasService.getUserAliases(userId)) {
+        results.push(await this.checkAlias(userId, alias));
+      }
+    }
+    return results;
+  }
+
+  checkOwners(aliases = []) {
+    aliases.forEach(({ userId, aliasName }) => {
+      const alias = userAliasService.getUserAlias(userId, aliasName);
+      if (alias) this.checkAlias(userId, alias).catch(error => console.error(`❌ Heartbeat check failed for ${userId}/${aliasName}:`, error.message));
+    });
+  }
+
+  // ==========================================
+  // Checks
+  // ==========================================
+
+  // 🎯 Current heartbeat of one alias (stored; statusChanged emitted when the status moves)
+  async checkAlias(userId, alias, now = new Date()) {
+    const key = `${userId}/${alias.aliasName}`;
+    const timeZone = userAliasService.resolveTimezone(userId, alias);
+    const view = fileWatcherService.getDirectoryView(alias.basePath) || await this.scanFolder(alias.basePath);
+    const expectation = this.resolveExpectation(alias, now, timeZone);
+
+    const newest = view.files.reduce((latest, file) => (!latest || file.mtime > latest.mtime ? file : latest), null);
+    const growth = this.lastGrowth.get(alias.basePath) || null;
+    const lastWriteAt = [newest?.mtime, growth].filter(Boolean).reduce((latest, time) => (time > latest ? time : latest), null);
+    const gapMinutes = lastWriteAt ? Math.max(0, Math.round((now - lastWriteAt) / MINUTE_MS)) : null;
+
+    let status;
+    let reason;
+    if (view.reachable === false) {
+      status = 'unreachable';
+      reason = `Folder not reachable: ${view.lastError}`;
+    } else if (expectation.maxGapMinutes === null) {
+      status = 'healthy';
+      reason = 'No writes expected at this time';
+    } else if (!lastWriteAt) {
+      status = 'stale';
+      reason = 'No log files in the folder';
+    } else if (gapMinutes <= expectation.maxGapMinutes) {
+      status = 'healthy';
+      reason = `Last write ${gapMinutes} min ago (allowed ${expectation.maxGapMinutes})`;
+    } else if (gapMinutes <= expectation.maxGapMinutes * config.heartbeat.staleMultiplier) {
+      status = 'quiet';
+      reason = `No writes for ${gapMinutes} min (allowed ${expectation.maxGapMinutes})`;
+    } else {
+      status = 'stale';
+      reason = `No writes for ${gapMinutes} min (allowed ${expectation.maxGapMinutes}, stale after ${expectation.maxGapMinutes * config.heartbeat.staleMultiplier})`;
+    }
+
+    const previous = this.heartbeats.get(key);
+    const heartbeat = {
+      userId,
+      aliasName: alias.aliasName,
+      status,
+      since: previous?.status === status ? previous.since : now.toISOString(),
+      reason,
+      lastWriteAt: lastWriteAt ? lastWriteAt.toISOString() : null,
+      lastWriteFile: newest && (!growth || newest.mtime >= growth) ? newest.fileName : null,
+      gapMinutes,
+      expectedMaxGapMinutes: expectation.maxGapMinutes,
+      expectationSource: expectation.source,
+      timezone: timeZone,
+      files: view.files.length,
+      checkedAt: now.toISOString()
+    };
+    this.heartbeats.set(key, heartbeat);
+
+    if (previous && previous.status !== status) {
+      const icon = { healthy: '💚', quiet: '💛', stale: '💔', unreachable: '🚫' }[status];
+      console.log(`${icon} Heartbeat ${key}: ${previous.status} → ${status} (${reason})`);
+      this.emit('statusChanged', { ...heartbeat, previousStatus: previous.status });
+    }
+    return heartbeat;
+  }
+
+  // Folder the watcher doesn't know (yet): list it ourselves
+  async scanFolder(basePath) {
+    try {
+      const items = await fs.readdir(basePath, { withFileTypes: true });
+      const files = [];
+      for (const item of items) {
+        if (!item.isFile() || !this.logService.supportedExtensions.includes(path.extname(item.name).toLowerCase())) continue;
+        const stats = await fs.stat(path.join(basePath, item.name)).catch(() => null);
+        if (stats) files.push({ fileName: item.name, size: stats.size, mtime: stats.mtime });
+      }
+      return { reachable: true, lastError: null, files };
+    } catch (error) {
+      return { reachable: false, lastError: error.message, files: [] };
+    }
+  }
+
+  // Allowed gap at `now`: first matching schedule entry (alias local time) → alias maxGapMinutes → server default
+  // A schedule entry with maxGapMinutes null means no writes are expected then (nights, weekends)
+  resolveExpectation(alias, now, timeZone) {
+    const settings = alias.heartbeat || {};
+    const { year, month, day, hour, minute } = getZonedParts(now, timeZone);
+    const minutes = hour * 60 + minute;
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    for (const entry of settings.schedule || []) {
+      const from = toMinutes(entry.from);
+      const to = toMinutes(entry.to);
+      // "22:00"-"06:00" runs past midnight: the early part belongs to the day it started
+      const inRange = from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+      const startedDay = from >= to && minutes < to ? (weekday + 6) % 7 : weekday;
+
+      if (inRange && (!entry.days || entry.days.includes(WEEKDAYS[startedDay]))) {
+        return { maxGapMinutes: entry.maxGapMinutes, source: `schedule ${entry.days ? `${entry.days.join(',')} ` : ''}${entry.from}-${entry.to}` };
+      }
+    }
+
+    return settings.maxGapMinutes
+      ? { maxGapMinutes: settings.maxGapMinutes, source: 'alias' }
+      : { maxGapMinutes: config.heartbeat.defaultMaxGapMinutes, source: 'default' };
+  }
+
+  // ==========================================
+  // Reads
+  // ==========================================
+
+  // Last known heartbeat (null until the first check of the alias)
+  getAliasHeartbeat(userId, aliasName) {
+    return this.heartbeats.get(`${userId}/${aliasName}`) || null;
+  }
+
+  // 🎯 Fresh check of every alias (or one user's) → { heartbeats, summary: count per status }
+  async getHeartbeats({ userId = null, status = null } = {}) {
+    await userAliasService.ready;
+
+    const userIds = userId ? [userId] : userAliasService.getAllUsers();
+    const heartbeats = [];
+    for (const id of userIds) {
+      for (const alias of userAliasService.getUserAliases(id)) {
+        heartbeats.push(await this.checkAlias(id, alias));
+      }
+    }
+
+    const summary = Object.fromEntries(HEARTBEAT_STATUSES.map(name => [name, heartbeats.filter(heartbeat => heartbeat.status === name).length]));
+    return {
+      heartbeats: heartbeats.filter(heartbeat => !status || heartbeat.status === status),
+      summary,
+      total: heartbeats.length
+    };
+  }
+}
+
+export const heartbeatService = new HeartbeatService();
@@ -0,0 +1,377 @@
+// 📁 src/services/liveStreamHub.js
+// Live push: file watcher change → one shared incremental read → numbered events → every subscriber (SSE stream / WebSocket feed)
+// ==========================================
+import crypto from 'crypto';
+import { LogAggregatorService } from './logAggregatorService.js';
+import { userAliasService } from './userAliasService.js';
+import { fileWatcherService, WATCHER_EVENTS } from './fileWatcherService.js';
+import { config } from '../config/index.js';
+import { compileQueryOption } from '../utils/logQuery.js';
+
+class LiveStreamHub {
+  constructor() {
+    this.aggregatorService = new LogAggregatorService();
+    this.subscribers = new Map(); // subscriberId -> { id, kind: 'sse' | 'ws', filters, deliver, close, ... }
+    this.sequence = 0; // global event id (SSE "id:")
+    this.buffer = []; // last N events for Last-Event-ID replay
+    this.cursors = {}; // server-side cursors for the shared read
+    this.primed = false; // first read only places cursors at the end of each file
+    this.listening = false; // subscribed to file watcher events
+    this.polling = false;
+    this.pollQueued = false;
+    this.holdTimer = null; // re-read that releases held-back entries once files go quiet
+    this.stoppedAt = null;
+    this.onFileChange = () => this.poll();
+
+    userAliasService.on('aliasDeleted', ({ userId, aliasName }) => this.onAliasDeleted(userId, aliasName));
+    userAliasService.on('aliasUpdated', ({ userId, aliasName, previousAliasName }) => {
+      if (previousAliasName !== aliasName) this.onAliasRenamed(userId, previousAliasName, aliasName);
+    });
+  }
+
+  // ==========================================
+  // Subscribers
+  // ==========================================
+
+  // 🎯 Register a live consumer - deliver(event) gets every matching event, close(reason) ends it
+  // filters = { userIds, aliasNames, levels, query } (empty = everything; query = boolean query language)
+  addSubscriber({ kind, filters = {}, client = {}, deliver, close = () => {}, dispose = () => {} }) {
+    if (this.subscribers.size >= config.liveStream.maxConnections) {
+      return { success: false, error: `Too many live streams open (max ${config.liveStream.maxConnections})` };
+    }
+
+    const normalizedFilters = this.normalizeFilters(filters);
+    const { compiledQuery, error: queryError } = compileQueryOption(normalizedFilters.query, {
+      timeZone: (log) => userAliasService.resolveTimezone(log.userId, log.aliasName)
+    });
+    if (queryError) {
+      return { success: false, ...queryError.toJSON(), invalidQuery: true };
+    }
+
+    const subscriber = {
+      id: crypto.randomUUID(),
+      kind,
+      filters: normalizedFilters,
+      compiledQuery, // parsed once, evaluated per log event
+      client,
+      connectedAt: new Date().toISOString(),
+      eventsSent: 0,
+      deliver,
+      close,
+      dispose
+    };
+
+    this.subscribers.set(subscriber.id, subscriber);
+    console.log(`📡 Live ${kind} subscriber added: ${subscriber.id} (${this.subscribers.size} active)`);
+    this.ensureReading();
+
+    return { success: true, subscriber };
+  }
+
+  normalizeFilters(filters) {
+    const query = typeof filters.query === 'string' ? filters.query.trim() : '';
+    return {
+      userIds: filters.userIds || [],
+      aliasNames: filters.aliasNames || [],
+      levels: (filters.levels || []).map(level => level.toUpperCase()),
+      query: query || null
+    };
+  }
+
+  // 🎯 Admin: end a stream or subscription (the client is told why, then it is dropped)
+  closeConnection(subscriberId, reason = 'closed_by_admin') {
+    const subscriber = this.subscribers.get(subscriberId);
+    if (!subscriber) return false;
+
+    subscriber.close(reason);
+    this.removeSubscriber(subscriberId);
+    return true;
+  }
+
+  removeSubscriber(subscriberId) {
+    const subscriber = this.subscribers.get(subscriberId);
+    if (!subscriber) return;
+
+    subscriber.dispose();
+    this.subscribers.delete(subscriberId);
+    console.log(`📡 Live ${subscriber.kind} subscriber removed: ${subscriberId} (${this.subscribers.size} active)`);
+
+    if (this.subscribers.size === 0) this.stopReading();
+  }
+
+  listConnections() {
+    return Array.from(this.subscribers.values()).map(subscriber => ({
+      connectionId: subscriber.id,
+      kind: subscriber.kind,
+      filters: subscriber.filters,
+      client: subscriber.client,
+      connectedAt: subscriber.connectedAt,
+      eventsSent: subscriber.eventsSent
+    }));
+  }
+
+  getStats() {
+    const byKind = {};
+    this.subscribers.forEach(subscriber => {
+      byKind[subscriber.kind] = (byKind[subscriber.kind] || 0) + 1;
+    });
+
+    return {
+      activeConnections: this.subscribers.size,
+      connectionsByKind: byKind,
+      lastEventId: this.sequence,
+      bufferedEvents: this.buffer.length,
+      oldestBufferedEventId: this.buffer[0]?.id ?? null,
+      trackedFiles: Object.keys(this.cursors).length,
+      watching: this.listening,
+      watchedFolders: fileWatcherService.directories.size
+    };
+  }
+
+  // ==========================================
+  // Server-Sent Events
+  // ==========================================
+
+  // 🎯 Open an SSE response as a subscriber
+  openSseConnection(req, res, { filters = {}, lastEventId = null } = {}) {
+    let heartbeatTimer = null;
+
+    const result = this.addSubscriber({
+      kind: 'sse',
+      filters,
+      client: { ip: req.ip, userAgent: req.get('user-agent') || null },
+      deliver: (event) => this.sendSseEvent(res, event),
+      close: (reason) => {
+        this.sendSseEvent(res, { id: null, type: 'close', data: { reason } });
+        res.end();
+      },
+      dispose: () => clearInterval(heartbeatTimer)
+    });
+    if (!result.success) return result;
+
+    const { subscriber } = result;
+
+    req.setTimeout(0); // long-lived: don't let the 2 min server timeout cut it
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    this.write(res, `retry: ${config.liveStream.retryMs}\n\n`);
+
+    this.sendSseEvent(res, {
+      id: null,
+      type: 'ready',
+      data: {
+        connectionId: subscriber.id,
+        filters: subscriber.filters,
+        lastEventId: this.sequence
+      }
+    });
+
+    if (lastEventId !== null) this.replay(subscriber, lastEventId);
+
+    heartbeatTimer = setInterval(() => {
+      this.write(res, `: heartbeat ${new Date().toISOString()}\n\n`);
+    }, config.liveStream.heartbeatMs);
+
+    req.on('close', () => this.removeSubscriber(subscriber.id));
+
+    return { success: true, connectionId: subscriber.id };
+  }
+
+  sendSseEvent(res, event) {
+    const lines = [];
+    if (event.id !== null) lines.push(`id: ${event.id}`);
+    lines.push(`event: ${event.type}`);
+    lines.push(`data: ${JSON.stringify(event.data)}`);
+
+    this.write(res, `${lines.join('\n')}\n\n`);
+  }
+
+  write(res, chunk) {
+    if (res.writableEnded) return;
+    res.write(chunk);
+    res.flush?.(); // compression middleware buffers otherwise
+  }
+
+  // ==========================================
+  // Publishing
+  // ==========================================
+
+  // 🎯 Number an event, keep it for replay and hand it to every matching subscriber
+  publish(type, data) {
+    const event = { id: ++this.sequence, type, data };
+
+    this.buffer.push(event);
+    if (this.buffer.length > config.liveStream.replayBufferSize) this.buffer.shift();
+
+    // Copy: a subscriber may unsubscribe itself while handling the event (alias_deleted)
+    for (const subscriber of [...this.subscribers.values()]) {
+      if (this.matches(subscriber, event)) this.deliver(subscriber, event);
+    }
+    return event;
+  }
+
+  deliver(subscriber, event) {
+    subscriber.deliver(event);
+    if (event.id !== null) subscriber.eventsSent++;
+  }
+
+  // Resend what the client missed; a gap larger than the buffer gets a "reset" event
+  replay(subscriber, lastEventId) {
+    const oldest = this.buffer[0]?.id ?? this.sequence + 1;
+
+    if (lastEventId < oldest - 1) {
+      this.deliver(subscriber, {
+        id: null,
+        type: 'reset',
+        data: {
+          reason: 'replay_gap',
+          message: 'Events after your Last-Event-ID are no longer buffered - reload the current view',
+          requestedAfter: lastEventId,
+          oldestAvailableId: this.buffer[0]?.id ?? null
+        }
+      });
+    }
+
+    this.buffer
+      .filter(event => event.id > lastEventId && this.matches(subscriber, event))
+      .forEach(event => this.deliver(subscriber, event));
+  }
+
+  matches({ filters, compiledQuery }, event) {
+    const { userId, aliasName, logLevel } = event.data || {};
+
+    if (filters.userIds.length > 0 && !filters.userIds.includes(userId)) return false;
+    if (filters.aliasNames.length > 0 && !filters.aliasNames.includes(aliasName)) return false;
+
+    // Level and text filters apply to log entries only; file / alias events always pass
+    if (event.type === 'log') {
+      if (filters.levels.length > 0 && !filters.levels.includes(logLevel)) return false;
+      if (compiledQuery && !compiledQuery.matches(event.data)) return false;
+    }
+
+    return true;
+  }
+
+  // ==========================================
+  // Alias changes
+  // ==========================================
+  onAliasDeleted(userId, aliasName) {
+    this.dropCursors(userId, aliasName);
+    this.publish('alias', { type: 'alias_deleted', userId, aliasName, at: new Date().toISOString() });
+  }
+
+  // Cursors follow the new name, otherwise every file would look new and be re-sent from the start
+  onAliasRenamed(userId, previousAliasName, aliasName) {
+    const prefix = `${userId}/${previousAliasName}/`;
+    Object.keys(this.cursors)
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => {
+        this.cursors[`${userId}/${aliasName}/${key.slice(prefix.length)}`] = this.cursors[key];
+        delete this.cursors[key];
+      });
+
+    // Matched on the old name, so subscribers filtering by it hear about the rename
+    this.publish('alias', {
+      type: 'alias_renamed',
+      userId,
+      aliasName: previousAliasName,
+      newAliasName: aliasName,
+      at: new Date().toISOString()
+    });
+  }
+
+  dropCursors(userId, aliasName) {
+    const prefix = `${userId}/${aliasName}/`;
+    Object.keys(this.cursors)
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => delete this.cursors[key]);
+  }
+
+  // ==========================================
+  // Shared read (driven by the file watcher)
+  // ==========================================
+  ensureReading() {
+    if (this.listening) return;
+
+    // Idle for long: start again at the end instead of pushing everything written meanwhile
+    if (this.stoppedAt && Date.now() - this.stoppedAt > config.liveStream.idleResetMs) {
+      this.cursors = {};
+      this.primed = false;
+    }
+
+    fileWatcherService.start(); // no-op when server.js already started it
+    WATCHER_EVENTS.forEach(name => fileWatcherService.on(name, this.onFileChange));
+    this.listening = true;
+    this.poll();
+  }
+
+  stopReading() {
+    WATCHER_EVENTS.forEach(name => fileWatcherService.off(name, this.onFileChange));
+    clearTimeout(this.holdTimer);
+    this.holdTimer = null;
+    this.listening = false;
+    this.stoppedAt = Date.now();
+    // Cursors are kept for a quick reconnect (Last-Event-ID resume across a page reload)
+  }
+
+  async poll() {
+    if (this.polling) {
+      this.pollQueued = true; // changed while reading - go again once this read is done
+      return;
+    }
+    this.polling = true;
+    clearTimeout(this.holdTimer);
+    this.holdTimer = null;
+
+    try {
+      let result;
+      do {
+        result = await this.aggregatorService.getLiveLogStream({
+          cursors: this.cursors,
+          firstPoll: !this.primed,
+          initialLines: 0
+        });
+
+        if (!result.success) {
+          console.warn(`⚠️ Live stream read failed: ${result.error}`);
+          return;
+        }
+
+        this.cursors = result.cursors;
+        this.primed = true;
+
+        result.liveData.events.forEach(fileEvent => this.publish('file', fileEvent));
+
+        // Oldest first so ids follow the order lines were written
+        [...result.liveData.newLogs].reverse().forEach(log => this.publish('log', log));
+      } while (result.hasMore && this.subscribers.size > 0);
+
+      // The watcher reports nothing once a file goes quiet: read again so its last entry is sent
+      if (result.held && this.listening) {
+        this.holdTimer = setTimeout(() => {
+          this.holdTimer = null;
+          this.poll();
+        }, config.liveStream.holdReleaseMs);
+        this.holdTimer.unref();
+      }
+
+    } catch (error) {
+      console.error('❌ Live stream read error:', error);
+    } finally {
+      this.polling = false;
+      if (this.pollQueued && this.listening) {
+        this.pollQueued = false;
+        this.poll();
+      }
+    }
+  }
+}
+
+// Create and export singleton instance
+export const liveStreamHub = new LiveStreamHub();
@@ -0,0 +1,203 @@
+// 📁 src/services/liveTailService.js
+// Incremental reads for live views: opaque per-file cursors, rotation / truncation detection
+// ==========================================
+import fs from 'fs-extra';
+import { config } from '../config/index.js';
+import { logTailService } from './logTailService.js';
+import { assembleFileEntries, readFileHeader } from './logEntryPipeline.js';
+import { readLinesFromHead, readLinesFromTail, readHeadSignature } from '../utils/fileUtils.js';
+
+const CURSOR_VERSION = 1;
+const HEAD_SIGNATURE_BYTES = 256;
+
+export class LiveTailService {
+  // 🎯 Cursor = base64url JSON { v, p: path, i: inode, s: size, o: byte offset, l: line number,
+  //   h / hl: signature of the first hl bytes, r: bytes already read past o (last entry held open) }
+  encodeCursor(state) {
+    return Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...state })).toString('base64url');
+  }
+
+  // Returns null for anything that isn't a cursor we issued
+  decodeCursor(cursor) {
+    if (!cursor || typeof cursor !== 'string') return null;
+    try {
+      const state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+      const valid = state && state.v === CURSOR_VERSION && typeof state.p === 'string' &&
+        Number.isInteger(state.o) && state.o >= 0 && Number.isInteger(state.l) && state.l >= 0;
+      return valid ? state : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // 🎯 Lines appended to filePath since cursor
+  // No cursor: start at the end of the file (with the last initialLines lines as a backlog)
+  // fromStart: file is new since the last poll - read it from byte 0
+  // Returns { lines, lineNumbers, cursor, event, hasMore } - event: null | rotated | truncated | invalid_cursor
+  async readSince(filePath, cursor = null, options = {}) {
+    const {
+      maxLines = config.liveTail.maxLinesPerFile,
+      initialLines = 0,
+      fromStart = false
+    } = options;
+
+    const stats = await fs.stat(filePath);
+    const headLength = Math.min(HEAD_SIGNATURE_BYTES, stats.size);
+    const headSignature = headLength > 0 ? await readHeadSignature(filePath, headLength) : null;
+    let state = cursor ? this.decodeCursor(cursor) : null;
+    let event = null;
+
+    if (cursor && (!state || state.p !== filePath)) {
+      event = { type: 'invalid_cursor', message: 'Cursor was not issued for this file - restarting at the end' };
+      state = null;
+    }
+
+    if (state) {
+      const inodeChanged = state.i && stats.ino && state.i !== stats.ino;
+      // Same bytes at the start means the file was only appended to (copytruncate + rewrite changes them)
+      let headChanged = false;
+      if (state.h && state.hl && stats.size >= state.hl) {
+        const currentHead = state.hl === headLength ? headSignature : await readHeadSignature(filePath, state.hl);
+        headChanged = currentHead !== state.h;
+      }
+
+      if (inodeChanged || headChanged) {
+        event = {
+          type: 'rotated',
+          message: 'File was replaced since the last read - reading the new file from the start',
+          previousSize: state.s
+        };
+        state = { o: 0, l: 0 };
+      } else if (stats.size < state.o) {
+        event = {
+          type: 'truncated',
+          message: `File shrank from ${state.o} to ${stats.size} bytes - reading again from the start`,
+          previousSize: state.s
+        };
+        state = { o: 0, l: 0 };
+      }
+    }
+
+    let readResult;
+    const readFrom = state ? state.o : 0;
+    if (state || fromStart) {
+      readResult = await readLinesFromHead(filePath, {
+        offset: state ? state.o : 0,
+        startLine: (state ? state.l : 0) + 1,
+        maxLines,
+        maxBytes: config.reader.maxBytesPerFile,
+        completeLinesOnly: true
+      });
+    } else {
+      // First sight: nothing "new" yet - optionally the last few lines, cursor at the end
+      readResult = await this.readInitialBacklog(filePath, stats, initialLines);
+    }
+
+    const cursorState = {
+      p: filePath,
+      i: stats.ino,
+      s: stats.size,
+      o: readResult.readStoppedAt.byteOffset,
+      l: readResult.readStoppedAt.lineNumber,
+      h: headSignature,
+      hl: headLength
+    };
+
+    return {
+      lines: readResult.lines,
+      lineNumbers: readResult.lineNumbers,
+      lineOffsets: readResult.lineOffsets || null, // null for the initial backlog (read backwards)
+      hasMore: readResult.truncated,
+      event,
+      fileSize: stats.size,
+      // Re-read from o but nothing past what the previous poll already saw (or the file was reset)
+      nothingNew: Boolean(state && !event && state.r && readResult.readStoppedAt.byteOffset <= state.r),
+      readFrom,
+      cursorState,
+      cursor: this.encodeCursor(cursorState)
+    };
+  }
+
+  // 🎯 Whole entries appended since cursor (readSince + assembly)
+  // The last entry may still be growing (stack trace written after its header line), so it is held back:
+  // the cursor stays at its start and it is read again with the next poll. It is returned once a newer
+  // entry starts after it or a poll finds nothing new (one quiet poll interval)
+  async readEntriesSince(filePath, cursor = null, { alias, file, ...options } = {}) {
+    const increment = await this.readSince(filePath, cursor, options);
+    const result = {
+      entries: [],
+      format: null,
+      hasMore: increment.hasMore,
+      event: increment.event,
+      held: false,
+      cursor: increment.cursor
+    };
+    if (increment.lines.length === 0) return result;
+
+    const { entries, format } = assembleFileEntries(increment.lines, increment.lineNumbers, {
+      alias,
+      file,
+      headerLines: await readFileHeader(filePath, increment.lineNumbers[0])
+    });
+    result.format = format;
+
+    const last = entries[entries.length - 1];
+    const lastIndex = increment.lineOffsets ? increment.lineNumbers.indexOf(last.startLine) : -1;
+    // A single entry filling the whole read budget can't wait for itself to finish
+    const canHold = lastIndex !== -1 && !increment.nothingNew && !(increment.hasMore && entries.length === 1);
+
+    if (canHold) {
+      entries.pop();
+      result.held = true;
+      result.cursor = this.encodeCursor({
+        ...increment.cursorState,
+        o: increment.lineOffsets[lastIndex],
+        l: last.startLine - 1,
+        r: increment.cursorState.o
+      });
+    }
+
+    result.entries = entries;
+    return result;
+  }
+
+  async readInitialBacklog(filePath, stats, initialLines) {
+    // Cursor goes after the last complete line (a half-written line is picked up next time)
+    let endOffset = stats.size;
+    if (stats.size > 0 && !(await this.endsWithNewline(filePath, stats.size))) {
+      const lastLine = await readLinesFromTail(filePath, { maxLines: 1, countLines: false });
+      endOffset = lastLine.readStoppedAt.byteOffset;
+    }
+
+    // Complete lines before endOffset (checkpointed, so repeat first-reads of big files stay cheap)
+    const checkpoints = await logTailService.getValidCheckpoints(filePath, stats);
+    const lineNumber = await logTailService.countNewlinesWithCheckpoints(filePath, endOffset, checkpoints);
+    const readStoppedAt = { byteOffset: endOffset, lineNumber };
+
+    if (initialLines <= 0 || endOffset === 0) {
+      return { lines: [], lineNumbers: [], truncated: false, readStoppedAt };
+    }
+
+    const backlog = await readLinesFromTail(filePath, {
+      offset: endOffset,
+      maxLines: initialLines,
+      maxBytes: config.reader.maxBytesPerFile,
+      countLines: true,
+      countNewlinesBefore: (byteOffset) =>
+        logTailService.countNewlinesWithCheckpoints(filePath, byteOffset, checkpoints)
+    });
+
+    return { lines: backlog.lines, lineNumbers: backlog.lineNumbers, truncated: false, readStoppedAt };
+  }
+
+  async endsWithNewline(filePath, size) {
+    const handle = await fs.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(1);
+      await fs.read(handle, buffer, 0, 1, size - 1);
+      return buffer[0] === 0x0a;
+    } finally {
+      await fs.close(handle);
+    }
+  }
+}
@@ -1,15 +1,50 @@
 // 📁 src/services/logAggregatorService.js
 // Advanced Log Aggregation Service
 // ==========================================
-import { UserAliasService } from './userAliasService.js';
+import fs from 'fs-extra';
+import path from 'path';
+import { userAliasService } from './userAliasService.js';
 import { SimpleLogService } from './simpleLogService.js';
+import {
+  assembleFileEntries,
+  createEntryBatcher,
+  isInTimeWindow,
+  readFileHeader,
+  toQueryRecord,
+  detectEntryLevel,
+  entryHasStackTrace
+} from './logEntryPipeline.js';
+import { LiveTailService } from './liveTailService.js';
+import { fileWatcherService } from './fileWatcherService.js';
+import { PlainTextParser } from '../parsers/plainText.parser.js';
+import { config as appConfig } from '../config/index.js';
+import {
+  addDaysToDateString,
+  getZonedParts,
+  isValidDateString,
+  isValidTimeZone,
+  resolveDateRange,
+  toDateStringInTimeZone,
+  validateDateRangeParams,
+  zonedPartsToDate
+} from '../utils/dateUtils.js';
+import { forEachLine } from '../utils/fileUtils.js';
+import { compileQueryOption } from '../utils/logQuery.js';
+import { fingerprintLog } from '../utils/errorFingerprint.js';
+import { logIndexService, indexWords } from './logIndexService.js';
+import { errorRegistryService } from './errorRegistryService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_SPARKLINE_HOURS = (appConfig.dateRange.maxSpanDays + 1) * 24;
 
 export class LogAggregatorService {
   constructor() {
-    this.userAliasService = new UserAliasService();
+    this.userAliasService = userAliasService;
     this.logService = new SimpleLogService();
     this.cache = new Map(); // Cache for better performance
     this.cacheTimeout = 60000; // 1 minute cache
+    this.plainParser = new PlainTextParser();
+    this.liveTail = new LiveTailService();
   }
 
   // 🎯 Smart log aggregation with filtering and grouping
@@ -19,10 +54,15 @@ export class LogAggregatorService {
         userIds = [],
         aliasNames = [],
         date = null,
+        startDate = null, // startDate..endDate (inclusive) instead of a single date
+        endDate = null,
+        startTime = null, // HH:mm[:ss] - trims entries to an exact window
+        endTime = null,
         logLevels = [],
+        query = null, // boolean query, e.g. level:ERROR AND (timeout OR "connection refused")
         limit = 1000,
         offset = 0,
-        groupBy = 'timestamp', // 'timestamp', 'user', 'alias', 'level'
+        groupBy = 'timestamp', // 'timestamp', 'user', 'alias', 'level', 'file', 'hour', 'date', 'fingerprint'
         sortBy = 'timestamp',
         sortOrder = 'desc',
         includeMetadata = true,
@@ -32,10 +72,27 @@ export class LogAggregatorService {
       console.log(`🔄 Aggregating logs with config:`, {
         users: userIds.length || 'ALL',
         aliases: aliasNames.length || 'ALL',
-        date: date || 'current',
+        date: startDate || endDate ? `${startDate || endDate}..${endDate || startDate}` : date || 'current',
         levels: logLevels.length || 'ALL'
       });
 
+      const dateParams = { date, startDate, endDate, startTime, endTime };
+      const dateError = validateDateRangeParams(dateParams, {
+        maxSpanDays: appConfig.dateRange.maxSpanDays
+      });
+      if (dateError) {
+        return { success: false, error: dateError, invalidDateRange: true, config };
+      }
+
+      const { compiledQuery, error: queryError } = compileQueryOption(query, {
+        timeZone: (log) => this.userAliasService.resolveTimezone(log.userId, log.aliasName)
+      });
+      if (queryError) {
+        return { success: false, ...queryError.toJSON(), invalidQuery: true, config };
+      }
+      // Words every match contains: indexed files without them are not read at all
+      const requiredWords = [...new Set((compiledQuery?.requiredTerms || []).flatMap(indexWords))];
+
       const cacheKey = this.generateCacheKey(config);
       
       // Check cache first
@@ -65,12 +122,17 @@ export class LogAggregatorService {
           processedUsers: 0,
           totalFiles: 0,
           totalLogs: 0,
+          outsideTimeWindow: 0,
+          truncatedFiles: 0, // files cut at the per-file read budget
+          skippedByIndex: 0, // files the log index shows can't match the query's required text
+          readViaIndex: 0, // files read only around the index's candidate lines
           groupedData: {},
           filterCounts: {
             beforeFiltering: 0,
             afterFiltering: 0,
             levelFiltering: 0,
-            aliasFiltering: 0
+            aliasFiltering: 0,
+            queryFiltering: 0
           }
         },
         config: {
@@ -82,14 +144,19 @@ export class LogAggregatorService {
       // Process each user
       for (const userId of targetUsers) {
         const userResult = await this.processUserLogs(userId, {
-          date,
+          ...dateParams,
           aliasNames,
-          logLevels
+          logLevels,
+          requiredWords
         });
 
         if (userResult.success) {
           aggregationResult.logs.push(...userResult.logs);
           aggregationResult.metadata.totalFiles += userResult.filesCount;
+          aggregationResult.metadata.outsideTimeWindow += userResult.outsideTimeWindow;
+          aggregationResult.metadata.truncatedFiles += userResult.truncatedFiles;
+          aggregationResult.metadata.skippedByIndex += userResult.skippedByIndex;
+          aggregationResult.metadata.readViaIndex += userResult.readViaIndex;
           aggregationResult.metadata.processedUsers++;
         } else {
           console.warn(`⚠️ Failed to process user ${userId}: ${userResult.error}`);
@@ -106,6 +173,12 @@ export class LogAggregatorService {
         aggregationResult.metadata.filterCounts.levelFiltering = filteredLogs.length;
       }
 
+      // Query filtering
+      if (compiledQuery) {
+        filteredLogs = filteredLogs.filter(log => compiledQuery.matches(log));
+        aggregationResult.metadata.filterCounts.queryFiltering = filteredLogs.length;
+      }
+
       aggregationResult.metadata.filterCounts.afterFiltering = filteredLogs.length;
       aggregationResult.metadata.totalLogs = filteredLogs.length;
 
@@ -114,7 +187,9 @@ export class LogAggregatorService {
 
       // Grouping
       if (groupBy && includeMetadata) {
-        aggregationResult.metadata.groupedData = this.groupLogs(filteredLogs, groupBy);
+        aggregationResult.metadata.groupedData = this.groupLogs(filteredLogs, groupBy, {
+          timeZone: appConfig.time.defaultSourceTimezone
+        });
       }
 
       // Pagination
@@ -158,7 +233,7 @@ export class LogAggregatorService {
   // 🎯 Process single user's logs
   async processUserLogs(userId, options = {}) {
     try {
-      const { date = null, aliasNames = [], logLevels = [] } = options;
+      const { aliasNames = [], logLevels = [], requiredWords = [], ...dateParams } = options;
       
       const userAliases = this.userAliasService.getUserAliases(userId);
       
@@ -167,7 +242,8 @@ export class LogAggregatorService {
           success: false,
           error: `No aliases found for user ${userId}`,
           logs: [],
-          filesCount: 0
+          filesCount: 0,
+          outsideTimeWindow: 0
         };
       }
 
@@ -181,53 +257,61 @@ export class LogAggregatorService {
           success: false,
           error: `No matching aliases found for user ${userId}`,
           logs: [],
-          filesCount: 0
+          filesCount: 0,
+          outsideTimeWindow: 0
         };
       }
 
       const userLogs = [];
       let filesCount = 0;
+      let outsideTimeWindow = 0;
+      let truncatedFiles = 0;
+      let skippedByIndex = 0;
+      let readViaIndex = 0;
 
       for (const alias of targetAliases) {
-        const filesResult = await this.logService.findTodaysFiles(alias.basePath, date);
+        const timeZone = this.userAliasService.resolveTimezone(userId, alias);
+        const filesResult = await this.logService.findFiles(alias.basePath, dateParams, { timeZone });
         
         if (filesResult.success && filesResult.files.length > 0) {
           for (const file of filesResult.files) {
-            const contentResult = await this.logService.readFileContent(file.filePath);
-            
-            if (contentResult.success) {
+            if (requiredWords.length > 0 && await logIndexService.fileMayContain(file, requiredWords) === false) {
+              skippedByIndex++;
+              continue;
+            }
+
+            // Indexed files are read around the lines holding the query's words (whole file covered);
+            // the rest newest part first - the read budget keeps the most recent entries
+            const fileIndex = requiredWords.length > 0 ? await logIndexService.getFileIndex(file) : null;
+            const fileRead = fileIndex
+              ? await this.readEntriesViaIndex(file, fileIndex, { alias, requiredWords })
+              : await this.readFileEntries(file, { alias });
+
+            if (fileRead.success) {
               filesCount++;
+              if (fileRead.truncated) truncatedFiles++;
+              if (fileIndex) readViaIndex++;
+              const { entries, format } = fileRead;
 
-              // Convert raw lines to structured log objects
-              contentResult.content.forEach((line, index) => {
-                const logEntry = {
-                  id: `${userId}-${alias.aliasName}-${file.fileName}-${index}`,
+              // Every error read from the file feeds the registry (new / resurfaced / gone errors);
+              // index reads only see matching entries - index passes report those files
+              if (!fileIndex) {
+                errorRegistryService.recordFileCounts({
                   userId,
-                  userName: userId,
                   aliasName: alias.aliasName,
-                  aliasPath: alias.basePath,
                   fileName: file.fileName,
-                  filePath: file.filePath,
-                  lineNumber: index + 1,
-                  content: line,
-                  rawContent: line,
-                  timestamp: this.extractTimestamp(line),
-                  logLevel: this.detectLogLevel(line),
-                  fileModified: file.modified,
-                  fileSize: file.size,
-                  fileSizeFormatted: file.sizeFormatted,
-                  source: `${userId}/${alias.aliasName}/${file.fileName}`,
-                  metadata: {
-                    extractedAt: new Date().toISOString(),
-                    isError: this.isErrorLog(line),
-                    isWarning: this.isWarningLog(line),
-                    hasStackTrace: line.includes('at ') && line.includes('('),
-                    lineLength: line.length
-                  }
-                };
-
-                userLogs.push(logEntry);
-              });
+                  timeZone,
+                  counts: errorRegistryService.countEntries(entries, { timeZone, fallbackTime: file.modified })
+                });
+              }
+
+              // Range / time-of-day queries keep only entries inside the exact window
+              const inWindow = entries.filter(entry => isInTimeWindow(entry, filesResult.window));
+              outsideTimeWindow += entries.length - inWindow.length;
+
+              userLogs.push(
+                ...inWindow.map(entry => this.buildLogEntry(entry, { userId, alias, file, format }))
+              );
             }
           }
         }
@@ -237,6 +321,10 @@ export class LogAggregatorService {
         success: true,
         logs: userLogs,
         filesCount,
+        outsideTimeWindow,
+        truncatedFiles,
+        skippedByIndex,
+        readViaIndex,
         aliasesProcessed: targetAliases.length
       };
 
@@ -245,11 +333,122 @@ export class LogAggregatorService {
         success: false,
         error: error.message,
         logs: [],
-        filesCount: 0
+        filesCount: 0,
+        outsideTimeWindow: 0
       };
     }
   }
 
+  // 🎯 Whole file read from the end, at most config.reader.maxBytesPerFile
+  async readFileEntries(file, { alias }) {
+    const contentResult = await this.logService.readFileContent(file.filePath, {
+      keepLineNumbers: true,
+      from: 'tail'
+    });
+    if (!contentResult.success) return contentResult;
+
+    const { entries, format } = assembleFileEntries(
+      contentResult.content,
+      contentResult.lineNumbers,
+      { alias, file, headerLines: await readFileHeader(file.filePath, contentResult.lineNumbers[0]) }
+    );
+    return { success: true, entries, format, truncated: contentResult.truncated };
+  }
+
+  // 🎯 Indexed file: only the regions around lines holding every required word, each read from a
+  // little before the candidate (to the head of its entry) and on until the entry's stack trace ends,
+  // then the part appended since the last index pass. Entries without all the words are dropped
+  // The read budget counts the lines actually read, not the file size
+  async readEntriesViaIndex(file, fileIndex, { alias, requiredWords }) {
+    const regions = [];
+    let region = null;
+    let bytesRead = 0;
+    let overBudget = false;
+
+    const indexResult = await logIndexService.forEachCandidateLine(file, fileIndex, requiredWords, {
+      before: Math.ceil(appConfig.index.markEveryLines / 2),
+      after: appConfig.index.markEveryLines
+    }, (text, lineNumber) => {
+      bytesRead += Buffer.byteLength(text) + 1;
+      if (bytesRead > appConfig.reader.maxBytesPerFile) {
+        overBudget = true;
+        return false;
+      }
+      if (!region) regions.push(region = { lines: [], lineNumbers: [] });
+      region.lines.push(text);
+      region.lineNumbers.push(lineNumber);
+      return true;
+    }, () => {
+      region = null;
+    });
+
+    const headerLines = await readFileHeader(file.filePath, regions[0]?.lineNumbers[0]);
+    const entries = [];
+    let format = null;
+
+    for (const { lines, lineNumbers } of regions) {
+      const assembled = assembleFileEntries(lines, lineNumbers, { alias, file, headerLines });
+      format = format || assembled.format;
+
+      assembled.entries.forEach((entry, index) => {
+        // A region opening mid-entry: the lines before its first header belong to an entry not read here
+        if (index === 0 && !entry.rawTimestamp && lineNumbers[0] > 1) return;
+        const content = (entry.content || '').toLowerCase();
+        if (requiredWords.every(word => content.includes(word))) entries.push(entry);
+      });
+    }
+
+    return { success: true, entries, format, truncated: indexResult.truncated || overBudget };
+  }
+
+  // 🎯 Convert an assembled entry to the structured log object
+  buildLogEntry(entry, { userId, alias, file, format = null }) {
+    const fields = entry.fields || {};
+    const logLevel = entry.logLevel || this.detectEntryLevel(entry);
+
+    return {
+      id: `${userId}-${alias.aliasName}-${file.fileName}-${entry.startLine}`,
+      userId,
+      userName: userId,
+      aliasName: alias.aliasName,
+      aliasPath: alias.basePath,
+      fileName: file.fileName,
+      filePath: file.filePath,
+      lineNumber: entry.startLine,
+      startLine: entry.startLine,
+      endLine: entry.endLine,
+      lineCount: entry.lineCount,
+      message: fields.message || entry.firstLine,
+      content: entry.content, // Full multi-line body
+      rawContent: entry.content,
+      timestamp: entry.timestamp, // UTC ISO (TimestampResolver)
+      timestampSource: entry.timestampSource,
+      rawTimestamp: entry.rawTimestamp,
+      logLevel,
+      fields: {
+        timestamp: fields.timestamp || null,
+        level: fields.level || null,
+        logger: fields.logger || null,
+        thread: fields.thread || null,
+        message: fields.message || entry.firstLine,
+        extra: fields.extra || {}
+      },
+      logFormat: format?.type || 'plain',
+      fileModified: file.modified,
+      fileSize: file.size,
+      fileSizeFormatted: file.sizeFormatted,
+      source: `${userId}/${alias.aliasName}/${file.fileName}`,
+      metadata: {
+        extractedAt: new Date().toISOString(),
+        isError: logLevel === 'ERROR',
+        isWarning: logLevel === 'WARNING',
+        isMultiLine: entry.isMultiLine,
+        hasStackTrace: this.hasStackTrace(entry),
+        lineLength: entry.content.length
+      }
+    };
+  }
+
   // 🎯 Sort logs by different criteria
   sortLogs(logs, sortBy, sortOrder = 'desc') {
     const multiplier = sortOrder === 'desc' ? -1 : 1;
@@ -283,8 +482,18 @@ export class LogAggregatorService {
   }
 
   // 🎯 Group logs by different criteria
-  groupLogs(logs, groupBy) {
+  // timeZone: zone the 'hour' / 'date' buckets are labelled in
+  // 'fingerprint': one group per error cluster (see clusterErrors), most frequent first
+  groupLogs(logs, groupBy, options = {}) {
+    const { timeZone = appConfig.time.defaultSourceTimezone } = options;
     const grouped = {};
+
+    if (groupBy === 'fingerprint') {
+      this.clusterErrors(logs, { includeLogs: true }).forEach(cluster => {
+        grouped[cluster.fingerprint] = cluster;
+      });
+      return grouped;
+    }
     
     logs.forEach(log => {
       let groupKey;
@@ -303,11 +512,11 @@ export class LogAggregatorService {
           groupKey = log.fileName;
           break;
         case 'hour':
-          const hour = new Date(log.timestamp || log.fileModified).getHours();
+          const hour = getZonedParts(log.timestamp || log.fileModified, timeZone).hour;
           groupKey = `${hour}:00`;
           break;
         case 'date':
-          groupKey = new Date(log.timestamp || log.fileModified).toISOString().split('T')[0];
+          groupKey = toDateStringInTimeZone(log.timestamp || log.fileModified, timeZone);
           break;
         default:
           groupKey = 'all';
@@ -332,46 +541,532 @@ export class LogAggregatorService {
     return grouped;
   }
 
+  // 🧬 Error clusters for the same filters as getAggregatedLogs (default: ERROR entries)
+  // limit = number of clusters returned; every matching entry is clustered
+  async getErrorClusters(config = {}) {
+    try {
+      const { logLevels = ['ERROR'], limit = 50, includeLogs = false, ...filters } = config;
+
+      const result = await this.getAggregatedLogs({
+        ...filters,
+        logLevels,
+        limit: Number.MAX_SAFE_INTEGER,
+        offset: 0,
+        groupBy: null,
+        includeMetadata: false
+      });
+      if (!result.success) return result;
+
+      const clusters = this.clusterErrors(result.logs, { includeLogs });
+
+      console.log(`🧬 ${result.logs.length} entries → ${clusters.length} error clusters`);
+
+      return {
+        success: true,
+        clusters: clusters.slice(0, limit),
+        totalClusters: clusters.length,
+        totalEntries: result.logs.length,
+        limit,
+        metadata: {
+          totalUsers: result.metadata.totalUsers,
+          processedUsers: result.metadata.processedUsers,
+          totalFiles: result.metadata.totalFiles,
+          truncatedFiles: result.metadata.truncatedFiles,
+          skippedByIndex: result.metadata.skippedByIndex
+        },
+        ...(result.fromCache && { fromCache: true }),
+        config: { ...config, logLevels, limit, executedAt: new Date().toISOString() }
+      };
+
+    } catch (error) {
+      console.error('❌ Error clustering errors:', error);
+      return {
+        success: false,
+        error: error.message,
+        config
+      };
+    }
+  }
+
+  // 🆕 Errors new on a day, back after quietDays without them, or gone since the day before
+  // Answered from the persistent registry; refresh runs an index pass of the users first
+  async getErrorChanges(config = {}) {
+    try {
+      const {
+        userIds = [],
+        aliasNames = [],
+        date = null, // default: today in each alias' zone
+        quietDays = appConfig.errorRegistry.defaultQuietDays,
+        refresh = false
+      } = config;
+
+      if (date && !isValidDateString(date)) {
+        return { success: false, invalidDateRange: true, error: 'date must be YYYY-MM-DD', config };
+      }
+
+      await Promise.all([errorRegistryService.ready, this.userAliasService.ready]);
+
+      if (refresh && appConfig.index.enabled) {
+        if (userIds.length === 0) await logIndexService.requestPass();
+        for (const userId of userIds) await logIndexService.requestPass({ userId });
+      }
+
+      const changes = errorRegistryService.getChanges({ userIds, aliasNames, date, quietDays });
+
+      console.log(`🆕 Error changes: ${changes.newErrors.length} new, ${changes.resurfaced.length} resurfaced, ${changes.gone.length} gone`);
+
+      return {
+        success: true,
+        summary: {
+          newErrors: changes.newErrors.length,
+          resurfaced: changes.resurfaced.length,
+          gone: changes.gone.length
+        },
+        ...changes,
+        registry: errorRegistryService.getStats(),
+        config: { ...config, quietDays, executedAt: new Date().toISOString() }
+      };
+
+    } catch (error) {
+      console.error('❌ Error reading error changes:', error);
+      return {
+        success: false,
+        error: error.message,
+        config
+      };
+    }
+  }
+
+  // 📊 Entry counts per time bucket and level (+ per alias or user) for volume charts - no log bodies
+  // Every selected file is streamed once; entries are counted as they are assembled and then dropped
+  // Buckets cover the requested dates in timeZone (aligned to its midnight) and are zero-filled
+  async getHistogram(config = {}) {
+    try {
+      const {
+        userIds = [],
+        aliasNames = [],
+        date = null,
+        startDate = null,
+        endDate = null,
+        startTime = null,
+        endTime = null,
+        logLevels = [],
+        query = null,
+        bucket = appConfig.histogram.defaultBucket, // '1m', '5m', '1h', '1d'
+        breakdown = null, // null, 'alias' or 'user'
+        timeZone = appConfig.time.defaultTimezone // zone the axis (dates, bucket boundaries) is laid out in
+      } = config;
+
+      const dateParams = { date, startDate, endDate, startTime, endTime };
+      const dateError = validateDateRangeParams(dateParams, {
+        maxSpanDays: appConfig.dateRange.maxSpanDays
+      });
+      if (dateError) {
+        return { success: false, error: dateError, invalidDateRange: true, config };
+      }
+
+      const bucketMinutes = appConfig.histogram.bucketSizes[bucket];
+      if (!bucketMinutes) {
+        return { success: false, error: `bucket must be one of ${Object.keys(appConfig.histogram.bucketSizes).join(', ')}`, invalidOptions: true, config };
+      }
+      if (breakdown !== null && !['alias', 'user'].includes(breakdown)) {
+        return { success: false, error: 'breakdown must be alias or user', invalidOptions: true, config };
+      }
+      if (!isValidTimeZone(timeZone)) {
+        return { success: false, error: `Unknown time zone: ${timeZone}`, invalidOptions: true, config };
+      }
+
+      const { compiledQuery, error: queryError } = compileQueryOption(query, {
+        timeZone: (record) => this.userAliasService.resolveTimezone(record.userId, record.aliasName)
+      });
+      if (queryError) {
+        return { success: false, ...queryError.toJSON(), invalidQuery: true, config };
+      }
+      const requiredWords = [...new Set((compiledQuery?.requiredTerms || []).flatMap(indexWords))];
+
+      // A single date is laid out as the whole day (or startTime..endTime of it)
+      const range = resolveDateRange(dateParams, timeZone);
+      const { window: axis } = resolveDateRange({
+        startDate: range.startDate,
+        endDate: range.endDate,
+        startTime,
+        endTime
+      }, timeZone);
+
+      const expectedBuckets = Math.ceil((axis.end - axis.start) / (bucketMinutes * 60 * 1000));
+      if (expectedBuckets > appConfig.histogram.maxBuckets) {
+        return {
+          success: false,
+          error: `${expectedBuckets} ${bucket} buckets requested (max ${appConfig.histogram.maxBuckets}) - use a larger bucket or a shorter range`,
+          invalidOptions: true,
+          config
+        };
+      }
+
+      await this.userAliasService.ready;
+
+      const targetUsers = userIds.length > 0 ? userIds : this.userAliasService.getAllUsers();
+      if (targetUsers.length === 0) {
+        return {
+          success: false,
+          error: 'No users found in system',
+          suggestion: 'Create user aliases first'
+        };
+      }
+
+      const buckets = this.histogramBuckets(axis, { timeZone, bucketMinutes, breakdown });
+      const bucketsByStart = new Map(buckets.map(entry => [entry.start.getTime(), entry]));
+      const totals = this.emptyHistogramCounts(breakdown);
+      const metadata = {
+        processedAliases: 0,
+        filesRead: 0,
+        skippedByIndex: 0,
+        entriesScanned: 0,
+        entriesCounted: 0,
+        filteredOut: 0, // level / query didn't match
+        outsideRange: 0, // timestamp outside the axis
+        untimed: 0, // no timestamp: can't be placed in a bucket
+        aliasErrors: []
+      };
+
+      const count = (entry, { userId, alias, file }) => {
+        metadata.entriesScanned++;
+
+        if (logLevels.length > 0 && !logLevels.includes(entry.logLevel)) {
+          metadata.filteredOut++;
+          return;
+        }
+        if (compiledQuery && !compiledQuery.matches(toQueryRecord(entry, { userId, alias, file }))) {
+          metadata.filteredOut++;
+          return;
+        }
+        if (!entry.timestamp) {
+          metadata.untimed++;
+          return;
+        }
+        if (!isInTimeWindow(entry, axis)) {
+          metadata.outsideRange++;
+          return;
+        }
+
+        const target = bucketsByStart.get(this.histogramBucketStart(entry.timestamp, { timeZone, bucketMinutes }).getTime());
+        if (!target) {
+          metadata.outsideRange++;
+          return;
+        }
+
+        const key = breakdown === 'user' ? userId : `${userId}/${alias.aliasName}`;
+        [target, totals].forEach(counts => this.addHistogramCount(counts, entry.logLevel, breakdown && key));
+        metadata.entriesCounted++;
+      };
+
+      for (const userId of targetUsers) {
+        const aliases = this.userAliasService.getUserAliases(userId)
+          .filter(alias => aliasNames.length === 0 || aliasNames.includes(alias.aliasName));
+
+        for (const alias of aliases) {
+          const aliasTimeZone = this.userAliasService.resolveTimezone(userId, alias);
+          const filesResult = await this.logService.findFiles(alias.basePath, dateParams, { timeZone: aliasTimeZone });
+          if (!filesResult.success) {
+            metadata.aliasErrors.push({ userId, aliasName: alias.aliasName, error: filesResult.error });
+            continue;
+          }
+
+          for (const file of filesResult.files) {
+            if (requiredWords.length > 0 && await logIndexService.fileMayContain(file, requiredWords) === false) {
+              metadata.skippedByIndex++;
+              continue;
+            }
+
+            try {
+              const batcher = createEntryBatcher({
+                alias,
+                file,
+                batchLines: appConfig.search.batchLines,
+                onEntries: (entries) => entries.forEach(entry => count(entry, { userId, alias, file }))
+              });
+              await forEachLine(file.filePath, (text, lineNumber) => batcher.push(text, lineNumber));
+              batcher.finish();
+              metadata.filesRead++;
+            } catch (error) {
+              console.warn(`⚠️ Histogram skipped ${file.filePath}: ${error.message}`);
+            }
+          }
+          metadata.processedAliases++;
+        }
+      }
+
+      console.log(`📊 Histogram: ${metadata.entriesCounted} entries in ${buckets.length} ${bucket} buckets (${metadata.filesRead} files)`);
+
+      return {
+        success: true,
+        buckets: buckets.map(({ start, end, ...counts }) => ({ start: start.toISOString(), end: end.toISOString(), ...counts })),
+        totals,
+        metadata,
+        range: {
+          startDate: range.startDate,
+          endDate: range.endDate,
+          start: axis.start.toISOString(),
+          end: axis.end.toISOString(),
+          timezone: timeZone
+        },
+        config: {
+          ...config,
+          bucket,
+          bucketMinutes,
+          breakdown,
+          timeZone,
+          executedAt: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error building histogram:', error);
+      return {
+        success: false,
+        error: error.message,
+        config
+      };
+    }
+  }
+
+  // Start of the bucket `time` falls in: local time floored to bucketMinutes (day buckets: local midnight)
+  histogramBucketStart(time, { timeZone, bucketMinutes }) {
+    const parts = getZonedParts(new Date(time), timeZone);
+    const minutes = Math.floor((parts.hour * 60 + parts.minute) / bucketMinutes) * bucketMinutes;
+    return zonedPartsToDate({
+      year: parts.year, month: parts.month, day: parts.day,
+      hour: Math.floor(minutes / 60), minute: minutes % 60, second: 0
+    }, timeZone);
+  }
+
+  // Zero-filled buckets overlapping the axis, oldest first
+  histogramBuckets(axis, { timeZone, bucketMinutes, breakdown = null }) {
+    const buckets = [];
+    let cursor = axis.start;
+
+    while (cursor <= axis.end) {
+      const start = this.histogramBucketStart(cursor, { timeZone, bucketMinutes });
+      const [year, month, day] = addDaysToDateString(toDateStringInTimeZone(start, timeZone), 1).split('-').map(Number);
+      let end = bucketMinutes >= 24 * 60
+        ? zonedPartsToDate({ year, month, day, hour: 0, minute: 0, second: 0 }, timeZone)
+        : new Date(start.getTime() + bucketMinutes * 60 * 1000);
+      // A local hour repeated at a DST change maps to the bucket already added
+      if (end <= cursor) end = new Date(cursor.getTime() + bucketMinutes * 60 * 1000);
+
+      if (buckets.length === 0 || start > buckets[buckets.length - 1].start) {
+        buckets.push({ start, end, ...this.emptyHistogramCounts(breakdown) });
+      }
+      cursor = end;
+    }
+
+    return buckets;
+  }
+
+  emptyHistogramCounts(breakdown) {
+    const counts = {
+      total: 0,
+      levels: Object.fromEntries(appConfig.histogram.levels.map(level => [level, 0]))
+    };
+    if (breakdown) counts.breakdown = {};
+    return counts;
+  }
+
+  // breakdownKey: 'userId' or 'userId/aliasName' - only keys with entries appear in a bucket
+  addHistogramCount(counts, level, breakdownKey = null) {
+    counts.total++;
+    counts.levels[level] = (counts.levels[level] || 0) + 1;
+
+    if (breakdownKey) {
+      const entry = counts.breakdown[breakdownKey] || (counts.breakdown[breakdownKey] = { total: 0, levels: {} });
+      entry.total++;
+      entry.levels[level] = (entry.levels[level] || 0) + 1;
+    }
+  }
+
+  // 🧬 Same fingerprint → one cluster: count, first / last seen, who is affected, hourly sparkline
+  // Sparklines of one call share an hourly axis (UTC hours) so clusters can be compared
+  clusterErrors(logs, options = {}) {
+    const { includeLogs = false } = options;
+    const clusters = new Map(); // fingerprint -> { fingerprint, signature, exceptionType, logs }
+
+    logs.forEach(log => {
+      const { fingerprint, signature, exceptionType } = fingerprintLog(log);
+      if (!clusters.has(fingerprint)) {
+        clusters.set(fingerprint, { fingerprint, signature, exceptionType, logs: [] });
+      }
+      clusters.get(fingerprint).logs.push(log);
+    });
+
+    const logTime = (log) => new Date(log.timestamp || log.fileModified).getTime();
+    // reduce, not Math.min(...times): tens of thousands of entries overflow the argument list
+    const times = logs.map(logTime).filter(Number.isFinite);
+    const minTime = times.reduce((min, time) => Math.min(min, time), Infinity);
+    const maxTime = times.reduce((max, time) => Math.max(max, time), -Infinity);
+    const axisEnd = times.length > 0 ? Math.floor(maxTime / HOUR_MS) * HOUR_MS : 0;
+    const axisStart = times.length > 0
+      ? Math.max(Math.floor(minTime / HOUR_MS) * HOUR_MS, axisEnd - (MAX_SPARKLINE_HOURS - 1) * HOUR_MS)
+      : 0;
+    const hours = times.length > 0 ? (axisEnd - axisStart) / HOUR_MS + 1 : 0;
+
+    return Array.from(clusters.values()).map(cluster => {
+      const counts = new Array(hours).fill(0);
+      let first = null;
+      let last = null;
+
+      cluster.logs.forEach(log => {
+        const time = logTime(log);
+        if (!Number.isFinite(time)) return;
+        if (!first || time < logTime(first)) first = log;
+        if (!last || time > logTime(last)) last = log;
+        if (time >= axisStart) counts[Math.floor((time - axisStart) / HOUR_MS)]++;
+      });
+
+      const sample = last || cluster.logs[0];
+      const unique = (keyOf) => [...new Set(cluster.logs.map(keyOf))];
+      const users = unique(log => log.userId);
+      const aliases = unique(log => `${log.userId}/${log.aliasName}`);
+      const files = unique(log => log.source);
+
+      return {
+        fingerprint: cluster.fingerprint,
+        signature: cluster.signature,
+        exceptionType: cluster.exceptionType,
+        level: sample.logLevel,
+        count: cluster.logs.length,
+        errors: cluster.logs.filter(log => log.logLevel === 'ERROR').length,
+        warnings: cluster.logs.filter(log => log.logLevel === 'WARNING').length,
+        firstSeen: first ? new Date(logTime(first)).toISOString() : null,
+        lastSeen: last ? new Date(logTime(last)).toISOString() : null,
+        // Most recent occurrence
+        sample: {
+          id: sample.id,
+          userId: sample.userId,
+          aliasName: sample.aliasName,
+          fileName: sample.fileName,
+          lineNumber: sample.lineNumber,
+          timestamp: sample.timestamp,
+          message: sample.message,
+          content: sample.content
+        },
+        users,
+        aliases,
+        files,
+        affected: { users: users.length, aliases: aliases.length, files: files.length },
+        sparkline: {
+          start: hours > 0 ? new Date(axisStart).toISOString() : null,
+          bucketMinutes: 60,
+          counts
+        },
+        ...(includeLogs && { logs: cluster.logs })
+      };
+    }).sort((a, b) => b.count - a.count || (b.lastSeen || '').localeCompare(a.lastSeen || ''));
+  }
+
   // 🎯 Get live log stream (for real-time monitoring)
+  // cursors: { "<userId>/<alias>/<fileName>": cursor } from the previous response.
+  // Only bytes appended since each cursor are read; no cursors = first poll (backlog + cursors only)
+  // firstPoll: set explicitly by long-lived callers whose cursor map can legitimately be empty
   async getLiveLogStream(config = {}) {
     try {
       const {
         userIds = [],
-        intervalMs = 5000,
-        maxLogsPerUser = 50,
-        sinceTimestamp = null
+        aliasNames = [],
+        cursors = null,
+        maxLinesPerFile = appConfig.liveTail.maxLinesPerFile,
+        initialLines = appConfig.liveTail.initialLines
       } = config;
 
+      const isFirstPoll = config.firstPoll ??
+        (!cursors || typeof cursors !== 'object' || Object.keys(cursors).length === 0);
       const targetUsers = userIds.length > 0 ? userIds : this.userAliasService.getAllUsers();
-      const cutoffTime = sinceTimestamp ? new Date(sinceTimestamp) : new Date(Date.now() - intervalMs);
-      
+
       const liveData = {
         newLogs: [],
         userActivity: {},
         totalNewLogs: 0,
+        events: [], // rotated / truncated / invalid_cursor / file_missing / alias_unreachable
         streamTime: new Date().toISOString()
       };
+      const nextCursors = {};
+      let hasMore = false;
+      let held = false;
 
       for (const userId of targetUsers) {
-        const userResult = await this.processUserLogs(userId);
-        
-        if (userResult.success) {
-          // Filter for recent logs
-          const recentLogs = userResult.logs.filter(log => {
-            const logTime = new Date(log.timestamp || log.fileModified);
-            return logTime > cutoffTime;
-          });
-
-          // Limit logs per user
-          const limitedLogs = recentLogs.slice(0, maxLogsPerUser);
-          
-          liveData.newLogs.push(...limitedLogs);
-          liveData.userActivity[userId] = {
-            newLogsCount: limitedLogs.length,
-            totalLogsAvailable: userResult.logs.length,
-            lastActivity: limitedLogs[0]?.timestamp || null
-          };
+        const userAliases = this.userAliasService.getUserAliases(userId)
+          .filter(alias => aliasNames.length === 0 || aliasNames.includes(alias.aliasName));
+        const userLogs = [];
+
+        for (const alias of userAliases) {
+          const timeZone = this.userAliasService.resolveTimezone(userId, alias);
+          // Watched folders answer from memory; anything else is scanned as before
+          const filesResult = fileWatcherService.findTodaysFiles(alias.basePath, { timeZone }) ||
+            await this.logService.findTodaysFiles(alias.basePath, null, { timeZone });
+          const keyPrefix = `${userId}/${alias.aliasName}/`;
+
+          if (!filesResult.success) {
+            liveData.events.push({
+              type: 'alias_unreachable',
+              userId,
+              aliasName: alias.aliasName,
+              message: filesResult.error
+            });
+            // Keep the alias's cursors so reading resumes once the path is back
+            Object.keys(cursors || {})
+              .filter(key => key.startsWith(keyPrefix))
+              .forEach(key => { nextCursors[key] = cursors[key]; });
+            continue;
+          }
+
+          const files = [...filesResult.files];
+
+          // Files we had a cursor for that dropped out of "today" (e.g. midnight): drain them once
+          for (const key of Object.keys(cursors || {})) {
+            if (!key.startsWith(keyPrefix)) continue;
+            const fileName = key.slice(keyPrefix.length);
+            if (files.some(file => file.fileName === fileName)) continue;
+
+            const filePath = path.join(alias.basePath, fileName);
+            try {
+              const stats = await fs.stat(filePath);
+              files.push({ ...this.logService.buildFileInfo(fileName, filePath, stats, timeZone), draining: true });
+            } catch {
+              liveData.events.push({ type: 'file_missing', key, userId, aliasName: alias.aliasName, fileName });
+            }
+          }
+
+          for (const file of files) {
+            const key = `${keyPrefix}${file.fileName}`;
+            // The newest entry is held back until it is complete (see readEntriesSince)
+            const increment = await this.liveTail.readEntriesSince(file.filePath, cursors?.[key] || null, {
+              alias,
+              file,
+              maxLines: Math.min(maxLinesPerFile, appConfig.liveTail.maxLinesPerFile),
+              initialLines: isFirstPoll ? initialLines : 0,
+              fromStart: !isFirstPoll && !cursors?.[key] // appeared since the last poll
+            });
+
+            if (!file.draining || increment.hasMore || increment.held) nextCursors[key] = increment.cursor;
+            if (increment.hasMore) hasMore = true;
+            if (increment.held) held = true;
+            if (increment.event) {
+              liveData.events.push({ ...increment.event, key, userId, aliasName: alias.aliasName, fileName: file.fileName });
+            }
+
+            userLogs.push(...increment.entries.map(entry => this.buildLogEntry(entry, {
+              userId, alias, file, format: increment.format
+            })));
+          }
         }
+
+        liveData.newLogs.push(...userLogs);
+        liveData.userActivity[userId] = {
+          newLogsCount: userLogs.length,
+          lastActivity: userLogs.reduce(
+            (latest, log) => (!latest || log.timestamp > latest ? log.timestamp : latest),
+            null
+          )
+        };
       }
 
       // Sort by timestamp (newest first)
@@ -384,6 +1079,9 @@ export class LogAggregatorService {
       return {
         success: true,
         liveData,
+        cursors: nextCursors, // send back as-is on the next poll
+        hasMore, // a file had more appended than one poll reads - poll again right away
+        held, // a file's newest entry was held back - a poll without new data releases it
         hasNewActivity: liveData.totalNewLogs > 0
       };
 
@@ -401,7 +1099,13 @@ export class LogAggregatorService {
       config.userIds?.sort().join(',') || 'all',
       config.aliasNames?.sort().join(',') || 'all',
       config.date || 'current',
+      config.startDate || '',
+      config.endDate || '',
+      config.startTime || '',
+      config.endTime || '',
       config.logLevels?.sort().join(',') || 'all',
+      config.query || '',
+      config.groupBy || '',
       config.limit || 1000,
       config.offset || 0
     ];
@@ -414,29 +1118,22 @@ export class LogAggregatorService {
     console.log('🧹 Cache cleared');
   }
 
-  // Helper methods
+  // Helper methods (plain-text heuristics live in the plain parser)
   extractTimestamp(line) {
-    const patterns = [
-      /^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\]/,
-      /^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})/,
-      /^\[(\d{2}:\d{2}:\d{2})\]/,
-      /^(\d{2}:\d{2}:\d{2})/
-    ];
+    return this.plainParser.extractTimestamp(line);
+  }
 
-    for (const pattern of patterns) {
-      const match = line.match(pattern);
-      if (match) return match[1];
-    }
+  detectLogLevel(line) {
+    return this.plainParser.detectLogLevel(line);
+  }
 
-    return new Date().toISOString();
+  // Level comes from the header line; a trailing stack trace still marks it as an error
+  detectEntryLevel(entry) {
+    return detectEntryLevel(entry);
   }
 
-  detectLogLevel(line) {
-    const lowerLine = line.toLowerCase();
-    if (lowerLine.includes('error') || lowerLine.includes('failed') || lowerLine.includes('exception')) return 'ERROR';
-    if (lowerLine.includes('warn') || lowerLine.includes('warning')) return 'WARNING';
-    if (lowerLine.includes('info') || lowerLine.includes('success')) return 'INFO';
-    return 'DEBUG';
+  hasStackTrace(entry) {
+    return entryHasStackTrace(entry);
   }
 
   isErrorLog(line) {
@@ -0,0 +1,116 @@
+// 📁 src/services/logEntryAssembler.js
+// Joins continuation lines (stack frames, wrapped messages) onto the entry before them
+// With a structured parser (JSON, logfmt, layouts...) every parseable line starts an entry
+// ==========================================
+
+// Lines that always belong to the previous entry, whatever the file looks like
+const CONTINUATION_PATTERNS = [
+  /^\s+/,                                   // indented frames / wrapped text
+  /^at\s+\S/,                               // Java / .NET / Node stack frames
+  /^Caused by:/,                            // Java chained cause
+  /^[\w.$]+(Exception|Error)(:|$)/,         // exception type header under the message
+  /^---\s*End of (inner exception|stack trace)/i, // .NET inner exception markers
+  /^\.\.\.\s*\d+\s+more/,                   // Java "... 12 more"
+  /^Traceback \(most recent call last\)/,   // Python
+  /^[\]})]+[,;]?$/                          // closing brackets of dumped objects
+];
+
+// Lines that look like the start of a new entry
+const ENTRY_START_PATTERNS = [
+  /^\[?\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?/,  // 2025-09-01 10:00:00 / ISO
+  /^\[?\d{2}[/-]\d{2}[/-]\d{4}[ T]\d{2}:\d{2}/,     // 01/09/2025 10:00
+  /^\[?\d{2}:\d{2}:\d{2}/,                          // 10:00:00
+  /^\[?\d{10,13}\b/                                 // epoch seconds / millis
+];
+
+// Used by format detection to leave stack-trace lines out of the sample
+export const looksLikeContinuation = (line) =>
+  CONTINUATION_PATTERNS.some(pattern => pattern.test(line));
+
+export class LogEntryAssembler {
+  constructor(options = {}) {
+    this.maxEntryLines = options.maxEntryLines || 500;
+    this.parser = options.parser || null; // from logParserService.createParser()
+    this.current = null;
+  }
+
+  isEntryStart(line) {
+    return ENTRY_START_PATTERNS.some(pattern => pattern.test(line));
+  }
+
+  isContinuation(line) {
+    if (!this.current) return false;
+    if (this.current.lines.length >= this.maxEntryLines) return false;
+    if (looksLikeContinuation(line)) return true;
+
+    // 🎯 Un-stamped line after a stamped entry = wrapped message
+    return this.current.hasTimestamp && !this.isEntryStart(line);
+  }
+
+  // Feed one line; returns the entry it completed (or null)
+  push(line, lineNumber) {
+    // Parser state lines (IIS directives) don't become entries
+    if (this.parser?.consumeLine?.(line)) return null;
+
+    let fields = null;
+
+    if (this.parser?.structured) {
+      fields = this.parser.parseLine(line);
+      const canAppend = this.current && this.current.lines.length < this.maxEntryLines;
+      if (!fields && canAppend) return this.append(line, lineNumber);
+    } else if (this.isContinuation(line)) {
+      return this.append(line, lineNumber);
+    }
+
+    const completed = this.flush();
+    this.current = {
+      startLine: lineNumber,
+      endLine: lineNumber,
+      hasTimestamp: this.isEntryStart(line),
+      fields,
+      lines: [line]
+    };
+    return completed;
+  }
+
+  append(line, lineNumber) {
+    this.current.lines.push(line);
+    this.current.endLine = lineNumber;
+    return null;
+  }
+
+  // Close the open entry (end of file)
+  flush() {
+    if (!this.current) return null;
+
+    const { startLine, endLine, lines } = this.current;
+    const fields = this.current.fields || (this.parser ? this.parser.parseLine(lines[0]) : null);
+    this.current = null;
+
+    return {
+      startLine,
+      endLine,
+      lineCount: lines.length,
+      firstLine: lines[0],
+      lines,
+      content: lines.join('\n'),
+      isMultiLine: lines.length > 1,
+      fields // structured fields from the parser (null without one)
+    };
+  }
+
+  // 🎯 Whole-array convenience: lines[i] sits on lineNumbers[i] (defaults to i + 1)
+  assemble(lines, lineNumbers = null) {
+    const entries = [];
+
+    lines.forEach((line, index) => {
+      const entry = this.push(line, lineNumbers ? lineNumbers[index] : index + 1);
+      if (entry) entries.push(entry);
+    });
+
+    const last = this.flush();
+    if (last) entries.push(last);
+
+    return entries;
+  }
+}
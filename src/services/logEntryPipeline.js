@@ -0,0 +1,107 @@
+// 📁 src/services/logEntryPipeline.js
+// File lines → parsed, assembled entries with resolved UTC timestamps and levels
+// ==========================================
+import { LogEntryAssembler } from './logEntryAssembler.js';
+import { logParserService } from './logParserService.js';
+import { TimestampResolver } from './timestampResolver.js';
+import { PlainTextParser } from '../parsers/plainText.parser.js';
+import { readLinesFromHead } from '../utils/fileUtils.js';
+
+const plainParser = new PlainTextParser();
+const FILE_HEADER_LINES = 10; // IIS writes #Software / #Version / #Date / #Fields at the top
+const FILE_HEADER_BYTES = 16 * 1024;
+
+// 🎯 Alias format (or auto-detected) → whole entries → entry.timestamp / timestampSource / logLevel
+// headerLines: top of the file when `lines` start further down (tail / cursor reads), so parser state
+// declared there (IIS #Fields column layout) still applies
+export const assembleFileEntries = (lines, lineNumbers, { alias, file, headerLines = [] }) => {
+  const { parser, format } = logParserService.createParser(alias.logFormat, [...headerLines, ...lines]);
+  headerLines.forEach(line => parser.consumeLine?.(line));
+
+  // Join stack traces / wrapped lines into whole entries first
+  const entries = new LogEntryAssembler({ parser }).assemble(lines, lineNumbers);
+
+  entries.forEach(entry => {
+    entry.rawTimestamp = entry.fields?.timestamp || plainParser.extractTimestamp(entry.firstLine);
+    entry.logLevel = logParserService.normalizeLevel(entry.fields?.level) || detectEntryLevel(entry);
+  });
+
+  // Real UTC times: alias source zone + file date for time-only stamps
+  new TimestampResolver({
+    timeZone: alias.sourceTimezone,
+    fileModified: file.modified
+  }).resolveEntries(entries);
+
+  return { entries, format };
+};
+
+// 🎯 Streamed lines (forEachLine) → whole entries, handed to onEntries a batch at a time
+// The last entry of a batch may go on in the next one (stack trace), so its lines are assembled again with it
+export const createEntryBatcher = ({ alias, file, batchLines = 1000, onEntries, headerLines = [] }) => {
+  let lines = [];
+  let lineNumbers = [];
+  let header = headerLines; // later batches get the file's first lines again
+
+  const flush = (final) => {
+    if (lines.length === 0) return;
+    const { entries } = assembleFileEntries(lines, lineNumbers, { alias, file, headerLines: header });
+    const carried = final || entries.length < 2 ? null : entries.pop();
+
+    onEntries(entries);
+
+    const keepFrom = carried ? lineNumbers.indexOf(carried.startLine) : lines.length;
+    lines = lines.slice(keepFrom);
+    lineNumbers = lineNumbers.slice(keepFrom);
+  };
+
+  return {
+    push(text, lineNumber) {
+      if (lineNumber <= FILE_HEADER_LINES && header.length < FILE_HEADER_LINES) header = [...header, text];
+      lines.push(text);
+      lineNumbers.push(lineNumber);
+      if (lines.length >= batchLines) flush(false);
+    },
+    finish: () => flush(true)
+  };
+};
+
+// 🎯 First lines of a file, for reads that start past them (empty when the read starts at line 1)
+export const readFileHeader = async (filePath, firstLineNumber = 1) => {
+  if (firstLineNumber <= 1) return [];
+  const { lines } = await readLinesFromHead(filePath, { maxLines: FILE_HEADER_LINES, maxBytes: FILE_HEADER_BYTES });
+  return lines;
+};
+
+// Level comes from the header line; a trailing stack trace still marks it as an error
+export const detectEntryLevel = (entry) => {
+  const level = plainParser.detectLogLevel(entry.firstLine);
+  if (level === 'DEBUG' && entryHasStackTrace(entry)) return 'ERROR';
+  return level;
+};
+
+export const entryHasStackTrace = (entry) =>
+  entry.lines.slice(1).some(line => {
+    const trimmed = line.trim();
+    return trimmed.startsWith('at ') || trimmed.startsWith('Caused by:') ||
+      trimmed.startsWith('--- End of inner exception');
+  });
+
+// 🎯 Entry (+ where it came from) → record for compileLogQuery().matches
+export const toQueryRecord = (entry, { userId, alias, file }) => ({
+  userId,
+  aliasName: alias.aliasName,
+  fileName: file.fileName,
+  logLevel: entry.logLevel,
+  timestamp: entry.timestamp,
+  message: entry.fields?.message || entry.firstLine,
+  content: entry.content
+});
+
+// window: { start: Date, end: Date } from resolveDateRange (null = no trimming)
+export const isInTimeWindow = (entry, window) => {
+  if (!window) return true;
+  if (!entry.timestamp) return false;
+
+  const time = new Date(entry.timestamp).getTime();
+  return time >= window.start.getTime() && time <= window.end.getTime();
+};
@@ -0,0 +1,686 @@
+// 📁 src/services/logIndexService.js
+// On-disk inverted index of alias log files: term → postings (line number, byte offset) per file
+// ==========================================
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { userAliasService } from './userAliasService.js';
+import { SimpleLogService } from './simpleLogService.js';
+import { config } from '../config/index.js';
+import { forEachLine, readHeadSignature, writeJsonAtomic } from '../utils/fileUtils.js';
+import { createEntryBatcher, readFileHeader } from './logEntryPipeline.js';
+import { errorRegistryService } from './errorRegistryService.js';
+import { addDaysToDateString, getTodayString, toDateStringInTimeZone } from '../utils/dateUtils.js';
+
+const HEAD_SIGNATURE_BYTES = 256;
+const TERM_SPLIT = /[^\p{L}\p{N}_]+/u;
+
+const isIndexableTerm = (term) => term.length >= config.index.minTermLength && /\p{L}/u.test(term);
+
+// 🎯 Terms of a line as stored in the index (lower-cased words with at least one letter)
+export const indexTerms = (text) => text.toLowerCase().split(TERM_SPLIT).filter(isIndexableTerm);
+
+// 🎯 Words of a search text the index can answer: a line containing the text contains every word
+// inside one of its terms, so term.includes(word) gives a superset of the matching lines
+export const indexWords = (text) => [...new Set(indexTerms(String(text ?? '')))];
+
+// Layout under storage/log-index:
+//   manifest.json        { version, retentionDays, lastRun, files: { id: summary } }
+//   files/<id>.json      { id, filePath, indexedBytes, indexedLines, headLength, headSignature,
+//                          terms: { term: [lineNumber, byteOffset, ...] }, marks: [[lineNumber, byteOffset], ...],
+//                          errorCounts: { fingerprint: { signature, days: { date: count }, ... } } }
+// Checkpoints (indexedBytes / indexedLines + head signature) let each pass index only appended data
+class LogIndexService {
+  constructor() {
+    this.logService = new SimpleLogService();
+    this.storageDir = path.join(process.cwd(), 'storage', 'log-index');
+    this.manifestFile = path.join(this.storageDir, 'manifest.json');
+    this.manifest = { version: 1, retentionDays: config.index.retentionDays, lastRun: null, files: {} };
+    this.cache = new Map(); // id -> loaded file index (terms as a Map), most recently used last
+    this.timer = null;
+    this.stopping = false;
+    this.queue = Promise.resolve();
+    this.pendingPasses = 0;
+    this.currentPass = null;
+    this.ready = this.initializeStorage();
+
+    this.onAliasAdded = ({ userId, aliasName }) => this.requestPass({ userId, aliasName });
+    this.onAliasUpdated = ({ userId, previousAliasName, aliasName }) => {
+      this.removeOwner(`${userId}/${previousAliasName}`).then(() => this.requestPass({ userId, aliasName }));
+    };
+    this.onAliasDeleted = ({ userId, aliasName }) => this.removeOwner(`${userId}/${aliasName}`);
+  }
+
+  async initializeStorage() {
+    try {
+      await fs.ensureDir(path.join(this.storageDir, 'files'));
+
+      if (await fs.pathExists(this.manifestFile)) {
+        const data = await fs.readJson(this.manifestFile);
+        this.manifest = { ...this.manifest, ...data, files: data.files || {} };
+        console.log(`🗂️ Loaded log index manifest (${Object.keys(this.manifest.files).length} files)`);
+      }
+    } catch (error) {
+      console.error('❌ Error initializing log index storage:', error.message);
+    }
+  }
+
+  async saveManifest() {
+    try {
+      await writeJsonAtomic(this.manifestFile, this.manifest, { spaces: 2 });
+    } catch (error) {
+      console.error('❌ Error saving log index manifest:', error.message);
+    }
+  }
+
+  // ==========================================
+  // Background job
+  // ==========================================
+
+  // 🎯 Index every alias now and then every config.index.intervalMs; follows alias changes
+  start() {
+    if (!config.index.enabled || this.timer) return;
+    this.stopping = false;
+
+    userAliasService.on('aliasAdded', this.onAliasAdded);
+    userAliasService.on('aliasUpdated', this.onAliasUpdated);
+    userAliasService.on('aliasDeleted', this.onAliasDeleted);
+
+    this.timer = setInterval(() => this.requestPass(), config.index.intervalMs);
+    this.requestPass();
+    console.log(`🗂️ Log indexer started (every ${Math.round(config.index.intervalMs / 1000)}s, ${this.manifest.retentionDays} days kept)`);
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopping = true; // a running pass ends after its current file
+    userAliasService.off('aliasAdded', this.onAliasAdded);
+    userAliasService.off('aliasUpdated', this.onAliasUpdated);
+    userAliasService.off('aliasDeleted', this.onAliasDeleted);
+  }
+
+  // Passes run one at a time; a scheduled full pass is skipped while another one is waiting
+  requestPass(scope = {}) {
+    const fullPass = !scope.userId;
+    if (fullPass && this.pendingPasses > 0) return this.queue;
+
+    this.pendingPasses++;
+    const run = () => this.runIndexPass(scope).finally(() => { this.pendingPasses--; });
+    this.queue = this.queue.then(run, run);
+    return this.queue;
+  }
+
+  // 🎯 Index new data of every file inside retention (scope: { userId, aliasName? } limits the pass)
+  async runIndexPass(scope = {}) {
+    await Promise.all([this.ready, userAliasService.ready]);
+
+    const startedAt = new Date();
+    const summary = {
+      scope: scope.userId ? `${scope.userId}/${scope.aliasName || '*'}` : 'all',
+      startedAt: startedAt.toISOString(),
+      filesIndexed: 0,
+      filesUpToDate: 0,
+      filesRebuilt: 0,
+      filesRemoved: 0,
+      bytesIndexed: 0,
+      errors: []
+    };
+    this.currentPass = summary;
+
+    try {
+      const seen = new Map(); // id -> Set(owner)
+      const unlisted = new Set(); // owners whose folder couldn't be read - their indexes stay
+      const users = scope.userId ? [scope.userId] : userAliasService.getAllUsers();
+
+      for (const userId of users) {
+        const aliases = userAliasService.getUserAliases(userId)
+          .filter(alias => !scope.aliasName || alias.aliasName === scope.aliasName);
+
+        for (const alias of aliases) {
+          const owner = `${userId}/${alias.aliasName}`;
+          const timeZone = userAliasService.resolveTimezone(userId, alias);
+
+          let files;
+          try {
+            files = await this.listIndexableFiles(alias.basePath, { timeZone });
+          } catch (error) {
+            summary.errors.push({ owner, basePath: alias.basePath, error: error.message });
+            unlisted.add(owner);
+            continue;
+          }
+
+          for (const file of files) {
+            if (this.stopping) break;
+
+            try {
+              const result = await this.indexFile(file, { owner, timeZone, userId, alias });
+              if (!seen.has(result.id)) seen.set(result.id, new Set());
+              seen.get(result.id).add(owner);
+
+              summary.bytesIndexed += result.bytesIndexed;
+              if (result.status === 'up_to_date') summary.filesUpToDate++;
+              else summary.filesIndexed++;
+              if (result.status === 'rebuilt') summary.filesRebuilt++;
+            } catch (error) {
+              this.cache.delete(this.fileId(file.filePath));
+              summary.errors.push({ owner, filePath: file.filePath, error: error.message });
+            }
+          }
+        }
+      }
+
+      // Files not seen any more (deleted, past retention, alias gone) leave the index
+      for (const [id, entry] of Object.entries(this.manifest.files)) {
+        if (this.stopping) break;
+        const scopedOwners = entry.owners.filter(owner => this.ownerInScope(owner, scope) && !unlisted.has(owner));
+        if (scopedOwners.length === 0) continue;
+
+        const owners = [...entry.owners.filter(owner => !scopedOwners.includes(owner)), ...(seen.get(id) || [])];
+        if (owners.length === 0) {
+          await this.removeFileIndex(id);
+          summary.filesRemoved++;
+        } else {
+          entry.owners = [...new Set(owners)];
+        }
+      }
+
+      summary.finishedAt = new Date().toISOString();
+      summary.durationMs = Date.now() - startedAt.getTime();
+      this.manifest.lastRun = summary;
+      await this.saveManifest();
+
+      if (summary.filesIndexed > 0 || summary.filesRemoved > 0 || summary.errors.length > 0) {
+        console.log(`🗂️ Index pass (${summary.scope}): ${summary.filesIndexed} indexed, ${summary.filesUpToDate} up to date, ${summary.filesRemoved} removed, ${summary.errors.length} errors in ${summary.durationMs}ms`);
+      }
+      return summary;
+
+    } catch (error) {
+      console.error('❌ Error in index pass:', error);
+      return { ...summary, error: error.message };
+    } finally {
+      this.currentPass = null;
+    }
+  }
+
+  // Log files of a folder whose date (file name, else date modified) is inside retention
+  async listIndexableFiles(basePath, { timeZone = config.time.defaultTimezone } = {}) {
+    const cutoffDate = this.retentionCutoff(timeZone);
+    const items = await fs.readdir(basePath, { withFileTypes: true });
+    const files = [];
+
+    for (const item of items) {
+      if (!item.isFile() || !this.logService.supportedExtensions.includes(path.extname(item.name).toLowerCase())) continue;
+
+      const filePath = path.join(basePath, item.name);
+      try {
+        const stats = await fs.stat(filePath);
+        const fileDate = this.logService.extractDateFromFileName(item.name) || toDateStringInTimeZone(stats.mtime, timeZone);
+        if (fileDate >= cutoffDate) {
+          files.push({ ...this.logService.buildFileInfo(item.name, filePath, stats, timeZone), fileDate });
+        }
+      } catch (statError) {
+        console.warn(`⚠️ Cannot access file: ${item.name} - ${statError.message}`);
+      }
+    }
+
+    return files;
+  }
+
+  retentionCutoff(timeZone) {
+    return addDaysToDateString(getTodayString(timeZone), -(this.manifest.retentionDays - 1));
+  }
+
+  // ==========================================
+  // Indexing one file
+  // ==========================================
+
+  // 🎯 Index what was appended since the checkpoint; a truncated / replaced file starts over
+  // At most config.index.maxBytesPerPass per pass - a large file catches up over several passes
+  // The file's error counts (data.errorCounts, all indexed lines) go to the error registry of the owner
+  async indexFile(file, { owner, timeZone, userId, alias }) {
+    const id = this.fileId(file.filePath);
+    const stats = await fs.stat(file.filePath);
+    const entry = this.manifest.files[id];
+
+    if (entry && stats.size === entry.indexedBytes && stats.mtimeMs === entry.mtimeMs) {
+      if (!entry.owners.includes(owner)) {
+        entry.owners.push(owner);
+        const data = await this.loadFileIndex(id);
+        this.recordErrors(data?.errorCounts, { userId, alias, file, timeZone });
+      }
+      return { id, status: 'up_to_date', bytesIndexed: 0 };
+    }
+
+    let data = entry ? await this.loadFileIndex(id) : null;
+    const replaced = Boolean(data) && (stats.size < data.indexedBytes || await this.headChanged(file.filePath, data));
+    // Indexes written before error counting existed are rebuilt once so the counts cover the whole file
+    const restarted = !data || replaced || !data.errorCounts;
+    if (restarted) data = this.emptyFileIndex(id, file.filePath);
+
+    // Whole entries (stack traces joined) → error counts per fingerprint and day
+    const errorCounter = createEntryBatcher({
+      alias,
+      file,
+      batchLines: config.search.batchLines,
+      headerLines: await readFileHeader(file.filePath, data.indexedLines + 1),
+      onEntries: (entries) => errorRegistryService.countEntries(entries, {
+        timeZone, fallbackTime: file.modified, counts: data.errorCounts
+      })
+    });
+
+    const fromBytes = data.indexedBytes;
+    let lastMark = data.marks.length > 0 ? data.marks[data.marks.length - 1][0] : -Infinity;
+    let postings = 0;
+
+    const result = await forEachLine(file.filePath, (text, lineNumber, byteOffset) => {
+      // Seek points for reading context lines around a hit without scanning from the start
+      if (lineNumber - lastMark >= config.index.markEveryLines) {
+        data.marks.push([lineNumber, byteOffset]);
+        lastMark = lineNumber;
+      }
+
+      for (const term of new Set(indexTerms(text))) {
+        let list = data.terms.get(term);
+        if (!list) data.terms.set(term, list = []);
+        list.push(lineNumber, byteOffset);
+        postings++;
+      }
+
+      errorCounter.push(text, lineNumber);
+    }, {
+      offset: data.indexedBytes,
+      startLine: data.indexedLines + 1,
+      completeLinesOnly: true, // a line still being written is indexed by the next pass
+      maxBytes: config.index.maxBytesPerPass
+    });
+
+    errorCounter.finish();
+    this.recordErrors(data.errorCounts, { userId, alias, file, timeZone });
+
+    data.indexedBytes = result.readStoppedAt.byteOffset;
+    data.indexedLines = result.readStoppedAt.lineNumber;
+    data.headLength = Math.min(data.indexedBytes, HEAD_SIGNATURE_BYTES);
+    data.headSignature = data.headLength > 0 ? await readHeadSignature(file.filePath, data.headLength) : null;
+
+    const indexBytes = await this.saveFileIndex(data);
+
+    this.manifest.files[id] = {
+      id,
+      filePath: file.filePath,
+      fileName: file.fileName,
+      fileDate: file.fileDate,
+      timezone: timeZone,
+      owners: [...new Set([...(entry?.owners || []), owner])],
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      indexedBytes: data.indexedBytes,
+      indexedLines: data.indexedLines,
+      complete: data.indexedBytes >= stats.size,
+      termCount: data.terms.size,
+      postingCount: (restarted ? 0 : entry.postingCount) + postings,
+      indexBytes,
+      indexedAt: new Date().toISOString()
+    };
+
+    return { id, status: replaced ? 'rebuilt' : 'indexed', bytesIndexed: data.indexedBytes - fromBytes };
+  }
+
+  emptyFileIndex(id, filePath) {
+    return {
+      id, filePath, indexedBytes: 0, indexedLines: 0, headLength: 0, headSignature: null, terms: new Map(), marks: [], errorCounts: {}
+    };
+  }
+
+  recordErrors(counts, { userId, alias, file, timeZone }) {
+    if (!counts || !alias) return;
+    errorRegistryService.recordFileCounts({ userId, aliasName: alias.aliasName, fileName: file.fileName, counts, timeZone });
+  }
+
+  async headChanged(filePath, data) {
+    if (data.headLength === 0) return false;
+    return await readHeadSignature(filePath, data.headLength) !== data.headSignature;
+  }
+
+  fileId(filePath) {
+    return crypto.createHash('sha1').update(filePath).digest('hex').slice(0, 16);
+  }
+
+  fileIndexPath(id) {
+    return path.join(this.storageDir, 'files', `${id}.json`);
+  }
+
+  async loadFileIndex(id) {
+    if (this.cache.has(id)) {
+      const cached = this.cache.get(id);
+      this.cache.delete(id);
+      this.cache.set(id, cached);
+      return cached;
+    }
+
+    const filePath = this.fileIndexPath(id);
+    if (!(await fs.pathExists(filePath))) return null;
+
+    const stored = await fs.readJson(filePath);
+    const data = { ...stored, terms: new Map(Object.entries(stored.terms || {})) };
+    this.remember(id, data);
+    return data;
+  }
+
+  // Renamed into place (writeJsonAtomic), so readers never see half a file
+  async saveFileIndex(data) {
+    const filePath = this.fileIndexPath(data.id);
+
+    await writeJsonAtomic(filePath, { ...data, terms: Object.fromEntries(data.terms) });
+    this.remember(data.id, data);
+
+    const { size } = await fs.stat(filePath);
+    return size;
+  }
+
+  remember(id, data) {
+    this.cache.delete(id);
+    this.cache.set(id, data);
+    while (this.cache.size > config.index.cacheFiles) this.cache.delete(this.cache.keys().next().value);
+  }
+
+  async removeFileIndex(id) {
+    this.cache.delete(id);
+    delete this.manifest.files[id];
+    await fs.remove(this.fileIndexPath(id));
+  }
+
+  async removeOwner(owner) {
+    let removed = 0;
+    for (const [id, entry] of Object.entries(this.manifest.files)) {
+      if (!entry.owners.includes(owner)) continue;
+
+      entry.owners = entry.owners.filter(existing => existing !== owner);
+      if (entry.owners.length === 0) {
+        await this.removeFileIndex(id);
+        removed++;
+      }
+    }
+    await this.saveManifest();
+    return removed;
+  }
+
+  ownerInScope(owner, scope = {}) {
+    if (!scope.userId) return true;
+    const [userId, aliasName] = owner.split('/');
+    return userId === scope.userId && (!scope.aliasName || aliasName === scope.aliasName);
+  }
+
+  // ==========================================
+  // Reading the index
+  // ==========================================
+
+  // 🎯 Index of a file if it is still valid for the file on disk (null = scan the file instead)
+  // Data past indexedBytes (appended since the last pass) is not covered and has to be scanned
+  async getFileIndex(file) {
+    const id = this.fileId(file.filePath);
+    const entry = this.manifest.files[id];
+    if (!config.index.enabled || !entry || entry.indexedBytes === 0) return null;
+
+    try {
+      const stats = await fs.stat(file.filePath);
+      const data = await this.loadFileIndex(id);
+      if (!data || stats.size < data.indexedBytes || await this.headChanged(file.filePath, data)) return null;
+
+      return { id, data, indexedBytes: data.indexedBytes, indexedLines: data.indexedLines, fileSize: stats.size };
+    } catch (error) {
+      console.warn(`⚠️ Log index unusable for ${file.filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Lines (within the indexed part) that contain every word inside one of their terms, in file order
+  findCandidates(fileIndex, words) {
+    let candidates = null; // lineNumber -> byteOffset
+
+    for (const word of words) {
+      const lines = new Map();
+      for (const [term, postings] of fileIndex.data.terms) {
+        if (!term.includes(word)) continue;
+        for (let i = 0; i < postings.length; i += 2) {
+          if (postings[i] <= fileIndex.indexedLines) lines.set(postings[i], postings[i + 1]);
+        }
+      }
+
+      candidates = candidates === null
+        ? lines
+        : new Map([...candidates].filter(([lineNumber]) => lines.has(lineNumber)));
+      if (candidates.size === 0) break;
+    }
+
+    return [...(candidates || [])]
+      .sort((a, b) => a[0] - b[0])
+      .map(([lineNumber, byteOffset]) => ({ lineNumber, byteOffset }));
+  }
+
+  // Closest known line start at or before lineNumber
+  seekPoint(fileIndex, lineNumber) {
+    const { marks } = fileIndex.data;
+    let low = 0;
+    let high = marks.length - 1;
+    let best = null;
+
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (marks[middle][0] <= lineNumber) {
+        best = marks[middle];
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+
+    return best ? { lineNumber: best[0], byteOffset: best[1] } : { lineNumber: 1, byteOffset: 0 };
+  }
+
+  // 🎯 Read only the lines around index candidates (before / after lines of context), then the
+  // part appended since the last pass. onLine(text, lineNumber) returning false stops the read;
+  // onRegion() is called when a read doesn't continue where the previous one ended (reset context)
+  async forEachCandidateLine(file, fileIndex, words, options = {}, onLine, onRegion = () => {}) {
+    const { before = 0, after = 0, maxTailBytes = config.reader.maxBytesPerFile } = options;
+    const candidates = this.findCandidates(fileIndex, words);
+    const lead = before * 2; // context counts non-empty lines only: start a little further back
+    let next = 0;
+    let lastLine = 0;
+    let bytesRead = 0;
+    let stopped = false;
+
+    const visit = (text, lineNumber) => {
+      if (lineNumber <= lastLine) return true; // already seen by the previous read
+      lastLine = lineNumber;
+      if (onLine(text, lineNumber) === false) {
+        stopped = true;
+        return false;
+      }
+      return true;
+    };
+
+    while (next < candidates.length && !stopped) {
+      const start = this.seekPoint(fileIndex, Math.max(1, candidates[next].lineNumber - lead));
+      const firstCandidate = next;
+      let remainingAfter = 0;
+      if (start.lineNumber > lastLine + 1) onRegion();
+
+      const result = await forEachLine(file.filePath, (text, lineNumber) => {
+        let isCandidate = false;
+        while (next < candidates.length && candidates[next].lineNumber <= lineNumber) {
+          isCandidate = true;
+          next++;
+        }
+
+        if (isCandidate) {
+          remainingAfter = after;
+        } else if (remainingAfter > 0) {
+          remainingAfter--;
+        } else if (lineNumber > candidates[firstCandidate].lineNumber) {
+          // Past the trailing context: keep reading if the next candidate is close, else seek to it
+          const nextStart = next < candidates.length ? candidates[next].lineNumber - lead : Infinity;
+          if (nextStart - lineNumber > config.index.markEveryLines) return false;
+        }
+        return visit(text, lineNumber);
+      }, { offset: start.byteOffset, startLine: start.lineNumber, maxBytes: fileIndex.indexedBytes - start.byteOffset });
+
+      bytesRead += result.bytesRead;
+      if (next === firstCandidate) break; // candidate not reachable (index out of step with the file)
+    }
+
+    let truncated = false;
+    if (!stopped && fileIndex.fileSize > fileIndex.indexedBytes) {
+      const start = this.seekPoint(fileIndex, Math.max(1, fileIndex.indexedLines + 1 - lead));
+      if (start.lineNumber > lastLine + 1) onRegion();
+
+      const tailBytes = fileIndex.indexedBytes - start.byteOffset + maxTailBytes;
+      const result = await forEachLine(file.filePath, visit, {
+        offset: start.byteOffset,
+        startLine: start.lineNumber,
+        maxBytes: tailBytes
+      });
+
+      bytesRead += result.bytesRead;
+      truncated = !stopped && result.stopped && result.readStoppedAt.byteOffset < result.fileSize;
+    }
+
+    return { candidates: candidates.length, bytesRead, stopped, truncated };
+  }
+
+  // 🎯 Can this file contain every word? false = skip it; null = not indexed (read it)
+  async fileMayContain(file, words) {
+    if (words.length === 0) return null;
+
+    const fileIndex = await this.getFileIndex(file);
+    if (!fileIndex) return null;
+
+    const missing = words.filter(word => {
+      for (const term of fileIndex.data.terms.keys()) {
+        if (term.includes(word)) return false;
+      }
+      return true;
+    });
+    if (missing.length === 0) return true;
+    if (fileIndex.fileSize <= fileIndex.indexedBytes) return false;
+
+    // Appended since the last pass: look for the missing words in the unindexed tail
+    const found = new Set();
+    await forEachLine(file.filePath, (text) => {
+      const lower = text.toLowerCase();
+      missing.forEach(word => { if (lower.includes(word)) found.add(word); });
+      return found.size < missing.length;
+    }, { offset: fileIndex.indexedBytes, startLine: fileIndex.indexedLines + 1 });
+
+    return found.size === missing.length;
+  }
+
+  // ==========================================
+  // Admin
+  // ==========================================
+  getStatus({ userId = null, aliasName = null } = {}) {
+    const scope = { userId, aliasName };
+    const files = Object.values(this.manifest.files)
+      .filter(entry => entry.owners.some(owner => this.ownerInScope(owner, scope)))
+      .sort((a, b) => (b.fileDate || '').localeCompare(a.fileDate || '') || a.filePath.localeCompare(b.filePath));
+
+    const totals = files.reduce((sum, entry) => ({
+      files: sum.files + 1,
+      completeFiles: sum.completeFiles + (entry.complete ? 1 : 0),
+      indexedBytes: sum.indexedBytes + entry.indexedBytes,
+      pendingBytes: sum.pendingBytes + Math.max(0, entry.size - entry.indexedBytes),
+      postings: sum.postings + entry.postingCount,
+      indexBytes: sum.indexBytes + entry.indexBytes
+    }), { files: 0, completeFiles: 0, indexedBytes: 0, pendingBytes: 0, postings: 0, indexBytes: 0 });
+
+    return {
+      enabled: config.index.enabled,
+      running: Boolean(this.timer),
+      currentPass: this.currentPass,
+      queuedPasses: Math.max(0, this.pendingPasses - (this.currentPass ? 1 : 0)),
+      lastRun: this.manifest.lastRun,
+      intervalMs: config.index.intervalMs,
+      retentionDays: this.manifest.retentionDays,
+      storageDir: this.storageDir,
+      totals: {
+        ...totals,
+        indexedFormatted: this.logService.formatBytes(totals.indexedBytes),
+        indexSizeFormatted: this.logService.formatBytes(totals.indexBytes)
+      },
+      files: files.map(entry => ({
+        ...entry,
+        pendingBytes: Math.max(0, entry.size - entry.indexedBytes)
+      }))
+    };
+  }
+
+  // 🎯 Drop the index of a user / alias (or everything) and queue a fresh pass for it
+  async rebuild({ userId = null, aliasName = null } = {}) {
+    await this.ready;
+
+    if (!config.index.enabled) {
+      return { success: false, error: 'Log indexing is disabled (INDEX_ENABLED=false)', disabled: true };
+    }
+    if (userId && userAliasService.getUserAliases(userId).length === 0) {
+      return { success: false, error: `No aliases found for user ${userId}`, notFound: true };
+    }
+    if (userId && aliasName && !userAliasService.getUserAlias(userId, aliasName)) {
+      return { success: false, error: `Alias "${aliasName}" not found for user ${userId}`, notFound: true };
+    }
+
+    const scope = { userId, aliasName };
+    let removed = 0;
+    for (const [id, entry] of Object.entries(this.manifest.files)) {
+      if (!entry.owners.some(owner => this.ownerInScope(owner, scope))) continue;
+      await this.removeFileIndex(id);
+      removed++;
+    }
+    await this.saveManifest();
+
+    this.requestPass(userId ? scope : { rebuild: true });
+    console.log(`🗂️ Index rebuild queued for ${userId ? `${userId}/${aliasName || '*'}` : 'all aliases'} (${removed} files dropped)`);
+
+    return { success: true, scope: userId ? `${userId}/${aliasName || '*'}` : 'all', removedFiles: removed, queued: true };
+  }
+
+  getRetention() {
+    const entries = Object.values(this.manifest.files);
+    const dates = entries.map(entry => entry.fileDate).filter(Boolean).sort();
+
+    return {
+      retentionDays: this.manifest.retentionDays,
+      defaultRetentionDays: config.index.retentionDays,
+      maxRetentionDays: config.index.maxRetentionDays,
+      cutoffDate: this.retentionCutoff(config.time.defaultTimezone),
+      oldestIndexedDate: dates[0] || null,
+      newestIndexedDate: dates[dates.length - 1] || null,
+      indexedFiles: entries.length
+    };
+  }
+
+  // 🎯 Change how many days of files are indexed; indexes of older files are removed right away
+  async setRetention(retentionDays) {
+    await this.ready;
+
+    this.manifest.retentionDays = retentionDays;
+    let removed = 0;
+    for (const [id, entry] of Object.entries(this.manifest.files)) {
+      if (entry.fileDate && entry.fileDate < this.retentionCutoff(entry.timezone || config.time.defaultTimezone)) {
+        await this.removeFileIndex(id);
+        removed++;
+      }
+    }
+    await this.saveManifest();
+
+    // A longer retention takes in older files with the next pass
+    if (config.index.enabled) this.requestPass();
+    console.log(`🗂️ Index retention set to ${retentionDays} days (${removed} files dropped)`);
+
+    return { ...this.getRetention(), removedFiles: removed };
+  }
+}
+
+// Create and export singleton instance
+export const logIndexService = new LogIndexService();
@@ -0,0 +1,153 @@
+// 📁 src/services/logParserService.js
+// Parser registry: built-in log formats + per-alias format selection / auto-detection
+// ==========================================
+import { PlainTextParser } from '../parsers/plainText.parser.js';
+import { NdjsonParser } from '../parsers/ndjson.parser.js';
+import { LogfmtParser } from '../parsers/logfmt.parser.js';
+import { CombinedAccessLogParser, IisW3cParser } from '../parsers/accessLog.parser.js';
+import { LayoutParser, DEFAULT_LAYOUTS } from '../parsers/layout.parser.js';
+import { RegexTemplateParser, compileTemplate } from '../parsers/regexTemplate.parser.js';
+import { normalizeLevel, parseRatio } from '../parsers/parserUtils.js';
+import { looksLikeContinuation } from './logEntryAssembler.js';
+
+const DETECTION_SAMPLE_SIZE = 50;
+const DETECTION_MIN_CONFIDENCE = 0.6;
+
+class LogParserService {
+  constructor() {
+    this.parsers = new Map(); // type -> { description, create(options), detectionOptions[] }
+
+    this.registerParser('plain', {
+      description: 'Free-form text with a leading timestamp and level keywords (default)',
+      create: () => new PlainTextParser()
+    });
+    this.registerParser('ndjson', {
+      description: 'One JSON object per line (NDJSON, Serilog CLEF, Bunyan, pino)',
+      create: () => new NdjsonParser()
+    });
+    this.registerParser('logfmt', {
+      description: 'key=value pairs (logfmt)',
+      create: () => new LogfmtParser()
+    });
+    this.registerParser('apache', {
+      description: 'Apache / Nginx combined access log',
+      create: () => new CombinedAccessLogParser()
+    });
+    this.registerParser('iis', {
+      description: 'IIS W3C extended log (#Fields: directive)',
+      create: () => new IisW3cParser()
+    });
+    this.registerParser('layout', {
+      description: 'log4j / NLog / Serilog layout string, e.g. "%d [%t] %-5p %c - %m%n"',
+      requires: ['layout'],
+      create: (options) => new LayoutParser(options),
+      detectionOptions: Object.values(DEFAULT_LAYOUTS).map(layout => ({ layout }))
+    });
+    this.registerParser('regex', {
+      description: 'User parse template: regex with named groups (?<ts>) (?<level>) (?<msg>) + timestampFormat',
+      requires: ['pattern'],
+      create: (options) => new RegexTemplateParser(options),
+      validate: (format) => compileTemplate(format),
+      detectionOptions: [] // only used when an alias declares a template
+    });
+  }
+
+  // 🎯 Plug in an extra format: definition = { description, create(options), requires?, validate?, detectionOptions? }
+  registerParser(type, definition) {
+    this.parsers.set(type, { requires: [], detectionOptions: [{}], ...definition });
+  }
+
+  listFormats() {
+    return [
+      { type: 'auto', description: 'Detect the format by sampling the file' },
+      ...Array.from(this.parsers.entries()).map(([type, definition]) => ({
+        type,
+        description: definition.description,
+        requires: definition.requires
+      }))
+    ];
+  }
+
+  // Accepts 'ndjson' or { type: 'layout', layout: '...' }; throws on unknown formats
+  normalizeFormat(logFormat) {
+    if (!logFormat) return { type: 'auto' };
+
+    const format = typeof logFormat === 'string' ? { type: logFormat } : { ...logFormat };
+    if (!format.type) format.type = 'auto';
+
+    if (format.type !== 'auto') {
+      const definition = this.parsers.get(format.type);
+      if (!definition) {
+        throw new Error(
+          `Unknown log format "${format.type}". Available: auto, ${Array.from(this.parsers.keys()).join(', ')}`
+        );
+      }
+
+      const missing = definition.requires.filter(key => !format[key]);
+      if (missing.length > 0) {
+        throw new Error(`Log format "${format.type}" requires: ${missing.join(', ')}`);
+      }
+
+      if (definition.validate) definition.validate(format);
+    }
+
+    return format;
+  }
+
+  // 🎯 Sample-based detection: the format that understands most entry-start lines wins
+  detectFormat(lines) {
+    const sample = lines
+      .filter(line => line.trim().length > 0 && !looksLikeContinuation(line))
+      .slice(0, DETECTION_SAMPLE_SIZE);
+
+    const candidates = [];
+
+    for (const [type, definition] of this.parsers.entries()) {
+      if (type === 'plain') continue;
+
+      for (const options of definition.detectionOptions) {
+        const confidence = parseRatio(definition.create(options), sample);
+        candidates.push({ type, ...options, confidence: Math.round(confidence * 100) / 100 });
+      }
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    const best = candidates[0];
+
+    if (best && best.confidence >= DETECTION_MIN_CONFIDENCE) {
+      const { confidence, ...format } = best;
+      return { format, confidence, sampleSize: sample.length, candidates };
+    }
+
+    return { format: { type: 'plain' }, confidence: 1, sampleSize: sample.length, candidates };
+  }
+
+  // 🎯 Parser instance for one file (fresh instance: some formats keep per-file state)
+  createParser(logFormat, sampleLines = []) {
+    const format = this.normalizeFormat(logFormat);
+
+    if (format.type === 'auto') {
+      const detection = this.detectFormat(sampleLines);
+      return {
+        parser: this.parsers.get(detection.format.type).create(detection.format),
+        format: detection.format,
+        detected: true,
+        confidence: detection.confidence
+      };
+    }
+
+    return {
+      parser: this.parsers.get(format.type).create(format),
+      format,
+      detected: false,
+      confidence: null
+    };
+  }
+
+  normalizeLevel(rawLevel) {
+    return normalizeLevel(rawLevel);
+  }
+}
+
+// Create and export singleton instance
+export const logParserService = new LogParserService();
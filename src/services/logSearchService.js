@@ -0,0 +1,356 @@
+// 📁 src/services/logSearchService.js
+// Cross-user full-text search: streams each selected file and stops once `limit` hits are found
+// ==========================================
+import { userAliasService } from './userAliasService.js';
+import { SimpleLogService } from './simpleLogService.js';
+import { logIndexService, indexWords } from './logIndexService.js';
+import { assembleFileEntries, isInTimeWindow, toQueryRecord } from './logEntryPipeline.js';
+import { config } from '../config/index.js';
+import { forEachLine } from '../utils/fileUtils.js';
+import { resolveDateRange, validateDateRangeParams } from '../utils/dateUtils.js';
+import { compileQueryOption } from '../utils/logQuery.js';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export class LogSearchService {
+  constructor() {
+    this.userAliasService = userAliasService;
+    this.logService = new SimpleLogService();
+  }
+
+  // 🎯 options: { userIds, aliasNames, searchQuery, mode: 'phrase' | 'regex', caseSensitive,
+  //   contextLines (or contextBefore / contextAfter), limit, query, date | startDate, endDate, startTime, endTime }
+  // query (boolean query language) narrows the search to lines of entries it matches
+  // Hits come in search order: users as given, newest file first, lines top to bottom
+  async searchLogs(options = {}) {
+    const startedAt = Date.now();
+
+    try {
+      const {
+        userIds = [],
+        aliasNames = [],
+        searchQuery,
+        mode = 'phrase',
+        caseSensitive = false,
+        limit = config.search.defaultLimit,
+        query = null
+      } = options;
+      const contextBefore = options.contextBefore ?? options.contextLines ?? config.search.defaultContextLines;
+      const contextAfter = options.contextAfter ?? options.contextLines ?? config.search.defaultContextLines;
+
+      const { date = null, startDate = null, endDate = null, startTime = null, endTime = null } = options;
+      const dateParams = { date, startDate, endDate, startTime, endTime };
+      const dateError = validateDateRangeParams(dateParams, { maxSpanDays: config.dateRange.maxSpanDays });
+      if (dateError) return { success: false, error: dateError, invalidDateRange: true };
+
+      let matcher;
+      try {
+        matcher = this.createMatcher(searchQuery, { mode, caseSensitive });
+      } catch (error) {
+        return { success: false, error: `Invalid regex: ${error.message}`, invalidQuery: true };
+      }
+
+      const { compiledQuery, error: queryError } = compileQueryOption(query, {
+        timeZone: (record) => this.userAliasService.resolveTimezone(record.userId, record.aliasName)
+      });
+      if (queryError) return { success: false, ...queryError.toJSON(), invalidQuery: true };
+
+      // Phrase searches read indexed files only around lines that can match
+      const words = mode === 'phrase' ? indexWords(searchQuery) : [];
+
+      const targetUsers = userIds.length > 0 ? userIds : this.userAliasService.getAllUsers();
+      const state = {
+        hits: [],
+        limit,
+        limitReached: false,
+        filesSearched: 0,
+        indexedFiles: 0,
+        truncatedFiles: 0,
+        linesScanned: 0,
+        bytesScanned: 0
+      };
+      const users = [];
+
+      console.log(`🔍 Search "${searchQuery}" (${mode})${query ? ` where ${query}` : ''} across [${targetUsers.join(', ')}]`);
+
+      for (const userId of targetUsers) {
+        const aliases = this.userAliasService.getUserAliases(userId)
+          .filter(alias => aliasNames.length === 0 || aliasNames.includes(alias.aliasName));
+
+        if (aliases.length === 0) {
+          users.push({
+            userId,
+            success: false,
+            error: `No aliases found for user ${userId}${aliasNames.length > 0 ? ` matching [${aliasNames.join(', ')}]` : ''}`,
+            matches: 0,
+            aliases: []
+          });
+          continue;
+        }
+
+        const aliasResults = [];
+        for (const alias of aliases) {
+          aliasResults.push(await this.searchAlias(userId, alias, {
+            dateParams,
+            matcher,
+            compiledQuery,
+            words,
+            contextBefore,
+            contextAfter,
+            state
+          }));
+        }
+
+        users.push({
+          userId,
+          success: true,
+          matches: aliasResults.reduce((sum, alias) => sum + alias.matches, 0),
+          aliases: aliasResults
+        });
+      }
+
+      const range = resolveDateRange(dateParams, config.time.defaultTimezone);
+
+      return {
+        success: true,
+        data: {
+          searchQuery,
+          mode,
+          caseSensitive,
+          query,
+          contextBefore,
+          contextAfter,
+          results: state.hits,
+          totalMatches: state.hits.length,
+          limit,
+          // true = stopped early; more matches may exist in files not (fully) searched
+          limitReached: state.limitReached,
+          users,
+          summary: {
+            totalUsers: targetUsers.length,
+            filesSearched: state.filesSearched,
+            indexedFiles: state.indexedFiles,
+            truncatedFiles: state.truncatedFiles,
+            linesScanned: state.linesScanned,
+            bytesScanned: state.bytesScanned
+          },
+          searchDate: range.isRange ? `${range.startDate}..${range.endDate}` : range.startDate,
+          startDate: range.startDate,
+          endDate: range.endDate,
+          durationMs: Date.now() - startedAt,
+          generatedAt: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error searching logs:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async searchAlias(userId, alias, { dateParams, matcher, compiledQuery, words, contextBefore, contextAfter, state }) {
+    const aliasResult = {
+      aliasName: alias.aliasName,
+      basePath: alias.basePath,
+      matches: 0,
+      filesSearched: 0,
+      filesSkipped: 0,
+      files: []
+    };
+
+    if (state.limitReached) {
+      return { ...aliasResult, skipped: true };
+    }
+
+    const filesResult = await this.logService.findFiles(alias.basePath, dateParams, {
+      timeZone: this.userAliasService.resolveTimezone(userId, alias)
+    });
+
+    if (!filesResult.success) {
+      return { ...aliasResult, success: false, error: filesResult.error, searchDate: filesResult.searchDate };
+    }
+
+    for (const file of filesResult.files) {
+      if (state.limitReached) {
+        aliasResult.filesSkipped++;
+        continue;
+      }
+
+      const fileResult = await this.searchFile(file, {
+        userId,
+        alias,
+        matcher,
+        compiledQuery,
+        words,
+        contextBefore,
+        contextAfter,
+        window: filesResult.window,
+        state
+      });
+
+      aliasResult.files.push(fileResult);
+      aliasResult.filesSearched++;
+      aliasResult.matches += fileResult.matches;
+    }
+
+    return {
+      ...aliasResult,
+      success: true,
+      searchDate: filesResult.searchDate,
+      timezone: filesResult.timezone
+    };
+  }
+
+  // 🎯 Stream one file; stops once the overall limit is reached and the last hit has its trailing context
+  // window (range / time-of-day queries) and compiledQuery: only lines of entries that pass both can match
+  // words: index words of a phrase search - an indexed file is read only around its candidate lines
+  async searchFile(file, { userId, alias, matcher, compiledQuery, words = [], contextBefore, contextAfter, window, state }) {
+    const before = []; // last contextBefore lines
+    const awaitingAfter = []; // hits still collecting contextAfter lines
+    const byEntry = Boolean(window || compiledQuery);
+    let batch = []; // lines not grouped into entries yet (byEntry only)
+    let matches = 0;
+    let linesScanned = 0;
+    let stoppedEarly = false;
+
+    const visit = (line, passes) => {
+      for (let i = awaitingAfter.length - 1; i >= 0; i--) {
+        awaitingAfter[i].contextAfter.push(line);
+        if (awaitingAfter[i].contextAfter.length >= contextAfter) awaitingAfter.splice(i, 1);
+      }
+
+      if (passes && !state.limitReached) {
+        const offsets = matcher(line.text);
+        if (offsets.length > 0) {
+          const hit = {
+            // Path searches (POST /api/logs/search) have no user / alias
+            id: [userId, alias.aliasName, file.fileName, line.lineNumber].filter(Boolean).join('-'),
+            userId,
+            aliasName: alias.aliasName,
+            fileName: file.fileName,
+            filePath: file.filePath,
+            lineNumber: line.lineNumber,
+            line: line.text,
+            matches: offsets, // [{ start, end, text }] - character offsets into `line` for highlighting
+            contextBefore: [...before],
+            contextAfter: [],
+            source: [userId, alias.aliasName, file.fileName].filter(Boolean).join('/')
+          };
+          state.hits.push(hit);
+          matches++;
+          if (contextAfter > 0) awaitingAfter.push(hit);
+          if (state.hits.length >= state.limit) state.limitReached = true;
+        }
+      }
+
+      if (contextBefore > 0) {
+        before.push(line);
+        if (before.length > contextBefore) before.shift();
+      }
+
+      stoppedEarly = state.limitReached && awaitingAfter.length === 0;
+      return !stoppedEarly;
+    };
+
+    // Group lines into entries to know which pass the window / query
+    // A batch starting mid-entry (stack trace cut at the boundary) has no timestamp of its own:
+    // it belongs to the previous batch's last entry
+    let lastEntryPassed = null;
+    const entryPasses = (entry) => isInTimeWindow(entry, window) &&
+      (!compiledQuery || compiledQuery.matches(toQueryRecord(entry, { userId, alias, file })));
+    const flushBatch = () => {
+      const { entries } = assembleFileEntries(batch.map(line => line.text), batch.map(line => line.lineNumber), {
+        alias,
+        file
+      });
+
+      const passingLines = new Set();
+      entries.forEach((entry, index) => {
+        const passes = index === 0 && !entry.rawTimestamp && lastEntryPassed !== null ? lastEntryPassed : entryPasses(entry);
+        if (passes) {
+          for (let lineNumber = entry.startLine; lineNumber <= entry.endLine; lineNumber++) passingLines.add(lineNumber);
+        }
+        lastEntryPassed = passes;
+      });
+
+      const ready = batch;
+      batch = [];
+      return ready.every(line => visit(line, passingLines.has(line.lineNumber)));
+    };
+
+    const fileIndex = !byEntry && words.length > 0 ? await logIndexService.getFileIndex(file) : null;
+    let bytesRead;
+    let truncated;
+    let indexCandidates = null;
+
+    if (fileIndex) {
+      const indexResult = await logIndexService.forEachCandidateLine(file, fileIndex, words, {
+        before: contextBefore,
+        after: contextAfter
+      }, (text, lineNumber) => {
+        linesScanned++;
+        return visit({ lineNumber, text }, true);
+      }, () => {
+        before.length = 0;
+        awaitingAfter.length = 0;
+      });
+
+      bytesRead = indexResult.bytesRead;
+      truncated = indexResult.truncated;
+      indexCandidates = indexResult.candidates;
+      state.indexedFiles++;
+    } else {
+      const readResult = await forEachLine(file.filePath, (text, lineNumber) => {
+        linesScanned++;
+        const line = { lineNumber, text };
+
+        if (!byEntry) return visit(line, true);
+
+        batch.push(line);
+        return batch.length < config.search.batchLines || flushBatch();
+      }, { maxBytes: config.reader.maxBytesPerFile });
+
+      if (byEntry && !stoppedEarly && batch.length > 0) flushBatch();
+
+      bytesRead = readResult.bytesRead;
+      truncated = !stoppedEarly && readResult.stopped && readResult.readStoppedAt.byteOffset < readResult.fileSize;
+    }
+
+    state.filesSearched++;
+    state.linesScanned += linesScanned;
+    state.bytesScanned += bytesRead;
+    if (truncated) state.truncatedFiles++;
+
+    return {
+      fileName: file.fileName,
+      size: file.size,
+      modified: file.modified,
+      matches,
+      linesScanned,
+      bytesScanned: bytesRead,
+      readVia: fileIndex ? 'index' : 'scan',
+      ...(fileIndex && { indexCandidates }),
+      stoppedEarly, // limit reached inside this file
+      truncated // per-file byte budget (READ_MAX_BYTES_PER_FILE) reached before the end
+    };
+  }
+
+  // Phrase = literal text; both modes ignore case unless caseSensitive
+  // Returns text => [{ start, end, text }] for every non-empty match
+  createMatcher(searchQuery, { mode = 'phrase', caseSensitive = false } = {}) {
+    const source = mode === 'regex' ? searchQuery : escapeRegExp(searchQuery);
+    const regex = new RegExp(source, caseSensitive ? 'g' : 'gi');
+
+    return (text) => {
+      const offsets = [];
+      for (const match of text.matchAll(regex)) {
+        if (match[0].length === 0) continue;
+        offsets.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
+      }
+      return offsets;
+    };
+  }
+}
@@ -0,0 +1,318 @@
+// 📁 src/services/logSocketService.js
+// WebSocket endpoint: many live feeds over one socket, each a liveStreamHub subscriber
+// ==========================================
+import crypto from 'crypto';
+import { WebSocketServer, WebSocket } from 'ws';
+import { liveStreamHub } from './liveStreamHub.js';
+import { userAliasService } from './userAliasService.js';
+import { config } from '../config/index.js';
+
+const VALID_LEVELS = ['ERROR', 'WARNING', 'INFO', 'DEBUG'];
+
+// Client → server:
+//   { action: 'subscribe', id?, userId, aliasName?, levels?, query? }
+//   { action: 'unsubscribe', subscriptionId }
+//   { action: 'ping' }
+// Server → client:
+//   subscribed / unsubscribed / pong / error
+//   { type: 'entries', subscriptionId, entries, lastEventId } - batched appended entries
+//   { type: 'file', subscriptionId, eventId, event } - rotated / truncated / file_missing / alias_unreachable
+//   { type: 'alias_renamed' | 'alias_deleted', subscriptionId, ... } - a deleted alias ends its subscriptions
+class LogSocketService {
+  constructor() {
+    this.wss = null;
+    this.clients = new Map(); // clientId -> { id, socket, subscriptions: Map(subscriptionId -> subscription) }
+    this.pingTimer = null;
+  }
+
+  // 🎯 Accept upgrades on config.webSocket.path of the HTTP server
+  attach(server) {
+    if (this.wss) return this.wss;
+
+    this.wss = new WebSocketServer({
+      server,
+      path: config.webSocket.path,
+      maxPayload: config.webSocket.maxPayloadBytes
+    });
+
+    this.wss.on('connection', (socket, req) => this.onConnection(socket, req));
+    this.wss.on('error', (error) => console.error('❌ WebSocket server error:', error.message));
+
+    this.pingTimer = setInterval(() => this.pingClients(), config.webSocket.pingIntervalMs);
+
+    console.log(`🔌 WebSocket live feeds on ${config.webSocket.path}`);
+    return this.wss;
+  }
+
+  close() {
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
+
+    for (const client of this.clients.values()) {
+      client.socket.close(1001, 'Server shutting down');
+      this.dropClient(client);
+    }
+    this.wss?.close();
+    this.wss = null;
+  }
+
+  getStats() {
+    let subscriptions = 0;
+    this.clients.forEach(client => { subscriptions += client.subscriptions.size; });
+
+    return {
+      path: config.webSocket.path,
+      connectedClients: this.clients.size,
+      subscriptions
+    };
+  }
+
+  // ==========================================
+  // Connections
+  // ==========================================
+  onConnection(socket, req) {
+    const client = {
+      id: crypto.randomUUID(),
+      socket,
+      alive: true,
+      info: { ip: req.socket.remoteAddress, userAgent: req.headers['user-agent'] || null },
+      subscriptions: new Map()
+    };
+    this.clients.set(client.id, client);
+
+    socket.on('pong', () => { client.alive = true; });
+    socket.on('message', (data, isBinary) => this.onMessage(client, data, isBinary));
+    socket.on('close', () => this.dropClient(client));
+    socket.on('error', (error) => console.warn(`⚠️ WebSocket ${client.id} error: ${error.message}`));
+
+    console.log(`🔌 WebSocket connected: ${client.id} (${this.clients.size} active)`);
+
+    this.send(client, {
+      type: 'ready',
+      clientId: client.id,
+      maxSubscriptions: config.webSocket.maxSubscriptionsPerSocket,
+      validLevels: VALID_LEVELS
+    });
+  }
+
+  dropClient(client) {
+    if (!this.clients.has(client.id)) return;
+
+    for (const subscription of client.subscriptions.values()) {
+      clearTimeout(subscription.flushTimer);
+      liveStreamHub.removeSubscriber(subscription.id);
+    }
+    client.subscriptions.clear();
+    this.clients.delete(client.id);
+
+    console.log(`🔌 WebSocket disconnected: ${client.id} (${this.clients.size} active)`);
+  }
+
+  // A socket that didn't answer the previous ping is gone (half-open TCP, sleeping laptop)
+  pingClients() {
+    for (const client of this.clients.values()) {
+      if (!client.alive) {
+        client.socket.terminate();
+        this.dropClient(client);
+        continue;
+      }
+      client.alive = false;
+      client.socket.ping();
+    }
+  }
+
+  // ==========================================
+  // Client messages
+  // ==========================================
+  onMessage(client, data, isBinary) {
+    let message;
+    try {
+      message = isBinary ? null : JSON.parse(data.toString('utf-8'));
+    } catch {
+      message = null;
+    }
+
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      return this.sendError(client, 'Messages must be JSON objects like { "action": "subscribe", ... }');
+    }
+
+    switch (message.action) {
+      case 'subscribe':
+        return this.subscribe(client, message);
+      case 'unsubscribe':
+        return this.unsubscribe(client, message);
+      case 'ping':
+        return this.send(client, { type: 'pong', id: message.id ?? null, serverTime: new Date().toISOString() });
+      default:
+        return this.sendError(client, `Unknown action "${message.action}"`, {
+          id: message.id ?? null,
+          validActions: ['subscribe', 'unsubscribe', 'ping']
+        });
+    }
+  }
+
+  // 🎯 New feed: { userId, aliasName?, levels?, query? } - `id` is echoed back to match the reply
+  subscribe(client, message) {
+    const requestId = message.id ?? null;
+    const { userId, aliasName = null, query = null } = message;
+
+    if (!userId || typeof userId !== 'string') {
+      return this.sendError(client, 'userId is required', { id: requestId });
+    }
+    if (aliasName !== null && typeof aliasName !== 'string') {
+      return this.sendError(client, 'aliasName must be a string', { id: requestId });
+    }
+    if (aliasName && !userAliasService.getUserAlias(userId, aliasName)) {
+      return this.sendError(client, `Alias "${aliasName}" not found for user ${userId}`, { id: requestId });
+    }
+    if (query !== null && typeof query !== 'string') {
+      return this.sendError(client, 'query must be a string', { id: requestId });
+    }
+
+    const rawLevels = message.levels ?? [];
+    const levels = (Array.isArray(rawLevels) ? rawLevels : String(rawLevels).split(','))
+      .map(level => String(level).trim().toUpperCase())
+      .filter(Boolean);
+    const invalidLevels = levels.filter(level => !VALID_LEVELS.includes(level));
+    if (invalidLevels.length > 0) {
+      return this.sendError(client, `Invalid levels: ${invalidLevels.join(', ')}`, { id: requestId, validLevels: VALID_LEVELS });
+    }
+
+    if (client.subscriptions.size >= config.webSocket.maxSubscriptionsPerSocket) {
+      return this.sendError(client, `Too many subscriptions on this socket (max ${config.webSocket.maxSubscriptionsPerSocket})`, {
+        id: requestId
+      });
+    }
+
+    const subscription = { id: null, pending: [], lastEventId: null, flushTimer: null };
+
+    const result = liveStreamHub.addSubscriber({
+      kind: 'ws',
+      filters: {
+        userIds: [userId],
+        aliasNames: aliasName ? [aliasName] : [],
+        levels,
+        query
+      },
+      client: { ...client.info, socketId: client.id },
+      deliver: (event) => this.onHubEvent(client, subscription, event),
+      close: (reason) => this.endSubscription(client, subscription, { type: 'unsubscribed', reason })
+    });
+
+    if (!result.success) {
+      // Query syntax errors carry the position and a caret pointer into the query
+      const { query: failedQuery, position, pointer } = result;
+      return this.sendError(client, result.error, {
+        id: requestId,
+        ...(result.invalidQuery && { query: failedQuery, position, pointer })
+      });
+    }
+
+    subscription.id = result.subscriber.id;
+    subscription.filters = result.subscriber.filters;
+    client.subscriptions.set(subscription.id, subscription);
+
+    console.log(`🔌 WebSocket ${client.id} subscribed: ${userId}/${aliasName || '*'} (${subscription.id})`);
+
+    this.send(client, {
+      type: 'subscribed',
+      id: requestId,
+      subscriptionId: subscription.id,
+      filters: subscription.filters
+    });
+  }
+
+  unsubscribe(client, message) {
+    const { subscriptionId } = message;
+    const subscription = client.subscriptions.get(subscriptionId);
+
+    if (!subscription) {
+      return this.sendError(client, `Subscription ${subscriptionId} not found on this socket`, { id: message.id ?? null });
+    }
+
+    this.endSubscription(client, subscription, { type: 'unsubscribed', id: message.id ?? null, reason: 'client_request' });
+    liveStreamHub.removeSubscriber(subscriptionId);
+  }
+
+  // Flush what's queued, tell the client, forget the subscription (the caller removes it from the hub)
+  endSubscription(client, subscription, notice) {
+    this.flush(client, subscription);
+    clearTimeout(subscription.flushTimer);
+    client.subscriptions.delete(subscription.id);
+    this.send(client, { ...notice, subscriptionId: subscription.id });
+  }
+
+  // ==========================================
+  // Hub events → socket
+  // ==========================================
+  onHubEvent(client, subscription, event) {
+    if (event.type === 'log') {
+      subscription.pending.push(event.data);
+      subscription.lastEventId = event.id;
+
+      if (subscription.pending.length >= config.webSocket.maxBatchEntries) {
+        this.flush(client, subscription);
+      } else if (!subscription.flushTimer) {
+        subscription.flushTimer = setTimeout(() => this.flush(client, subscription), config.webSocket.batchMs);
+      }
+      return;
+    }
+
+    // Entries queued before a file / alias event go out first so the client sees them in order
+    this.flush(client, subscription);
+
+    if (event.type === 'file') {
+      this.send(client, { type: 'file', subscriptionId: subscription.id, eventId: event.id, event: event.data });
+      return;
+    }
+
+    if (event.type === 'alias' && event.data.type === 'alias_renamed') {
+      // Alias-scoped feeds keep working under the new name
+      const index = subscription.filters.aliasNames.indexOf(event.data.aliasName);
+      if (index > -1) subscription.filters.aliasNames[index] = event.data.newAliasName;
+      this.send(client, { ...event.data, subscriptionId: subscription.id, eventId: event.id });
+      return;
+    }
+
+    if (event.type === 'alias' && event.data.type === 'alias_deleted') {
+      const scopedToAlias = subscription.filters.aliasNames.includes(event.data.aliasName);
+      const notice = { ...event.data, eventId: event.id, subscriptionEnded: scopedToAlias };
+
+      if (scopedToAlias) {
+        this.endSubscription(client, subscription, notice);
+        liveStreamHub.removeSubscriber(subscription.id);
+      } else {
+        this.send(client, { ...notice, subscriptionId: subscription.id });
+      }
+    }
+  }
+
+  flush(client, subscription) {
+    clearTimeout(subscription.flushTimer);
+    subscription.flushTimer = null;
+    if (subscription.pending.length === 0) return;
+
+    const entries = subscription.pending;
+    subscription.pending = [];
+
+    this.send(client, {
+      type: 'entries',
+      subscriptionId: subscription.id,
+      count: entries.length,
+      lastEventId: subscription.lastEventId,
+      entries
+    });
+  }
+
+  send(client, payload) {
+    if (client.socket.readyState !== WebSocket.OPEN) return;
+    client.socket.send(JSON.stringify(payload));
+  }
+
+  sendError(client, error, extra = {}) {
+    this.send(client, { type: 'error', error, ...extra });
+  }
+}
+
+// Create and export singleton instance
+export const logSocketService = new LogSocketService();
@@ -0,0 +1,193 @@
+// 📁 src/services/logTailService.js
+// Last N lines of an alias's log file - reads backwards, never the whole file
+// ==========================================
+import fs from 'fs-extra';
+import path from 'path';
+import { userAliasService } from './userAliasService.js';
+import { SimpleLogService } from './simpleLogService.js';
+import { config } from '../config/index.js';
+import { readLinesFromTail, countNewlines, readHeadSignature } from '../utils/fileUtils.js';
+
+const MAX_CHECKPOINTS_PER_FILE = 20;
+
+class LogTailService {
+  constructor() {
+    this.userAliasService = userAliasService;
+    this.logService = new SimpleLogService();
+    // filePath -> { ino, headSignature, checkpoints: [{ byteOffset, newlines }] sorted by offset }
+    // Lets repeat tails count only the bytes added since the last one (most recently used last,
+    // at most config.tail.checkpointFiles files)
+    this.lineCheckpoints = new Map();
+  }
+
+  // 🎯 Tail one file of an alias (default: newest file of today / date)
+  // countLines: real line numbers - the first tail of a file (and the first after a rotation) counts the
+  // newlines before the returned lines, so it reads the whole file once; off by default (lineFromEnd instead)
+  async tailAliasFile(userId, aliasName, options = {}) {
+    try {
+      const {
+        lines = config.tail.defaultLines,
+        file = null,
+        date = null,
+        countLines = false
+      } = options;
+
+      const alias = this.userAliasService.getUserAlias(userId, aliasName);
+      if (!alias) {
+        return {
+          success: false,
+          error: `Alias "${aliasName}" not found for user ${userId}`
+        };
+      }
+
+      const target = await this.resolveTargetFile(userId, alias, { file, date });
+      if (!target.success) return target;
+
+      const { filePath, fileName } = target;
+      const stats = await fs.stat(filePath);
+
+      console.log(`📜 Tail ${lines} lines: ${filePath} (${this.logService.formatBytes(stats.size)})`);
+
+      const checkpoint = countLines ? await this.getValidCheckpoints(filePath, stats) : null;
+
+      const tailResult = await readLinesFromTail(filePath, {
+        maxLines: lines,
+        maxBytes: config.reader.maxBytesPerFile,
+        countLines,
+        countNewlinesBefore: (byteOffset) => this.countNewlinesWithCheckpoints(filePath, byteOffset, checkpoint),
+        completeLinesOnly: true // a last line without "\n" may still be half-written
+      });
+
+      const firstLineNumber = tailResult.readStoppedAt.lineNumber;
+
+      await this.userAliasService.updateAliasAccess(userId, aliasName, fileName);
+
+      return {
+        success: true,
+        alias: {
+          name: alias.aliasName,
+          basePath: alias.basePath
+        },
+        file: {
+          fileName,
+          filePath,
+          size: tailResult.fileSize,
+          sizeFormatted: this.logService.formatBytes(tailResult.fileSize),
+          modified: stats.mtime.toISOString()
+        },
+        requestedLines: lines,
+        returnedLines: tailResult.lines.length,
+        lines: tailResult.lines.map((text, index) => ({
+          lineNumber: tailResult.lineNumbers[index],
+          lineFromEnd: tailResult.lines.length - index, // 1 = last line of the file
+          text
+        })),
+        firstLineNumber,
+        lastLineNumber: tailResult.lineNumbers[tailResult.lineNumbers.length - 1] ?? null,
+        lineNumbersCounted: countLines,
+        bytesRead: tailResult.bytesRead,
+        // More lines above: ask again with a larger `lines`, or page with /alias/:aliasName?from=tail&offset=
+        hasMoreAbove: tailResult.truncated,
+        nextOffset: tailResult.nextOffset,
+        // Unfinished last line (no newline yet) left out; it is returned once it is complete
+        partialLineBytes: tailResult.partialLineBytes,
+        generatedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('❌ Error tailing log file:', error);
+      return {
+        success: false,
+        error: error.message,
+        userId,
+        aliasName
+      };
+    }
+  }
+
+  // 🎯 file=<name> inside the alias folder, else the newest file for the date
+  async resolveTargetFile(userId, alias, { file, date }) {
+    if (file) {
+      // Plain file name only - no walking out of the alias folder
+      if (path.basename(file) !== file) {
+        return { success: false, invalidRequest: true, error: `Invalid file name "${file}"` };
+      }
+
+      const filePath = path.join(alias.basePath, file);
+      if (!(await fs.pathExists(filePath))) {
+        return { success: false, error: `File "${file}" not found in ${alias.basePath}` };
+      }
+      return { success: true, filePath, fileName: file };
+    }
+
+    const filesResult = await this.logService.findTodaysFiles(alias.basePath, date, {
+      timeZone: this.userAliasService.resolveTimezone(userId, alias)
+    });
+
+    if (!filesResult.success || filesResult.files.length === 0) {
+      return {
+        success: false,
+        error: filesResult.error || `No log files found for date ${filesResult.searchDate}`,
+        searchDate: filesResult.searchDate
+      };
+    }
+
+    const newest = filesResult.files[0];
+    return { success: true, filePath: newest.filePath, fileName: newest.fileName };
+  }
+
+  // ==========================================
+  // Line-number checkpoints
+  // ==========================================
+
+  // Checkpoints survive appends; a different inode, a changed head or a shorter file drops them
+  async getValidCheckpoints(filePath, stats) {
+    const headSignature = await readHeadSignature(filePath);
+    const cached = this.lineCheckpoints.get(filePath);
+
+    if (cached && cached.ino === stats.ino && cached.headSignature === headSignature) {
+      cached.checkpoints = cached.checkpoints.filter(point => point.byteOffset <= stats.size);
+      this.rememberCheckpoints(filePath, cached);
+      return cached;
+    }
+
+    const fresh = { ino: stats.ino, headSignature, checkpoints: [] };
+    this.rememberCheckpoints(filePath, fresh);
+    return fresh;
+  }
+
+  rememberCheckpoints(filePath, entry) {
+    this.lineCheckpoints.delete(filePath);
+    this.lineCheckpoints.set(filePath, entry);
+    while (this.lineCheckpoints.size > config.tail.checkpointFiles) {
+      this.lineCheckpoints.delete(this.lineCheckpoints.keys().next().value);
+    }
+  }
+
+  async countNewlinesWithCheckpoints(filePath, byteOffset, entry) {
+    if (!entry) return countNewlines(filePath, byteOffset);
+
+    // Closest checkpoint at or before the target offset
+    const base = entry.checkpoints.filter(point => point.byteOffset <= byteOffset).pop() ||
+      { byteOffset: 0, newlines: 0 };
+
+    const newlines = base.newlines + await countNewlines(filePath, byteOffset, {
+      startOffset: base.byteOffset
+    });
+
+    if (byteOffset !== base.byteOffset) {
+      entry.checkpoints.push({ byteOffset, newlines });
+      entry.checkpoints.sort((a, b) => a.byteOffset - b.byteOffset);
+      if (entry.checkpoints.length > MAX_CHECKPOINTS_PER_FILE) entry.checkpoints.shift();
+    }
+
+    return newlines;
+  }
+
+  clearCheckpoints() {
+    this.lineCheckpoints.clear();
+  }
+}
+
+// Create and export singleton instance
+export const logTailService = new LogTailService();
@@ -1,19 +1,33 @@
 // 📁 src/services/multiUserDashboardService.js
 // UPDATED - With File IDs (UserId-AliasName-FileName)
 // ==========================================
-import { UserAliasService } from './userAliasService.js';
+import { userAliasService } from './userAliasService.js';
+import { heartbeatService, HEARTBEAT_STATUSES } from './heartbeatService.js';
 import { SimpleLogService } from './simpleLogService.js';
+import { assembleFileEntries, isInTimeWindow, toQueryRecord } from './logEntryPipeline.js';
+import { config } from '../config/index.js';
+import { getTodayString, resolveDateRange, validateDateRangeParams } from '../utils/dateUtils.js';
+import { compileQueryOption } from '../utils/logQuery.js';
 
 export class MultiUserDashboardService {
   constructor() {
-    this.userAliasService = new UserAliasService();
+    this.userAliasService = userAliasService;
     this.logService = new SimpleLogService();
   }
 
   // 🎯 Get ALL users logs - WITH FILE IDs
   async getAllUsersLogsSimple(options = {}) {
     try {
-      const { date = null } = options;
+      const dateParams = this.pickDateParams(options);
+      const dateError = this.validateDateParams(dateParams);
+      if (dateError) return { success: false, error: dateError, invalidDateRange: true };
+
+      const { from = 'head', limit = null, query = null } = options;
+      const { error: readError } = this.logService.normalizeReadOptions({ from, limit });
+      if (readError) return { success: false, error: readError, invalidReadOptions: true };
+
+      const { error: queryError } = this.compileQuery(query);
+      if (queryError) return { success: false, ...queryError.toJSON(), invalidQuery: true };
       
       // Get ALL users in system
       const allUsers = this.userAliasService.getAllUsers();
@@ -34,7 +48,7 @@ export class MultiUserDashboardService {
       for (const userId of allUsers) {
         console.log(`👤 Processing user: ${userId}`);
         
-        const userData = await this.getUserFilesWithContent(userId, { date });
+        const userData = await this.getUserFilesWithContent(userId, { ...dateParams, from, limit, query });
         allUserData.push(userData);
         
         if (userData.success) {
@@ -42,7 +56,8 @@ export class MultiUserDashboardService {
         }
       }
 
-      const searchDate = date || new Date().toISOString().split('T')[0];
+      // Each user carries its own searchDate / timezone; the top level uses the server zone
+      const searchInfo = this.describeSearch(dateParams, config.time.defaultTimezone);
 
       return {
         success: true,
@@ -50,8 +65,9 @@ export class MultiUserDashboardService {
           users: allUserData,
           totalUsers: allUsers.length,
           totalLogs: totalLogs,
-          searchDate: searchDate,
-          isCurrentDate: !date,
+          ...searchInfo,
+          ...(query && { query }),
+          timezone: config.time.defaultTimezone,
           generatedAt: new Date().toISOString()
         }
       };
@@ -68,7 +84,16 @@ export class MultiUserDashboardService {
   // 🎯 Get SPECIFIC users logs - WITH FILE IDs
   async getSpecificUsersLogsSimple(userIds = [], options = {}) {
     try {
-      const { date = null } = options;
+      const dateParams = this.pickDateParams(options);
+      const dateError = this.validateDateParams(dateParams);
+      if (dateError) return { success: false, error: dateError, invalidDateRange: true };
+
+      const { from = 'head', limit = null, query = null } = options;
+      const { error: readError } = this.logService.normalizeReadOptions({ from, limit });
+      if (readError) return { success: false, error: readError, invalidReadOptions: true };
+
+      const { error: queryError } = this.compileQuery(query);
+      if (queryError) return { success: false, ...queryError.toJSON(), invalidQuery: true };
       
       console.log(`📊 Processing specific users: [${userIds.join(', ')}]`);
       
@@ -84,7 +109,7 @@ export class MultiUserDashboardService {
       for (const userId of userIds) {
         console.log(`👤 Processing user: ${userId}`);
         
-        const userResult = await this.getUserFilesWithContent(userId, { date });
+        const userResult = await this.getUserFilesWithContent(userId, { ...dateParams, from, limit, query });
         userData.push(userResult);
         
         if (userResult.success) {
@@ -92,7 +117,8 @@ export class MultiUserDashboardService {
         }
       }
 
-      const searchDate = date || new Date().toISOString().split('T')[0];
+      // Each user carries its own searchDate / timezone; the top level uses the server zone
+      const searchInfo = this.describeSearch(dateParams, config.time.defaultTimezone);
 
       return {
         success: true,
@@ -100,8 +126,9 @@ export class MultiUserDashboardService {
           users: userData,
           totalUsers: userIds.length,
           totalLogs: totalLogs,
-          searchDate: searchDate,
-          isCurrentDate: !date,
+          ...searchInfo,
+          ...(query && { query }),
+          timezone: config.time.defaultTimezone,
           generatedAt: new Date().toISOString()
         }
       };
@@ -116,9 +143,26 @@ export class MultiUserDashboardService {
   }
 
   // 🎯 Get user's files with content - WITH UNIQUE FILE IDs
+  // options: { date } or { startDate, endDate, startTime, endTime }, query (only lines of matching entries)
   async getUserFilesWithContent(userId, options = {}) {
     try {
-      const { date = null } = options;
+      const dateParams = this.pickDateParams(options);
+      const dateError = this.validateDateParams(dateParams);
+      if (dateError) {
+        return { userId, success: false, error: dateError, aliases: [], totalLogs: 0, allFileIds: [] };
+      }
+
+      // from / limit: per-file read budget (no byte paging across many users' files)
+      const { from = 'head', limit = null } = options;
+      const { readOptions, error: readError } = this.logService.normalizeReadOptions({ from, limit });
+      if (readError) {
+        return { userId, success: false, error: readError, aliases: [], totalLogs: 0, allFileIds: [] };
+      }
+
+      const { compiledQuery, error: queryError } = this.compileQuery(options.query);
+      if (queryError) {
+        return { userId, success: false, error: queryError.message, aliases: [], totalLogs: 0, allFileIds: [] };
+      }
       
       const aliases = this.userAliasService.getUserAliases(userId);
       
@@ -138,9 +182,14 @@ export class MultiUserDashboardService {
       // Process each alias for this user
       for (const alias of aliases) {
         console.log(`  📂 Processing alias: ${alias.aliasName}`);
+
+        // 💓 Still writing? Tells "nothing found today" apart from "service stopped logging"
+        const heartbeat = await heartbeatService.checkAlias(userId, alias);
         
-        // Find today's files (or specific date)
-        const filesResult = await this.logService.findTodaysFiles(alias.basePath, date);
+        // Find today's files (or specific date / range)
+        const filesResult = await this.logService.findFiles(alias.basePath, dateParams, {
+          timeZone: this.userAliasService.resolveTimezone(userId, alias)
+        });
         
         if (!filesResult.success) {
           aliasResults.push({
@@ -148,6 +197,7 @@ export class MultiUserDashboardService {
             basePath: alias.basePath,
             success: false,
             error: filesResult.error,
+            heartbeat,
             files: [],
             totalLogs: 0
           });
@@ -160,6 +210,7 @@ export class MultiUserDashboardService {
             basePath: alias.basePath,
             success: false,
             error: `No log files found for date ${filesResult.searchDate}`,
+            heartbeat,
             files: [],
             totalLogs: 0
           });
@@ -173,7 +224,23 @@ export class MultiUserDashboardService {
         for (const file of filesResult.files) {
           console.log(`📖 Processing file: ${file.fileName}`);
           
-          const contentResult = await this.logService.readFileContent(file.filePath);
+          const contentResult = await this.logService.readFileContent(file.filePath, {
+            ...readOptions,
+            keepLineNumbers: Boolean(filesResult.window || compiledQuery)
+          });
+
+          // Range / time-of-day queries and `query`: keep only the lines of entries that pass
+          if (contentResult.success && (filesResult.window || compiledQuery)) {
+            const { entries } = assembleFileEntries(contentResult.content, contentResult.lineNumbers, {
+              alias,
+              file
+            });
+            contentResult.content = entries
+              .filter(entry => isInTimeWindow(entry, filesResult.window))
+              .filter(entry => !compiledQuery || compiledQuery.matches(toQueryRecord(entry, { userId, alias, file })))
+              .flatMap(entry => entry.lines);
+            contentResult.totalLines = contentResult.content.length;
+          }
           
           // 🎯 CREATE UNIQUE FILE ID: UserId-AliasName-FileName
           const fileId = `${userId}-${alias.aliasName}-${file.fileName}`;
@@ -186,11 +253,15 @@ export class MultiUserDashboardService {
             sizeFormatted: file.sizeFormatted,
             modified: file.modified,
             modifiedDate: file.modifiedDate,
+            ...(file.dateSource && { fileDate: file.fileDate, dateSource: file.dateSource }),
             extension: file.extension,
             success: contentResult.success,
             totalLines: contentResult.totalLines || 0,
             logs: contentResult.content || [], // Raw lines array
             error: contentResult.error,
+            truncated: contentResult.truncated || false,
+            readStoppedAt: contentResult.readStoppedAt,
+            nextOffset: contentResult.nextOffset ?? null,
             readAt: contentResult.readAt,
             
             // ✅ METADATA FOR UI
@@ -221,12 +292,22 @@ export class MultiUserDashboardService {
           accessCount: alias.accessCount + 1,
           lastAccessed: new Date().toISOString(),
           success: true,
+          searchDate: filesResult.searchDate,
+          timezone: filesResult.timezone,
+          heartbeat,
+          ...(filesResult.window && {
+            timeWindow: {
+              start: filesResult.window.start.toISOString(),
+              end: filesResult.window.end.toISOString()
+            }
+          }),
           files: filesWithContent,
           summary: {
             totalFiles: filesWithContent.length,
             successfulFiles: filesWithContent.filter(f => f.success).length,
             failedFiles: filesWithContent.filter(f => !f.success).length,
-            totalLogs: aliasLogCount
+            totalLogs: aliasLogCount,
+            truncatedFiles: filesWithContent.filter(f => f.truncated).length
           },
           // ✅ FILE IDs LIST FOR QUICK REFERENCE
           fileIds: filesWithContent.map(f => f.id)
@@ -235,18 +316,20 @@ export class MultiUserDashboardService {
         userTotalLogs += aliasLogCount;
       }
 
-      const searchDate = date || new Date().toISOString().split('T')[0];
+      const timeZone = this.userAliasService.resolveTimezone(userId);
 
       return {
         userId,
         success: true,
-        searchDate: searchDate,
-        isCurrentDate: !date,
+        ...this.describeSearch(dateParams, timeZone),
+        timezone: timeZone,
         aliases: aliasResults,
         summary: {
           totalAliases: aliases.length,
           totalLogs: userTotalLogs,
-          totalFiles: aliasResults.reduce((sum, alias) => sum + (alias.summary?.totalFiles || 0), 0)
+          totalFiles: aliasResults.reduce((sum, alias) => sum + (alias.summary?.totalFiles || 0), 0),
+          heartbeat: Object.fromEntries(HEARTBEAT_STATUSES.map(status =>
+            [status, aliasResults.filter(alias => alias.heartbeat.status === status).length]))
         },
         // ✅ ALL FILE IDs FOR THIS USER
         allFileIds: aliasResults.flatMap(alias => alias.fileIds || []),
@@ -265,4 +348,34 @@ export class MultiUserDashboardService {
       };
     }
   }
-}
\ No newline at end of file
+
+  // ==========================================
+  // Date / range helpers
+  // ==========================================
+  // Entry times are compared in the entry's user / alias zone
+  compileQuery(query) {
+    return compileQueryOption(query, {
+      timeZone: (record) => this.userAliasService.resolveTimezone(record.userId, record.aliasName)
+    });
+  }
+
+  pickDateParams(options = {}) {
+    const { date = null, startDate = null, endDate = null, startTime = null, endTime = null } = options;
+    return { date, startDate, endDate, startTime, endTime };
+  }
+
+  validateDateParams(dateParams) {
+    return validateDateRangeParams(dateParams, { maxSpanDays: config.dateRange.maxSpanDays });
+  }
+
+  // searchDate is "YYYY-MM-DD" for a single day, "start..end" for a range
+  describeSearch(dateParams, timeZone) {
+    const range = resolveDateRange(dateParams, timeZone);
+    return {
+      searchDate: range.isRange ? `${range.startDate}..${range.endDate}` : range.startDate,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      isCurrentDate: range.endDate === getTodayString(timeZone)
+    };
+  }
+}
@@ -0,0 +1,607 @@
+// 📁 src/services/notificationService.js
+// Notification channels for alert transitions: generic webhook (templated JSON body), SMTP e-mail,
+// Slack and Teams incoming webhooks - with per-channel retry / backoff, deduplication, rate limiting
+// and a delivery log (storage/notification-channels.json, storage/notification-log.json)
+// ==========================================
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+import { alertRuleService } from './alertRuleService.js';
+import { config } from '../config/index.js';
+import { sendJson } from '../utils/httpRequest.js';
+import { sendMail } from '../utils/smtpClient.js';
+import { jsonWritesSettled, writeJsonAtomic } from '../utils/fileUtils.js';
+
+const CHANNEL_TYPES = ['webhook', 'email', 'slack', 'teams'];
+const EVENTS = ['firing', 'resolved'];
+export const DELIVERY_STATUSES = ['sending', 'delivered', 'failed', 'deduplicated', 'rate_limited'];
+const SEVERITIES = ['critical', 'warning', 'info'];
+const CHANNEL_FIELDS = ['name', 'enabled', 'type', 'config', 'filters', 'retry', 'rateLimit', 'dedupMinutes'];
+const MASK = '********';
+
+const COLORS = {
+  firing: { critical: '#d32f2f', warning: '#f57c00', info: '#1976d2' },
+  resolved: '#388e3c'
+};
+
+// Body sent by webhook channels without their own template
+const DEFAULT_WEBHOOK_BODY = {
+  event: '{{event}}',
+  status: '{{transition.to}}',
+  rule: '{{rule}}',
+  message: '{{transition.message}}',
+  count: '{{transition.count}}',
+  at: '{{transition.at}}',
+  samples: '{{evaluation.samples}}'
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Only the origin of a channel URL is shown: for Slack / Teams incoming webhooks the path is the credential
+const maskUrl = (url) => {
+  try {
+    return `${new URL(url).origin}/${MASK}`;
+  } catch {
+    return MASK;
+  }
+};
+
+// Addresses go into MAIL FROM:<…> / RCPT TO:<…> and the headers: a line break or angle bracket would let
+// a channel config append SMTP commands of its own
+const isMailAddress = (value) => typeof value === 'string' && value.includes('@') && !/[\r\n<>]/.test(value);
+
+const lookup = (context, keyPath) => keyPath.split('.')
+  .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), context);
+
+// 🎯 Fill {{path.to.value}} placeholders in every string of a template (objects / arrays walked)
+// A string that is only one placeholder keeps the value's type ("{{transition.count}}" → 12, not "12")
+export const renderTemplate = (template, context) => {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) return lookup(context, whole[1]) ?? null;
+
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, keyPath) => {
+      const value = lookup(context, keyPath);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) return template.map(item => renderTemplate(item, context));
+  if (isPlainObject(template)) {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+  }
+  return template;
+};
+
+class NotificationService {
+  constructor() {
+    this.channelsFile = path.join(process.cwd(), 'storage', 'notification-channels.json');
+    this.logFile = path.join(process.cwd(), 'storage', 'notification-log.json');
+    this.channels = new Map(); // id -> channel
+    this.deliveries = []; // delivery log, newest first
+    this.lastSent = new Map(); // `${channelId}|${ruleId}|${event}` -> time of the last delivered notification
+    this.sentTimes = new Map(); // channelId -> delivery times inside the rate limit window
+    this.started = false;
+    this.ready = this.initializeStorage();
+
+    this.onFiring = (payload) => this.notify('firing', payload);
+    this.onResolved = (payload) => this.notify('resolved', payload);
+  }
+
+  async initializeStorage() {
+    try {
+      await fs.ensureDir(path.dirname(this.channelsFile));
+
+      if (await fs.pathExists(this.channelsFile)) {
+        const data = await fs.readJson(this.channelsFile);
+        (data.channels || []).forEach(channel => this.channels.set(channel.id, channel));
+        console.log(`📣 Loaded ${this.channels.size} notification channels`);
+      }
+      if (await fs.pathExists(this.logFile)) {
+        const data = await fs.readJson(this.logFile);
+        // Sends cut off by a restart never finished
+        this.deliveries = (data.deliveries || []).map(delivery => delivery.status === 'sending'
+          ? { ...delivery, status: 'failed', error: 'Interrupted by a server restart' }
+          : delivery);
+      }
+    } catch (error) {
+      console.error('❌ Error initializing notification storage:', error.message);
+    }
+  }
+
+  async saveChannels() {
+    return this.queueWrite(this.channelsFile, () => ({ channels: [...this.channels.values()], lastSaved: new Date().toISOString() }));
+  }
+
+  async saveLog() {
+    return this.queueWrite(this.logFile, () => ({ deliveries: this.deliveries, lastSaved: new Date().toISOString() }));
+  }
+
+  // Resolves once pending log / channel writes are on disk (shutdown)
+  flush() {
+    return jsonWritesSettled(this.channelsFile, this.logFile);
+  }
+
+  queueWrite(filePath, build) {
+    return writeJsonAtomic(filePath, build, { spaces: 2 })
+      .catch(error => console.error(`❌ Error saving ${path.basename(filePath)}:`, error.message));
+  }
+
+  // 🎯 Send firing / resolved alert transitions to every matching channel
+  start() {
+    if (!config.notifications.enabled || this.started) return;
+
+    alertRuleService.on('firing', this.onFiring);
+    alertRuleService.on('resolved', this.onResolved);
+    this.started = true;
+    console.log('📣 Alert notifications enabled');
+  }
+
+  stop() {
+    if (!this.started) return;
+
+    alertRuleService.off('firing', this.onFiring);
+    alertRuleService.off('resolved', this.onResolved);
+    this.started = false;
+  }
+
+  // ==========================================
+  // Delivery
+  // ==========================================
+
+  // Transition → one delivery per matching channel (runs in the background, the alert pass doesn't wait)
+  async notify(event, { rule, transition, evaluation }) {
+    await this.ready;
+
+    const context = this.buildContext(event, rule, transition, evaluation);
+    const channels = [...this.channels.values()].filter(channel => this.matches(channel, event, rule));
+
+    await Promise.all(channels.map(channel => this.deliver(channel, context).catch(error => {
+      console.error(`❌ Notification to ${channel.name} failed:`, error.message);
+    })));
+  }
+
+  matches(channel, event, rule) {
+    const { events, severities, ruleIds } = channel.filters;
+    return channel.enabled
+      && events.includes(event)
+      && (severities.length === 0 || severities.includes(rule.severity))
+      && (ruleIds.length === 0 || ruleIds.includes(rule.id));
+  }
+
+  // Everything a template can reference
+  buildContext(event, rule, transition, evaluation, test = false) {
+    return {
+      event,
+      test,
+      rule: {
+        id: rule.id,
+        name: rule.name,
+        userId: rule.userId,
+        aliasName: rule.aliasName,
+        type: rule.type,
+        severity: rule.severity,
+        threshold: rule.threshold,
+        windowMinutes: rule.windowMinutes,
+        query: rule.query,
+        description: rule.description,
+        labels: rule.labels || {}
+      },
+      transition: {
+        from: transition.from,
+        to: transition.to,
+        at: transition.at,
+        count: transition.count,
+        message: transition.message
+      },
+      evaluation: { count: evaluation?.count ?? null, samples: evaluation?.samples || [] }
+    };
+  }
+
+  // 🎯 Deduplicate, rate limit, then send with retries; every outcome lands in the delivery log
+  // Test sends (bypassLimits) skip deduplication and rate limiting and don't count towards them
+  // maxAttempts: overrides the channel's retry.maxAttempts (test sends try once)
+  async deliver(channel, context, { bypassLimits = false, maxAttempts = channel.retry.maxAttempts } = {}) {
+    const delivery = {
+      id: crypto.randomUUID(),
+      channelId: channel.id,
+      channelName: channel.name,
+      type: channel.type,
+      event: context.event,
+      test: context.test,
+      ruleId: context.rule.id,
+      ruleName: context.rule.name,
+      userId: context.rule.userId,
+      aliasName: context.rule.aliasName,
+      status: 'sending',
+      attempts: [],
+      error: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    };
+    this.recordDelivery(delivery);
+
+    const now = Date.now();
+    const dedupKey = `${channel.id}|${context.rule.id}|${context.event}`;
+
+    if (!bypassLimits) {
+      const lastSent = this.lastSent.get(dedupKey);
+      if (lastSent && now - lastSent < channel.dedupMinutes * 60 * 1000) {
+        return this.completeDelivery(delivery, 'deduplicated',
+          `Same ${context.event} notification sent ${Math.round((now - lastSent) / 1000)}s ago (dedupMinutes ${channel.dedupMinutes})`);
+      }
+
+      const windowMs = channel.rateLimit.perMinutes * 60 * 1000;
+      const recent = (this.sentTimes.get(channel.id) || []).filter(time => now - time < windowMs);
+      this.sentTimes.set(channel.id, recent);
+      if (recent.length >= channel.rateLimit.max) {
+        return this.completeDelivery(delivery, 'rate_limited',
+          `Rate limit reached: ${channel.rateLimit.max} per ${channel.rateLimit.perMinutes} minutes`);
+      }
+      // Counted up front so concurrent transitions can't overshoot the limit
+      recent.push(now);
+      this.lastSent.set(dedupKey, now);
+    }
+
+    const { backoffMs } = channel.retry;
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const result = await this.send(channel, context);
+        delivery.attempts.push({ attempt, at: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, ...result });
+        return this.completeDelivery(delivery, 'delivered');
+      } catch (error) {
+        const temporary = error.temporary !== false;
+        delivery.attempts.push({
+          attempt,
+          at: new Date(startedAt).toISOString(),
+          durationMs: Date.now() - startedAt,
+          error: error.message,
+          ...(error.status !== undefined && { status: error.status }),
+          ...(error.code !== undefined && { code: error.code }),
+          temporary
+        });
+
+        if (!temporary || attempt === maxAttempts) {
+          // A failed delivery shouldn't hold back the next try of the same notification
+          if (!bypassLimits) this.lastSent.delete(dedupKey);
+          return this.completeDelivery(delivery, 'failed', error.message);
+        }
+        await sleep(Math.min(backoffMs * 2 ** (attempt - 1), config.notifications.maxBackoffMs));
+      }
+    }
+  }
+
+  recordDelivery(delivery) {
+    this.deliveries.unshift(delivery);
+    if (this.deliveries.length > config.notifications.maxDeliveries) this.deliveries.length = config.notifications.maxDeliveries;
+  }
+
+  async completeDelivery(delivery, status, error = null) {
+    delivery.status = status;
+    delivery.error = error;
+    delivery.completedAt = new Date().toISOString();
+
+    const icon = { delivered: '📣', failed: '❌', deduplicated: '🔁', rate_limited: '⏳' }[status];
+    console.log(`${icon} ${delivery.channelName}: ${delivery.event} "${delivery.ruleName}" ${status}${error ? ` (${error})` : ''}`);
+
+    await this.saveLog();
+    return delivery;
+  }
+
+  // One attempt → { status | response } or throws (error.temporary: false = don't retry)
+  async send(channel, context) {
+    const { timeoutMs } = config.notifications;
+    const settings = channel.config;
+
+    switch (channel.type) {
+      case 'webhook': {
+        const body = renderTemplate(settings.body || DEFAULT_WEBHOOK_BODY, context);
+        const headers = renderTemplate(settings.headers || {}, context);
+        const { status } = await sendJson(settings.url, body, { method: settings.method, headers, timeoutMs });
+        return { status };
+      }
+      case 'slack': {
+        const { status } = await sendJson(settings.url, this.slackPayload(context), { timeoutMs });
+        return { status };
+      }
+      case 'teams': {
+        const { status } = await sendJson(settings.url, this.teamsPayload(context), { timeoutMs });
+        return { status };
+      }
+      case 'email': {
+        const { subject, text } = this.emailMessage(context, settings);
+        const { response } = await sendMail({ ...settings, subject, text, timeoutMs });
+        return { response };
+      }
+      default:
+        throw Object.assign(new Error(`Unknown channel type: ${channel.type}`), { temporary: false });
+    }
+  }
+
+  // ==========================================
+  // Payloads
+  // ==========================================
+
+  headline(context) {
+    const { event, rule, test } = context;
+    return `${test ? '[TEST] ' : ''}[${event.toUpperCase()}] ${rule.name}`;
+  }
+
+  color(context) {
+    return context.event === 'resolved' ? COLORS.resolved : COLORS.firing[context.rule.severity] || COLORS.firing.warning;
+  }
+
+  facts(context) {
+    const { rule, transition } = context;
+    return [
+      ['Alias', `${rule.userId}/${rule.aliasName}`],
+      ['Severity', rule.severity],
+      ['Count', String(transition.count ?? '-')],
+      ['At', transition.at]
+    ];
+  }
+
+  // Slack incoming webhook (attachments render the severity color bar)
+  slackPayload(context) {
+    return {
+      text: this.headline(context),
+      attachments: [{
+        color: this.color(context),
+        title: context.rule.name,
+        text: context.transition.message,
+        fields: this.facts(context).map(([title, value]) => ({ title, value, short: true })),
+        ts: Math.floor(Date.parse(context.transition.at) / 1000)
+      }]
+    };
+  }
+
+  // Teams incoming webhook (legacy MessageCard, accepted by connectors and workflows)
+  teamsPayload(context) {
+    return {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      themeColor: this.color(context).replace('#', ''),
+      summary: this.headline(context),
+      title: this.headline(context),
+      sections: [{
+        text: context.transition.message,
+        facts: this.facts(context).map(([name, value]) => ({ name, value }))
+      }]
+    };
+  }
+
+  emailMessage(context, settings) {
+    const subject = settings.subject
+      ? renderTemplate(settings.subject, context)
+      : `${this.headline(context)} (${context.rule.severity})`;
+
+    const lines = [
+      context.transition.message,
+      '',
+      ...this.facts(context).map(([name, value]) => `${name}: ${value}`),
+      `Rule: ${context.rule.name} (${context.rule.id})`,
+      ...(context.rule.description ? ['', context.rule.description] : [])
+    ];
+    if (context.evaluation.samples.length > 0) {
+      lines.push('', 'Latest entries:');
+      context.evaluation.samples.forEach(sample => {
+        lines.push(`  ${sample.timestamp || '-'} ${sample.logLevel || ''} ${sample.fileName}:${sample.lineNumber} ${sample.message || ''}`);
+      });
+    }
+
+    return { subject, text: lines.join('\n') };
+  }
+
+  // ==========================================
+  // Channels (CRUD)
+  // ==========================================
+
+  // Channel input (create / merged update) → { channel } or { error }
+  normalizeChannel(input = {}, existing = null) {
+    const defaults = config.notifications;
+    const given = Object.fromEntries(Object.entries(input).filter(([key]) => CHANNEL_FIELDS.includes(key)));
+    const channel = {
+      name: null,
+      enabled: true,
+      dedupMinutes: defaults.dedupMinutes,
+      ...existing,
+      ...given,
+      filters: { events: EVENTS, severities: [], ruleIds: [], ...existing?.filters, ...given.filters },
+      retry: { maxAttempts: defaults.maxAttempts, backoffMs: defaults.backoffMs, ...existing?.retry, ...given.retry },
+      rateLimit: { ...defaults.rateLimit, ...existing?.rateLimit, ...given.rateLimit }
+    };
+
+    if (!CHANNEL_TYPES.includes(channel.type)) return { error: `type must be one of ${CHANNEL_TYPES.join(', ')}` };
+    if (typeof channel.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    if (!isPlainObject(channel.config)) return { error: 'config is required (an object with the channel settings)' };
+
+    // Masked values of a channel read back through the API keep the stored ones
+    if (existing) channel.config = this.keepStoredSecrets(channel.config, existing.config);
+    const configError = this.validateConfig(channel.type, channel.config);
+    if (configError) return { error: configError };
+
+    const { events, severities, ruleIds } = channel.filters;
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !EVENTS.includes(event))) {
+      return { error: `filters.events must be a non-empty list of ${EVENTS.join(', ')}` };
+    }
+    if (!Array.isArray(severities) || severities.some(severity => !SEVERITIES.includes(severity))) {
+      return { error: `filters.severities must be a list of ${SEVERITIES.join(', ')} (empty = all)` };
+    }
+    if (!Array.isArray(ruleIds) || ruleIds.some(id => typeof id !== 'string')) {
+      return { error: 'filters.ruleIds must be a list of rule ids (empty = all)' };
+    }
+
+    const { maxAttempts, backoffMs } = channel.retry;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > defaults.maxAttemptsLimit) {
+      return { error: `retry.maxAttempts must be an integer between 1 and ${defaults.maxAttemptsLimit}` };
+    }
+    if (!Number.isInteger(backoffMs) || backoffMs < 0 || backoffMs > defaults.maxBackoffMs) {
+      return { error: `retry.backoffMs must be an integer between 0 and ${defaults.maxBackoffMs}` };
+    }
+    const { max, perMinutes } = channel.rateLimit;
+    if (!Number.isInteger(max) || max < 1 || !Number.isInteger(perMinutes) || perMinutes < 1) {
+      return { error: 'rateLimit needs max and perMinutes: positive integers (at most max notifications per perMinutes)' };
+    }
+    if (!Number.isInteger(channel.dedupMinutes) || channel.dedupMinutes < 0) {
+      return { error: 'dedupMinutes must be a non-negative integer (0 = no deduplication)' };
+    }
+
+    channel.name = channel.name || `${channel.type} ${channel.config.url ? new URL(channel.config.url).host : channel.config.to.join(', ')}`;
+    return { channel };
+  }
+
+  validateConfig(type, settings) {
+    const isHttpUrl = (value) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch {
+        return false;
+      }
+    };
+
+    if (type === 'email') {
+      if (!settings.host || typeof settings.host !== 'string') return 'config.host (SMTP server) is required';
+      if (settings.port !== undefined && !(Number.isInteger(settings.port) && settings.port > 0 && settings.port < 65536)) {
+        return 'config.port must be a port number';
+      }
+      if (!isMailAddress(settings.from)) return 'config.from (sender address) is required - an e-mail address without <, > or line breaks';
+      if (!Array.isArray(settings.to) || settings.to.length === 0 || !settings.to.every(isMailAddress)) {
+        return 'config.to must be a non-empty list of e-mail addresses (without <, > or line breaks)';
+      }
+      if (settings.username && typeof settings.password !== 'string') return 'config.password is required with config.username';
+      // The subject is a header line: a line break would start headers (or a body) of its own
+      if (settings.subject !== undefined && (typeof settings.subject !== 'string' || /[\r\n]/.test(settings.subject))) {
+        return 'config.subject must be a single line of text ({{placeholders}} allowed)';
+      }
+      return null;
+    }
+
+    if (!isHttpUrl(settings.url)) return 'config.url must be an http(s) URL';
+    if (type === 'webhook') {
+      if (settings.method !== undefined && !['POST', 'PUT', 'PATCH'].includes(settings.method)) {
+        return 'config.method must be POST, PUT or PATCH';
+      }
+      if (settings.headers !== undefined && !isPlainObject(settings.headers)) return 'config.headers must be an object';
+      if (settings.body !== undefined && !isPlainObject(settings.body) && !Array.isArray(settings.body)) {
+        return 'config.body must be a JSON object or array ({{placeholders}} allowed)';
+      }
+    }
+    return null;
+  }
+
+  async createChannel(input) {
+    await this.ready;
+
+    const { channel, error } = this.normalizeChannel(input);
+    if (error) return { success: false, invalidChannel: true, error };
+
+    const now = new Date().toISOString();
+    const created = { ...channel, id: crypto.randomUUID(), createdAt: now, updatedAt: now };
+    this.channels.set(created.id, created);
+    await this.saveChannels();
+
+    console.log(`📣 Notification channel created: ${created.name} (${created.type})`);
+    return { success: true, channel: this.publicChannel(created) };
+  }
+
+  async updateChannel(channelId, changes) {
+    await this.ready;
+
+    const existing = this.channels.get(channelId);
+    if (!existing) return { success: false, error: `Notification channel not found: ${channelId}` };
+
+    const { channel, error } = this.normalizeChannel(changes, existing);
+    if (error) return { success: false, invalidChannel: true, error };
+
+    const updated = { ...channel, updatedAt: new Date().toISOString() };
+    this.channels.set(channelId, updated);
+    await this.saveChannels();
+    return { success: true, channel: this.publicChannel(updated) };
+  }
+
+  async deleteChannel(channelId) {
+    await this.ready;
+
+    if (!this.channels.delete(channelId)) return false;
+    this.sentTimes.delete(channelId);
+    await this.saveChannels();
+    return true;
+  }
+
+  getChannel(channelId) {
+    const channel = this.channels.get(channelId);
+    return channel ? this.publicChannel(channel) : null;
+  }
+
+  getChannels() {
+    return [...this.channels.values()].map(channel => this.publicChannel(channel));
+  }
+
+  // Secrets never leave the server: SMTP password, channel URL (all but its origin), webhook header values
+  publicChannel(channel) {
+    const settings = { ...channel.config };
+    if (settings.password) settings.password = MASK;
+    if (settings.url) settings.url = maskUrl(settings.url);
+    if (isPlainObject(settings.headers)) {
+      settings.headers = Object.fromEntries(Object.keys(settings.headers).map(name => [name, MASK]));
+    }
+    return { ...channel, config: settings };
+  }
+
+  keepStoredSecrets(settings, stored) {
+    const kept = { ...settings };
+    if (stored.password && kept.password === MASK) kept.password = stored.password;
+    if (stored.url && kept.url === maskUrl(stored.url)) kept.url = stored.url;
+    if (isPlainObject(kept.headers) && isPlainObject(stored.headers)) {
+      kept.headers = Object.fromEntries(Object.entries(kept.headers).map(([name, value]) =>
+        [name, value === MASK && Object.hasOwn(stored.headers, name) ? stored.headers[name] : value]));
+    }
+    return kept;
+  }
+
+  // 🧪 Send a sample notification through one channel now (no deduplication / rate limit)
+  async testChannel(channelId, { event = 'firing' } = {}) {
+    await this.ready;
+
+    const channel = this.channels.get(channelId);
+    if (!channel) return { success: false, error: `Notification channel not found: ${channelId}` };
+    if (!EVENTS.includes(event)) return { success: false, invalidEvent: true, error: `event must be one of ${EVENTS.join(', ')}` };
+
+    const at = new Date().toISOString();
+    const rule = {
+      id: 'test',
+      name: 'Test notification',
+      userId: 'test',
+      aliasName: 'test',
+      type: 'threshold',
+      severity: 'warning',
+      threshold: 0,
+      windowMinutes: 5,
+      query: null,
+      description: `Test notification from channel "${channel.name}"`
+    };
+    const transition = {
+      from: event === 'firing' ? 'pending' : 'firing',
+      to: event,
+      at,
+      count: 1,
+      message: `Test ${event} notification from the log analyzer`
+    };
+
+    // One attempt: the request waits for it, a retry schedule could outlast the server timeout
+    const delivery = await this.deliver(channel, this.buildContext(event, rule, transition, null, true), { bypassLimits: true, maxAttempts: 1 });
+    return { success: true, delivery };
+  }
+
+  getDeliveries({ channelId = null, status = null, ruleId = null } = {}) {
+    return this.deliveries.filter(delivery =>
+      (!channelId || delivery.channelId === channelId)
+      && (!status || delivery.status === status)
+      && (!ruleId || delivery.ruleId === ruleId));
+  }
+}
+
+export const notificationService = new NotificationService();
@@ -0,0 +1,642 @@
+// 📁 src/services/pathLogService.js
+// Ad-hoc log access by path (POST /api/logs/*): inspect a folder or file without creating an alias
+// ==========================================
+import fs from 'fs-extra';
+import path from 'path';
+import { SimpleLogService } from './simpleLogService.js';
+import { LogSearchService } from './logSearchService.js';
+import { logParserService } from './logParserService.js';
+import { persistentRecentPathsService } from './persistentRecentPaths.service.js';
+import { assembleFileEntries, isInTimeWindow, entryHasStackTrace } from './logEntryPipeline.js';
+import { indexWords } from './logIndexService.js';
+import { config } from '../config/index.js';
+import { validateDateRangeParams } from '../utils/dateUtils.js';
+import { normalizeErrorText } from '../utils/errorFingerprint.js';
+
+// First match wins - "connection timed out" is a timeout, not a network error
+const ERROR_CATEGORIES = [
+  { name: 'Timeout', pattern: /time[ -]?out|timed out|etimedout/i },
+  { name: 'Database', pattern: /\b(sql|database|db|deadlock|constraint|ora-\d+|mongo\w*|redis)\b/i },
+  { name: 'Network', pattern: /connection (refused|reset|closed|lost)|econnrefused|econnreset|socket|network|unreachable|dns/i },
+  { name: 'Authentication', pattern: /unauthori[sz]ed|forbidden|authenticat|permission denied|access denied|invalid token|\b40[13]\b/i },
+  { name: 'Null Reference', pattern: /null ?reference|nullpointer|object reference not set|cannot read propert|is not defined|undefined is not/i },
+  { name: 'File System', pattern: /file not found|no such file|enoent|eacces|directory not found|disk|i\/o/i },
+  { name: 'Memory', pattern: /out ?of ?memory|heap|memory/i },
+  { name: 'Validation', pattern: /invalid|validation|malformed|parse error|format ?exception/i }
+];
+
+const MAX_TOP_MESSAGES = 20;
+
+export class PathLogService {
+  constructor() {
+    this.logService = new SimpleLogService();
+    this.searchService = new LogSearchService();
+    this.recentPathsService = persistentRecentPathsService;
+  }
+
+  // 📄 Lines of one file (filePath = the file, or its folder + fileName)
+  // level: keep only the lines of entries at that level (ERROR, WARNING, INFO, DEBUG)
+  async getFileLogs(targetPath, options = {}) {
+    try {
+      const { fileName = null, level = null, userInfo } = options;
+
+      const { readOptions, error: readError } = this.logService.normalizeReadOptions({
+        ...options,
+        file: fileName || path.basename(targetPath)
+      });
+      if (readError) return { success: false, error: readError, invalidReadOptions: true, path: targetPath };
+
+      const levelFilter = this.parseLevel(level);
+      if (levelFilter.error) return { success: false, ...levelFilter, path: targetPath };
+
+      const target = await this.resolveTarget(targetPath, fileName);
+      if (target.error) return { success: false, ...target, path: targetPath };
+
+      if (!target.file) {
+        const files = await this.listLogFiles(target.directory);
+        return {
+          success: false,
+          error: `fileName is required when filePath is a directory (${files.length} log files in ${target.directory})`,
+          invalidPath: true,
+          path: targetPath,
+          availableFiles: files.slice(0, 20).map(file => file.fileName)
+        };
+      }
+
+      console.log(`📄 Path logs: ${target.file.filePath}${levelFilter.level ? ` (${levelFilter.level})` : ''}`);
+
+      const fileData = await this.readFile(target.file, {
+        directory: target.directory,
+        readOptions,
+        level: levelFilter.level
+      });
+
+      await this.recentPathsService.storeRecentPath(target.directory, target.file.fileName, userInfo);
+
+      return {
+        success: fileData.success,
+        ...(!fileData.success && { error: fileData.error }),
+        directory: target.directory,
+        ...(levelFilter.level && { level: levelFilter.level }),
+        file: fileData,
+        generatedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('❌ Error getting path logs:', error);
+      return {
+        success: false,
+        error: error.message,
+        path: targetPath
+      };
+    }
+  }
+
+  // 📂 Log files in a folder, newest first (all of them, or one date / range)
+  async browseDirectory(directoryPath, options = {}) {
+    try {
+      const { date = null, startDate = null, endDate = null, userInfo } = options;
+      const dateParams = { date, startDate, endDate };
+      const byDate = Boolean(date || startDate || endDate);
+
+      const dateError = validateDateRangeParams(dateParams, { maxSpanDays: config.dateRange.maxSpanDays });
+      if (dateError) return { success: false, error: dateError, invalidDateRange: true, path: directoryPath };
+
+      const target = await this.resolveTarget(directoryPath);
+      if (target.error) return { success: false, ...target, path: directoryPath };
+      if (target.file) {
+        return { success: false, error: `Not a directory: ${directoryPath}`, invalidPath: true, path: directoryPath };
+      }
+
+      const timeZone = config.time.defaultTimezone;
+      let files;
+      let searchDate = null;
+
+      if (byDate) {
+        const filesResult = await this.logService.findFiles(target.directory, dateParams, { timeZone });
+        if (!filesResult.success) return { success: false, error: filesResult.error, path: directoryPath };
+        files = filesResult.files;
+        searchDate = filesResult.searchDate;
+      } else {
+        files = await this.listLogFiles(target.directory);
+      }
+
+      const items = await fs.readdir(target.directory, { withFileTypes: true });
+      const subdirectories = items.filter(item => item.isDirectory()).map(item => item.name).sort();
+
+      await this.recentPathsService.storeRecentPath(target.directory, '*', userInfo);
+
+      const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+      const countBy = (key) => files.reduce((counts, file) => {
+        counts[file[key]] = (counts[file[key]] || 0) + 1;
+        return counts;
+      }, {});
+
+      console.log(`📂 Browsed ${target.directory}: ${files.length} log files`);
+
+      return {
+        success: true,
+        directory: target.directory,
+        ...(searchDate && { searchDate }),
+        timezone: timeZone,
+        files,
+        subdirectories,
+        summary: {
+          totalFiles: files.length,
+          totalSize,
+          totalSizeFormatted: this.logService.formatBytes(totalSize),
+          byDate: countBy('modifiedDate'),
+          byType: countBy('fileType'),
+          byExtension: countBy('extension'),
+          newestFile: files[0]?.fileName || null,
+          oldestFile: files[files.length - 1]?.fileName || null
+        },
+        supportedExtensions: this.logService.supportedExtensions,
+        generatedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('❌ Error browsing directory:', error);
+      return {
+        success: false,
+        error: error.message,
+        path: directoryPath
+      };
+    }
+  }
+
+  // 🕒 Files of a folder for a date range, trimmed to startTime / endTime
+  async getDateRangeLogs(directoryPath, options = {}) {
+    try {
+      const { startDate = null, endDate = null, startTime = null, endTime = null, level = null, userInfo } = options;
+      const dateParams = { startDate, endDate, startTime, endTime };
+
+      if (!startDate && !endDate) {
+        return { success: false, error: 'startDate and / or endDate are required (YYYY-MM-DD)', invalidDateRange: true, path: directoryPath };
+      }
+
+      const dateError = validateDateRangeParams(dateParams, { maxSpanDays: config.dateRange.maxSpanDays });
+      if (dateError) return { success: false, error: dateError, invalidDateRange: true, path: directoryPath };
+
+      // Budget applies per file; paging inside one file goes through /files
+      const { readOptions, error: readError } = this.logService.normalizeReadOptions({
+        from: options.from,
+        limit: options.limit
+      });
+      if (readError) return { success: false, error: readError, invalidReadOptions: true, path: directoryPath };
+
+      const levelFilter = this.parseLevel(level);
+      if (levelFilter.error) return { success: false, ...levelFilter, path: directoryPath };
+
+      const target = await this.resolveTarget(directoryPath);
+      if (target.error) return { success: false, ...target, path: directoryPath };
+      if (target.file) {
+        return { success: false, error: `Not a directory: ${directoryPath}`, invalidPath: true, path: directoryPath };
+      }
+
+      const filesResult = await this.logService.findFilesInRange(target.directory, dateParams, {
+        timeZone: config.time.defaultTimezone
+      });
+      if (!filesResult.success) return { success: false, error: filesResult.error, path: directoryPath };
+
+      if (filesResult.files.length === 0) {
+        return {
+          success: false,
+          error: `No log files found for ${filesResult.startDate} to ${filesResult.endDate}`,
+          directory: target.directory,
+          startDate: filesResult.startDate,
+          endDate: filesResult.endDate,
+          timezone: filesResult.timezone
+        };
+      }
+
+      console.log(`🕒 Date range ${filesResult.searchDate} in ${target.directory}: ${filesResult.files.length} files`);
+
+      const files = [];
+      for (const file of filesResult.files) {
+        files.push(await this.readFile(file, {
+          directory: target.directory,
+          readOptions,
+          window: filesResult.window,
+          level: levelFilter.level
+        }));
+      }
+
+      await this.recentPathsService.storeRecentPath(target.directory, '*', userInfo);
+
+      return {
+        success: true,
+        directory: target.directory,
+        searchDate: filesResult.searchDate,
+        startDate: filesResult.startDate,
+        endDate: filesResult.endDate,
+        ...(filesResult.window && {
+          timeWindow: {
+            start: filesResult.window.start.toISOString(),
+            end: filesResult.window.end.toISOString()
+          }
+        }),
+        ...(levelFilter.level && { level: levelFilter.level }),
+        timezone: filesResult.timezone,
+        files,
+        summary: {
+          totalFiles: files.length,
+          successfulFiles: files.filter(f => f.success).length,
+          failedFiles: files.filter(f => !f.success).length,
+          totalLogs: files.reduce((sum, f) => sum + f.totalLines, 0),
+          truncatedFiles: files.filter(f => f.truncated).length,
+          searchType: 'date_range'
+        },
+        generatedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('❌ Error getting date range logs:', error);
+      return {
+        success: false,
+        error: error.message,
+        path: directoryPath
+      };
+    }
+  }
+
+  // 🔍 Phrase / regex search in one file, or in a folder's files for a date (default: today)
+  // Same hit shape as POST /api/dashboard/search, without userId / aliasName
+  async searchPath(targetPath, options = {}) {
+    const startedAt = Date.now();
+
+    try {
+      const {
+        fileName = null,
+        searchQuery,
+        mode = 'phrase',
+        caseSensitive = false,
+        limit = config.search.defaultLimit,
+        userInfo
+      } = options;
+      const contextBefore = options.contextBefore ?? options.contextLines ?? config.search.defaultContextLines;
+      const contextAfter = options.contextAfter ?? options.contextLines ?? config.search.defaultContextLines;
+
+      const { date = null, startDate = null, endDate = null, startTime = null, endTime = null } = options;
+      const dateParams = { date, startDate, endDate, startTime, endTime };
+      const dateError = validateDateRangeParams(dateParams, { maxSpanDays: config.dateRange.maxSpanDays });
+      if (dateError) return { success: false, error: dateError, invalidDateRange: true, path: targetPath };
+
+      let matcher;
+      try {
+        matcher = this.searchService.createMatcher(searchQuery, { mode, caseSensitive });
+      } catch (error) {
+        return { success: false, error: `Invalid regex: ${error.message}`, invalidQuery: true, path: targetPath };
+      }
+
+      const target = await this.resolveTarget(targetPath, fileName);
+      if (target.error) return { success: false, ...target, path: targetPath };
+
+      // A named file is searched whole; a folder's files are picked by date like an alias
+      let files = [target.file];
+      let window = null;
+      let searchDate = null;
+      if (!target.file) {
+        const filesResult = await this.logService.findFiles(target.directory, dateParams, {
+          timeZone: config.time.defaultTimezone
+        });
+        if (!filesResult.success) return { success: false, error: filesResult.error, path: targetPath };
+
+        files = filesResult.files;
+        window = filesResult.window;
+        searchDate = filesResult.searchDate;
+      }
+
+      console.log(`🔍 Path search "${searchQuery}" (${mode}) in ${target.file?.filePath || target.directory}: ${files.length} files`);
+
+      const alias = this.adHocAlias(target.directory);
+      const state = {
+        hits: [],
+        limit,
+        limitReached: false,
+        filesSearched: 0,
+        indexedFiles: 0,
+        truncatedFiles: 0,
+        linesScanned: 0,
+        bytesScanned: 0
+      };
+      const fileResults = [];
+
+      for (const file of files) {
+        if (state.limitReached) break;
+
+        fileResults.push(await this.searchService.searchFile(file, {
+          userId: null,
+          alias,
+          matcher,
+          compiledQuery: null,
+          words: mode === 'phrase' ? indexWords(searchQuery) : [],
+          contextBefore,
+          contextAfter,
+          window,
+          state
+        }));
+      }
+
+      await this.recentPathsService.storeRecentPath(target.directory, target.file?.fileName || '*', userInfo);
+
+      return {
+        success: true,
+        data: {
+          searchQuery,
+          mode,
+          caseSensitive,
+          contextBefore,
+          contextAfter,
+          directory: target.directory,
+          ...(target.file && { fileName: target.file.fileName }),
+          ...(searchDate && { searchDate }),
+          results: state.hits,
+          totalMatches: state.hits.length,
+          limit,
+          // true = stopped early; more matches may exist in files not (fully) searched
+          limitReached: state.limitReached,
+          files: fileResults,
+          summary: {
+            filesSearched: state.filesSearched,
+            filesSkipped: files.length - state.filesSearched,
+            indexedFiles: state.indexedFiles,
+            truncatedFiles: state.truncatedFiles,
+            linesScanned: state.linesScanned,
+            bytesScanned: state.bytesScanned
+          },
+          durationMs: Date.now() - startedAt,
+          generatedAt: new Date().toISOString()
+        }
+      };
+
+    } catch (error) {
+      console.error('❌ Error searching path:', error);
+      return {
+        success: false,
+        error: error.message,
+        path: targetPath
+      };
+    }
+  }
+
+  // 📊 Error / warning breakdown of one file, or a folder's files for a date (default: today)
+  async analyzeErrors(targetPath, options = {}) {
+    try {
+      const { fileName = null, date = null, userInfo } = options;
+
+      const dateError = validateDateRangeParams({ date }, { maxSpanDays: config.dateRange.maxSpanDays });
+      if (dateError) return { success: false, error: dateError, invalidDateRange: true, path: targetPath };
+
+      const { readOptions, error: readError } = this.logService.normalizeReadOptions({
+        from: options.from,
+        limit: options.limit
+      });
+      if (readError) return { success: false, error: readError, invalidReadOptions: true, path: targetPath };
+
+      const target = await this.resolveTarget(targetPath, fileName);
+      if (target.error) return { success: false, ...target, path: targetPath };
+
+      let files = [target.file];
+      let searchDate = null;
+      if (!target.file) {
+        const filesResult = await this.logService.findTodaysFiles(target.directory, date, {
+          timeZone: config.time.defaultTimezone
+        });
+        if (!filesResult.success) return { success: false, error: filesResult.error, path: targetPath };
+        if (filesResult.files.length === 0) {
+          return {
+            success: false,
+            error: `No log files found for ${filesResult.searchDate} in ${target.directory}`,
+            directory: target.directory,
+            searchDate: filesResult.searchDate
+          };
+        }
+
+        files = filesResult.files;
+        searchDate = filesResult.searchDate;
+      }
+
+      console.log(`📊 Analyzing errors in ${target.file?.filePath || target.directory}: ${files.length} files`);
+
+      const alias = this.adHocAlias(target.directory);
+      const levels = { ERROR: 0, WARNING: 0, INFO: 0, DEBUG: 0 };
+      const categories = new Map(); // name -> { count, errors, warnings, sample }
+      const messages = new Map(); // normalized message -> { count, level, firstSeen, lastSeen, sample }
+      const fileSummaries = [];
+      let totalEntries = 0;
+      let withStackTrace = 0;
+
+      for (const file of files) {
+        const contentResult = await this.logService.readFileContent(file.filePath, {
+          ...readOptions,
+          keepLineNumbers: true
+        });
+        if (!contentResult.success) {
+          fileSummaries.push({ fileName: file.fileName, success: false, error: contentResult.error });
+          continue;
+        }
+
+        const { entries } = assembleFileEntries(contentResult.content, contentResult.lineNumbers, { alias, file });
+        let fileErrors = 0;
+        let fileWarnings = 0;
+
+        for (const entry of entries) {
+          totalEntries++;
+          levels[entry.logLevel] = (levels[entry.logLevel] || 0) + 1;
+          if (entry.logLevel !== 'ERROR' && entry.logLevel !== 'WARNING') continue;
+
+          const isError = entry.logLevel === 'ERROR';
+          if (isError) fileErrors++; else fileWarnings++;
+          if (entryHasStackTrace(entry)) withStackTrace++;
+
+          const message = entry.fields?.message || entry.firstLine;
+          const sample = { fileName: file.fileName, lineNumber: entry.startLine, timestamp: entry.timestamp, message };
+
+          const category = this.categorize(entry.content);
+          const categoryStats = categories.get(category) || { count: 0, errors: 0, warnings: 0, sample };
+          categoryStats.count++;
+          if (isError) categoryStats.errors++; else categoryStats.warnings++;
+          categories.set(category, categoryStats);
+
+          const key = `${entry.logLevel}:${normalizeErrorText(message)}`;
+          const messageStats = messages.get(key) || { count: 0, level: entry.logLevel, firstSeen: null, lastSeen: null, sample };
+          messageStats.count++;
+          if (entry.timestamp) {
+            if (!messageStats.firstSeen || entry.timestamp < messageStats.firstSeen) messageStats.firstSeen = entry.timestamp;
+            if (!messageStats.lastSeen || entry.timestamp > messageStats.lastSeen) messageStats.lastSeen = entry.timestamp;
+          }
+          messages.set(key, messageStats);
+        }
+
+        fileSummaries.push({
+          fileName: file.fileName,
+          success: true,
+          modified: file.modified,
+          entries: entries.length,
+          errors: fileErrors,
+          warnings: fileWarnings,
+          truncated: contentResult.truncated || false
+        });
+      }
+
+      await this.recentPathsService.storeRecentPath(target.directory, target.file?.fileName || '*', userInfo);
+
+      const problems = levels.ERROR + levels.WARNING;
+      const percentOf = (count, total) => total > 0 ? Math.round((count / total) * 1000) / 10 : 0;
+
+      return {
+        success: true,
+        directory: target.directory,
+        ...(target.file && { fileName: target.file.fileName }),
+        ...(searchDate && { searchDate }),
+        summary: {
+          totalFiles: files.length,
+          totalEntries,
+          errors: levels.ERROR,
+          warnings: levels.WARNING,
+          errorRate: percentOf(levels.ERROR, totalEntries),
+          withStackTrace,
+          distinctMessages: messages.size,
+          levels
+        },
+        categories: Array.from(categories, ([name, stats]) => ({
+          category: name,
+          ...stats,
+          percentage: percentOf(stats.count, problems)
+        })).sort((a, b) => b.count - a.count),
+        topMessages: Array.from(messages.values())
+          .sort((a, b) => b.count - a.count)
+          .slice(0, MAX_TOP_MESSAGES),
+        files: fileSummaries,
+        generatedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('❌ Error analyzing errors:', error);
+      return {
+        success: false,
+        error: error.message,
+        path: targetPath
+      };
+    }
+  }
+
+  // 🎯 filePath (+ fileName) → { directory, file }: filePath may be the file itself or its folder
+  // file = null when a folder was given without fileName
+  async resolveTarget(targetPath, fileName = null) {
+    if (fileName && path.basename(fileName) !== fileName) {
+      return { error: `Invalid fileName "${fileName}" (a file name inside filePath, not a path)`, invalidPath: true };
+    }
+
+    const stats = await fs.stat(targetPath).catch(() => null);
+    if (!stats) return { error: `Path not found: ${targetPath}`, notFound: true };
+
+    let filePath = targetPath;
+    let fileStats = stats;
+    if (stats.isDirectory()) {
+      if (!fileName) return { directory: targetPath, file: null };
+
+      filePath = path.join(targetPath, fileName);
+      fileStats = await fs.stat(filePath).catch(() => null);
+      if (!fileStats || !fileStats.isFile()) {
+        return { error: `File "${fileName}" not found in ${targetPath}`, notFound: true };
+      }
+    }
+
+    const ext = path.extname(filePath).toLowerCase();
+    if (!this.logService.supportedExtensions.includes(ext)) {
+      return {
+        error: `Unsupported file type "${ext || path.basename(filePath)}"`,
+        invalidPath: true,
+        supportedExtensions: this.logService.supportedExtensions
+      };
+    }
+
+    return {
+      directory: path.dirname(filePath),
+      file: this.logService.buildFileInfo(path.basename(filePath), filePath, fileStats, config.time.defaultTimezone)
+    };
+  }
+
+  // Every supported file in a folder (any date), newest first
+  async listLogFiles(directory) {
+    const items = await fs.readdir(directory, { withFileTypes: true });
+    const files = [];
+
+    for (const item of items) {
+      if (!item.isFile() || !this.logService.supportedExtensions.includes(path.extname(item.name).toLowerCase())) continue;
+
+      const filePath = path.join(directory, item.name);
+      try {
+        const stats = await fs.stat(filePath);
+        files.push(this.logService.buildFileInfo(item.name, filePath, stats, config.time.defaultTimezone));
+      } catch (statError) {
+        console.warn(`⚠️ Cannot access file: ${item.name} - ${statError.message}`);
+      }
+    }
+
+    return files.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+  }
+
+  // 📖 Read one file within the budget; window / level keep only the lines of matching entries
+  async readFile(file, { directory, readOptions, window = null, level = null }) {
+    const contentResult = await this.logService.readFileContent(file.filePath, {
+      ...readOptions,
+      keepLineNumbers: Boolean(window || level)
+    });
+
+    if (contentResult.success && (window || level)) {
+      const { entries } = assembleFileEntries(contentResult.content, contentResult.lineNumbers, {
+        alias: this.adHocAlias(directory),
+        file
+      });
+      contentResult.content = entries
+        .filter(entry => isInTimeWindow(entry, window) && (!level || entry.logLevel === level))
+        .flatMap(entry => entry.lines);
+      contentResult.totalLines = contentResult.content.length;
+    }
+
+    return {
+      fileName: file.fileName,
+      filePath: file.filePath,
+      size: file.size,
+      sizeFormatted: file.sizeFormatted,
+      modified: file.modified,
+      modifiedDate: file.modifiedDate,
+      ...(file.dateSource && { fileDate: file.fileDate, dateSource: file.dateSource }),
+      extension: file.extension,
+      fileType: file.fileType,
+      success: contentResult.success,
+      totalLines: contentResult.totalLines || 0,
+      logs: contentResult.content || [], // Raw lines array
+      error: contentResult.error,
+      readFrom: contentResult.readFrom,
+      truncated: contentResult.truncated || false,
+      readStoppedAt: contentResult.readStoppedAt,
+      nextOffset: contentResult.nextOffset ?? null,
+      nextLine: contentResult.nextLine ?? null,
+      readAt: contentResult.readAt
+    };
+  }
+
+  // No alias behind a path: format is auto-detected, timestamps read in the default source zone
+  adHocAlias(directory) {
+    return { aliasName: null, basePath: directory, logFormat: null, sourceTimezone: null };
+  }
+
+  // Client level → { level } (null = all levels) or { error, invalidLevel }
+  parseLevel(level) {
+    if (level === null || level === undefined || level === '') return { level: null };
+
+    const normalized = logParserService.normalizeLevel(level);
+    if (!normalized) {
+      return { error: `Invalid level "${level}"`, invalidLevel: true, validLevels: ['ERROR', 'WARNING', 'INFO', 'DEBUG'] };
+    }
+    return { level: normalized };
+  }
+
+  categorize(content) {
+    return ERROR_CATEGORIES.find(category => category.pattern.test(content))?.name || 'Other';
+  }
+}
@@ -2,17 +2,20 @@
 // ==========================================
 import fs from 'fs-extra';
 import path from 'path';
+import { config } from '../config/index.js';
+import { writeJsonAtomic } from '../utils/fileUtils.js';
 
 class PersistentRecentPathsService {
   constructor() {
     this.recentPaths = new Map();
     this.pathHistory = [];
     this.storageFile = path.join(process.cwd(), 'storage', 'recent-paths.json');
-    this.maxRecentPaths = 20;
-    this.maxHistoryPaths = 50;
-    
+    this.maxRecentPaths = config.recentPaths.maxRecentPaths;
+    this.maxHistoryPaths = config.recentPaths.maxHistoryPaths;
+    this.lastSaved = null;
+
     // Initialize storage and load existing data
-    this.initializeStorage();
+    this.ready = this.initializeStorage();
   }
 
   // Initialize storage directory and load existing data
@@ -66,22 +69,20 @@ class PersistentRecentPathsService {
     }
   }
 
-  // Save data to JSON file
+  // Save data to JSON file (queued behind any write in progress)
   async saveToFile() {
     try {
-      const data = {
+      await writeJsonAtomic(this.storageFile, () => ({
         recentPaths: Array.from(this.recentPaths.entries()),
         pathHistory: this.pathHistory,
-        lastSaved: new Date().toISOString(),
+        lastSaved: this.lastSaved = new Date().toISOString(),
         totalPaths: this.recentPaths.size,
         metadata: {
           version: '1.0.0',
           maxRecentPaths: this.maxRecentPaths,
           maxHistoryPaths: this.maxHistoryPaths
         }
-      };
-
-      await fs.writeJson(this.storageFile, data, { spaces: 2 });
+      }), { spaces: 2 });
       return true;
     } catch (error) {
       console.error('❌ Error saving recent paths to file:', error.message);
@@ -89,18 +90,37 @@ class PersistentRecentPathsService {
     }
   }
 
+  // Same key for every user; a folder accessed as a whole is stored with fileName '*'
+  buildPathKey(filePath, fileName = '*') {
+    return `${filePath}\\${fileName}`;
+  }
+
   // Store recent path with user info (with persistence)
-  async storeRecentPath(filePath, fileName, userInfo = 'developer') {
-    const pathKey = `${filePath}\\${fileName}`;
+  // details.aliasName: the path was opened through that alias (else ad-hoc by path)
+  async storeRecentPath(filePath, fileName, userInfo = 'developer', details = {}) {
+    const pathKey = this.buildPathKey(filePath, fileName);
     const timestamp = new Date();
-    
+    const existing = this.recentPaths.get(pathKey);
+
+    // Per-user counts behind "recent paths for user X"
+    const accessedBy = { ...(existing?.accessedBy || {}) };
+    accessedBy[userInfo] = {
+      accessCount: (accessedBy[userInfo]?.accessCount || 0) + 1,
+      lastAccessed: timestamp.toISOString()
+    };
+
     const pathData = {
       filePath,
       fileName,
       fullPath: pathKey,
       userInfo,
+      aliasName: details.aliasName || null,
+      source: details.aliasName ? 'alias' : 'path',
       lastAccessed: timestamp,
-      accessCount: (this.recentPaths.get(pathKey)?.accessCount || 0) + 1,
+      accessCount: (existing?.accessCount || 0) + 1,
+      accessedBy,
+      pinned: existing?.pinned || false,
+      ...(existing?.pinned && { pinnedAt: existing.pinnedAt }),
       isNetworkPath: filePath.startsWith('\\\\'),
       pathType: this.detectPathType(filePath),
       id: Date.now(),
@@ -110,21 +130,20 @@ class PersistentRecentPathsService {
     // Store in memory
     this.recentPaths.set(pathKey, pathData);
     
-    // Add to history (keep last 50)
-    this.pathHistory.unshift({
-      ...pathData,
-      id: Date.now()
-    });
+    // Add to history (newest first, capped at maxHistoryPaths)
+    const { accessedBy: _, ...historyEntry } = pathData;
+    this.pathHistory.unshift(historyEntry);
     
     if (this.pathHistory.length > this.maxHistoryPaths) {
       this.pathHistory = this.pathHistory.slice(0, this.maxHistoryPaths);
     }
 
-    // Keep only recent paths in main map
+    // Keep only recent paths in main map - oldest unpinned path goes first
     if (this.recentPaths.size > this.maxRecentPaths) {
-      const oldestKey = Array.from(this.recentPaths.entries())
-        .sort(([,a], [,b]) => a.lastAccessed - b.lastAccessed)[0][0];
-      this.recentPaths.delete(oldestKey);
+      const oldest = Array.from(this.recentPaths.entries())
+        .filter(([, entry]) => !entry.pinned)
+        .sort(([,a], [,b]) => a.lastAccessed - b.lastAccessed)[0];
+      if (oldest) this.recentPaths.delete(oldest[0]);
     }
 
     // Persist to file
@@ -145,36 +164,71 @@ class PersistentRecentPathsService {
     return 'Other';
   }
 
-  // Get recent paths (most used first)
-  getRecentPaths() {
-    return Array.from(this.recentPaths.values())
-      .sort((a, b) => b.lastAccessed - a.lastAccessed)
-      .map(path => ({
-        ...path,
-        lastAccessed: path.lastAccessed.toISOString(),
-        timeAgo: this.getTimeAgo(path.lastAccessed)
-      }));
+  // Did this user open the path? (entries stored before per-user counts only have userInfo)
+  accessedByUser(entry, userId) {
+    return entry.accessedBy ? Boolean(entry.accessedBy[userId]) : entry.userInfo === userId;
+  }
+
+  // Entry as returned to clients; with userId, access count / time are that user's
+  formatPath(entry, userId = null) {
+    const userAccess = userId ? entry.accessedBy?.[userId] : null;
+    const lastAccessed = userAccess ? new Date(userAccess.lastAccessed) : entry.lastAccessed;
+
+    return {
+      ...entry,
+      ...(userId && { userAccessCount: userAccess?.accessCount || 0 }),
+      lastAccessed: lastAccessed.toISOString(),
+      timeAgo: this.getTimeAgo(lastAccessed)
+    };
   }
 
-  // Get popular paths (by access count)
-  getPopularPaths() {
+  // Get recent paths (pinned first, then last accessed) - all users or one user's
+  getRecentPaths({ userId = null, limit = null } = {}) {
+    const paths = Array.from(this.recentPaths.values())
+      .filter(entry => !userId || this.accessedByUser(entry, userId))
+      .map(entry => this.formatPath(entry, userId))
+      .sort((a, b) => (b.pinned - a.pinned) || b.lastAccessed.localeCompare(a.lastAccessed));
+
+    return limit ? paths.slice(0, limit) : paths;
+  }
+
+  // Get popular paths (by access count - the user's own count when userId is given)
+  getPopularPaths({ userId = null, limit = 10 } = {}) {
     return Array.from(this.recentPaths.values())
-      .sort((a, b) => b.accessCount - a.accessCount)
-      .slice(0, 10)
-      .map(path => ({
-        ...path,
-        lastAccessed: path.lastAccessed.toISOString(),
-        timeAgo: this.getTimeAgo(path.lastAccessed)
+      .filter(entry => !userId || this.accessedByUser(entry, userId))
+      .map(entry => this.formatPath(entry, userId))
+      .sort((a, b) => userId ? b.userAccessCount - a.userAccessCount : b.accessCount - a.accessCount)
+      .slice(0, limit);
+  }
+
+  // Get path history (newest first), optionally one user's
+  getPathHistory({ userId = null } = {}) {
+    return this.pathHistory
+      .filter(entry => !userId || entry.userInfo === userId)
+      .map(entry => ({
+        ...entry,
+        lastAccessed: entry.lastAccessed.toISOString(),
+        timeAgo: this.getTimeAgo(entry.lastAccessed)
       }));
   }
 
-  // Get path history
-  getPathHistory() {
-    return this.pathHistory.map(path => ({
-      ...path,
-      lastAccessed: path.lastAccessed.toISOString(),
-      timeAgo: this.getTimeAgo(path.lastAccessed)
-    }));
+  getPath(pathKey) {
+    const entry = this.recentPaths.get(pathKey);
+    return entry ? this.formatPath(entry) : null;
+  }
+
+  // 📌 Pinned paths stay on top and survive eviction, clear and cleanup
+  async pinPath(pathKey, pinned = true) {
+    const entry = this.recentPaths.get(pathKey);
+    if (!entry) return null;
+
+    entry.pinned = pinned;
+    if (pinned) entry.pinnedAt = new Date().toISOString();
+    else delete entry.pinnedAt;
+
+    await this.saveToFile();
+    console.log(`📌 ${pinned ? 'Pinned' : 'Unpinned'} path: ${pathKey}`);
+    return this.formatPath(entry);
   }
 
   // Get storage statistics
@@ -182,6 +236,11 @@ class PersistentRecentPathsService {
     return {
       totalRecentPaths: this.recentPaths.size,
       totalHistoryPaths: this.pathHistory.length,
+      pinnedPaths: Array.from(this.recentPaths.values()).filter(entry => entry.pinned).length,
+      limits: {
+        maxRecentPaths: this.maxRecentPaths,
+        maxHistoryPaths: this.maxHistoryPaths
+      },
       storageFile: this.storageFile,
       lastSaved: this.lastSaved,
       pathTypes: this.getPathTypeDistribution(),
@@ -201,7 +260,9 @@ class PersistentRecentPathsService {
   getUserDistribution() {
     const distribution = {};
     Array.from(this.recentPaths.values()).forEach(path => {
-      distribution[path.userInfo] = (distribution[path.userInfo] || 0) + 1;
+      Object.keys(path.accessedBy || { [path.userInfo]: true }).forEach(user => {
+        distribution[user] = (distribution[user] || 0) + 1;
+      });
     });
     return distribution;
   }
@@ -244,6 +305,56 @@ class PersistentRecentPathsService {
     }
   }
 
+  // Clear one user's paths (or everyone's); pinned paths stay unless includePinned
+  // A path another user also opened stays for them: only this user's access is taken off it
+  async clearPaths({ userId = null, includePinned = false } = {}) {
+    let removedPaths = 0;
+    let releasedPaths = 0; // shared paths this user no longer appears on
+
+    for (const [key, entry] of this.recentPaths.entries()) {
+      if (entry.pinned && !includePinned) continue;
+
+      if (userId) {
+        if (!this.accessedByUser(entry, userId)) continue;
+
+        const { [userId]: cleared, ...others } = entry.accessedBy || {};
+        if (Object.keys(others).length > 0) {
+          this.releasePath(entry, others, cleared);
+          releasedPaths++;
+          continue;
+        }
+      }
+
+      this.recentPaths.delete(key);
+      removedPaths++;
+    }
+
+    const historyBefore = this.pathHistory.length;
+    this.pathHistory = this.pathHistory.filter(entry => userId && entry.userInfo !== userId);
+    const removedHistory = historyBefore - this.pathHistory.length;
+
+    await this.saveToFile();
+    console.log(`🗑️ Cleared ${removedPaths} recent paths${userId ? ` of ${userId}` : ''} (${removedHistory} history entries)`);
+
+    return {
+      removedPaths,
+      releasedPaths,
+      removedHistory,
+      remainingPaths: this.recentPaths.size
+    };
+  }
+
+  // Path left to the other users who opened it: last accessor, time and count are theirs
+  releasePath(entry, others, cleared) {
+    const [lastUser, lastAccess] = Object.entries(others)
+      .sort(([, a], [, b]) => b.lastAccessed.localeCompare(a.lastAccessed))[0];
+
+    entry.accessedBy = others;
+    entry.userInfo = lastUser;
+    entry.lastAccessed = new Date(lastAccess.lastAccessed);
+    entry.accessCount = Math.max(entry.accessCount - (cleared?.accessCount || 0), 0);
+  }
+
   // Search in recent paths
   searchRecentPaths(query) {
     const lowQuery = query.toLowerCase();
@@ -331,7 +442,7 @@ class PersistentRecentPathsService {
       
       // Clean recent paths
       for (const [key, path] of this.recentPaths.entries()) {
-        if (path.lastAccessed < cutoffDate) {
+        if (path.lastAccessed < cutoffDate && !path.pinned) {
           this.recentPaths.delete(key);
           removedCount++;
         }
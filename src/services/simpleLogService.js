@@ -3,6 +3,20 @@
 // ==========================================
 import fs from "fs-extra";
 import path from "path";
+import { config } from "../config/index.js";
+import {
+  getTodayString,
+  isValidDateString,
+  toDateStringInTimeZone,
+  getZonedParts,
+  resolveDateRange,
+  validateDateRangeParams,
+} from "../utils/dateUtils.js";
+import { readLinesFromHead, readLinesFromTail } from "../utils/fileUtils.js";
+
+// YYYY-MM-DD / YYYYMMDD / YYYY_MM_DD embedded in a file name (app-2025-09-01.log, api_20250901.txt)
+const FILENAME_DATE_PATTERN =
+  /(?<!\d)(20\d{2})[-_.]?(0[1-9]|1[0-2])[-_.]?(0[1-9]|[12]\d|3[01])(?!\d)/;
 
 export class SimpleLogService {
   constructor() {
@@ -10,24 +24,38 @@ export class SimpleLogService {
   }
 
   // 🎯 SIMPLE: Find files by date modified (no extra logic)
-  async findTodaysFiles(basePath, targetDate = null) {
+  // timeZone: zone "today" and the mtime dates are read in (user / alias setting)
+  async findTodaysFiles(basePath, targetDate = null, options = {}) {
+    const { timeZone = config.time.defaultTimezone } = options;
+    const today = getTodayString(timeZone);
+
     try {
-      const searchDate = targetDate ? new Date(targetDate) : new Date();
-      const dateStr = searchDate.toISOString().split("T")[0]; // YYYY-MM-DD
+      if (targetDate && !isValidDateString(targetDate)) {
+        return {
+          success: false,
+          error: `Invalid date "${targetDate}" (expected YYYY-MM-DD)`,
+          searchDate: targetDate,
+          isCurrentDate: false,
+          timezone: timeZone,
+        };
+      }
+
+      const dateStr = targetDate || today; // YYYY-MM-DD in timeZone
 
       console.log(`🔍 Finding files in: ${basePath}`);
-      console.log(`📅 Target date: ${dateStr}`);
+      console.log(`📅 Target date: ${dateStr} (${timeZone})`);
 
       if (!(await fs.pathExists(basePath))) {
         return {
           success: false,
           error: `Path not found: ${basePath}`,
           searchDate: dateStr,
-          isCurrentDate: !targetDate,
+          isCurrentDate: dateStr === today,
+          timezone: timeZone,
         };
       }
 
-      const files = await this.scanDirectoryForDateFiles(basePath, searchDate);
+      const files = await this.scanDirectoryForDateFiles(basePath, dateStr, { timeZone });
 
       console.log(`📁 Found ${files.length} files for date ${dateStr}`);
 
@@ -35,7 +63,8 @@ export class SimpleLogService {
         success: true,
         basePath,
         searchDate: dateStr,
-        isCurrentDate: !targetDate,
+        isCurrentDate: dateStr === today,
+        timezone: timeZone,
         files,
         message: `Found ${files.length} files for ${dateStr}`,
       };
@@ -45,14 +74,124 @@ export class SimpleLogService {
         success: false,
         error: error.message,
         basePath,
-        searchDate: targetDate || new Date().toISOString().split("T")[0],
+        searchDate: targetDate || today,
+        timezone: timeZone,
       };
     }
   }
 
+  // 🎯 One entry point for date / range queries
+  // dateParams: { date } or { startDate, endDate, startTime, endTime }
+  async findFiles(basePath, dateParams = {}, options = {}) {
+    const { timeZone = config.time.defaultTimezone } = options;
+
+    if (!dateParams.startDate && !dateParams.endDate) {
+      const result = await this.findTodaysFiles(basePath, dateParams.date || null, { timeZone });
+      const range = resolveDateRange(dateParams, timeZone);
+      return { ...result, startDate: range.startDate, endDate: range.endDate, window: range.window };
+    }
+
+    return this.findFilesInRange(basePath, dateParams, { timeZone });
+  }
+
+  // 🎯 Files for a date range: date in the file name if it has one, else date modified
+  async findFilesInRange(basePath, dateParams = {}, options = {}) {
+    const { timeZone = config.time.defaultTimezone } = options;
+    const today = getTodayString(timeZone);
+
+    const validationError = validateDateRangeParams(dateParams, {
+      maxSpanDays: config.dateRange.maxSpanDays,
+    });
+    const range = resolveDateRange(dateParams, timeZone);
+    const searchDate = `${range.startDate}..${range.endDate}`;
+    const baseResult = {
+      basePath,
+      searchDate,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      isCurrentDate: range.endDate === today,
+      timezone: timeZone,
+      window: range.window,
+    };
+
+    if (validationError) {
+      return { success: false, error: validationError, ...baseResult };
+    }
+
+    try {
+      console.log(`🔍 Finding files in: ${basePath}`);
+      console.log(`📅 Date range: ${searchDate} (${timeZone})`);
+
+      if (!(await fs.pathExists(basePath))) {
+        return { success: false, error: `Path not found: ${basePath}`, ...baseResult };
+      }
+
+      const items = await fs.readdir(basePath, { withFileTypes: true });
+      const matchingFiles = [];
+
+      for (const item of items) {
+        const ext = path.extname(item.name).toLowerCase();
+        if (!item.isFile() || !this.supportedExtensions.includes(ext)) continue;
+
+        const filePath = path.join(basePath, item.name);
+        try {
+          const stats = await fs.stat(filePath);
+          const fileNameDate = this.extractDateFromFileName(item.name);
+          const fileDate = fileNameDate || toDateStringInTimeZone(stats.mtime, timeZone);
+
+          if (fileDate >= range.startDate && fileDate <= range.endDate) {
+            matchingFiles.push({
+              ...this.buildFileInfo(item.name, filePath, stats, timeZone),
+              fileDate,
+              dateSource: fileNameDate ? "filename" : "modified",
+            });
+          }
+        } catch (statError) {
+          console.warn(`⚠️ Cannot access file: ${item.name} - ${statError.message}`);
+        }
+      }
+
+      matchingFiles.sort((a, b) => new Date(b.modified) - new Date(a.modified));
+
+      console.log(`📁 Found ${matchingFiles.length} files for ${searchDate}`);
+
+      return {
+        success: true,
+        ...baseResult,
+        files: matchingFiles,
+        message: `Found ${matchingFiles.length} files for ${searchDate}`,
+      };
+    } catch (error) {
+      console.error(`❌ Error scanning directory: ${error.message}`);
+      return { success: false, error: error.message, ...baseResult };
+    }
+  }
+
+  extractDateFromFileName(fileName) {
+    const match = fileName.match(FILENAME_DATE_PATTERN);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  buildFileInfo(fileName, filePath, stats, timeZone) {
+    const ext = path.extname(fileName).toLowerCase();
+    return {
+      fileName,
+      filePath,
+      size: stats.size,
+      sizeFormatted: this.formatBytes(stats.size),
+      modified: stats.mtime.toISOString(),
+      modifiedDate: toDateStringInTimeZone(stats.mtime, timeZone),
+      modifiedTime: this.formatTimeInZone(stats.mtime, timeZone), // HH:MM:SS
+      extension: ext,
+      fileType: this.detectFileType(fileName),
+      ageInHours: Math.floor((new Date() - stats.mtime) / (1000 * 60 * 60)),
+    };
+  }
+
   // 🎯 SIMPLE: Just scan and show files by date modified
-  async scanDirectoryForDateFiles(dirPath, targetDate) {
-    const targetDateStr = targetDate.toISOString().split("T")[0]; // YYYY-MM-DD
+  // targetDateStr: YYYY-MM-DD, compared with each mtime's date in timeZone
+  async scanDirectoryForDateFiles(dirPath, targetDateStr, options = {}) {
+    const { timeZone = config.time.defaultTimezone } = options;
     const items = await fs.readdir(dirPath, { withFileTypes: true });
     const matchingFiles = [];
 
@@ -68,7 +207,7 @@ export class SimpleLogService {
         if (this.supportedExtensions.includes(ext)) {
           try {
             const stats = await fs.stat(filePath);
-            const fileModifiedDate = stats.mtime.toISOString().split("T")[0];
+            const fileModifiedDate = toDateStringInTimeZone(stats.mtime, timeZone);
 
             console.log(`  📄 ${item.name} - Modified: ${fileModifiedDate}`);
 
@@ -83,7 +222,7 @@ export class SimpleLogService {
                 sizeFormatted: this.formatBytes(stats.size),
                 modified: stats.mtime.toISOString(),
                 modifiedDate: fileModifiedDate,
-                modifiedTime: stats.mtime.toTimeString().split(" ")[0], // HH:MM:SS
+                modifiedTime: this.formatTimeInZone(stats.mtime, timeZone), // HH:MM:SS
                 extension: ext,
                 // 🎯 SIMPLE: Just add file type detection (tera request)
                 fileType: this.detectFileType(item.name),
@@ -142,34 +281,63 @@ export class SimpleLogService {
     return "General Log";
   }
 
-  // Read file content (unchanged)
-  async readFileContent(filePath) {
+  // Read file content (streamed, within a line / byte budget)
+  // keepLineNumbers: also return the real (1-based) line number of every non-empty line
+  // from: 'head' reads forward from offset, 'tail' reads backwards from offset (default: end)
+  // limit / maxBytes: stop once this many non-empty lines / bytes are read
+  // offset + startLine: continue from a previous response's nextOffset / nextLine
+  async readFileContent(filePath, options = {}) {
     try {
-      console.log(`📖 Reading file: ${filePath}`);
+      const {
+        keepLineNumbers = false,
+        from = "head",
+        offset = null,
+        startLine = 1,
+        limit = config.reader.maxLinesPerFile,
+        maxBytes = config.reader.maxBytesPerFile,
+      } = options;
 
-      const stats = await fs.stat(filePath);
-      const fileSizeMB = stats.size / (1024 * 1024);
+      console.log(`📖 Reading file (${from}): ${filePath}`);
 
-      if (fileSizeMB > 50) {
-        console.warn(`⚠️ Large file detected: ${fileSizeMB.toFixed(2)}MB`);
-      }
+      const readResult =
+        from === "tail"
+          ? await readLinesFromTail(filePath, {
+              offset,
+              maxLines: limit,
+              maxBytes,
+              countLines: keepLineNumbers,
+            })
+          : await readLinesFromHead(filePath, {
+              offset: offset || 0,
+              startLine,
+              maxLines: limit,
+              maxBytes,
+            });
 
-      const content = await fs.readFile(filePath, "utf-8");
-      const lines = content
-        .split("\n")
-        .map((line) => line.trimEnd())
-        .filter((line) => line.length > 0);
+      if (readResult.truncated) {
+        console.warn(
+          `⚠️ Read budget reached: ${this.formatBytes(readResult.bytesRead)} of ${this.formatBytes(
+            readResult.fileSize
+          )} (${readResult.lines.length} lines)`
+        );
+      }
 
-      console.log(`📄 File read successfully: ${lines.length} non-empty lines`);
+      console.log(`📄 File read successfully: ${readResult.lines.length} non-empty lines`);
 
       return {
         success: true,
         filePath,
-        fileSize: stats.size,
-        fileSizeFormatted: this.formatBytes(stats.size),
-        totalLines: lines.length,
-        content: lines, // 🎯 SIMPLE: Raw lines array (no analysis)
-        rawContent: content,
+        fileSize: readResult.fileSize,
+        fileSizeFormatted: this.formatBytes(readResult.fileSize),
+        totalLines: readResult.lines.length,
+        content: readResult.lines, // 🎯 SIMPLE: Raw lines array (no analysis)
+        ...(keepLineNumbers && { lineNumbers: readResult.lineNumbers }),
+        readFrom: from,
+        bytesRead: readResult.bytesRead,
+        truncated: readResult.truncated,
+        readStoppedAt: readResult.readStoppedAt,
+        nextOffset: readResult.nextOffset,
+        nextLine: readResult.nextLine,
         readAt: new Date().toISOString(),
       };
     } catch (error) {
@@ -183,6 +351,41 @@ export class SimpleLogService {
     }
   }
 
+  // 🎯 Client read options → readFileContent options (budget capped by config)
+  // Returns { error } for bad values
+  normalizeReadOptions(options = {}) {
+    const { from = "head", limit = null, offset = null, startLine = null, file = null } = options;
+
+    if (!["head", "tail"].includes(from)) {
+      return { error: `Invalid from "${from}" (expected head or tail)` };
+    }
+
+    const parsed = {};
+    for (const [key, value] of Object.entries({ limit, offset, startLine })) {
+      if (value === null || value === undefined || value === "") continue;
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < (key === "offset" ? 0 : 1)) {
+        return { error: `Invalid ${key} "${value}" (expected a ${key === "offset" ? "non-negative" : "positive"} integer)` };
+      }
+      parsed[key] = number;
+    }
+
+    // Byte offsets only make sense inside one file
+    if ((parsed.offset !== undefined || parsed.startLine !== undefined) && !file) {
+      return { error: "offset / startLine need file=<fileName> (they page within a single file)" };
+    }
+
+    return {
+      readOptions: {
+        from,
+        limit: Math.min(parsed.limit || config.reader.maxLinesPerFile, config.reader.maxLinesPerFile),
+        ...(parsed.offset !== undefined && { offset: parsed.offset }),
+        ...(parsed.startLine !== undefined && { startLine: parsed.startLine }),
+      },
+      file,
+    };
+  }
+
   formatBytes(bytes) {
     if (bytes === 0) return "0 Bytes";
     const k = 1024;
@@ -191,11 +394,16 @@ export class SimpleLogService {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
   }
 
-  getCurrentDateString() {
-    return new Date().toISOString().split("T")[0];
+  formatTimeInZone(date, timeZone) {
+    const { hour, minute, second } = getZonedParts(date, timeZone);
+    return [hour, minute, second].map((n) => String(n).padStart(2, "0")).join(":");
+  }
+
+  getCurrentDateString(timeZone = config.time.defaultTimezone) {
+    return getTodayString(timeZone);
   }
 
-  isToday(dateString) {
-    return dateString === this.getCurrentDateString();
+  isToday(dateString, timeZone = config.time.defaultTimezone) {
+    return dateString === this.getCurrentDateString(timeZone);
   }
 }
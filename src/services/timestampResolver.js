@@ -0,0 +1,79 @@
+// 📁 src/services/timestampResolver.js
+// Turns raw log stamps into UTC ISO timestamps for one file
+// ==========================================
+import { config } from '../config/index.js';
+import {
+  parseTimestampString,
+  zonedPartsToDate,
+  getZonedParts
+} from '../utils/dateUtils.js';
+
+export class TimestampResolver {
+  // timeZone: zone the file is written in (alias.sourceTimezone → server default)
+  // fileModified: mtime of the file; its date fills in time-only stamps
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || config.time.defaultSourceTimezone;
+    this.fileModified = options.fileModified ? new Date(options.fileModified) : null;
+    this.fileDate = this.fileModified ? getZonedParts(this.fileModified, this.timeZone) : null;
+  }
+
+  // 🎯 One raw stamp → Date (null when it can't be understood)
+  resolve(rawTimestamp) {
+    const parts = parseTimestampString(rawTimestamp);
+    if (!parts) return null;
+
+    if (parts.epochMs !== undefined) return new Date(parts.epochMs);
+
+    // Time-only stamp: take the date from the file
+    if (parts.year === null) {
+      if (!this.fileDate) return null;
+
+      const { year, month, day } = this.fileDate;
+      let date = zonedPartsToDate({ ...parts, year, month, day }, this.timeZone);
+
+      // Written before midnight, file touched after it → belongs to the previous day
+      if (this.fileModified && date - this.fileModified > 60 * 1000) {
+        date = new Date(date.getTime() - 24 * 60 * 60 * 1000);
+      }
+      return date;
+    }
+
+    const date = zonedPartsToDate(parts, this.timeZone);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // 🎯 Resolve a file's entries in order; gaps take the nearest resolved neighbour
+  // Sets entry.timestamp (UTC ISO) and entry.timestampSource: parsed | inferred | unknown
+  resolveEntries(entries, getRawTimestamp = (entry) => entry.rawTimestamp) {
+    const resolved = entries.map(entry => this.resolve(getRawTimestamp(entry)));
+
+    let previous = null;
+    const fromPrevious = resolved.map(date => {
+      if (date) previous = date;
+      return previous;
+    });
+
+    let next = null;
+    const fromNext = new Array(resolved.length);
+    for (let i = resolved.length - 1; i >= 0; i--) {
+      if (resolved[i]) next = resolved[i];
+      fromNext[i] = next;
+    }
+
+    entries.forEach((entry, index) => {
+      if (resolved[index]) {
+        entry.timestamp = resolved[index].toISOString();
+        entry.timestampSource = 'parsed';
+      } else if (fromPrevious[index] || fromNext[index]) {
+        entry.timestamp = (fromPrevious[index] || fromNext[index]).toISOString();
+        entry.timestampSource = 'inferred';
+      } else {
+        // Nothing in the file has a readable time: fall back to the file mtime
+        entry.timestamp = this.fileModified ? this.fileModified.toISOString() : null;
+        entry.timestampSource = 'unknown';
+      }
+    });
+
+    return entries;
+  }
+}
@@ -2,12 +2,20 @@
 // ==========================================
 import fs from "fs-extra";
 import path from "path";
+import { EventEmitter } from "events";
+import { logParserService } from "./logParserService.js";
+import { persistentRecentPathsService } from "./persistentRecentPaths.service.js";
+import { isValidTimeString, isValidTimeZone } from "../utils/dateUtils.js";
+import { config } from "../config/index.js";
 
-export class UserAliasService {
+// Events: aliasAdded / aliasUpdated / aliasDeleted ({ userId, aliasName, alias, previousAliasName? })
+export class UserAliasService extends EventEmitter {
   constructor() {
+    super();
     this.storageFile = path.join(process.cwd(), "storage", "user-aliases.json");
     this.userAliases = new Map(); // userId -> aliases[]
-    this.initializeStorage();
+    this.userSettings = new Map(); // userId -> { timezone }
+    this.ready = this.initializeStorage(); // resolves once stored aliases are loaded
   }
 
   async initializeStorage() {
@@ -44,6 +52,13 @@ export class UserAliasService {
           );
         });
       }
+
+      this.userSettings.clear();
+      if (data.userSettings) {
+        Object.entries(data.userSettings).forEach(([userId, settings]) => {
+          this.userSettings.set(userId, settings);
+        });
+      }
     } catch (error) {
       console.error("❌ Error loading aliases:", error.message);
     }
@@ -53,6 +68,7 @@ export class UserAliasService {
     try {
       const data = {
         userAliases: Object.fromEntries(this.userAliases.entries()),
+        userSettings: Object.fromEntries(this.userSettings.entries()),
         lastSaved: new Date().toISOString(),
       };
       await fs.writeJson(this.storageFile, data, { spaces: 2 });
@@ -61,7 +77,7 @@ export class UserAliasService {
     }
   }
 
-  async addUserAlias(userId, aliasName, basePath) {
+  async addUserAlias(userId, aliasName, basePath, options = {}) {
     try {
       console.log(`👤 Adding alias for user: ${userId}`);
       console.log(`📂 Alias name: ${aliasName}`);
@@ -83,6 +99,17 @@ export class UserAliasService {
         );
       }
 
+      ["sourceTimezone", "timezone"].forEach((key) => {
+        if (options[key] && !isValidTimeZone(options[key])) {
+          throw new Error(`Invalid ${key} "${options[key]}" (use an IANA name like Asia/Kolkata)`);
+        }
+      });
+
+      // A parse template wins over logFormat; both are validated before anything is stored
+      const logFormat = options.parseTemplate
+        ? this.templateToFormat(options.parseTemplate)
+        : logParserService.normalizeFormat(options.logFormat);
+
       // 🔥 IMPORTANT: Don't check if path exists - let user handle it
       // User responsibility to provide correct path
       console.log(`💭 Path validation: SKIPPED (user responsibility)`);
@@ -95,10 +122,14 @@ export class UserAliasService {
         lastAccessed: new Date(),
         accessCount: 0,
         pathStatus: "not_validated", // ✅ Indicate we didn't validate
+        logFormat,
+        sourceTimezone: options.sourceTimezone || null, // zone the files are written in
+        timezone: options.timezone || null, // zone "today" is read in for this alias
       };
 
       aliases.push(newAlias);
       await this.saveToFile();
+      this.emit("aliasAdded", { userId, aliasName, alias: newAlias });
 
       console.log(
         `✅ Added alias "${aliasName}" with raw path (not validated)`
@@ -119,7 +150,8 @@ export class UserAliasService {
     return aliases.find((a) => a.aliasName === aliasName);
   }
 
-  async updateAliasAccess(userId, aliasName) {
+  // Counts the access and records the alias folder (or the one file read) in recent paths
+  async updateAliasAccess(userId, aliasName, fileName = "*") {
     try {
       const aliases = this.userAliases.get(userId) || [];
       const alias = aliases.find((a) => a.aliasName === aliasName);
@@ -128,6 +160,7 @@ export class UserAliasService {
         alias.lastAccessed = new Date();
         alias.accessCount++;
         await this.saveToFile();
+        await persistentRecentPathsService.storeRecentPath(alias.basePath, fileName, userId, { aliasName });
         console.log(
           `📊 Updated access count for ${aliasName}: ${alias.accessCount}`
         );
@@ -137,15 +170,136 @@ export class UserAliasService {
     }
   }
 
+  // Replace an alias in place (rename / new path), keeping its stats and settings
+  async updateAlias(userId, aliasName, changes = {}) {
+    const aliases = this.userAliases.get(userId) || [];
+    const index = aliases.findIndex((a) => a.aliasName === aliasName);
+
+    if (index === -1) {
+      throw new Error(`Alias "${aliasName}" not found for user ${userId}`);
+    }
+
+    const updatedAlias = {
+      ...aliases[index],
+      ...changes,
+      lastAccessed: new Date(),
+      lastModified: new Date(),
+    };
+
+    aliases[index] = updatedAlias;
+    await this.saveToFile();
+    console.log(`✏️ Updated alias: ${userId}/${updatedAlias.aliasName}`);
+    this.emit("aliasUpdated", {
+      userId,
+      aliasName: updatedAlias.aliasName,
+      previousAliasName: aliasName,
+      alias: updatedAlias,
+    });
+    return updatedAlias;
+  }
+
+  // 🎯 Declare how this alias's files are parsed ('auto', 'ndjson', { type: 'layout', layout })
+  async setAliasFormat(userId, aliasName, logFormat) {
+    const format = logParserService.normalizeFormat(logFormat);
+    return this.updateAlias(userId, aliasName, { logFormat: format });
+  }
+
+  // 🧩 Parse template { pattern, flags?, timestampFormat? } → validated 'regex' log format
+  templateToFormat(parseTemplate) {
+    const { pattern, flags = "", timestampFormat = null } = parseTemplate;
+    return logParserService.normalizeFormat({ type: "regex", pattern, flags, timestampFormat });
+  }
+
+  // null template = back to auto-detection
+  async setAliasTemplate(userId, aliasName, parseTemplate) {
+    const logFormat = parseTemplate ? this.templateToFormat(parseTemplate) : { type: "auto" };
+    return this.updateAlias(userId, aliasName, { logFormat });
+  }
+
+  // 🚨 Anomaly detection of one alias: { sensitivity: 'low' | 'medium' | 'high' | z-score, minCount? }
+  // null = server defaults; changed in place (no aliasUpdated - files and index are unaffected)
+  async setAliasAnomalySettings(userId, aliasName, settings) {
+    const alias = this.getUserAlias(userId, aliasName);
+    if (!alias) {
+      throw new Error(`Alias "${aliasName}" not found for user ${userId}`);
+    }
+
+    alias.anomaly = settings ? this.normalizeAnomalySettings(settings) : null;
+    alias.lastModified = new Date();
+    await this.saveToFile();
+    console.log(`🚨 Anomaly settings of ${userId}/${aliasName}: ${JSON.stringify(alias.anomaly)}`);
+    return alias;
+  }
+
+  normalizeAnomalySettings({ sensitivity = null, minCount = null } = {}) {
+    const levels = Object.keys(config.anomaly.sensitivity);
+
+    if (sensitivity !== null && !levels.includes(sensitivity) &&
+        !(typeof sensitivity === "number" && sensitivity >= 1 && sensitivity <= 20)) {
+      throw new Error(`sensitivity must be one of ${levels.join(", ")} or a z-score between 1 and 20`);
+    }
+    if (minCount !== null && !(Number.isInteger(minCount) && minCount >= 1)) {
+      throw new Error("minCount must be a positive integer");
+    }
+
+    return { sensitivity, minCount };
+  }
+
+  // 💓 Heartbeat of one alias: { maxGapMinutes?, schedule?: [{ days?, from, to, maxGapMinutes | null }] }
+  // null = server default gap; changed in place like the anomaly settings
+  async setAliasHeartbeatSettings(userId, aliasName, settings) {
+    const alias = this.getUserAlias(userId, aliasName);
+    if (!alias) {
+      throw new Error(`Alias "${aliasName}" not found for user ${userId}`);
+    }
+
+    alias.heartbeat = settings ? this.normalizeHeartbeatSettings(settings) : null;
+    alias.lastModified = new Date();
+    await this.saveToFile();
+    console.log(`💓 Heartbeat settings of ${userId}/${aliasName}: ${JSON.stringify(alias.heartbeat)}`);
+    return alias;
+  }
+
+  normalizeHeartbeatSettings({ maxGapMinutes = null, schedule = [] } = {}) {
+    const { maxGapLimitMinutes } = config.heartbeat;
+    const weekdays = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+    const isGap = (value) => Number.isInteger(value) && value >= 1 && value <= maxGapLimitMinutes;
+
+    if (maxGapMinutes !== null && !isGap(maxGapMinutes)) {
+      throw new Error(`maxGapMinutes must be an integer between 1 and ${maxGapLimitMinutes}`);
+    }
+    if (!Array.isArray(schedule)) {
+      throw new Error("schedule must be a list of { days?, from: 'HH:MM', to: 'HH:MM', maxGapMinutes }");
+    }
+
+    const entries = schedule.map((entry, index) => {
+      const { days = null, from, to, maxGapMinutes: gap = null } = entry || {};
+      if (!isValidTimeString(from) || !isValidTimeString(to) || from === to) {
+        throw new Error(`schedule[${index}]: from and to must be different HH:MM times (alias local time)`);
+      }
+      if (gap !== null && !isGap(gap)) {
+        throw new Error(`schedule[${index}]: maxGapMinutes must be an integer between 1 and ${maxGapLimitMinutes}, or null (no writes expected)`);
+      }
+      const dayList = days === null ? null : (Array.isArray(days) ? days : []).map(day => String(day).toLowerCase().slice(0, 3));
+      if (dayList !== null && (dayList.length === 0 || dayList.some(day => !weekdays.includes(day)))) {
+        throw new Error(`schedule[${index}]: days must be a list of ${weekdays.join(", ")}`);
+      }
+      return { ...(dayList && { days: weekdays.filter(day => dayList.includes(day)) }), from: from.slice(0, 5), to: to.slice(0, 5), maxGapMinutes: gap };
+    });
+
+    return { maxGapMinutes, schedule: entries };
+  }
+
   async deleteAlias(userId, aliasName) {
     try {
       const aliases = this.userAliases.get(userId) || [];
       const index = aliases.findIndex((a) => a.aliasName === aliasName);
 
       if (index > -1) {
-        aliases.splice(index, 1);
+        const [removedAlias] = aliases.splice(index, 1);
         await this.saveToFile();
         console.log(`🗑️ Deleted alias: ${aliasName}`);
+        this.emit("aliasDeleted", { userId, aliasName, alias: removedAlias });
         return true;
       }
       return false;
@@ -155,6 +309,44 @@ export class UserAliasService {
     }
   }
 
+  // ==========================================
+  // USER SETTINGS
+  // ==========================================
+  getUserSettings(userId) {
+    return {
+      timezone: null,
+      ...(this.userSettings.get(userId) || {}),
+    };
+  }
+
+  async updateUserSettings(userId, changes = {}) {
+    if (changes.timezone && !isValidTimeZone(changes.timezone)) {
+      throw new Error(`Invalid timezone "${changes.timezone}" (use an IANA name like Asia/Kolkata)`);
+    }
+
+    const settings = {
+      ...this.getUserSettings(userId),
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    };
+
+    this.userSettings.set(userId, settings);
+    await this.saveToFile();
+    console.log(`⚙️ Updated settings for user: ${userId}`);
+    return settings;
+  }
+
+  // 🌐 Zone "today" means for this user/alias: alias → user → server default
+  resolveTimezone(userId, aliasOrName = null) {
+    const alias = typeof aliasOrName === "string"
+      ? this.getUserAlias(userId, aliasOrName)
+      : aliasOrName;
+
+    return alias?.timezone ||
+      this.userSettings.get(userId)?.timezone ||
+      config.time.defaultTimezone;
+  }
+
   getAllUsers() {
     return Array.from(this.userAliases.keys());
   }
@@ -175,3 +367,6 @@ export class UserAliasService {
     return stats;
   }
 }
+
+// Shared instance: every service sees alias changes immediately
+export const userAliasService = new UserAliasService();
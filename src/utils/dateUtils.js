@@ -25,6 +25,404 @@ export const parseLogTimestamp = (timestampStr) => {
   return new Date().toISOString();
 };
 
+// Regex source for one token of a .NET / Java style date format (yyyy-MM-dd HH:mm:ss.fff zzz)
+const DATE_TOKEN_PATTERNS = {
+  y: (n) => (n === 2 ? '\\d{2}' : '\\d{4}'),
+  M: (n) => (n >= 3 ? '[A-Za-z]{3,9}' : '\\d{1,2}'),
+  d: (n) => (n >= 3 ? '[A-Za-z]{3,9}' : '\\d{1,2}'),
+  E: () => '[A-Za-z]{3,9}',
+  H: () => '\\d{1,2}',
+  h: () => '\\d{1,2}',
+  m: () => '\\d{1,2}',
+  s: () => '\\d{1,2}',
+  S: (n) => `\\d{1,${Math.max(n, 3)}}`,
+  f: (n) => `\\d{1,${Math.max(n, 3)}}`,
+  F: (n) => `\\d{0,${Math.max(n, 3)}}`,
+  t: () => '[AaPp][Mm]?',
+  a: () => '[AaPp][Mm]',
+  z: () => '(?:Z|[+-]\\d{1,2}(?::?\\d{2})?)',
+  Z: () => '(?:Z|[+-]\\d{2}:?\\d{2})',
+  X: () => '(?:Z|[+-]\\d{2}(?::?\\d{2})?)',
+  K: () => '(?:Z|[+-]\\d{2}:\\d{2})?'
+};
+
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Split a date format into { char, length } tokens and literal text
+const tokenizeDateFormat = (format) => {
+  const tokens = [];
+  let i = 0;
+
+  while (i < format.length) {
+    const char = format[i];
+
+    // 'quoted' literal text
+    if (char === "'") {
+      const end = format.indexOf("'", i + 1);
+      const literal = end === -1 ? format.slice(i + 1) : format.slice(i + 1, end);
+      tokens.push({ literal });
+      i = end === -1 ? format.length : end + 1;
+      continue;
+    }
+
+    let length = 1;
+    while (format[i + length] === char) length++;
+
+    tokens.push(DATE_TOKEN_PATTERNS[char] ? { char, length } : { literal: char.repeat(length) });
+    i += length;
+  }
+
+  return tokens;
+};
+
+// Turn a date format string into regex source that matches stamps written with it
+export const dateFormatToRegex = (format) =>
+  tokenizeDateFormat(format)
+    .map(token => (token.literal !== undefined
+      ? escapeRegex(token.literal)
+      : `(?:${DATE_TOKEN_PATTERNS[token.char](token.length)})`))
+    .join('');
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const parseOffsetMinutes = (value) => {
+  if (!value || value === 'Z') return value === 'Z' ? 0 : null;
+  const match = value.match(/^([+-])(\d{1,2}):?(\d{2})?$/);
+  if (!match) return null;
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+// 🎯 Read a stamp written with a known format into its parts (null = doesn't match)
+// Missing date parts stay null so callers can fill them from the file date
+export const parseDateWithFormat = (value, format) => {
+  const tokens = tokenizeDateFormat(format);
+  const source = tokens
+    .map(token => (token.literal !== undefined
+      ? escapeRegex(token.literal)
+      : `(${DATE_TOKEN_PATTERNS[token.char](token.length)})`))
+    .join('');
+
+  const match = String(value).trim().match(new RegExp(`^${source}`));
+  if (!match) return null;
+
+  const parts = {
+    year: null, month: null, day: null,
+    hour: 0, minute: 0, second: 0, millisecond: 0,
+    offsetMinutes: null
+  };
+  let isPm = null;
+  let group = 1;
+
+  for (const token of tokens) {
+    if (token.literal !== undefined) continue;
+    const text = match[group++];
+
+    switch (token.char) {
+      case 'y': parts.year = token.length === 2 ? 2000 + parseInt(text, 10) : parseInt(text, 10); break;
+      case 'M':
+        parts.month = token.length >= 3
+          ? MONTH_NAMES.indexOf(text.slice(0, 3).toLowerCase()) + 1
+          : parseInt(text, 10);
+        break;
+      case 'd': if (token.length <= 2) parts.day = parseInt(text, 10); break;
+      case 'H': case 'h': parts.hour = parseInt(text, 10); break;
+      case 'm': parts.minute = parseInt(text, 10); break;
+      case 's': parts.second = parseInt(text, 10); break;
+      case 'S': case 'f': case 'F':
+        parts.millisecond = text ? Math.floor(parseInt(text, 10) / Math.pow(10, text.length - 3)) : 0;
+        break;
+      case 't': case 'a': isPm = text.toLowerCase().startsWith('p'); break;
+      case 'z': case 'Z': case 'X': case 'K': parts.offsetMinutes = parseOffsetMinutes(text); break;
+      default: break;
+    }
+  }
+
+  if (isPm !== null) {
+    if (isPm && parts.hour < 12) parts.hour += 12;
+    if (!isPm && parts.hour === 12) parts.hour = 0;
+  }
+
+  if (parts.month === 0) return null; // unknown month name
+  return parts;
+};
+
+const pad = (number, size = 2) => String(number).padStart(size, '0');
+
+// Parts → "2025-09-01T10:00:00.000+05:30" (or "10:00:00.000" when there is no date)
+export const formatDateParts = (parts) => {
+  const time = `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}.${pad(parts.millisecond, 3)}`;
+  if (parts.year === null || parts.month === null || parts.day === null) return time;
+
+  let offset = '';
+  if (parts.offsetMinutes !== null) {
+    const sign = parts.offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(parts.offsetMinutes);
+    offset = `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+  }
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${time}${offset}`;
+};
+
+// ==========================================
+// Time zones (IANA names, e.g. 'Asia/Kolkata')
+// ==========================================
+const zoneFormatters = new Map();
+
+const getZoneFormatter = (timeZone) => {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return zoneFormatters.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getZoneFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant as seen in a time zone
+export const getZonedParts = (date, timeZone) => {
+  const values = {};
+  getZoneFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    values[type] = parseInt(value, 10);
+  });
+
+  return {
+    year: values.year, month: values.month, day: values.day,
+    hour: values.hour, minute: values.minute, second: values.second
+  };
+};
+
+// Offset of a zone from UTC at a given instant, in minutes (IST = 330)
+export const getTimeZoneOffsetMinutes = (timeZone, date = new Date()) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - (instant.getTime() - instant.getMilliseconds())) / 60000);
+};
+
+// 🎯 Wall-clock parts written in a zone → real instant (Date)
+// An explicit offset in the parts wins over the zone
+export const zonedPartsToDate = (parts, timeZone = 'UTC') => {
+  const wallClockAsUtc = Date.UTC(
+    parts.year, parts.month - 1, parts.day,
+    parts.hour, parts.minute, parts.second, parts.millisecond || 0
+  );
+
+  if (parts.offsetMinutes !== null && parts.offsetMinutes !== undefined) {
+    return new Date(wallClockAsUtc - parts.offsetMinutes * 60000);
+  }
+
+  // Two passes settle DST transitions
+  let offset = getTimeZoneOffsetMinutes(timeZone, wallClockAsUtc);
+  const firstGuess = wallClockAsUtc - offset * 60000;
+  offset = getTimeZoneOffsetMinutes(timeZone, firstGuess);
+  return new Date(wallClockAsUtc - offset * 60000);
+};
+
+// YYYY-MM-DD of an instant in a zone
+export const toDateStringInTimeZone = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// "Today" as YYYY-MM-DD in a zone
+export const getTodayString = (timeZone) => toDateStringInTimeZone(new Date(), timeZone);
+
+export const isValidDateString = (dateString) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateString || '')) return false;
+  const date = new Date(`${dateString}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(dateString);
+};
+
+// ==========================================
+// Date ranges (startDate / endDate / startTime / endTime)
+// ==========================================
+export const isValidTimeString = (timeString) =>
+  /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(timeString || '');
+
+export const addDaysToDateString = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Inclusive number of calendar days between two YYYY-MM-DD strings
+export const countDaysInRange = (startDate, endDate) =>
+  Math.round((new Date(`${endDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / 86400000) + 1;
+
+// 🎯 Check range params; returns an error message or null
+export const validateDateRangeParams = (params = {}, options = {}) => {
+  const { date, startDate, endDate, startTime, endTime } = params;
+  const { maxSpanDays = 31 } = options;
+
+  for (const [key, value] of Object.entries({ date, startDate, endDate })) {
+    if (value && !isValidDateString(value)) return `Invalid ${key} "${value}" (expected YYYY-MM-DD)`;
+  }
+  for (const [key, value] of Object.entries({ startTime, endTime })) {
+    if (value && !isValidTimeString(value)) return `Invalid ${key} "${value}" (expected HH:mm or HH:mm:ss)`;
+  }
+
+  if (date && (startDate || endDate)) {
+    return 'Use either date or startDate/endDate, not both';
+  }
+
+  if (startDate || endDate) {
+    const start = startDate || endDate;
+    const end = endDate || startDate;
+
+    if (!isValidDateRange(start, end)) return 'startDate must be on or before endDate';
+
+    const span = countDaysInRange(start, end);
+    if (span > maxSpanDays) {
+      return `Date range too long: ${span} days (maximum ${maxSpanDays})`;
+    }
+  }
+
+  // Whole window: first day + startTime must not come after last day + endTime
+  if (startTime && endTime) {
+    const firstDay = startDate || endDate || date;
+    const lastDay = endDate || startDate || date;
+    const withSeconds = (time) => (time.length === 5 ? `${time}:00` : time);
+
+    if ((!firstDay || firstDay === lastDay) && withSeconds(startTime) > withSeconds(endTime)) {
+      return 'startTime must be before endTime on the same day (use an endDate after startDate for windows across midnight)';
+    }
+  }
+
+  return null;
+};
+
+// 🎯 Range params → { startDate, endDate, isRange, window } in a zone
+// window (exact instants) is set when the query is a range or has a time of day
+// The end is inclusive to its last millisecond: endTime 10:30 → 10:30:59.999, 10:30:15 → 10:30:15.999
+export const resolveDateRange = (params = {}, timeZone = 'UTC') => {
+  const { date, startDate, endDate, startTime, endTime } = params;
+  const isRange = Boolean(startDate || endDate);
+  const today = getTodayString(timeZone);
+
+  const start = isRange ? (startDate || endDate) : (date || today);
+  const end = isRange ? (endDate || startDate) : start;
+
+  let window = null;
+  if (isRange || startTime || endTime) {
+    const toInstant = (dateString, timeString, endOfDay) => {
+      const [year, month, day] = dateString.split('-').map(Number);
+      const [hour, minute, second = endOfDay ? 59 : 0] = (timeString || (endOfDay ? '23:59:59' : '00:00:00'))
+        .split(':').map(Number);
+      return zonedPartsToDate({
+        year, month, day, hour, minute, second,
+        millisecond: endOfDay ? 999 : 0,
+        offsetMinutes: null
+      }, timeZone);
+    };
+
+    window = {
+      start: toInstant(start, startTime, false),
+      end: toInstant(end, endTime, true)
+    };
+  }
+
+  return { startDate: start, endDate: end, isRange, window, timezone: timeZone };
+};
+
+// ==========================================
+// Log timestamp strings
+// ==========================================
+const TIMESTAMP_FORMATS = [
+  // .NET JSON date: /Date(1693562400000+0530)/ (the number is already UTC)
+  {
+    pattern: /\/Date\((-?\d+)(?:[+-]\d{4})?\)\//,
+    toParts: (m) => ({ epochMs: parseInt(m[1], 10) })
+  },
+  // Epoch millis / seconds
+  { pattern: /^(\d{13})$/, toParts: (m) => ({ epochMs: parseInt(m[1], 10) }) },
+  { pattern: /^(\d{10})(?:\.(\d+))?$/, toParts: (m) => ({ epochMs: parseFloat(`${m[1]}.${m[2] || 0}`) * 1000 }) },
+  // ISO / yyyy-MM-dd HH:mm:ss[.,]fff [offset] / yyyy/MM/dd
+  {
+    pattern: /^(\d{4})[-/](\d{2})[-/](\d{2})[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:[.,](\d{1,9}))?\s*(Z|[+-]\d{2}:?\d{2})?/,
+    toParts: (m) => ({
+      year: +m[1], month: +m[2], day: +m[3], hour: +m[4], minute: +m[5], second: +(m[6] || 0),
+      millisecond: fractionToMillis(m[7]), offsetMinutes: parseOffsetMinutes(m[8])
+    })
+  },
+  // dd/MM/yyyy HH:mm:ss (our default) or MM/dd/yyyy hh:mm:ss tt (.NET en-US)
+  {
+    pattern: /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})[ T:](\d{1,2}):(\d{2})(?::(\d{2}))?(?:[.,](\d{1,9}))?\s*([AaPp][Mm])?\s*(Z|[+-]\d{2}:?\d{2})?/,
+    toParts: (m) => {
+      let [day, month] = [+m[1], +m[2]];
+      const monthFirst = (m[8] && month <= 12 && day <= 12) || month > 12;
+      if (monthFirst) [day, month] = [month, day];
+      return {
+        year: +m[3], month, day, hour: to24Hour(+m[4], m[8]), minute: +m[5], second: +(m[6] || 0),
+        millisecond: fractionToMillis(m[7]), offsetMinutes: parseOffsetMinutes(m[9])
+      };
+    }
+  },
+  // Apache: 10/Oct/2025:13:55:36 +0530, log4j DATE: 10 Oct 2025 13:55:36,123
+  {
+    pattern: /^(\d{1,2})[/ ]([A-Za-z]{3})[/ ](\d{4})[: ](\d{2}):(\d{2}):(\d{2})(?:[.,](\d{1,9}))?\s*([+-]\d{2}:?\d{2})?/,
+    toParts: (m) => ({
+      year: +m[3], month: MONTH_NAMES.indexOf(m[2].toLowerCase()) + 1, day: +m[1],
+      hour: +m[4], minute: +m[5], second: +m[6],
+      millisecond: fractionToMillis(m[7]), offsetMinutes: parseOffsetMinutes(m[8])
+    })
+  },
+  // Time only: HH:mm:ss[.fff] [AM|PM]
+  {
+    pattern: /^(\d{1,2}):(\d{2}):(\d{2})(?:[.,](\d{1,9}))?\s*([AaPp][Mm])?/,
+    toParts: (m) => ({
+      year: null, month: null, day: null,
+      hour: to24Hour(+m[1], m[5]), minute: +m[2], second: +m[3],
+      millisecond: fractionToMillis(m[4]), offsetMinutes: null
+    })
+  }
+];
+
+function fractionToMillis(fraction) {
+  if (!fraction) return 0;
+  return Math.floor(parseInt(fraction, 10) / Math.pow(10, fraction.length - 3));
+}
+
+function to24Hour(hour, meridiem) {
+  if (!meridiem) return hour;
+  const isPm = meridiem.toLowerCase().startsWith('p');
+  if (isPm && hour < 12) return hour + 12;
+  if (!isPm && hour === 12) return 0;
+  return hour;
+}
+
+// 🎯 Any supported stamp → parts ({ epochMs } for absolute stamps), or null
+export const parseTimestampString = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().replace(/^\[/, '');
+
+  for (const { pattern, toParts } of TIMESTAMP_FORMATS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const parts = toParts(match);
+    if (parts.epochMs !== undefined) return isNaN(parts.epochMs) ? null : parts;
+    if (parts.month !== null && (parts.month < 1 || parts.month > 12)) return null;
+    if (parts.day !== null && (parts.day < 1 || parts.day > 31)) return null;
+    if (parts.hour > 23 || parts.minute > 59 || parts.second > 60) return null;
+    return parts;
+  }
+
+  return null;
+};
+
 export const isValidDateRange = (startDate, endDate) => {
   const start = new Date(startDate);
   const end = new Date(endDate);
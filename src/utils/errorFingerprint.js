@@ -0,0 +1,62 @@
+// 📁 src/utils/errorFingerprint.js
+// Error fingerprints: variable tokens (ids, numbers, IPs, paths, quoted values) → placeholders, then hashed
+// The same failure with different ids / times / numbers gets the same fingerprint
+// ==========================================
+import crypto from 'crypto';
+
+// Applied in order: wider tokens first so a GUID or IP isn't eaten digit by digit
+const VARIABLE_TOKENS = [
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<guid>'],
+  [/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"<>]+/gi, '<url>'],
+  [/\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g, '<email>'],
+  [/\b\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?\b/g, '<ip>'],
+  [/(?:\b[a-z]:|\\\\[\w.$-]+)(?:\\[^\\\s'"<>:*?|]+)+\\?/gi, '<path>'], // C:\dir\file, \\server\share\dir
+  [/(?<![\w<>])(?:\/[\w.@%+-]+){2,}\/?/g, '<path>'], // /var/log/app
+  [/"[^"]*"|'[^']*'/g, '<str>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,}\b/gi, '<hex>'], // hashes, trace ids
+  [/\d+(?:\.\d+)*/g, '<num>']
+];
+
+const LEVEL_PREFIX = /^[\s|:-]*[[(]?(?:ERROR|ERR|FATAL|CRITICAL|SEVERE|WARN(?:ING)?)[\])]?[\s|:-]*/i;
+const EXCEPTION_TYPE = /^\s*([\w.$]+(?:Exception|Error))\b/;
+const MAX_SIGNATURE_PART = 300;
+
+// 🎯 Text → same text with every variable token replaced by a placeholder
+export const normalizeErrorText = (text) => {
+  let normalized = String(text || '');
+  for (const [pattern, placeholder] of VARIABLE_TOKENS) {
+    normalized = normalized.replace(pattern, placeholder);
+  }
+  return normalized.replace(/\s+/g, ' ').trim().slice(0, MAX_SIGNATURE_PART);
+};
+
+// Message without its leading timestamp / level (plain-text entries keep both in the first line)
+const stripEntryPrefix = (message, rawTimestamp) => {
+  let text = message || '';
+  if (rawTimestamp && text.includes(rawTimestamp)) text = text.replace(rawTimestamp, '');
+  return text.replace(/^[\s\]|:-]*/, '').replace(LEVEL_PREFIX, '');
+};
+
+// 🎯 Structured log (LogAggregatorService.buildLogEntry) or assembled entry (assembleFileEntries)
+// → { fingerprint, signature, exceptionType }; signature = normalized message | exception type | top stack frame
+export const fingerprintLog = (log) => {
+  const message = log.message ?? (log.fields?.message || log.firstLine);
+  const lines = String(log.content || '').split('\n').slice(1);
+  const exceptionType = lines.map(line => line.match(EXCEPTION_TYPE)?.[1]).find(Boolean) ||
+    (message || '').match(/\b([\w.$]+(?:Exception|Error))\b/)?.[1] || null;
+  const topFrame = lines.find(line => line.trim().startsWith('at '));
+
+  const signature = [
+    normalizeErrorText(stripEntryPrefix(message, log.rawTimestamp)),
+    exceptionType,
+    topFrame && normalizeErrorText(topFrame)
+  ].filter(Boolean).join(' | ');
+
+  const fingerprint = crypto.createHash('sha1')
+    .update(`${log.logLevel || ''}|${signature}`)
+    .digest('hex')
+    .slice(0, 12);
+
+  return { fingerprint, signature, exceptionType };
+};
@@ -0,0 +1,283 @@
+// 📁 src/utils/fileUtils.js
+// Memory-bounded line reading (head / tail) for large log files
+// ==========================================
+import fs from 'fs-extra';
+import crypto from 'crypto';
+
+const NEWLINE = 0x0a;
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+// Buffer → line text (drops \r and trailing whitespace like the old reader)
+const decodeLine = (buffer) => buffer.toString('utf-8').trimEnd();
+
+// 🎯 Count "\n" in [0, endOffset) by streaming - used to number tail lines
+export const countNewlines = async (filePath, endOffset, options = {}) => {
+  const { startOffset = 0, chunkSize = DEFAULT_CHUNK_SIZE } = options;
+  if (endOffset <= startOffset) return 0;
+
+  let count = 0;
+  const stream = fs.createReadStream(filePath, {
+    start: startOffset,
+    end: endOffset - 1,
+    highWaterMark: chunkSize
+  });
+
+  for await (const chunk of stream) {
+    let index = chunk.indexOf(NEWLINE);
+    while (index !== -1) {
+      count++;
+      index = chunk.indexOf(NEWLINE, index + 1);
+    }
+  }
+
+  return count;
+};
+
+// 🎯 Stream forward from offset, calling onLine(text, lineNumber, byteOffset) for every non-empty line
+// onLine returning false stops the read (early stop); so does consuming maxBytes
+// startLine: real line number of the line at offset (1 when reading from the start)
+export const forEachLine = async (filePath, onLine, options = {}) => {
+  const {
+    offset = 0,
+    startLine = 1,
+    maxBytes = Infinity,
+    completeLinesOnly = false, // live tails: leave a line still being written for the next read
+    chunkSize = DEFAULT_CHUNK_SIZE
+  } = options;
+
+  const { size: fileSize } = await fs.stat(filePath);
+
+  let position = Math.min(offset, fileSize); // byte offset after the last consumed line
+  let lineNumber = startLine - 1;
+  let stopped = false;
+
+  const consume = (lineBuffer, byteLength) => {
+    const lineOffset = position;
+    lineNumber++;
+    position += byteLength;
+
+    const line = decodeLine(lineBuffer);
+    const keepGoing = line.length === 0 || onLine(line, lineNumber, lineOffset) !== false;
+
+    stopped = !keepGoing || position - offset >= maxBytes;
+  };
+
+  if (position < fileSize) {
+    const stream = fs.createReadStream(filePath, { start: position, highWaterMark: chunkSize });
+    let pending = Buffer.alloc(0);
+
+    for await (const chunk of stream) {
+      const buffer = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      let lineStart = 0;
+      let newline = buffer.indexOf(NEWLINE);
+
+      while (newline !== -1 && !stopped) {
+        consume(buffer.subarray(lineStart, newline), newline - lineStart + 1);
+        lineStart = newline + 1;
+        newline = buffer.indexOf(NEWLINE, lineStart);
+      }
+
+      pending = buffer.subarray(lineStart);
+
+      // A single line longer than the whole budget: stop instead of buffering it
+      if (!stopped && pending.length >= maxBytes - (position - offset)) stopped = true;
+      if (stopped) break; // leaving the loop closes the stream
+    }
+
+    // Last line without a trailing newline
+    if (!stopped && pending.length > 0 && !completeLinesOnly) consume(pending, pending.length);
+  }
+
+  return {
+    fileSize,
+    bytesRead: position - offset,
+    stopped,
+    readStoppedAt: { byteOffset: position, lineNumber }
+  };
+};
+
+// 🎯 Read forward from offset until EOF, maxLines non-empty lines or maxBytes consumed
+export const readLinesFromHead = async (filePath, options = {}) => {
+  const { maxLines = Infinity, ...streamOptions } = options;
+  const lines = [];
+  const lineNumbers = [];
+  const lineOffsets = []; // byte offset each line starts at
+
+  const { fileSize, bytesRead, stopped, readStoppedAt } = await forEachLine(filePath, (line, lineNumber, byteOffset) => {
+    lines.push(line);
+    lineNumbers.push(lineNumber);
+    lineOffsets.push(byteOffset);
+    return lines.length < maxLines;
+  }, streamOptions);
+
+  const truncated = stopped && readStoppedAt.byteOffset < fileSize;
+
+  return {
+    lines,
+    lineNumbers,
+    lineOffsets,
+    fileSize,
+    bytesRead,
+    truncated,
+    readStoppedAt,
+    nextOffset: truncated ? readStoppedAt.byteOffset : null,
+    nextLine: truncated ? readStoppedAt.lineNumber + 1 : null
+  };
+};
+
+// Offset right after the last "\n" before endOffset (0 = no complete line)
+const findLineEnd = async (handle, endOffset, chunkSize) => {
+  let position = endOffset;
+  while (position > 0) {
+    const readSize = Math.min(chunkSize, position);
+    position -= readSize;
+
+    const chunk = Buffer.alloc(readSize);
+    await fs.read(handle, chunk, 0, readSize, position);
+    const newline = chunk.lastIndexOf(NEWLINE);
+    if (newline !== -1) return position + newline + 1;
+  }
+  return 0;
+};
+
+// 🎯 Read backwards in chunks from offset (default: end of file) - last N lines without the rest
+// countLines: number the lines by counting newlines before the first one returned
+// countNewlinesBefore(byteOffset): custom counter (e.g. resuming from a cached checkpoint)
+export const readLinesFromTail = async (filePath, options = {}) => {
+  const {
+    offset = null,
+    maxLines = Infinity,
+    maxBytes = Infinity,
+    countLines = false,
+    countNewlinesBefore = (byteOffset) => countNewlines(filePath, byteOffset),
+    completeLinesOnly = false, // leave out a last line without "\n" (still being written)
+    chunkSize = DEFAULT_CHUNK_SIZE
+  } = options;
+
+  const { size: fileSize } = await fs.stat(filePath);
+  let endOffset = offset === null ? fileSize : Math.min(offset, fileSize);
+  let partialLineBytes = 0;
+
+  // Raw segments newest → oldest: { start, buffer } (empty lines kept for numbering)
+  const segments = [];
+  let nonEmpty = 0;
+  let position = endOffset;
+  let pending = Buffer.alloc(0); // head of a line that continues into the next (earlier) chunk
+
+  const handle = await fs.open(filePath, 'r');
+  try {
+    if (completeLinesOnly && endOffset > 0) {
+      const lineEnd = await findLineEnd(handle, endOffset, chunkSize);
+      partialLineBytes = endOffset - lineEnd;
+      endOffset = position = lineEnd;
+    }
+
+    while (position > 0 && nonEmpty < maxLines && endOffset - position < maxBytes) {
+      const readSize = Math.min(chunkSize, position, maxBytes - (endOffset - position));
+      position -= readSize;
+
+      const chunk = Buffer.alloc(readSize);
+      await fs.read(handle, chunk, 0, readSize, position);
+
+      const buffer = pending.length > 0 ? Buffer.concat([chunk, pending]) : chunk;
+      let lineEnd = buffer.length;
+      let newline = buffer.lastIndexOf(NEWLINE, lineEnd - 1);
+
+      // The byte right before endOffset closes a line - not an empty line of its own
+      if (segments.length === 0 && pending.length === 0 && newline === buffer.length - 1) {
+        lineEnd = newline;
+        newline = lineEnd > 0 ? buffer.lastIndexOf(NEWLINE, lineEnd - 1) : -1;
+      }
+
+      while (newline !== -1 && nonEmpty < maxLines) {
+        const segment = buffer.subarray(newline + 1, lineEnd);
+        segments.push({ start: position + newline + 1, buffer: segment });
+        if (decodeLine(segment).length > 0) nonEmpty++;
+
+        lineEnd = newline;
+        newline = lineEnd > 0 ? buffer.lastIndexOf(NEWLINE, lineEnd - 1) : -1;
+      }
+
+      pending = buffer.subarray(0, lineEnd);
+      if (nonEmpty >= maxLines) {
+        pending = Buffer.alloc(0);
+        break;
+      }
+    }
+
+    // Reached the start of the file: what is left is the first line
+    if (position === 0 && pending.length > 0 && nonEmpty < maxLines) {
+      segments.push({ start: 0, buffer: pending });
+    }
+  } finally {
+    await fs.close(handle);
+  }
+
+  segments.reverse();
+  const firstOffset = segments.length > 0 ? segments[0].start : endOffset;
+  const firstLineNumber = countLines ? (await countNewlinesBefore(firstOffset)) + 1 : null;
+
+  const lines = [];
+  const lineNumbers = [];
+  segments.forEach((segment, index) => {
+    const line = decodeLine(segment.buffer);
+    if (line.length > 0) {
+      lines.push(line);
+      lineNumbers.push(firstLineNumber === null ? null : firstLineNumber + index);
+    }
+  });
+
+  const truncated = firstOffset > 0;
+
+  return {
+    lines,
+    lineNumbers,
+    fileSize,
+    bytesRead: endOffset - firstOffset,
+    truncated,
+    // Reading went backwards: it stopped at the start of the oldest line returned
+    readStoppedAt: { byteOffset: firstOffset, lineNumber: firstLineNumber },
+    nextOffset: truncated ? firstOffset : null,
+    nextLine: null,
+    partialLineBytes // completeLinesOnly: bytes of the unfinished last line left out
+  };
+};
+
+// 🎯 Short hash of the first bytes - tells a rewritten file from an appended one
+export const readHeadSignature = async (filePath, bytes = 256) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(bytes);
+    const { bytesRead } = await fs.read(handle, buffer, 0, bytes, 0);
+    return crypto.createHash('sha1').update(buffer.subarray(0, bytesRead)).digest('hex').slice(0, 16);
+  } finally {
+    await fs.close(handle);
+  }
+};
+
+// ==========================================
+// JSON storage files
+// ==========================================
+const jsonWrites = new Map(); // filePath -> last queued write (settled either way)
+
+// 🎯 Written next to the target and renamed over it, so a crash never leaves half a file
+// Writes to the same path run one at a time in call order; data may be a function, called when
+// the write starts so it saves the latest state. Rejects if this write fails (the queue goes on)
+export const writeJsonAtomic = (filePath, data, { spaces } = {}) => {
+  const write = async () => {
+    const tempPath = `${filePath}.tmp`;
+    await fs.writeJson(tempPath, typeof data === 'function' ? data() : data, spaces ? { spaces } : undefined);
+    await fs.move(tempPath, filePath, { overwrite: true });
+  };
+
+  const result = (jsonWrites.get(filePath) || Promise.resolve()).then(write);
+  const settled = result.catch(() => {});
+  jsonWrites.set(filePath, settled);
+  settled.then(() => {
+    if (jsonWrites.get(filePath) === settled) jsonWrites.delete(filePath);
+  });
+  return result;
+};
+
+// Resolves once the writes queued for these paths are done (shutdown)
+export const jsonWritesSettled = (...filePaths) => Promise.all(filePaths.map(filePath => jsonWrites.get(filePath)));
@@ -0,0 +1,63 @@
+// 📁 src/utils/httpRequest.js
+// JSON over HTTP(S) for outgoing webhooks - node http / https, no extra dependency
+// ==========================================
+import http from 'http';
+import https from 'https';
+
+const MAX_RESPONSE_TEXT = 2000;
+
+// 🎯 Thrown for a failed request - status is null for network errors / timeouts
+export class HttpRequestError extends Error {
+  constructor(message, status = null, responseText = null) {
+    super(message);
+    this.name = 'HttpRequestError';
+    this.status = status;
+    this.responseText = responseText;
+    // Worth another attempt: network problems, timeouts, 429 and 5xx
+    this.temporary = status === null || status === 429 || status >= 500;
+  }
+}
+
+// 🎯 Send `body` as JSON; resolves { status, responseText } for 2xx, rejects with HttpRequestError otherwise
+export const sendJson = (url, body, { method = 'POST', headers = {}, timeoutMs = 10000 } = {}) =>
+  new Promise((resolve, reject) => {
+    let target;
+    try {
+      target = new URL(url);
+    } catch {
+      reject(new HttpRequestError(`Invalid URL: ${url}`, 0));
+      return;
+    }
+
+    const payload = Buffer.from(JSON.stringify(body), 'utf-8');
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': payload.length,
+        ...headers
+      }
+    }, (response) => {
+      let responseText = '';
+      response.setEncoding('utf-8');
+      response.on('data', (chunk) => {
+        if (responseText.length < MAX_RESPONSE_TEXT) responseText += chunk;
+      });
+      response.on('end', () => {
+        responseText = responseText.slice(0, MAX_RESPONSE_TEXT);
+        if (response.statusCode >= 200 && response.statusCode < 300) {
+          resolve({ status: response.statusCode, responseText });
+        } else {
+          reject(new HttpRequestError(`HTTP ${response.statusCode}`, response.statusCode, responseText));
+        }
+      });
+    });
+
+    request.setTimeout(timeoutMs, () => request.destroy(new HttpRequestError(`Timeout after ${timeoutMs}ms`)));
+    request.on('error', (error) => {
+      reject(error instanceof HttpRequestError ? error : new HttpRequestError(error.message));
+    });
+    request.end(payload);
+  });
@@ -0,0 +1,431 @@
+// 📁 src/utils/logQuery.js
+// Boolean query language for log entries: tokenize → AST (parsed once) → compiled predicate
+// ==========================================
+//   timeout                       term (case-insensitive substring of the entry text)
+//   "connection refused"          phrase
+//   /timeout \d+ms/i              regex literal
+//   level:ERROR  level>=WARNING   field filters: level, alias, file, user, message, time
+//   alias:Frisk-API  file:*adapter*  user:Imran   (* and ? are wildcards, case-insensitive)
+//   time>=10:00  time<2025-09-01T18:30  time:2025-09-01   (in the entry's user / alias zone)
+//   a AND b, a OR b, NOT a, -a, (a OR b) c        (adjacent terms mean AND)
+import { normalizeLevel } from '../parsers/parserUtils.js';
+import { getZonedParts, toDateStringInTimeZone, zonedPartsToDate } from './dateUtils.js';
+
+export const QUERY_FIELDS = ['level', 'alias', 'file', 'user', 'message', 'time'];
+
+const LEVEL_RANK = { DEBUG: 0, INFO: 1, WARNING: 2, ERROR: 3 };
+const COMPARISON_OPS = ['>=', '<=', '>', '<'];
+const FIELD_START = /^([A-Za-z]+)(>=|<=|:|=|>|<)/;
+
+// 🎯 Thrown for anything the parser can't accept - status 400, position = 0-based offset in the query
+export class LogQuerySyntaxError extends Error {
+  constructor(message, query, position) {
+    super(`${message} at position ${position}`);
+    this.name = 'LogQuerySyntaxError';
+    this.status = 400;
+    this.query = query;
+    this.position = position;
+  }
+
+  // Query with a caret under the offending character (for error responses)
+  get pointer() {
+    return `${this.query}\n${' '.repeat(this.position)}^`;
+  }
+
+  toJSON() {
+    return { error: this.message, query: this.query, position: this.position, pointer: this.pointer };
+  }
+}
+
+// ==========================================
+// Tokenizer
+// ==========================================
+const isSpace = (char) => /\s/.test(char);
+const endsWord = (char) => char === undefined || isSpace(char) || char === '(' || char === ')';
+
+const tokenize = (query) => {
+  const tokens = [];
+  const fail = (message, position) => { throw new LogQuerySyntaxError(message, query, position); };
+  let i = 0;
+
+  // "..." with \" and \\ escapes
+  const readPhrase = () => {
+    const start = i;
+    let value = '';
+    i++;
+    while (i < query.length && query[i] !== '"') {
+      if (query[i] === '\\' && i + 1 < query.length) i++;
+      value += query[i++];
+    }
+    if (i >= query.length) fail('Unterminated phrase (missing closing ")', start);
+    i++;
+    if (value.length === 0) fail('Empty phrase', start);
+    return value;
+  };
+
+  // /pattern/flags - "\/" keeps a slash inside the pattern
+  const readRegex = () => {
+    const start = i;
+    let pattern = '';
+    i++;
+    while (i < query.length && query[i] !== '/') {
+      if (query[i] === '\\' && i + 1 < query.length) pattern += query[i++];
+      pattern += query[i++];
+    }
+    if (i >= query.length) fail('Unterminated regex (missing closing /)', start);
+    i++;
+
+    let flags = '';
+    while (/[a-z]/.test(query[i] || '')) flags += query[i++];
+    if (/[^imsu]/.test(flags)) fail(`Unsupported regex flags "${flags}" (use i, m, s, u)`, start);
+    if (pattern.length === 0) fail('Empty regex', start);
+
+    try {
+      return new RegExp(pattern, flags);
+    } catch (error) {
+      return fail(`Invalid regex: ${error.message}`, start);
+    }
+  };
+
+  const readBare = () => {
+    let value = '';
+    while (!endsWord(query[i])) value += query[i++];
+    return value;
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+    const position = i;
+
+    if (isSpace(char)) { i++; continue; }
+    if (char === '(') { tokens.push({ type: 'lparen', position }); i++; continue; }
+    if (char === ')') { tokens.push({ type: 'rparen', position }); i++; continue; }
+    if (char === '"') { tokens.push({ type: 'phrase', value: readPhrase(), position }); continue; }
+    if (char === '/') { tokens.push({ type: 'regex', regex: readRegex(), position }); continue; }
+
+    // -term / -(group): shorthand for NOT
+    if (char === '-' && !endsWord(query[i + 1])) {
+      tokens.push({ type: 'not', position });
+      i++;
+      continue;
+    }
+
+    const field = query.slice(i).match(FIELD_START);
+    if (field && QUERY_FIELDS.includes(field[1].toLowerCase())) {
+      i += field[0].length;
+      const valuePosition = i;
+      let value;
+      if (query[i] === '"') value = { kind: 'phrase', text: readPhrase() };
+      else if (query[i] === '/') value = { kind: 'regex', regex: readRegex() };
+      else value = { kind: 'text', text: readBare() };
+
+      if (value.kind === 'text' && value.text.length === 0) fail(`Missing value for ${field[1]}${field[2]}`, valuePosition);
+
+      tokens.push({ type: 'field', field: field[1].toLowerCase(), op: field[2], value, position, valuePosition });
+      continue;
+    }
+    // name:value with an unknown name is almost always a typo (quote it to search the text)
+    if (field && field[2] === ':' && !query.slice(i + field[0].length).startsWith('//')) {
+      fail(`Unknown field "${field[1]}" (use ${QUERY_FIELDS.join(', ')} - or quote the text)`, position);
+    }
+
+    const word = readBare();
+    if (word === 'AND' || word === 'OR' || word === 'NOT') {
+      tokens.push({ type: word.toLowerCase(), position });
+    } else {
+      tokens.push({ type: 'term', value: word, position });
+    }
+  }
+
+  return tokens;
+};
+
+// ==========================================
+// Parser (recursive descent)
+//   or  := and (OR and)*
+//   and := not ((AND)? not)*
+//   not := (NOT | -) not | primary
+//   primary := ( or ) | term | phrase | regex | field
+// ==========================================
+const PRIMARY_START = ['lparen', 'term', 'phrase', 'regex', 'field', 'not'];
+
+// 🎯 Query string → AST (null for an empty query = match everything)
+export const parseLogQuery = (query) => {
+  if (typeof query !== 'string') throw new LogQuerySyntaxError('Query must be a string', String(query), 0);
+
+  const tokens = tokenize(query);
+  if (tokens.length === 0) return null;
+
+  let index = 0;
+  const peek = () => tokens[index];
+  const fail = (message, position) => { throw new LogQuerySyntaxError(message, query, position); };
+  const describe = (token) => (token ? `"${query.slice(token.position).split(/\s/)[0]}"` : 'end of query');
+
+  const parseOr = () => {
+    let node = parseAnd();
+    while (peek()?.type === 'or') {
+      const operator = tokens[index++];
+      if (!PRIMARY_START.includes(peek()?.type)) fail(`Expected a term after OR, found ${describe(peek())}`, peek()?.position ?? query.length);
+      node = { type: 'or', left: node, right: parseAnd(), position: operator.position };
+    }
+    return node;
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (peek() && (peek().type === 'and' || PRIMARY_START.includes(peek().type))) {
+      const position = peek().position;
+      if (peek().type === 'and') {
+        index++;
+        if (!PRIMARY_START.includes(peek()?.type)) fail(`Expected a term after AND, found ${describe(peek())}`, peek()?.position ?? query.length);
+      }
+      node = { type: 'and', left: node, right: parseNot(), position };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (peek()?.type === 'not') {
+      const operator = tokens[index++];
+      if (!PRIMARY_START.includes(peek()?.type)) fail(`Expected a term after NOT, found ${describe(peek())}`, peek()?.position ?? query.length);
+      return { type: 'not', operand: parseNot(), position: operator.position };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) fail('Unexpected end of query', query.length);
+
+    if (token.type === 'lparen') {
+      index++;
+      if (peek()?.type === 'rparen') fail('Empty parentheses', token.position);
+      const node = parseOr();
+      if (peek()?.type !== 'rparen') fail('Missing closing ) for this (', token.position);
+      index++;
+      return node;
+    }
+
+    index++;
+    switch (token.type) {
+      case 'term':
+      case 'phrase':
+        return { type: token.type, value: token.value, position: token.position };
+      case 'regex':
+        return { type: 'regex', regex: token.regex, position: token.position };
+      case 'field':
+        return buildFieldNode(token, query);
+      default:
+        return fail(`Unexpected ${describe(token)}`, token.position);
+    }
+  };
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    fail(token.type === 'rparen' ? 'Unexpected ) without a matching (' : `Unexpected ${describe(token)}`, token.position);
+  }
+  return ast;
+};
+
+// Field values are checked while parsing so a bad level / time is a 400, not "no results"
+const buildFieldNode = (token, query) => {
+  const { field, op, value, position, valuePosition } = token;
+  const fail = (message) => { throw new LogQuerySyntaxError(message, query, valuePosition); };
+  const node = { type: 'field', field, op: op === '=' ? ':' : op, position };
+  const isComparison = COMPARISON_OPS.includes(node.op);
+
+  if (isComparison && field !== 'level' && field !== 'time') {
+    throw new LogQuerySyntaxError(`${field} only supports ":" (comparisons work for level and time)`, query, position);
+  }
+
+  if (field === 'level') {
+    const level = value.kind === 'regex' ? null : normalizeLevel(value.text);
+    if (!level) fail(`Unknown level "${value.text ?? value.regex}" (use ${Object.keys(LEVEL_RANK).join(', ')})`);
+    return { ...node, level };
+  }
+
+  if (field === 'time') {
+    if (value.kind === 'regex') fail('time needs a value like 10:00, 2025-09-01 or 2025-09-01T10:00');
+    return { ...node, time: parseTimeValue(value.text, fail) };
+  }
+
+  // alias / file / user / message
+  if (value.kind === 'regex') return { ...node, regex: value.regex };
+  if (field === 'message') return { ...node, text: value.text.toLowerCase() };
+  return { ...node, glob: globToRegex(value.text) };
+};
+
+const globToRegex = (pattern) => {
+  const source = pattern
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\/]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+};
+
+// HH:MM[:SS] (time of day), YYYY-MM-DD (day), YYYY-MM-DD[T ]HH:MM[:SS] (instant) - all in the entry's zone
+const parseTimeValue = (text, fail) => {
+  let match = text.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (match) {
+    const [hour, minute, second] = [match[1], match[2], match[3]].map(part => parseInt(part || '0', 10));
+    if (hour > 23 || minute > 59 || second > 59) fail(`Invalid time "${text}"`);
+    const unit = match[3] ? 1 : 60; // compare at the precision given
+    return { kind: 'timeOfDay', value: Math.floor((hour * 3600 + minute * 60 + second) / unit), unit };
+  }
+
+  match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (match) {
+    if (Number.isNaN(Date.parse(`${text}T00:00:00Z`))) fail(`Invalid date "${text}"`);
+    return { kind: 'day', value: text };
+  }
+
+  match = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (match) {
+    const [year, month, day, hour, minute, second] = match.slice(1).map(part => parseInt(part || '0', 10));
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+      fail(`Invalid date-time "${text}"`);
+    }
+    return { kind: 'instant', parts: { year, month, day, hour, minute, second }, unit: match[6] ? 1000 : 60000 };
+  }
+
+  return fail(`Invalid time "${text}" (use HH:MM, HH:MM:SS, YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+};
+
+// ==========================================
+// Evaluation
+// ==========================================
+const compare = (left, op, right) => {
+  switch (op) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    default: return left === right;
+  }
+};
+
+const recordText = (record) => String(record.content ?? record.message ?? record.text ?? '');
+
+const FIELD_VALUES = {
+  alias: (record) => record.aliasName,
+  file: (record) => record.fileName,
+  user: (record) => record.userId,
+  message: (record) => record.message ?? record.text ?? record.content
+};
+
+const compileNode = (node, resolveZone) => {
+  switch (node.type) {
+    case 'and': {
+      const left = compileNode(node.left, resolveZone);
+      const right = compileNode(node.right, resolveZone);
+      return (record) => left(record) && right(record);
+    }
+    case 'or': {
+      const left = compileNode(node.left, resolveZone);
+      const right = compileNode(node.right, resolveZone);
+      return (record) => left(record) || right(record);
+    }
+    case 'not': {
+      const operand = compileNode(node.operand, resolveZone);
+      return (record) => !operand(record);
+    }
+    case 'term':
+    case 'phrase': {
+      const needle = node.value.toLowerCase();
+      return (record) => recordText(record).toLowerCase().includes(needle);
+    }
+    case 'regex':
+      return (record) => node.regex.test(recordText(record));
+    case 'field':
+      return compileField(node, resolveZone);
+    default:
+      throw new Error(`Unknown query node "${node.type}"`);
+  }
+};
+
+const compileField = (node, resolveZone) => {
+  if (node.field === 'level') {
+    const rank = LEVEL_RANK[node.level];
+    return (record) => {
+      const level = normalizeLevel(record.logLevel);
+      return level !== null && compare(LEVEL_RANK[level], node.op, rank);
+    };
+  }
+
+  if (node.field === 'time') return compileTime(node, resolveZone);
+
+  const read = FIELD_VALUES[node.field];
+  if (node.regex) return (record) => node.regex.test(String(read(record) ?? ''));
+  if (node.text !== undefined) return (record) => String(read(record) ?? '').toLowerCase().includes(node.text);
+  return (record) => node.glob.test(String(read(record) ?? ''));
+};
+
+const compileTime = (node, resolveZone) => {
+  const { time, op } = node;
+
+  return (record) => {
+    if (!record.timestamp) return false;
+    const instant = new Date(record.timestamp);
+    if (Number.isNaN(instant.getTime())) return false;
+    const timeZone = resolveZone(record);
+
+    if (time.kind === 'timeOfDay') {
+      const parts = getZonedParts(instant, timeZone);
+      const seconds = parts.hour * 3600 + parts.minute * 60 + parts.second;
+      return compare(Math.floor(seconds / time.unit), op, time.value);
+    }
+
+    if (time.kind === 'day') {
+      return compare(toDateStringInTimeZone(instant, timeZone), op, time.value);
+    }
+
+    const target = zonedPartsToDate(time.parts, timeZone).getTime();
+    return compare(Math.floor(instant.getTime() / time.unit), op, Math.floor(target / time.unit));
+  };
+};
+
+const collectFields = (node, fields = new Set()) => {
+  if (!node) return fields;
+  if (node.type === 'field') fields.add(node.field);
+  if (node.left) collectFields(node.left, fields);
+  if (node.right) collectFields(node.right, fields);
+  if (node.operand) collectFields(node.operand, fields);
+  return fields;
+};
+
+// Text every match must contain (AND-ed terms / phrases) - lets the log index skip files without it
+const collectRequiredTerms = (node) => {
+  if (!node) return [];
+  if (node.type === 'and') return [...collectRequiredTerms(node.left), ...collectRequiredTerms(node.right)];
+  if (node.type === 'term' || node.type === 'phrase') return [node.value.toLowerCase()];
+  return []; // OR / NOT / regex / fields guarantee no particular text
+};
+
+// 🎯 Parse once, evaluate per entry
+// timeZone: zone for time: comparisons - a string, or record => zone (per user / alias)
+// Records are log objects: { userId, aliasName, fileName, logLevel, timestamp, message, content | text }
+export const compileLogQuery = (query, { timeZone = 'UTC' } = {}) => {
+  const ast = parseLogQuery(query);
+  const resolveZone = typeof timeZone === 'function' ? timeZone : () => timeZone;
+  const test = ast ? compileNode(ast, resolveZone) : () => true;
+
+  return {
+    query,
+    ast,
+    fields: collectFields(ast), // e.g. search only groups lines into entries when level / time are used
+    requiredTerms: collectRequiredTerms(ast),
+    matches: (record) => test(record)
+  };
+};
+
+// Optional `query` request parameter → { compiledQuery } (null when absent) or { error: LogQuerySyntaxError }
+export const compileQueryOption = (query, options = {}) => {
+  if (query === undefined || query === null || query === '') return { compiledQuery: null };
+  try {
+    return { compiledQuery: compileLogQuery(query, options) };
+  } catch (error) {
+    if (!(error instanceof LogQuerySyntaxError)) throw error;
+    return { error };
+  }
+};
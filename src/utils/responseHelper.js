@@ -37,4 +37,10 @@ export const paginationMeta = (total, limit, offset) => {
       previousOffset: offset > 0 ? Math.max(0, offset - limit) : null
     }
   };
-};
\ No newline at end of file
+};
+// Query string number → integer in [min, max] (fallback when missing), null when invalid
+export const parseBoundedInt = (value, fallback, min, max) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+};
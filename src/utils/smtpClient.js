@@ -0,0 +1,168 @@
+// 📁 src/utils/smtpClient.js
+// Minimal SMTP client (RFC 5321): plain or implicit TLS, optional STARTTLS and AUTH PLAIN / LOGIN
+// Enough for alert e-mails through a relay; no attachments, one text/plain body
+// ==========================================
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+
+// 🎯 Thrown for a refused command - code is the SMTP reply code (5xx permanent, 4xx temporary)
+export class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+    this.temporary = code === null || (code >= 400 && code < 500); // connection problems count as temporary
+  }
+}
+
+// Reads whole replies ("250-a", "250-b", "250 c" = one reply) off a socket
+const createReplyReader = (socket) => {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const settle = () => {
+    while (replies.length > 0 && waiting.length > 0) waiting.shift().resolve(replies.shift());
+    if (failure) while (waiting.length > 0) waiting.shift().reject(failure);
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf-8');
+    let index;
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines: lines.map(text => text.slice(4)) });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onFailure = (error) => {
+    failure = failure || new SmtpError(error?.message || 'SMTP connection closed');
+    settle();
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', () => onFailure(null));
+
+  return {
+    next: () => new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    }),
+    detach: () => {
+      socket.off('data', onData);
+      socket.off('error', onFailure);
+    }
+  };
+};
+
+const connect = ({ host, port, secure, timeoutMs }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: host })
+    : net.connect({ host, port });
+
+  socket.setTimeout(timeoutMs, () => socket.destroy(new SmtpError(`SMTP timeout after ${timeoutMs}ms`)));
+  socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+  socket.once('error', reject);
+});
+
+// Lines starting with "." get another "." (DATA transparency); bare \n → \r\n
+const dotStuff = (text) => text.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+
+const encodeHeader = (value) => /^[\x20-\x7e]*$/.test(value)
+  ? value
+  : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+
+// 🎯 Send one message; resolves { accepted, response } or rejects with SmtpError
+export const sendMail = async (options) => {
+  const {
+    host,
+    port = 25,
+    secure = false, // implicit TLS (port 465)
+    startTls = false, // upgrade after EHLO - a server that doesn't offer it is refused (no plaintext AUTH / mail)
+    username = null,
+    password = null,
+    from,
+    to = [],
+    subject = '',
+    text = '',
+    timeoutMs = 10000
+  } = options;
+
+  let socket = await connect({ host, port, secure, timeoutMs });
+  let reader = createReplyReader(socket);
+
+  const expect = async (codes, command) => {
+    const reply = await reader.next();
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(`${command || 'Greeting'} refused: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+    }
+    return reply;
+  };
+  const send = (command, codes, shown = command) => {
+    socket.write(`${command}\r\n`);
+    return expect(codes, shown);
+  };
+
+  try {
+    await expect([220]);
+    let hello = await send(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+
+    if (startTls && !secure) {
+      if (!hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        throw Object.assign(new SmtpError(`${host} does not offer STARTTLS (startTls is required for this channel)`), { temporary: false });
+      }
+      await send('STARTTLS', [220]);
+      reader.detach();
+      socket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+        upgraded.once('error', reject);
+      });
+      reader = createReplyReader(socket);
+      hello = await send(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+    }
+
+    if (username) {
+      const auth = hello.lines.find(line => /^AUTH\b/i.test(line)) || '';
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        const token = Buffer.from(`\0${username}\0${password || ''}`).toString('base64');
+        await send(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN');
+      } else {
+        await send('AUTH LOGIN', [334]);
+        await send(Buffer.from(username).toString('base64'), [334], 'AUTH LOGIN username');
+        await send(Buffer.from(password || '').toString('base64'), [235], 'AUTH LOGIN password');
+      }
+    }
+
+    await send(`MAIL FROM:<${from}>`, [250]);
+    for (const recipient of to) await send(`RCPT TO:<${recipient}>`, [250, 251]);
+    await send('DATA', [354]);
+
+    const message = [
+      `From: ${from}`,
+      `To: ${to.join(', ')}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      dotStuff(text)
+    ].join('\r\n');
+
+    const accepted = await send(`${message}\r\n.`, [250], 'Message');
+    socket.write('QUIT\r\n');
+
+    return { accepted: to, response: `${accepted.code} ${accepted.lines.join(' ')}` };
+  } finally {
+    socket.end();
+  }
+};
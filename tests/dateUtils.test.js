@@ -0,0 +1,33 @@
+// 📁 tests/dateUtils.test.js
+// Date range params → exact time windows
+// Run with: npm test
+// ==========================================
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveDateRange } from '../src/utils/dateUtils.js';
+
+const window = (params, timeZone = 'Asia/Kolkata') => {
+  const { start, end } = resolveDateRange(params, timeZone).window;
+  return { start: start.toISOString(), end: end.toISOString() };
+};
+
+test('an endTime without seconds covers the whole minute', () => {
+  assert.deepEqual(window({ date: '2025-09-01', startTime: '10:00', endTime: '10:30' }), {
+    start: '2025-09-01T04:30:00.000Z',
+    end: '2025-09-01T05:00:59.999Z'
+  });
+});
+
+test('an endTime with seconds covers that second', () => {
+  assert.deepEqual(window({ date: '2025-09-01', startTime: '10:00:05', endTime: '10:30:15' }), {
+    start: '2025-09-01T04:30:05.000Z',
+    end: '2025-09-01T05:00:15.999Z'
+  });
+});
+
+test('a date range without times runs from midnight to the end of the last day', () => {
+  assert.deepEqual(window({ startDate: '2025-09-01', endDate: '2025-09-02' }, 'UTC'), {
+    start: '2025-09-01T00:00:00.000Z',
+    end: '2025-09-02T23:59:59.999Z'
+  });
+});
@@ -0,0 +1,65 @@
+// 📁 tests/liveStreamHub.test.js
+// Live push through the file watcher: entries reach subscribers even when the file goes quiet after them
+// Run with: npm test
+// ==========================================
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Services keep their JSON files under <cwd>/storage: run them in a scratch folder
+// Their progress logs are muted (the test runner reads this process' stdout)
+mock.method(console, 'log', () => {});
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'log-analyzer-live-'));
+process.chdir(workDir);
+const { userAliasService } = await import('../src/services/userAliasService.js');
+const { fileWatcherService } = await import('../src/services/fileWatcherService.js');
+const { liveStreamHub } = await import('../src/services/liveStreamHub.js');
+
+const logDir = path.join(workDir, 'logs');
+const logFile = path.join(logDir, 'app.log');
+
+const logLine = (level, text) => {
+  const stamp = new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Kolkata' }); // YYYY-MM-DD HH:mm:ss
+  return `${stamp} [${level}] ${text}\n`;
+};
+
+const waitFor = async (check, timeoutMs = 5000) => {
+  const startedAt = Date.now();
+  while (!check()) {
+    if (Date.now() - startedAt > timeoutMs) return false;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return true;
+};
+
+await fs.mkdir(logDir);
+await fs.writeFile(logFile, logLine('INFO', 'service started'));
+await userAliasService.ready;
+await userAliasService.addUserAlias('tester', 'API', logDir, { sourceTimezone: 'Asia/Kolkata', timezone: 'Asia/Kolkata' });
+
+after(async () => {
+  fileWatcherService.stop();
+  process.chdir(os.tmpdir());
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('delivers the last entry appended before the file goes quiet', async () => {
+  const events = [];
+  const { subscriber } = liveStreamHub.addSubscriber({ kind: 'sse', deliver: event => events.push(event) });
+
+  try {
+    // First read only places the cursor at the end of the file
+    assert.ok(await waitFor(() => liveStreamHub.primed && !liveStreamHub.polling), 'live stream never primed');
+
+    await fs.appendFile(logFile, logLine('ERROR', 'payment gateway timed out'));
+
+    const logs = () => events.filter(event => event.type === 'log');
+    assert.ok(await waitFor(() => logs().length > 0), 'appended entry was never delivered');
+    assert.equal(logs().length, 1);
+    assert.match(logs()[0].data.message, /payment gateway timed out/);
+  } finally {
+    liveStreamHub.removeSubscriber(subscriber.id);
+  }
+});
@@ -0,0 +1,74 @@
+// 📁 tests/logTail.test.js
+// Tail reads return complete lines only: a last line without "\n" may still be half-written
+// Run with: npm test
+// ==========================================
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Services keep their JSON files under <cwd>/storage: run them in a scratch folder
+// Their progress logs are muted (the test runner reads this process' stdout)
+mock.method(console, 'log', () => {});
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'log-analyzer-tail-'));
+process.chdir(workDir);
+const { readLinesFromTail } = await import('../src/utils/fileUtils.js');
+const { userAliasService } = await import('../src/services/userAliasService.js');
+const { logTailService } = await import('../src/services/logTailService.js');
+
+const logDir = path.join(workDir, 'logs');
+await fs.mkdir(logDir);
+
+after(async () => {
+  process.chdir(os.tmpdir());
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+const writeLog = async (fileName, content) => {
+  const filePath = path.join(logDir, fileName);
+  await fs.writeFile(filePath, content);
+  return filePath;
+};
+
+test('readLinesFromTail leaves out an unfinished last line with completeLinesOnly', async () => {
+  const filePath = await writeLog('partial.log', 'first\nsecond\nthird (half-wri');
+
+  const complete = await readLinesFromTail(filePath, { maxLines: 10, countLines: true, completeLinesOnly: true });
+  assert.deepEqual(complete.lines, ['first', 'second']);
+  assert.deepEqual(complete.lineNumbers, [1, 2]);
+  assert.equal(complete.partialLineBytes, Buffer.byteLength('third (half-wri'));
+
+  const everything = await readLinesFromTail(filePath, { maxLines: 10 });
+  assert.deepEqual(everything.lines, ['first', 'second', 'third (half-wri']);
+  assert.equal(everything.partialLineBytes, 0);
+});
+
+test('readLinesFromTail keeps a last line that ends with a newline', async () => {
+  const filePath = await writeLog('complete.log', 'first\nsecond\n');
+
+  const result = await readLinesFromTail(filePath, { maxLines: 1, completeLinesOnly: true });
+  assert.deepEqual(result.lines, ['second']);
+  assert.equal(result.partialLineBytes, 0);
+});
+
+test('readLinesFromTail finds the last complete line behind a partial line longer than a chunk', async () => {
+  const filePath = await writeLog('long.log', `first\nsecond\n${'x'.repeat(300)}`);
+
+  const result = await readLinesFromTail(filePath, { maxLines: 1, completeLinesOnly: true, chunkSize: 64 });
+  assert.deepEqual(result.lines, ['second']);
+  assert.equal(result.partialLineBytes, 300);
+});
+
+test('the tail endpoint does not return a half-written last line', async () => {
+  await writeLog('app.log', '2025-09-01 12:00:00 [INFO] started\n2025-09-01 12:00:01 [ERROR] conn');
+  await userAliasService.ready;
+  await userAliasService.addUserAlias('tester', 'API', logDir);
+
+  const result = await logTailService.tailAliasFile('tester', 'API', { file: 'app.log', lines: 10, countLines: true });
+
+  assert.ok(result.success, result.error);
+  assert.deepEqual(result.lines.map(line => line.text), ['2025-09-01 12:00:00 [INFO] started']);
+  assert.equal(result.lastLineNumber, 1);
+  assert.equal(result.partialLineBytes, Buffer.byteLength('2025-09-01 12:00:01 [ERROR] conn'));
+});
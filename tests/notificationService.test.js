@@ -0,0 +1,335 @@
+// 📁 tests/notificationService.test.js
+// Alert notifications against local stand-ins: an HTTP receiver that fails on request and an SMTP server
+// Run with: npm test
+// ==========================================
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+
+// Services keep their JSON files under <cwd>/storage: run them in a scratch folder
+// Their progress logs are muted (the test runner reads this process' stdout)
+mock.method(console, 'log', () => {});
+const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'log-analyzer-notifications-'));
+process.chdir(workDir);
+const { notificationService } = await import('../src/services/notificationService.js');
+
+// ==========================================
+// Stand-ins
+// ==========================================
+
+// POST /<key>/<failures>: 503 for the first <failures> requests of <key>, then 200; /bad/* always 400
+const webhook = { requests: new Map() }; // key -> [{ at, body }]
+const httpServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const [, key, failures = '0'] = req.url.split('/');
+    const seen = webhook.requests.get(key) || [];
+    seen.push({ at: Date.now(), body: body ? JSON.parse(body) : null });
+    webhook.requests.set(key, seen);
+
+    if (key === 'bad') res.writeHead(400);
+    else res.writeHead(seen.length <= Number(failures) ? 503 : 200);
+    res.end();
+  });
+});
+
+// Accepts AUTH PLAIN for user / secret; records every command and message
+const smtp = { commands: [], messages: [], offerStartTls: false };
+const smtpServer = net.createServer(socket => {
+  let buffer = '';
+  let data = null;
+  const reply = (text) => socket.write(`${text}\r\n`);
+
+  reply('220 stand-in ESMTP');
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf-8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (data !== null) {
+        if (line === '.') {
+          smtp.messages.push(data.join('\r\n'));
+          data = null;
+          reply('250 queued');
+        } else {
+          data.push(line);
+        }
+        continue;
+      }
+
+      smtp.commands.push(line);
+      const verb = line.split(' ')[0].toUpperCase();
+      if (verb === 'EHLO') {
+        reply('250-stand-in');
+        if (smtp.offerStartTls) reply('250-STARTTLS');
+        reply('250 AUTH PLAIN LOGIN');
+      } else if (verb === 'AUTH') {
+        const token = Buffer.from(line.split(' ')[2] || '', 'base64').toString('utf-8');
+        reply(token === '\0alerts\0secret' ? '235 authenticated' : '535 bad credentials');
+      } else if (verb === 'MAIL' || verb === 'RCPT') {
+        reply('250 ok');
+      } else if (verb === 'DATA') {
+        data = [];
+        reply('354 go ahead');
+      } else if (verb === 'QUIT') {
+        reply('221 bye');
+        socket.end();
+      } else {
+        reply('502 not implemented');
+      }
+    }
+  });
+  socket.on('error', () => {});
+});
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const httpPort = await listen(httpServer);
+const smtpPort = await listen(smtpServer);
+
+after(async () => {
+  await notificationService.flush();
+  httpServer.close();
+  smtpServer.close();
+  process.chdir(os.tmpdir());
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+// ==========================================
+// Helpers
+// ==========================================
+let ruleCount = 0;
+
+const createChannel = async (input) => {
+  const result = await notificationService.createChannel(input);
+  assert.ok(result.success, result.error);
+  return notificationService.channels.get(result.channel.id); // stored channel (password not masked)
+};
+
+const webhookChannel = (key, overrides = {}) => createChannel({
+  type: 'webhook',
+  config: { url: `http://127.0.0.1:${httpPort}/${key}` },
+  retry: { maxAttempts: 3, backoffMs: 40 },
+  ...overrides
+});
+
+const alertContext = (event = 'firing', ruleId = `rule-${++ruleCount}`) => notificationService.buildContext(event, {
+  id: ruleId,
+  name: `Errors in API (${ruleId})`,
+  userId: 'john_doe',
+  aliasName: 'API',
+  type: 'threshold',
+  severity: 'critical',
+  threshold: 5,
+  windowMinutes: 10,
+  query: null,
+  description: null
+}, {
+  from: 'pending',
+  to: event,
+  at: new Date().toISOString(),
+  count: 12,
+  message: '12 ERROR entries in API within 10 minutes (threshold 5)'
+}, { count: 12, samples: [] });
+
+// ==========================================
+// Webhook retry / backoff
+// ==========================================
+test('retries a failing webhook with doubling backoff until it is delivered', async () => {
+  const channel = await webhookChannel('flaky/2');
+  const delivery = await notificationService.deliver(channel, alertContext());
+
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.attempts.length, 3);
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.status ?? null), [503, 503, 200]);
+
+  const times = webhook.requests.get('flaky').map(request => request.at);
+  assert.ok(times[1] - times[0] >= 35, `first backoff was ${times[1] - times[0]}ms`);
+  assert.ok(times[2] - times[1] >= 75, `second backoff was ${times[2] - times[1]}ms`);
+  assert.equal(webhook.requests.get('flaky')[2].body.rule.id, delivery.ruleId);
+});
+
+test('gives up after maxAttempts and keeps the last error', async () => {
+  const channel = await webhookChannel('down/100', { retry: { maxAttempts: 2, backoffMs: 10 } });
+  const delivery = await notificationService.deliver(channel, alertContext());
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 2);
+  assert.equal(webhook.requests.get('down').length, 2);
+});
+
+test('does not retry a 4xx response', async () => {
+  const channel = await webhookChannel('bad');
+  const delivery = await notificationService.deliver(channel, alertContext());
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 1);
+  assert.equal(delivery.attempts[0].temporary, false);
+});
+
+test('test sends make a single attempt', async () => {
+  const channel = await webhookChannel('probe/1');
+  const { delivery } = await notificationService.testChannel(channel.id);
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 1);
+  assert.equal(webhook.requests.get('probe').length, 1);
+});
+
+// ==========================================
+// Deduplication / rate limit
+// ==========================================
+test('deduplicates the same rule and event on a channel', async () => {
+  const channel = await webhookChannel('dedup', { dedupMinutes: 15 });
+  const context = alertContext('firing', 'rule-dedup');
+
+  const first = await notificationService.deliver(channel, context);
+  const second = await notificationService.deliver(channel, context);
+  const resolved = await notificationService.deliver(channel, alertContext('resolved', 'rule-dedup'));
+
+  assert.equal(first.status, 'delivered');
+  assert.equal(second.status, 'deduplicated');
+  assert.equal(resolved.status, 'delivered');
+  assert.equal(webhook.requests.get('dedup').length, 2);
+});
+
+test('a failed delivery does not block the next try of the same notification', async () => {
+  const channel = await webhookChannel('retry-later/1', { retry: { maxAttempts: 1, backoffMs: 0 } });
+  const context = alertContext('firing', 'rule-retry-later');
+
+  assert.equal((await notificationService.deliver(channel, context)).status, 'failed');
+  assert.equal((await notificationService.deliver(channel, context)).status, 'delivered');
+});
+
+test('rate limits a channel to max notifications per window', async () => {
+  const channel = await webhookChannel('limited', { rateLimit: { max: 2, perMinutes: 60 }, dedupMinutes: 0 });
+
+  const statuses = [];
+  for (let i = 0; i < 3; i++) statuses.push((await notificationService.deliver(channel, alertContext())).status);
+
+  assert.deepEqual(statuses, ['delivered', 'delivered', 'rate_limited']);
+  assert.equal(webhook.requests.get('limited').length, 2);
+});
+
+// ==========================================
+// E-mail
+// ==========================================
+const emailChannel = (overrides = {}) => createChannel({
+  type: 'email',
+  config: {
+    host: '127.0.0.1',
+    port: smtpPort,
+    username: 'alerts',
+    password: 'secret',
+    from: 'alerts@example.com',
+    to: ['oncall@example.com', 'lead@example.com'],
+    ...overrides
+  },
+  retry: { maxAttempts: 1, backoffMs: 0 }
+});
+
+test('delivers an e-mail through SMTP with AUTH PLAIN', async () => {
+  smtp.commands.length = 0;
+  smtp.messages.length = 0;
+  const channel = await emailChannel();
+  const delivery = await notificationService.deliver(channel, alertContext());
+
+  assert.equal(delivery.status, 'delivered', delivery.error);
+  assert.ok(smtp.commands.includes('MAIL FROM:<alerts@example.com>'));
+  assert.ok(smtp.commands.includes('RCPT TO:<oncall@example.com>'));
+  assert.ok(smtp.commands.includes('RCPT TO:<lead@example.com>'));
+  assert.equal(smtp.messages.length, 1);
+  assert.match(smtp.messages[0], /^Subject: \[FIRING\] Errors in API/m);
+  assert.match(smtp.messages[0], /12 ERROR entries in API within 10 minutes/);
+});
+
+test('refuses to continue without TLS when startTls is set but not offered', async () => {
+  smtp.commands.length = 0;
+  smtp.offerStartTls = false;
+  const channel = await emailChannel({ startTls: true });
+  const delivery = await notificationService.deliver(channel, alertContext());
+
+  assert.equal(delivery.status, 'failed');
+  assert.match(delivery.error, /STARTTLS/);
+  assert.ok(!smtp.commands.some(command => command.startsWith('AUTH')), 'credentials were sent in plaintext');
+  assert.ok(!smtp.commands.some(command => command.startsWith('MAIL')));
+});
+
+test('rejects addresses and subjects that could inject SMTP commands or headers', async () => {
+  for (const config of [
+    { from: 'alerts@example.com>\r\nRCPT TO:<victim@example.com' },
+    { to: ['oncall@example.com\r\nDATA'] },
+    { to: ['<oncall@example.com>'] },
+    { subject: 'Alert\r\nBcc: everyone@example.com' },
+    { subject: { text: 'Alert' } }
+  ]) {
+    const result = await notificationService.createChannel({
+      type: 'email',
+      config: { host: '127.0.0.1', from: 'alerts@example.com', to: ['oncall@example.com'], ...config }
+    });
+    assert.equal(result.success, false);
+    assert.equal(result.invalidChannel, true);
+  }
+});
+
+// ==========================================
+// Channel secrets
+// ==========================================
+test('masks URLs, header values and passwords in channels read through the API', async () => {
+  const slack = await notificationService.createChannel({
+    type: 'slack',
+    config: { url: 'https://hooks.slack.com/services/T000/B000/XXXXSECRET' }
+  });
+  const hook = await notificationService.createChannel({
+    type: 'webhook',
+    config: { url: `http://127.0.0.1:${httpPort}/secret-token`, headers: { Authorization: 'Bearer abc123' } }
+  });
+  const email = await notificationService.createChannel({
+    type: 'email',
+    config: { host: '127.0.0.1', username: 'alerts', password: 'secret', from: 'alerts@example.com', to: ['oncall@example.com'] }
+  });
+
+  assert.equal(slack.channel.config.url, 'https://hooks.slack.com/********');
+  assert.equal(hook.channel.config.url, `http://127.0.0.1:${httpPort}/********`);
+  assert.deepEqual(hook.channel.config.headers, { Authorization: '********' });
+  assert.equal(email.channel.config.password, '********');
+
+  const listed = JSON.stringify(notificationService.getChannels());
+  for (const secret of ['XXXXSECRET', 'secret-token', 'abc123', '"secret"']) assert.ok(!listed.includes(secret), `${secret} returned`);
+});
+
+test('an update sending masked values back keeps the stored secrets', async () => {
+  const { channel: created } = await notificationService.createChannel({
+    type: 'webhook',
+    config: { url: `http://127.0.0.1:${httpPort}/keep-me`, headers: { Authorization: 'Bearer abc123', 'X-Team': 'ops' } }
+  });
+
+  // Read back, change one thing, send the rest as it came
+  const read = notificationService.getChannel(created.id);
+  const updated = await notificationService.updateChannel(created.id, {
+    config: { ...read.config, headers: { ...read.config.headers, 'X-Team': 'sre' } }
+  });
+  assert.ok(updated.success, updated.error);
+
+  const stored = notificationService.channels.get(created.id).config;
+  assert.equal(stored.url, `http://127.0.0.1:${httpPort}/keep-me`);
+  assert.deepEqual(stored.headers, { Authorization: 'Bearer abc123', 'X-Team': 'sre' });
+
+  // A new URL replaces the stored one
+  const moved = await notificationService.updateChannel(created.id, { config: { ...read.config, url: `http://127.0.0.1:${httpPort}/moved` } });
+  assert.ok(moved.success, moved.error);
+  assert.equal(notificationService.channels.get(created.id).config.url, `http://127.0.0.1:${httpPort}/moved`);
+
+  const { channel: email } = await notificationService.createChannel({
+    type: 'email',
+    config: { host: '127.0.0.1', username: 'alerts', password: 'secret', from: 'alerts@example.com', to: ['oncall@example.com'] }
+  });
+  await notificationService.updateChannel(email.id, { config: { ...email.config, to: ['lead@example.com'] } });
+  assert.equal(notificationService.channels.get(email.id).config.password, 'secret');
+});